@@ -0,0 +1,2199 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const jwt = require('jsonwebtoken');
+const multer = require('multer');
+const cors = require('cors');
+const rateLimit = require('express-rate-limit');
+const helmet = require('helmet');
+const path = require('path');
+const crypto = require('crypto');
+const { emailVerificationMail, passwordResetMail } = require('./lib/mail-templates');
+const { sanitizePostContent } = require('./lib/sanitize');
+const { createNotifier } = require('./lib/notifications');
+const { isSupportedImage } = require('./lib/storage');
+const { DUPLICATE } = require('./lib/repositories');
+
+// Expressアプリ（全ルート）
+// データベースやストレージなどの依存は引数で受け取り、server.js（ローカル）と
+// server-production.js（Vercel）の両方から同じルートを使う
+//   repo            - lib/repositories のリポジトリ
+//   storage         - lib/storage の画像ストレージ
+//   mailer          - lib/mailer
+//   paymentProvider - lib/payments
+//   jobs            - lib/billing・lib/rankings の定期ジョブ（cron API から実行）
+//   trustProxy      - リバースプロキシ経由の場合 true（req.ip に X-Forwarded-For を使う）
+
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
+const CRON_SECRET = process.env.CRON_SECRET;
+
+// アクセストークン（JWT）は短期間で失効させ、リフレッシュトークンで再発行する
+// リフレッシュトークンは httpOnly Cookie に保存し、使用するたびに新しいものに置き換える
+const ACCESS_TOKEN_TTL = '15m';
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+const REFRESH_COOKIE_NAME = 'refresh_token';
+const REFRESH_COOKIE_OPTIONS = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    path: '/api/auth'
+};
+
+// ワンタイムトークン（メールにはトークン本体を送り、DBにはハッシュのみ保存する）
+const USER_TOKEN_TTL_MS = {
+    email_verification: 24 * 60 * 60 * 1000, // 24 hours
+    password_reset: 60 * 60 * 1000 // 1 hour
+};
+const MIN_PASSWORD_LENGTH = 8;
+
+const signAccessToken = (user, sessionId) =>
+    jwt.sign({ id: user.id, email: user.email, sid: sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+
+const setRefreshCookie = (res, refreshToken) =>
+    res.cookie(REFRESH_COOKIE_NAME, refreshToken, { ...REFRESH_COOKIE_OPTIONS, maxAge: REFRESH_TOKEN_TTL_MS });
+
+const clearRefreshCookie = (res) => res.clearCookie(REFRESH_COOKIE_NAME, REFRESH_COOKIE_OPTIONS);
+
+const getRefreshCookie = (req) => {
+    const cookies = (req.headers.cookie || '').split(';');
+    for (const cookie of cookies) {
+        const [name, ...value] = cookie.trim().split('=');
+        if (name === REFRESH_COOKIE_NAME) {
+            return decodeURIComponent(value.join('='));
+        }
+    }
+    return null;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const validateNewPassword = (password) => {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `パスワードは${MIN_PASSWORD_LENGTH}文字以上で入力してください`;
+    }
+    return null;
+};
+
+// IDの比較（SQLiteは数値、Supabaseは文字列のIDを返す）
+const sameId = (a, b) => a !== null && a !== undefined && String(a) === String(b);
+
+// メンバー一覧の並び順
+const MEMBER_SORTS = ['joined_desc', 'joined_asc'];
+
+// キーセットページネーション
+// カーソルは前のページの最後の項目の並び替えキーとIDをJSONにしてBase64URLにしたもの
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+
+const parsePageSize = (limit) => Math.min(Math.max(parseInt(limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify([value, id])).toString('base64url');
+
+// カーソルの並び替えキーは日時か数値、IDは整数（SQLite）かUUID（Postgres）
+// カーソルはクライアントから送られ、Supabase ではそのままフィルターに埋め込むため、形式をここで確かめる
+const CURSOR_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}(:?\d{2})?)?$/;
+const CURSOR_UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const isCursorValue = (value) => Number.isFinite(value) || (typeof value === 'string' && CURSOR_TIMESTAMP_PATTERN.test(value));
+
+const isCursorId = (id) => Number.isSafeInteger(id) || (typeof id === 'string' && CURSOR_UUID_PATTERN.test(id));
+
+// 不正なカーソルは null
+const decodeCursor = (cursor) => {
+    try {
+        const [value, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        return isCursorValue(value) && isCursorId(id) ? { value, id } : null;
+    } catch {
+        return null;
+    }
+};
+
+// 一覧APIの cursor と limit
+const parsePageParams = (query) => {
+    const after = query.cursor ? decodeCursor(query.cursor) : null;
+    if (query.cursor && !after) {
+        return { error: 'カーソルが不正です' };
+    }
+    return { after, limit: parsePageSize(query.limit) };
+};
+
+// limit + 1 件取得した結果を1ページ分と次のページのカーソルにする
+// key は並び替えキー、idKey は同じキーの項目を並べるためのIDの列
+const toPage = (rows, limit, key, idKey = 'id') => {
+    const items = rows.slice(0, limit);
+    const last = items[items.length - 1];
+    return { items, next_cursor: rows.length > limit ? encodeCursor(last[key], last[idKey]) : null };
+};
+
+// ファンクラブ検索の並び順と、カーソルに使う列
+const SEARCH_SORTS = {
+    relevance: 'search_rank',
+    newest: 'created_at',
+    members: 'member_count',
+    trending: 'recent_joins'
+};
+
+// 検索の絞り込み条件（0以上の整数。未指定は null）
+const parseSearchFilters = (query) => {
+    const filters = {};
+    for (const [param, name] of [['min_fee', 'minFee'], ['max_fee', 'maxFee'], ['min_members', 'minMembers'], ['max_members', 'maxMembers']]) {
+        const value = query[param];
+        if (value === undefined || value === '') {
+            filters[name] = null;
+            continue;
+        }
+        const number = Number(value);
+        if (!Number.isInteger(number) || number < 0) {
+            return { error: '絞り込み条件は0以上の整数で指定してください' };
+        }
+        filters[name] = number;
+    }
+    return { filters };
+};
+
+// トップページの注目ファンクラブ
+const FEATURED_LIMIT = 6;
+const MAX_FEATURED_PINS = FEATURED_LIMIT;
+
+// ランキングは定期ジョブでしか変わらないため、ブラウザとCDNにしばらくキャッシュさせる
+const RANKING_CACHE_CONTROL = 'public, max-age=60, s-maxage=300';
+
+// 一覧を順に並べて limit 件にする（同じファンクラブは最初のもののみ）
+const mergeFeatured = (limit, ...lists) => {
+    const seen = new Set();
+    const items = [];
+    for (const fanclub of lists.flat()) {
+        if (items.length >= limit) {
+            break;
+        }
+        if (seen.has(String(fanclub.id))) {
+            continue;
+        }
+        seen.add(String(fanclub.id));
+        items.push({ ...fanclub, pinned: fanclub.featured_position !== null && fanclub.featured_position !== undefined });
+    }
+    return items;
+};
+
+// タグ（オーナーが自由に付けるキーワード）
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 20;
+
+// 表記ゆれを吸収する（全角・半角、大文字・小文字、先頭の # を区別しない）
+const normalizeTag = (tag) => (typeof tag === 'string' ? tag.normalize('NFKC').trim().replace(/^#+/, '').toLowerCase() : '');
+
+// タグの配列（またはカンマ区切りの文字列）を正規化して重複を除く（未指定は undefined のまま）
+const parseTags = (tags) => {
+    if (tags === undefined) {
+        return { tags: undefined };
+    }
+
+    const values = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    const normalized = [...new Set(values.map(normalizeTag).filter(Boolean))];
+    if (normalized.length > MAX_TAGS) {
+        return { error: `タグは${MAX_TAGS}個まで設定できます` };
+    }
+    if (normalized.some(tag => [...tag].length > MAX_TAG_LENGTH || /\s/.test(tag))) {
+        return { error: `タグは空白を含まない${MAX_TAG_LENGTH}文字以内で入力してください` };
+    }
+    return { tags: normalized };
+};
+
+// プラン
+const DEFAULT_TIER_NAME = 'メンバー';
+const MAX_TIERS = 10;
+
+const validateTier = ({ name, description, monthly_fee }) => {
+    const tierName = typeof name === 'string' ? name.trim() : '';
+    if (!tierName || tierName.length > 50) {
+        return { error: 'プラン名は1〜50文字で入力してください' };
+    }
+
+    const fee = Number(monthly_fee);
+    if (monthly_fee === undefined || monthly_fee === '' || !Number.isInteger(fee) || fee < 0) {
+        return { error: '月会費は0以上の整数で入力してください' };
+    }
+
+    return { tier: { name: tierName, description: description || null, monthly_fee: fee } };
+};
+
+// 投稿
+const POST_STATUSES = ['draft', 'published'];
+const POST_VISIBILITIES = ['public', 'members'];
+
+// 投稿の公開範囲を検証（省略した場合は undefined のまま返す）
+const validateVisibility = (visibility) => {
+    if (visibility !== undefined && !POST_VISIBILITIES.includes(visibility)) {
+        return { error: '公開範囲が不正です' };
+    }
+    return { visibility };
+};
+
+// データベースの日時を Date にする（SQLite はタイムゾーンなしの UTC "YYYY-MM-DD HH:MM:SS" を返す）
+const parseDbDate = (value) => {
+    if (value instanceof Date || /(Z|[+-]\d{2}:?\d{2})$/.test(value)) {
+        return new Date(value);
+    }
+    return new Date(`${String(value).replace(' ', 'T')}Z`);
+};
+
+// 読者に公開済みの投稿か（下書き・公開予約中でない）
+const isPublishedPost = (post) => post.status === 'published' && parseDbDate(post.published_at) <= new Date();
+
+// 閲覧権限のないメンバー限定投稿はタイトルと概要のみ返す
+const formatPost = ({ can_view, ...post }) => {
+    const result = { ...post, locked: false };
+    return can_view ? result : { ...result, content: null, locked: true };
+};
+
+// 投稿の公開設定を検証（published_at が未来の日時なら公開予約。状態を省略した場合は undefined のまま返す）
+const validatePublishSettings = ({ status, published_at }) => {
+    const postStatus = status || undefined;
+    if (postStatus !== undefined && !POST_STATUSES.includes(postStatus)) {
+        return { error: '投稿の状態が不正です' };
+    }
+
+    if (published_at === undefined || published_at === null || published_at === '') {
+        return { status: postStatus, publishedAt: null };
+    }
+
+    const date = new Date(published_at);
+    if (Number.isNaN(date.getTime())) {
+        return { error: '公開日時が不正です' };
+    }
+
+    return { status: postStatus, publishedAt: date };
+};
+
+// コメント
+const MAX_COMMENT_LENGTH = 1000;
+
+// 返信を親コメントの下にまとめる（返信は1階層まで）
+const buildCommentThreads = (comments) => {
+    const threads = [];
+    const byId = new Map();
+
+    comments.forEach(comment => {
+        if (!comment.parent_id) {
+            const thread = { ...comment, replies: [] };
+            byId.set(String(comment.id), thread);
+            threads.push(thread);
+        }
+    });
+
+    comments.forEach(comment => {
+        if (comment.parent_id && byId.has(String(comment.parent_id))) {
+            byId.get(String(comment.parent_id)).replies.push(comment);
+        }
+    });
+
+    return threads;
+};
+
+const validateCommentContent = (content) => {
+    const text = typeof content === 'string' ? content.trim() : '';
+
+    if (!text) {
+        return { error: 'コメント内容が必要です' };
+    }
+    if (text.length > MAX_COMMENT_LENGTH) {
+        return { error: `コメントは${MAX_COMMENT_LENGTH}文字以内で入力してください` };
+    }
+
+    return { text };
+};
+
+// ユーザー
+const MAX_BIO_LENGTH = 500;
+const REMINDER_DAYS_OPTIONS = [1, 3, 7, 14];
+const DEFAULT_REMINDER_SETTINGS = { email_enabled: true, days_before: 3 };
+
+const createApp = ({ repo, storage, mailer, paymentProvider, jobs, trustProxy = false }) => {
+    const app = express();
+    const notifier = createNotifier({ repo });
+
+    if (trustProxy) {
+        app.set('trust proxy', true);
+    }
+
+    // リサイズ・サムネイル生成のためメモリで受け取り、ストレージに保存する
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: {
+            fileSize: 10 * 1024 * 1024 // 10MB
+        },
+        fileFilter: (req, file, cb) => {
+            if (isSupportedImage(file.mimetype)) {
+                cb(null, true);
+            } else {
+                const error = new Error('画像ファイル（JPEG・PNG・GIF・WebP）のみアップロード可能です');
+                error.code = 'UNSUPPORTED_IMAGE';
+                cb(error);
+            }
+        }
+    });
+
+    // 不要になった画像をストレージから削除（失敗してもリクエストは成功させる）
+    const discardImage = (url) => {
+        storage.removeImage(url).catch((error) => {
+            console.error('Image delete error:', error);
+        });
+    };
+
+    // セキュリティとCORS設定
+    app.use(helmet({
+        contentSecurityPolicy: {
+            directives: {
+                defaultSrc: ["'self'"],
+                styleSrc: ["'self'", "'unsafe-inline'", "https://cdn.quilljs.com", "https://cdnjs.cloudflare.com"],
+                scriptSrc: ["'self'", "'unsafe-inline'", "https://cdn.quilljs.com", "https://cdnjs.cloudflare.com"],
+                imgSrc: [
+                    "'self'", "data:", "blob:", "https://res.cloudinary.com",
+                    ...(process.env.S3_PUBLIC_URL ? [new URL(process.env.S3_PUBLIC_URL).origin] : [])
+                ],
+                fontSrc: ["'self'", "https://cdnjs.cloudflare.com"],
+            },
+        },
+    }));
+
+    app.use(cors());
+    app.use(express.json({ limit: '10mb' }));
+    app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+
+    // Rate limiting
+    const limiter = rateLimit({
+        windowMs: 15 * 60 * 1000, // 15 minutes
+        max: 100
+    });
+    app.use(limiter);
+
+    // メール送信を伴う認証APIはさらに制限する
+    const mailLimiter = rateLimit({
+        windowMs: 60 * 60 * 1000, // 1 hour
+        max: 5
+    });
+
+    // 静的ファイルの提供
+    app.use(express.static(path.join(__dirname, 'public')));
+    if (storage.driver === 'local') {
+        app.use(storage.publicPath, express.static(storage.directory));
+    }
+
+    // ログインセッションを作成し、アクセストークンとリフレッシュトークンを発行
+    const createSession = async (req, user) => {
+        const refreshToken = crypto.randomBytes(32).toString('hex');
+
+        const sessionId = await repo.sessions.create({
+            userId: user.id,
+            refreshTokenHash: hashToken(refreshToken),
+            userAgent: (req.headers['user-agent'] || '').slice(0, 255),
+            ipAddress: req.ip,
+            expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+        });
+
+        return { accessToken: signAccessToken(user, sessionId), refreshToken };
+    };
+
+    // JWTを検証し、セッションがログアウト・失効していないか確認する
+    const verifyAccessToken = async (token) => {
+        let payload;
+        try {
+            payload = jwt.verify(token, JWT_SECRET);
+        } catch (error) {
+            return { expired: error.name === 'TokenExpiredError' };
+        }
+
+        const active = await repo.sessions.isActive(payload.sid, payload.id);
+        return active ? { user: payload } : { revoked: true };
+    };
+
+    // JWT認証ミドルウェア
+    // 期限切れ・ログアウト済みの場合は 401 を返し、クライアントは /api/auth/refresh で再発行する
+    const authenticateToken = async (req, res, next) => {
+        const authHeader = req.headers['authorization'];
+        const token = authHeader && authHeader.split(' ')[1];
+
+        if (!token) {
+            return res.status(401).json({ error: 'アクセストークンが必要です' });
+        }
+
+        try {
+            const result = await verifyAccessToken(token);
+            if (result.expired || result.revoked) {
+                return res.status(401).json({ error: 'ログインの有効期限が切れました', code: 'TOKEN_EXPIRED' });
+            }
+            if (!result.user) {
+                return res.status(403).json({ error: '無効なトークンです' });
+            }
+            req.user = result.user;
+            next();
+        } catch (error) {
+            console.error('Session check error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    };
+
+    // 任意のJWT認証ミドルウェア（トークンがあれば検証してreq.userを設定）
+    const optionalAuthenticateToken = async (req, res, next) => {
+        const authHeader = req.headers['authorization'];
+        const token = authHeader && authHeader.split(' ')[1];
+
+        if (!token) {
+            return next();
+        }
+
+        try {
+            const result = await verifyAccessToken(token);
+            if (result.user) {
+                req.user = result.user;
+            }
+        } catch (error) {
+            console.error('Session check error:', error);
+        }
+        next();
+    };
+
+    // ファンクラブのオーナーのみ許可するミドルウェア（authenticateTokenの後に使用）
+    const requireFanclubOwner = async (req, res, next) => {
+        try {
+            const fanclub = await repo.fanclubs.findById(req.params.id);
+
+            if (!fanclub) {
+                return res.status(404).json({ error: 'ファンクラブが見つかりません' });
+            }
+            if (!sameId(fanclub.owner_id, req.user.id)) {
+                return res.status(403).json({ error: 'この操作を行う権限がありません' });
+            }
+
+            req.fanclub = fanclub;
+            next();
+        } catch (error) {
+            console.error('Fanclub owner check error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    };
+
+    // サイト管理者のみ許可するミドルウェア（authenticateTokenの後に使用）
+    const requireSiteAdmin = async (req, res, next) => {
+        try {
+            const user = await repo.users.findById(req.user.id);
+            if (!user || !user.is_admin) {
+                return res.status(403).json({ error: 'この操作を行う権限がありません' });
+            }
+            next();
+        } catch (error) {
+            console.error('Site admin check error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    };
+
+    // ワンタイムトークンを発行（同じ用途の未使用トークンは無効にする）
+    const issueUserToken = async (userId, purpose) => {
+        const token = crypto.randomBytes(32).toString('hex');
+        await repo.userTokens.issue(userId, purpose, hashToken(token), new Date(Date.now() + USER_TOKEN_TTL_MS[purpose]));
+        return token;
+    };
+
+    // 確認メールを送信（送信に失敗しても呼び出し元の処理は続行する）
+    const sendVerificationMail = async (user) => {
+        try {
+            const token = await issueUserToken(user.id, 'email_verification');
+            await mailer.send(emailVerificationMail({ ...user, token }));
+            return true;
+        } catch (error) {
+            console.error('Verification mail error:', error);
+            return false;
+        }
+    };
+
+    // カテゴリーを検証（空なら未設定の null、未指定は undefined のまま）
+    const resolveCategory = async (category) => {
+        if (category === undefined) {
+            return { category: undefined };
+        }
+        if (category === null || category === '') {
+            return { category: null };
+        }
+        const found = await repo.categories.findBySlug(String(category));
+        return found ? { category: found.slug } : { error: 'カテゴリーが不正です' };
+    };
+
+    // ユーザー認証API
+    app.post('/api/auth/signup', async (req, res) => {
+        const { nickname, email, phone, password } = req.body;
+
+        if (!nickname || !email || !password) {
+            return res.status(400).json({ error: '必須項目が不足しています' });
+        }
+
+        try {
+            const hashedPassword = await bcrypt.hash(password, 10);
+
+            let user;
+            try {
+                user = await repo.users.create({ nickname, email, phone, passwordHash: hashedPassword });
+            } catch (error) {
+                if (error.code === DUPLICATE) {
+                    return res.status(400).json({ error: 'このメールアドレスは既に登録されています' });
+                }
+                throw error;
+            }
+
+            await sendVerificationMail(user);
+
+            const tokens = await createSession(req, user);
+            setRefreshCookie(res, tokens.refreshToken);
+
+            res.status(201).json({
+                message: 'ユーザーが作成されました。確認メールを送信しました',
+                token: tokens.accessToken,
+                user: {
+                    id: user.id,
+                    nickname: user.nickname,
+                    email: user.email,
+                    phone: user.phone,
+                    email_verified: false
+                }
+            });
+        } catch (error) {
+            console.error('Signup error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    app.post('/api/auth/login', async (req, res) => {
+        const { email, password } = req.body;
+
+        if (!email || !password) {
+            return res.status(400).json({ error: 'メールアドレスとパスワードが必要です' });
+        }
+
+        try {
+            const user = await repo.users.findByEmail(email);
+            if (!user) {
+                return res.status(400).json({ error: 'メールアドレスまたはパスワードが正しくありません' });
+            }
+
+            const isValidPassword = await bcrypt.compare(password, user.password_hash);
+            if (!isValidPassword) {
+                return res.status(400).json({ error: 'メールアドレスまたはパスワードが正しくありません' });
+            }
+
+            const tokens = await createSession(req, user);
+            setRefreshCookie(res, tokens.refreshToken);
+
+            res.json({
+                message: 'ログイン成功',
+                token: tokens.accessToken,
+                user: {
+                    id: user.id,
+                    nickname: user.nickname,
+                    email: user.email,
+                    phone: user.phone,
+                    avatar_url: user.avatar_url,
+                    bio: user.bio,
+                    email_verified: user.email_verified,
+                    is_admin: Boolean(user.is_admin)
+                }
+            });
+        } catch (error) {
+            console.error('Login error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // アクセストークンの再発行（リフレッシュトークンも新しいものに置き換える）
+    app.post('/api/auth/refresh', async (req, res) => {
+        const refreshToken = getRefreshCookie(req);
+
+        if (!refreshToken) {
+            return res.status(401).json({ error: 'ログインが必要です' });
+        }
+
+        try {
+            const newRefreshToken = crypto.randomBytes(32).toString('hex');
+
+            const session = await repo.sessions.rotate(
+                hashToken(refreshToken),
+                hashToken(newRefreshToken),
+                new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+            );
+            if (!session) {
+                clearRefreshCookie(res);
+                return res.status(401).json({ error: 'ログインの有効期限が切れました。再度ログインしてください' });
+            }
+
+            setRefreshCookie(res, newRefreshToken);
+            res.json({ token: signAccessToken(session.user, session.id) });
+        } catch (error) {
+            console.error('Token refresh error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // ログアウト（この端末のセッションを失効させる）
+    app.post('/api/auth/logout', async (req, res) => {
+        const refreshToken = getRefreshCookie(req);
+        clearRefreshCookie(res);
+
+        if (!refreshToken) {
+            return res.json({ message: 'ログアウトしました' });
+        }
+
+        try {
+            await repo.sessions.revokeByRefreshToken(hashToken(refreshToken));
+            res.json({ message: 'ログアウトしました' });
+        } catch (error) {
+            console.error('Logout error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // メールアドレス確認
+    app.post('/api/auth/verify-email', async (req, res) => {
+        const { token } = req.body;
+
+        if (!token) {
+            return res.status(400).json({ error: 'トークンが必要です' });
+        }
+
+        try {
+            const userId = await repo.userTokens.consume(hashToken(token), 'email_verification');
+            if (!userId) {
+                return res.status(400).json({ error: 'リンクが無効か、有効期限が切れています' });
+            }
+
+            await repo.users.markEmailVerified(userId);
+            res.json({ message: 'メールアドレスを確認しました' });
+        } catch (error) {
+            console.error('Email verification error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // パスワード再設定メールの送信
+    // 登録の有無が分からないよう、メールアドレスが未登録でも同じ応答を返す
+    app.post('/api/auth/forgot-password', mailLimiter, async (req, res) => {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ error: 'メールアドレスが必要です' });
+        }
+
+        const message = '入力されたメールアドレスが登録されている場合、パスワード再設定用のメールを送信しました';
+
+        try {
+            const user = await repo.users.findByEmail(email);
+            if (!user) {
+                return res.json({ message });
+            }
+
+            const token = await issueUserToken(user.id, 'password_reset');
+            await mailer.send(passwordResetMail({ id: user.id, nickname: user.nickname, email: user.email, token }));
+
+            res.json({ message });
+        } catch (error) {
+            console.error('Password reset request error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // パスワード再設定（すべての端末からログアウトさせる）
+    app.post('/api/auth/reset-password', async (req, res) => {
+        const { token, password } = req.body;
+
+        if (!token) {
+            return res.status(400).json({ error: 'トークンが必要です' });
+        }
+
+        const passwordError = validateNewPassword(password);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
+
+        try {
+            const hashedPassword = await bcrypt.hash(password, 10);
+
+            const userId = await repo.userTokens.consume(hashToken(token), 'password_reset');
+            if (!userId) {
+                return res.status(400).json({ error: 'リンクが無効か、有効期限が切れています' });
+            }
+
+            await repo.users.changePassword(userId, hashedPassword);
+            res.json({ message: 'パスワードを再設定しました。新しいパスワードでログインしてください' });
+        } catch (error) {
+            console.error('Password reset error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // ファンクラブAPI
+    // 一覧APIは { items, next_cursor } を返す（next_cursor を cursor に渡すと次のページ。最後のページでは null）
+    app.get('/api/fanclubs', async (req, res) => {
+        const page = parsePageParams(req.query);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+
+        try {
+            const fanclubs = await repo.fanclubs.list({ after: page.after, limit: page.limit + 1 });
+            res.json(toPage(fanclubs, page.limit, 'created_at'));
+        } catch (error) {
+            console.error('Fanclubs fetch error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // キーワード（名前・説明・目的・一般公開の投稿タイトル）と月会費・メンバー数・カテゴリー・タグで検索
+    // sort: relevance（キーワード指定時の既定）/ newest（キーワードなしの既定）/ members / trending
+    app.get('/api/fanclubs/search', async (req, res) => {
+        const q = typeof req.query.q === 'string' ? req.query.q.trim().slice(0, 100) : '';
+        const sort = SEARCH_SORTS[req.query.sort] ? req.query.sort : (q ? 'relevance' : 'newest');
+        if (sort === 'relevance' && !q) {
+            return res.status(400).json({ error: '関連度順で並べるには検索キーワードが必要です' });
+        }
+
+        const { filters, error } = parseSearchFilters(req.query);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const page = parsePageParams(req.query);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+
+        const category = typeof req.query.category === 'string' && req.query.category ? req.query.category : null;
+        const tag = normalizeTag(req.query.tag) || null;
+
+        const { after, limit } = page;
+        try {
+            const fanclubs = await repo.fanclubs.search({ q, ...filters, category, tag, sort, after, limit: limit + 1 });
+            res.json(toPage(fanclubs, limit, SEARCH_SORTS[sort]));
+        } catch (error) {
+            console.error('Search error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // トップページの注目ファンクラブ
+    // 管理者が固定したものを先頭に、ランキング上位、足りなければ新着で埋める
+    app.get('/api/fanclubs/featured', async (req, res) => {
+        try {
+            const pinned = await repo.rankings.listPinned();
+            const trending = await repo.rankings.listTrending(FEATURED_LIMIT + pinned.length);
+            let items = mergeFeatured(FEATURED_LIMIT, pinned, trending);
+
+            if (items.length < FEATURED_LIMIT) {
+                const newest = await repo.fanclubs.list({ after: null, limit: FEATURED_LIMIT + items.length });
+                items = mergeFeatured(FEATURED_LIMIT, items, newest);
+            }
+
+            res.set('Cache-Control', RANKING_CACHE_CONTROL);
+            res.json(items);
+        } catch (error) {
+            console.error('Featured fanclubs fetch error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // 急上昇のファンクラブ（ランキング更新ジョブが集計したスコアの高い順）
+    app.get('/api/fanclubs/trending', async (req, res) => {
+        try {
+            const fanclubs = await repo.rankings.listTrending(parsePageSize(req.query.limit));
+            res.set('Cache-Control', RANKING_CACHE_CONTROL);
+            res.json(fanclubs);
+        } catch (error) {
+            console.error('Trending fanclubs fetch error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // カテゴリーAPI
+    app.get('/api/categories', async (req, res) => {
+        try {
+            res.json(await repo.categories.list());
+        } catch (error) {
+            console.error('Categories fetch error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // カテゴリーのファンクラブ一覧（新しい順）
+    app.get('/api/categories/:slug/fanclubs', async (req, res) => {
+        const page = parsePageParams(req.query);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+
+        try {
+            const category = await repo.categories.findBySlug(req.params.slug);
+            if (!category) {
+                return res.status(404).json({ error: 'カテゴリーが見つかりません' });
+            }
+
+            const fanclubs = await repo.fanclubs.listByCategory(category.slug, { after: page.after, limit: page.limit + 1 });
+            res.json({ category, ...toPage(fanclubs, page.limit, 'created_at') });
+        } catch (error) {
+            console.error('Category fanclubs fetch error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    app.get('/api/fanclubs/:id', async (req, res) => {
+        try {
+            const fanclub = await repo.fanclubs.findById(req.params.id);
+            if (!fanclub) {
+                return res.status(404).json({ error: 'ファンクラブが見つかりません' });
+            }
+
+            res.json(fanclub);
+        } catch (error) {
+            console.error('Fanclub fetch error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    app.post('/api/fanclubs', authenticateToken, async (req, res) => {
+        const { name, description, monthly_fee, purpose, cover_image_url } = req.body;
+
+        if (!name || !purpose) {
+            return res.status(400).json({ error: '必須項目が不足しています' });
+        }
+
+        const { tags, error: tagError } = parseTags(req.body.tags);
+        if (tagError) {
+            return res.status(400).json({ error: tagError });
+        }
+
+        try {
+            const { category, error: categoryError } = await resolveCategory(req.body.category);
+            if (categoryError) {
+                return res.status(400).json({ error: categoryError });
+            }
+
+            // オーナーのメンバーシップと、月会費をもとにした最初のプランも作成される
+            const id = await repo.fanclubs.create({
+                ownerId: req.user.id,
+                name,
+                description,
+                monthly_fee: monthly_fee || 0,
+                purpose,
+                cover_image_url,
+                category: category || null,
+                tags: tags || [],
+                tierName: DEFAULT_TIER_NAME
+            });
+
+            res.status(201).json({
+                message: 'ファンクラブが作成されました',
+                id
+            });
+        } catch (error) {
+            console.error('Fanclub creation error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    app.put('/api/fanclubs/:id', authenticateToken, requireFanclubOwner, async (req, res) => {
+        const fanclub = req.fanclub;
+        const { name, description, monthly_fee, purpose, cover_image_url } = req.body;
+
+        if (!name || !purpose) {
+            return res.status(400).json({ error: '必須項目が不足しています' });
+        }
+
+        const newFee = monthly_fee === undefined || monthly_fee === '' ? null : Number(monthly_fee);
+        if (newFee !== null && (!Number.isInteger(newFee) || newFee < 0)) {
+            return res.status(400).json({ error: '月会費は0以上の整数で入力してください' });
+        }
+
+        const { tags, error: tagError } = parseTags(req.body.tags);
+        if (tagError) {
+            return res.status(400).json({ error: tagError });
+        }
+
+        try {
+            const { category, error: categoryError } = await resolveCategory(req.body.category);
+            if (categoryError) {
+                return res.status(400).json({ error: categoryError });
+            }
+
+            const fee = newFee === null ? fanclub.monthly_fee : newFee;
+            const feeChanged = fee !== fanclub.monthly_fee;
+
+            // プランがあるファンクラブの料金はプランごとに管理する
+            if (feeChanged && await repo.tiers.count(fanclub.id) > 0) {
+                return res.status(400).json({ error: '月会費はプラン管理から変更してください' });
+            }
+
+            const updated = await repo.fanclubs.update(fanclub, {
+                name,
+                description,
+                monthly_fee: fee,
+                purpose,
+                cover_image_url,
+                category,
+                tags
+            });
+
+            if (cover_image_url !== undefined && cover_image_url !== fanclub.cover_image_url) {
+                discardImage(fanclub.cover_image_url);
+            }
+
+            res.json({
+                message: feeChanged
+                    ? 'ファンクラブ情報を更新しました（既存メンバーには次回支払日から新しい月会費が適用されます）'
+                    : 'ファンクラブ情報を更新しました',
+                fanclub: updated
+            });
+        } catch (error) {
+            console.error('Fanclub update error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    app.delete('/api/fanclubs/:id', authenticateToken, requireFanclubOwner, async (req, res) => {
+        try {
+            const imageUrls = await repo.posts.listImageUrls(req.fanclub.id);
+
+            // メンバーシップ・プラン・投稿・いいね・コメント・BANもまとめて削除される
+            await repo.fanclubs.delete(req.fanclub.id);
+
+            discardImage(req.fanclub.cover_image_url);
+            imageUrls.forEach(discardImage);
+            res.json({ message: 'ファンクラブを削除しました' });
+        } catch (error) {
+            console.error('Fanclub delete error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // メンバー管理API（オーナーのみ）
+    // total（絞り込み後の人数）は最初のページでのみ返す
+    app.get('/api/fanclubs/:id/members', authenticateToken, requireFanclubOwner, async (req, res) => {
+        const page = parsePageParams(req.query);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+        const sort = MEMBER_SORTS.includes(req.query.sort) ? req.query.sort : 'joined_desc';
+        const q = (req.query.q || '').trim();
+
+        try {
+            const { members, total } = await repo.memberships.listMembers(req.fanclub.id, {
+                q,
+                sort,
+                after: page.after,
+                limit: page.limit + 1
+            });
+
+            res.json({ ...toPage(members, page.limit, 'joined_at', 'user_id'), total });
+        } catch (error) {
+            console.error('Members fetch error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    app.delete('/api/fanclubs/:id/members/:userId', authenticateToken, requireFanclubOwner, async (req, res) => {
+        try {
+            const removed = await repo.memberships.remove(req.fanclub.id, req.params.userId);
+            if (!removed) {
+                return res.status(404).json({ error: 'メンバーが見つかりません' });
+            }
+
+            res.json({ message: 'メンバーを削除しました' });
+        } catch (error) {
+            console.error('Member remove error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    app.get('/api/fanclubs/:id/bans', authenticateToken, requireFanclubOwner, async (req, res) => {
+        const page = parsePageParams(req.query);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+
+        try {
+            const bans = await repo.bans.list(req.fanclub.id, { after: page.after, limit: page.limit + 1 });
+            res.json(toPage(bans, page.limit, 'created_at', 'user_id'));
+        } catch (error) {
+            console.error('Bans fetch error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    app.post('/api/fanclubs/:id/bans', authenticateToken, requireFanclubOwner, async (req, res) => {
+        const { user_id, reason } = req.body;
+
+        if (!user_id) {
+            return res.status(400).json({ error: 'ユーザーIDが必要です' });
+        }
+        if (sameId(user_id, req.fanclub.owner_id)) {
+            return res.status(400).json({ error: 'オーナーはBANできません' });
+        }
+
+        try {
+            await repo.bans.add({
+                fanclubId: req.fanclub.id,
+                userId: user_id,
+                bannedBy: req.user.id,
+                reason: reason || null
+            });
+
+            // BANしたユーザーはファンクラブから退会させる
+            await repo.memberships.remove(req.fanclub.id, user_id);
+
+            res.json({ message: 'メンバーをBANしました' });
+        } catch (error) {
+            console.error('Ban error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    app.delete('/api/fanclubs/:id/bans/:userId', authenticateToken, requireFanclubOwner, async (req, res) => {
+        try {
+            const removed = await repo.bans.remove(req.fanclub.id, req.params.userId);
+            if (!removed) {
+                return res.status(404).json({ error: 'BANされたユーザーが見つかりません' });
+            }
+
+            res.json({ message: 'BANを解除しました' });
+        } catch (error) {
+            console.error('Unban error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // プランAPI
+    app.get('/api/fanclubs/:id/tiers', async (req, res) => {
+        try {
+            res.json(await repo.tiers.list(req.params.id));
+        } catch (error) {
+            console.error('Tiers fetch error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    app.post('/api/fanclubs/:id/tiers', authenticateToken, requireFanclubOwner, async (req, res) => {
+        const { tier, error: validationError } = validateTier(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        try {
+            if (await repo.tiers.count(req.fanclub.id) >= MAX_TIERS) {
+                return res.status(400).json({ error: `プランは${MAX_TIERS}個まで作成できます` });
+            }
+
+            // ファンクラブの月会費も最安プランの料金に合わせる
+            const created = await repo.tiers.create(req.fanclub.id, tier);
+
+            res.status(201).json({ message: 'プランを作成しました', tier: created });
+        } catch (error) {
+            console.error('Tier creation error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    app.put('/api/fanclubs/:id/tiers/:tierId', authenticateToken, requireFanclubOwner, async (req, res) => {
+        const { tier, error: validationError } = validateTier(req.body);
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        try {
+            const current = await repo.tiers.find(req.fanclub.id, req.params.tierId);
+            if (!current) {
+                return res.status(404).json({ error: 'プランが見つかりません' });
+            }
+
+            const feeChanged = tier.monthly_fee !== current.monthly_fee;
+            const updated = await repo.tiers.update(current, tier);
+
+            res.json({
+                message: feeChanged
+                    ? 'プランを更新しました（既存メンバーには次回支払日から新しい料金が適用されます）'
+                    : 'プランを更新しました',
+                tier: updated
+            });
+        } catch (error) {
+            console.error('Tier update error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    app.delete('/api/fanclubs/:id/tiers/:tierId', authenticateToken, requireFanclubOwner, async (req, res) => {
+        try {
+            const tier = await repo.tiers.find(req.fanclub.id, req.params.tierId);
+            if (!tier) {
+                return res.status(404).json({ error: 'プランが見つかりません' });
+            }
+
+            const usage = await repo.tiers.getUsage(tier.id);
+            if (usage.has_members) {
+                return res.status(400).json({ error: 'このプランには参加中のメンバーがいるため削除できません' });
+            }
+            if (usage.has_posts) {
+                return res.status(400).json({ error: 'このプランを閲覧条件にしている投稿があるため削除できません' });
+            }
+
+            await repo.tiers.delete(req.fanclub.id, tier.id);
+
+            res.json({ message: 'プランを削除しました' });
+        } catch (error) {
+            console.error('Tier delete error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // メンバーシップAPI
+    app.post('/api/fanclubs/:id/join', authenticateToken, async (req, res) => {
+        const fanclubId = req.params.id;
+        const userId = req.user.id;
+        const tierId = req.body.tier_id || null;
+
+        try {
+            const status = await repo.memberships.getJoinStatus(fanclubId, userId, tierId);
+            if (!status) {
+                return res.status(404).json({ error: 'ファンクラブが見つかりません' });
+            }
+
+            // 既にメンバーかチェック（解約済みの場合は再開できる）
+            if (status.membership_status && status.membership_status !== 'canceled') {
+                return res.status(400).json({ error: '既にこのファンクラブのメンバーです' });
+            }
+
+            // BANされたユーザーは参加できない
+            if (status.is_banned) {
+                return res.status(403).json({ error: 'このファンクラブには参加できません' });
+            }
+
+            // プランがあるファンクラブではプランの選択が必要
+            const hasTier = status.tier_fee !== null;
+            if (status.tier_count > 0 && !hasTier) {
+                return res.status(400).json({ error: 'プランを選択してください' });
+            }
+
+            // 参加時点の月会費で料金を固定し、最初の1か月分を決済する
+            const amount = hasTier ? status.tier_fee : status.monthly_fee;
+            const periodStart = new Date();
+            const periodEnd = new Date(periodStart);
+            periodEnd.setMonth(periodEnd.getMonth() + 1);
+
+            let charge = null;
+            if (amount > 0) {
+                charge = await paymentProvider.charge({
+                    amount,
+                    customerId: userId,
+                    description: `Fanclub ${fanclubId} membership`
+                });
+                if (charge.status !== 'succeeded') {
+                    return res.status(402).json({ error: '決済に失敗しました。お支払い方法をご確認ください' });
+                }
+            }
+
+            // メンバーシップ・請求書・決済記録・メンバー数をまとめて更新
+            try {
+                await repo.memberships.activate({
+                    userId,
+                    fanclubId,
+                    tierId: hasTier ? tierId : null,
+                    amount,
+                    periodStart,
+                    periodEnd,
+                    payment: charge ? { provider: paymentProvider.name, id: charge.id } : null
+                });
+            } catch (error) {
+                console.error('Membership activation error:', error);
+                // 決済済みの場合は返金する
+                if (charge) {
+                    paymentProvider.refund(charge.id).catch((refundError) => {
+                        console.error('Refund error:', refundError);
+                    });
+                }
+                return res.status(500).json({ error: 'メンバーシップ作成エラー' });
+            }
+
+            await notifier.memberJoined({ fanclubId, userId });
+
+            res.json({ message: 'ファンクラブに参加しました' });
+        } catch (error) {
+            console.error('Join fanclub error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    app.delete('/api/fanclubs/:id/leave', authenticateToken, async (req, res) => {
+        try {
+            const removed = await repo.memberships.remove(req.params.id, req.user.id);
+            if (!removed) {
+                return res.status(400).json({ error: '退会できませんでした' });
+            }
+
+            res.json({ message: 'ファンクラブから退会しました' });
+        } catch (error) {
+            console.error('Leave fanclub error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // 自分のメンバーシップ（参加状態・プラン）
+    app.get('/api/fanclubs/:id/membership', authenticateToken, async (req, res) => {
+        try {
+            const membership = await repo.memberships.findOwn(req.params.id, req.user.id);
+            if (!membership) {
+                return res.status(404).json({ error: 'メンバーシップが見つかりません' });
+            }
+
+            const { id, ...rest } = membership;
+            res.json(rest);
+        } catch (error) {
+            console.error('Membership fetch error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // プランの変更
+    // 現在の料金以上のプランへは差額を決済して即時に切り替え、安いプランへは次回支払日から切り替える
+    // 変更を予約中に現在のプランを選び直すと予約を取り消す
+    app.put('/api/fanclubs/:id/membership/tier', authenticateToken, async (req, res) => {
+        const fanclubId = req.params.id;
+        const userId = req.user.id;
+        const { tier_id } = req.body;
+
+        if (!tier_id) {
+            return res.status(400).json({ error: 'プランを選択してください' });
+        }
+
+        try {
+            const membership = await repo.memberships.findOwn(fanclubId, userId);
+            if (!membership || membership.is_owner) {
+                return res.status(404).json({ error: 'メンバーシップが見つかりません' });
+            }
+
+            const tier = await repo.tiers.find(fanclubId, tier_id);
+            if (!tier) {
+                return res.status(404).json({ error: 'プランが見つかりません' });
+            }
+            if (membership.status === 'past_due') {
+                return res.status(402).json({ error: 'お支払いが確認できないためプランを変更できません' });
+            }
+
+            const newFee = tier.monthly_fee;
+            const currentFee = membership.monthly_fee || 0;
+
+            if (sameId(tier.id, membership.tier_id)) {
+                if (!membership.pending_tier_id) {
+                    return res.status(400).json({ error: '既にこのプランに参加しています' });
+                }
+
+                await repo.memberships.setPendingTier(membership.id, {
+                    tierId: null,
+                    monthlyFee: newFee === currentFee ? null : newFee
+                });
+                return res.json({ message: 'プラン変更の予約を取り消しました' });
+            }
+
+            if (newFee < currentFee) {
+                await repo.memberships.setPendingTier(membership.id, { tierId: tier.id, monthlyFee: newFee });
+                return res.json({ message: '次回のお支払い日からプランが変更されます' });
+            }
+
+            // アップグレードは今期の差額を決済する
+            const amount = newFee - currentFee;
+            let charge = null;
+            if (amount > 0) {
+                charge = await paymentProvider.charge({
+                    amount,
+                    customerId: userId,
+                    description: `Fanclub ${fanclubId} tier upgrade`
+                });
+                if (charge.status !== 'succeeded') {
+                    return res.status(402).json({ error: '決済に失敗しました。お支払い方法をご確認ください' });
+                }
+            }
+
+            // プランの切り替えと差額の請求書・決済記録をまとめて更新
+            try {
+                await repo.memberships.upgradeTier({
+                    membership,
+                    userId,
+                    fanclubId,
+                    tier,
+                    amount,
+                    payment: charge ? { provider: paymentProvider.name, id: charge.id } : null
+                });
+            } catch (error) {
+                console.error('Tier upgrade error:', error);
+                if (charge) {
+                    paymentProvider.refund(charge.id).catch((refundError) => {
+                        console.error('Refund error:', refundError);
+                    });
+                }
+                return res.status(500).json({ error: 'プラン変更エラー' });
+            }
+
+            res.json({ message: 'プランを変更しました' });
+        } catch (error) {
+            console.error('Tier change error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // ファンクラブ訪問の記録（未読投稿数の基準になる）
+    app.post('/api/fanclubs/:id/visit', authenticateToken, async (req, res) => {
+        try {
+            const recorded = await repo.memberships.recordVisit(req.params.id, req.user.id);
+            if (!recorded) {
+                return res.status(404).json({ error: 'メンバーシップが見つかりません' });
+            }
+
+            res.json({ message: '訪問を記録しました' });
+        } catch (error) {
+            console.error('Visit update error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // 投稿API
+    app.get('/api/fanclubs/:id/posts', optionalAuthenticateToken, async (req, res) => {
+        const userId = req.user ? req.user.id : null;
+        const page = parsePageParams(req.query);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+
+        try {
+            // 閲覧権限はJWTで認証したユーザーのメンバーシップとプランで判定する
+            const posts = await repo.posts.listPublished(req.params.id, userId, { after: page.after, limit: page.limit + 1 });
+            const { items, next_cursor } = toPage(posts, page.limit, 'published_at');
+            res.json({ items: items.map(formatPost), next_cursor });
+        } catch (error) {
+            console.error('Posts fetch error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // 下書きと公開予約中の投稿はオーナーのみプレビューできる
+    app.get('/api/posts/:id', optionalAuthenticateToken, async (req, res) => {
+        const userId = req.user ? req.user.id : null;
+
+        try {
+            const post = await repo.posts.findForViewer(req.params.id, userId);
+            if (!post) {
+                return res.status(404).json({ error: '投稿が見つかりません' });
+            }
+
+            res.json(formatPost(post));
+        } catch (error) {
+            console.error('Post fetch error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // 投稿の最低プランを検証（メンバー限定投稿のみ指定できる）
+    const validateMinTier = async (fanclubId, minTierId, visibility) => {
+        if (!minTierId || visibility !== 'members') {
+            return { tierId: null };
+        }
+
+        const tier = await repo.tiers.find(fanclubId, minTierId);
+        if (!tier) {
+            return { error: 'プランが見つかりません' };
+        }
+        return { tierId: tier.id };
+    };
+
+    app.post('/api/fanclubs/:id/posts', authenticateToken, async (req, res) => {
+        const { title, excerpt, featured_image_url, visibility, min_tier_id } = req.body;
+        // 本文はエディタで作成できるタグのみ許可する
+        const content = sanitizePostContent(req.body.content);
+        const fanclubId = req.params.id;
+
+        if (!title || !content) {
+            return res.status(400).json({ error: 'タイトルと内容が必要です' });
+        }
+
+        const publish = validatePublishSettings(req.body);
+        if (publish.error) {
+            return res.status(400).json({ error: publish.error });
+        }
+
+        const postVisibility = validateVisibility(visibility);
+        if (postVisibility.error) {
+            return res.status(400).json({ error: postVisibility.error });
+        }
+
+        try {
+            // オーナーかチェック
+            const fanclub = await repo.fanclubs.findById(fanclubId);
+            if (!fanclub || !sameId(fanclub.owner_id, req.user.id)) {
+                return res.status(403).json({ error: '投稿権限がありません' });
+            }
+
+            const newVisibility = postVisibility.visibility || 'public';
+            const minTier = await validateMinTier(fanclub.id, min_tier_id, newVisibility);
+            if (minTier.error) {
+                return res.status(400).json({ error: minTier.error });
+            }
+
+            const postStatus = publish.status || 'published';
+            const publishedAt = publish.publishedAt || new Date();
+            const id = await repo.posts.create({
+                fanclubId: fanclub.id,
+                authorId: req.user.id,
+                title,
+                content,
+                excerpt,
+                featured_image_url,
+                visibility: newVisibility,
+                min_tier_id: minTier.tierId,
+                status: postStatus,
+                published_at: publishedAt
+            });
+
+            // メンバーへの通知（公開予約の投稿は公開日時に表示される）
+            if (postStatus === 'published') {
+                await notifier.postPublished({ fanclub, post: { id, title, publishedAt } });
+            }
+
+            res.status(201).json({
+                message: postStatus === 'draft' ? '下書きを保存しました' : '投稿が作成されました',
+                id
+            });
+        } catch (error) {
+            console.error('Post creation error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // オーナー用の投稿一覧（下書き・公開予約中の投稿を含む）
+    app.get('/api/fanclubs/:id/admin/posts', authenticateToken, requireFanclubOwner, async (req, res) => {
+        const page = parsePageParams(req.query);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+
+        try {
+            const posts = await repo.posts.listForOwner(req.fanclub.id, { after: page.after, limit: page.limit + 1 });
+            res.json(toPage(posts, page.limit, 'published_at'));
+        } catch (error) {
+            console.error('Admin posts fetch error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // 投稿とそのファンクラブのオーナーを取得（オーナーでなければエラーを返す）
+    const getOwnedPost = async (req, res) => {
+        const post = await repo.posts.findWithOwner(req.params.id);
+
+        if (!post) {
+            res.status(404).json({ error: '投稿が見つかりません' });
+            return null;
+        }
+        if (!sameId(post.fanclub_owner_id, req.user.id)) {
+            res.status(403).json({ error: 'この投稿を編集する権限がありません' });
+            return null;
+        }
+        return post;
+    };
+
+    app.put('/api/posts/:id', authenticateToken, async (req, res) => {
+        const { title, excerpt, featured_image_url, visibility, min_tier_id } = req.body;
+        const content = sanitizePostContent(req.body.content);
+
+        if (!title || !content) {
+            return res.status(400).json({ error: 'タイトルと内容が必要です' });
+        }
+
+        const publish = validatePublishSettings(req.body);
+        if (publish.error) {
+            return res.status(400).json({ error: publish.error });
+        }
+
+        const postVisibility = validateVisibility(visibility);
+        if (postVisibility.error) {
+            return res.status(400).json({ error: postVisibility.error });
+        }
+
+        try {
+            const post = await getOwnedPost(req, res);
+            if (!post) {
+                return;
+            }
+
+            // 公開範囲を省略した場合は現在の公開範囲と最低プランを維持する
+            const newVisibility = postVisibility.visibility === undefined ? post.visibility : postVisibility.visibility;
+            let minTierId = post.min_tier_id;
+            if (postVisibility.visibility !== undefined || min_tier_id !== undefined) {
+                const minTier = await validateMinTier(post.fanclub_id, min_tier_id, newVisibility);
+                if (minTier.error) {
+                    return res.status(400).json({ error: minTier.error });
+                }
+                minTierId = minTier.tierId;
+            }
+
+            // 状態を省略した場合は現在の状態を維持する
+            const newStatus = publish.status || post.status;
+
+            // 公開日時の指定がなければ現在の日時を維持し、下書きを公開する場合は現在時刻で公開する
+            let publishedAt = publish.publishedAt || undefined;
+            if (!publish.publishedAt && post.status === 'draft' && newStatus === 'published') {
+                publishedAt = new Date();
+            }
+
+            await repo.posts.update(post.id, {
+                title,
+                content,
+                excerpt,
+                featured_image_url,
+                visibility: newVisibility,
+                min_tier_id: minTierId,
+                status: newStatus,
+                published_at: publishedAt
+            });
+
+            // まだ公開されていなかった投稿は新しい公開設定でメンバーへの通知を作り直し、下書きに戻した投稿の通知は削除する
+            if (!isPublishedPost(post) || newStatus === 'draft') {
+                const fanclub = await repo.fanclubs.findById(post.fanclub_id);
+                await notifier.postRescheduled({
+                    fanclub,
+                    post: {
+                        id: post.id,
+                        title,
+                        status: newStatus,
+                        publishedAt: publishedAt || parseDbDate(post.published_at)
+                    }
+                });
+            }
+
+            if (featured_image_url !== undefined && featured_image_url !== post.featured_image_url) {
+                discardImage(post.featured_image_url);
+            }
+
+            res.json({ message: '投稿を更新しました' });
+        } catch (error) {
+            console.error('Post update error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    app.delete('/api/posts/:id', authenticateToken, async (req, res) => {
+        try {
+            const post = await getOwnedPost(req, res);
+            if (!post) {
+                return;
+            }
+
+            // いいね・コメントもまとめて削除される
+            await repo.posts.delete(post.id);
+
+            discardImage(post.featured_image_url);
+            res.json({ message: '投稿を削除しました' });
+        } catch (error) {
+            console.error('Post delete error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // いいねAPI（公開済みで閲覧できる投稿のみ）
+    app.post('/api/posts/:id/like', authenticateToken, async (req, res) => {
+        try {
+            const post = await repo.posts.findAccessible(req.params.id, req.user.id);
+            if (!post) {
+                return res.status(404).json({ error: '投稿が見つかりません' });
+            }
+
+            const likeCount = await repo.posts.like(post.id, req.user.id);
+            res.json({ liked: true, like_count: likeCount });
+        } catch (error) {
+            console.error('Like error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    app.delete('/api/posts/:id/like', authenticateToken, async (req, res) => {
+        try {
+            const likeCount = await repo.posts.unlike(req.params.id, req.user.id);
+            if (likeCount === null) {
+                return res.status(404).json({ error: '投稿が見つかりません' });
+            }
+
+            res.json({ liked: false, like_count: likeCount });
+        } catch (error) {
+            console.error('Unlike error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // コメントAPI
+    app.get('/api/posts/:id/comments', optionalAuthenticateToken, async (req, res) => {
+        const userId = req.user ? req.user.id : null;
+
+        try {
+            const post = await repo.posts.findAccessible(req.params.id, userId);
+            if (!post) {
+                return res.status(404).json({ error: '投稿が見つかりません' });
+            }
+
+            // 非表示のコメントはファンクラブのオーナーにのみ返す
+            const comments = await repo.comments.list(post.id, {
+                includeHidden: sameId(post.fanclub_owner_id, userId)
+            });
+
+            res.json(buildCommentThreads(comments));
+        } catch (error) {
+            console.error('Comments fetch error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    app.post('/api/posts/:id/comments', authenticateToken, async (req, res) => {
+        const { parent_id } = req.body;
+        const { text, error: validationError } = validateCommentContent(req.body.content);
+
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        try {
+            const post = await repo.posts.findAccessible(req.params.id, req.user.id);
+            if (!post) {
+                return res.status(404).json({ error: '投稿が見つかりません' });
+            }
+
+            // 返信先は同じ投稿の表示中のトップレベルコメントに限る
+            let parent = null;
+            if (parent_id) {
+                parent = await repo.comments.find(post.id, parent_id);
+                if (!parent || parent.is_hidden) {
+                    return res.status(404).json({ error: '返信先のコメントが見つかりません' });
+                }
+                if (parent.parent_id) {
+                    return res.status(400).json({ error: '返信にはさらに返信できません' });
+                }
+            }
+
+            const comment = await repo.comments.create({
+                postId: post.id,
+                authorId: req.user.id,
+                parentId: parent_id || null,
+                content: text
+            });
+
+            if (parent) {
+                await notifier.commentReplied({ parent, replierId: req.user.id, post });
+            }
+
+            res.status(201).json({
+                message: 'コメントを投稿しました',
+                id: comment.id,
+                comment_count: comment.comment_count
+            });
+        } catch (error) {
+            console.error('Comment creation error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    app.put('/api/posts/:id/comments/:commentId', authenticateToken, async (req, res) => {
+        const { text, error: validationError } = validateCommentContent(req.body.content);
+
+        if (validationError) {
+            return res.status(400).json({ error: validationError });
+        }
+
+        try {
+            const updated = await repo.comments.update(req.params.id, req.params.commentId, req.user.id, text);
+            if (!updated) {
+                return res.status(404).json({ error: 'コメントが見つかりません' });
+            }
+
+            res.json({ message: 'コメントを更新しました' });
+        } catch (error) {
+            console.error('Comment update error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    app.delete('/api/posts/:id/comments/:commentId', authenticateToken, async (req, res) => {
+        try {
+            const comment = await repo.comments.find(req.params.id, req.params.commentId);
+            if (!comment) {
+                return res.status(404).json({ error: 'コメントが見つかりません' });
+            }
+
+            // 投稿者本人またはファンクラブのオーナーのみ削除可能
+            if (!sameId(comment.author_id, req.user.id) && !sameId(comment.fanclub_owner_id, req.user.id)) {
+                return res.status(403).json({ error: 'コメントを削除する権限がありません' });
+            }
+
+            // 返信もまとめて削除される
+            const commentCount = await repo.comments.delete(comment.post_id, comment.id);
+
+            res.json({ message: 'コメントを削除しました', comment_count: commentCount });
+        } catch (error) {
+            console.error('Comment delete error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // コメントの非表示・再表示（ファンクラブのオーナーのみ）
+    app.put('/api/posts/:id/comments/:commentId/visibility', authenticateToken, async (req, res) => {
+        const isHidden = Boolean(req.body.is_hidden);
+
+        try {
+            const comment = await repo.comments.find(req.params.id, req.params.commentId);
+            if (!comment || !sameId(comment.fanclub_owner_id, req.user.id)) {
+                return res.status(404).json({ error: 'コメントが見つかりません' });
+            }
+
+            const commentCount = await repo.comments.setHidden(comment.post_id, comment.id, isHidden);
+
+            res.json({
+                message: isHidden ? 'コメントを非表示にしました' : 'コメントを再表示しました',
+                comment_count: commentCount
+            });
+        } catch (error) {
+            console.error('Comment visibility update error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // 画像アップロードAPI
+    app.post('/api/upload', authenticateToken, upload.single('image'), async (req, res) => {
+        if (!req.file) {
+            return res.status(400).json({ error: '画像ファイルが必要です' });
+        }
+
+        try {
+            const image = await storage.saveImage(req.file);
+            res.json({
+                message: '画像がアップロードされました',
+                url: image.url,
+                thumbnail_url: image.thumbnail_url
+            });
+        } catch (error) {
+            console.error('Image upload error:', error);
+            res.status(500).json({ error: '画像の保存に失敗しました' });
+        }
+    });
+
+    // 参加中のファンクラブ一覧（前回訪問以降の未読投稿数つき）
+    app.get('/api/user/memberships', authenticateToken, async (req, res) => {
+        const page = parsePageParams(req.query);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+
+        try {
+            const memberships = await repo.memberships.listForUser(req.user.id, { after: page.after, limit: page.limit + 1 });
+            res.json(toPage(memberships, page.limit, 'joined_at'));
+        } catch (error) {
+            console.error('Memberships fetch error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // 請求履歴
+    app.get('/api/user/invoices', authenticateToken, async (req, res) => {
+        const page = parsePageParams(req.query);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+
+        try {
+            const invoices = await repo.invoices.listForUser(req.user.id, { after: page.after, limit: page.limit + 1 });
+            res.json(toPage(invoices, page.limit, 'period_start'));
+        } catch (error) {
+            console.error('Invoices fetch error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // 公開プロフィールAPI（メールアドレスなどの個人情報は含めない）
+    app.get('/api/users/:id', async (req, res) => {
+        try {
+            const user = await repo.users.findPublicProfile(req.params.id);
+            if (!user) {
+                return res.status(404).json({ error: 'ユーザーが見つかりません' });
+            }
+
+            const fanclubs = await repo.fanclubs.listByOwner(user.id);
+            res.json({ ...user, owned_fanclubs: fanclubs });
+        } catch (error) {
+            console.error('Public profile fetch error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // ユーザー情報API
+    app.get('/api/user/profile', authenticateToken, async (req, res) => {
+        try {
+            const user = await repo.users.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ error: 'ユーザーが見つかりません' });
+            }
+
+            const { id, nickname, email, phone, avatar_url, bio, email_verified, is_admin, created_at } = user;
+            res.json({ id, nickname, email, phone, avatar_url, bio, email_verified, is_admin: Boolean(is_admin), created_at });
+        } catch (error) {
+            console.error('Profile fetch error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    app.put('/api/user/profile', authenticateToken, async (req, res) => {
+        const { nickname, email, phone, avatar_url, bio } = req.body;
+
+        if (typeof bio === 'string' && bio.length > MAX_BIO_LENGTH) {
+            return res.status(400).json({ error: `自己紹介は${MAX_BIO_LENGTH}文字以内で入力してください` });
+        }
+
+        try {
+            const current = await repo.users.findById(req.user.id);
+            if (!current) {
+                return res.status(404).json({ error: 'ユーザーが見つかりません' });
+            }
+
+            // メールアドレスを変更した場合は確認し直す
+            const emailChanged = email !== undefined && email !== current.email;
+
+            try {
+                await repo.users.updateProfile(req.user.id, {
+                    nickname,
+                    email,
+                    phone,
+                    avatar_url,
+                    bio: typeof bio === 'string' ? bio.trim() : undefined,
+                    emailChanged
+                });
+            } catch (error) {
+                if (error.code === DUPLICATE) {
+                    return res.status(400).json({ error: 'このメールアドレスは既に登録されています' });
+                }
+                throw error;
+            }
+
+            if (avatar_url !== undefined && avatar_url !== current.avatar_url) {
+                discardImage(current.avatar_url);
+            }
+
+            if (!emailChanged) {
+                return res.json({ message: 'プロフィールが更新されました' });
+            }
+
+            await sendVerificationMail({ id: req.user.id, nickname: nickname || current.nickname, email });
+            res.json({ message: 'プロフィールが更新されました。新しいメールアドレスに確認メールを送信しました' });
+        } catch (error) {
+            console.error('Profile update error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // パスワード変更（現在のパスワードが必要）
+    // 発行済みのパスワード再設定リンクは使えなくし、この端末以外からはログアウトさせる
+    app.put('/api/user/password', authenticateToken, async (req, res) => {
+        const { current_password, new_password } = req.body;
+
+        if (!current_password) {
+            return res.status(400).json({ error: '現在のパスワードを入力してください' });
+        }
+
+        const passwordError = validateNewPassword(new_password);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
+
+        try {
+            const user = await repo.users.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ error: 'ユーザーが見つかりません' });
+            }
+
+            const isValidPassword = await bcrypt.compare(current_password, user.password_hash);
+            if (!isValidPassword) {
+                return res.status(400).json({ error: '現在のパスワードが正しくありません' });
+            }
+
+            const hashedPassword = await bcrypt.hash(new_password, 10);
+            await repo.users.changePassword(req.user.id, hashedPassword, req.user.sid);
+
+            res.json({ message: 'パスワードを変更しました' });
+        } catch (error) {
+            console.error('Password change error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // 確認メールの再送信
+    app.post('/api/user/email-verification', authenticateToken, mailLimiter, async (req, res) => {
+        try {
+            const user = await repo.users.findById(req.user.id);
+            if (!user) {
+                return res.status(404).json({ error: 'ユーザーが見つかりません' });
+            }
+            if (user.email_verified) {
+                return res.status(400).json({ error: 'メールアドレスは確認済みです' });
+            }
+
+            const sent = await sendVerificationMail({ id: user.id, nickname: user.nickname, email: user.email });
+            if (!sent) {
+                return res.status(500).json({ error: 'メールの送信に失敗しました' });
+            }
+
+            res.json({ message: '確認メールを送信しました' });
+        } catch (error) {
+            console.error('Verification resend error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // ログイン中の端末（セッション）API
+    app.get('/api/user/sessions', authenticateToken, async (req, res) => {
+        try {
+            const sessions = await repo.sessions.listActive(req.user.id);
+            res.json(sessions.map(session => ({ ...session, current: sameId(session.id, req.user.sid) })));
+        } catch (error) {
+            console.error('Sessions fetch error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // 他の端末をすべてログアウト
+    app.post('/api/user/sessions/revoke-others', authenticateToken, async (req, res) => {
+        try {
+            const revoked = await repo.sessions.revokeOthers(req.user.id, req.user.sid);
+            res.json({ message: `${revoked}台の端末からログアウトしました`, revoked });
+        } catch (error) {
+            console.error('Session revoke error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    app.delete('/api/user/sessions/:sessionId', authenticateToken, async (req, res) => {
+        try {
+            const revoked = await repo.sessions.revoke(req.params.sessionId, req.user.id);
+            if (!revoked) {
+                return res.status(404).json({ error: 'セッションが見つかりません' });
+            }
+
+            res.json({ message: '端末をログアウトしました' });
+        } catch (error) {
+            console.error('Session revoke error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // リマインダー設定API
+    app.get('/api/user/reminders', authenticateToken, async (req, res) => {
+        try {
+            const settings = await repo.reminderSettings.get(req.user.id);
+            res.json(settings || DEFAULT_REMINDER_SETTINGS);
+        } catch (error) {
+            console.error('Reminder settings fetch error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    app.put('/api/user/reminders', authenticateToken, async (req, res) => {
+        const { email_enabled, days_before } = req.body;
+
+        if (typeof email_enabled !== 'boolean') {
+            return res.status(400).json({ error: 'メール通知の設定が正しくありません' });
+        }
+
+        const daysBefore = Number(days_before);
+        if (!REMINDER_DAYS_OPTIONS.includes(daysBefore)) {
+            return res.status(400).json({ error: '通知日数が正しくありません' });
+        }
+
+        try {
+            await repo.reminderSettings.save(req.user.id, { email_enabled, days_before: daysBefore });
+
+            res.json({
+                message: 'リマインダー設定を保存しました',
+                settings: { email_enabled, days_before: daysBefore }
+            });
+        } catch (error) {
+            console.error('Reminder settings update error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // 通知API
+    // 一覧は新しい順。unread=true なら未読のみ。unread_count はヘッダーのバッジ用の未読数
+    app.get('/api/notifications', authenticateToken, async (req, res) => {
+        const page = parsePageParams(req.query);
+        if (page.error) {
+            return res.status(400).json({ error: page.error });
+        }
+
+        try {
+            const [notifications, unreadCount] = await Promise.all([
+                repo.notifications.list(req.user.id, {
+                    unreadOnly: req.query.unread === 'true',
+                    after: page.after,
+                    limit: page.limit + 1
+                }),
+                repo.notifications.countUnread(req.user.id)
+            ]);
+            res.json({ ...toPage(notifications, page.limit, 'created_at'), unread_count: unreadCount });
+        } catch (error) {
+            console.error('Notifications fetch error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    app.get('/api/notifications/unread-count', authenticateToken, async (req, res) => {
+        try {
+            res.json({ unread_count: await repo.notifications.countUnread(req.user.id) });
+        } catch (error) {
+            console.error('Unread notifications count error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    app.put('/api/notifications/read-all', authenticateToken, async (req, res) => {
+        try {
+            const updated = await repo.notifications.markAllRead(req.user.id);
+            res.json({ message: 'すべての通知を既読にしました', updated });
+        } catch (error) {
+            console.error('Notifications read-all error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    app.put('/api/notifications/:id/read', authenticateToken, async (req, res) => {
+        try {
+            const updated = await repo.notifications.markRead(req.user.id, req.params.id);
+            if (!updated) {
+                return res.status(404).json({ error: '通知が見つかりません' });
+            }
+
+            res.json({ message: '通知を既読にしました' });
+        } catch (error) {
+            console.error('Notification read error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // サイト管理API（注目ファンクラブの固定）
+    // 固定はトップページに反映されるまで RANKING_CACHE_CONTROL の時間だけかかることがある
+    app.get('/api/admin/featured', authenticateToken, requireSiteAdmin, async (req, res) => {
+        try {
+            res.json(await repo.rankings.listPinned());
+        } catch (error) {
+            console.error('Featured pins fetch error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // 固定済みなら表示位置を変更する（position を省略すると最後に追加、固定済みなら位置はそのまま）
+    app.put('/api/admin/featured/:fanclubId', authenticateToken, requireSiteAdmin, async (req, res) => {
+        const { position } = req.body;
+        const newPosition = position === undefined || position === null || position === '' ? null : Number(position);
+        if (newPosition !== null && (!Number.isInteger(newPosition) || newPosition < 1)) {
+            return res.status(400).json({ error: '表示位置は1以上の整数で指定してください' });
+        }
+
+        try {
+            const fanclub = await repo.fanclubs.findById(req.params.fanclubId);
+            if (!fanclub) {
+                return res.status(404).json({ error: 'ファンクラブが見つかりません' });
+            }
+
+            const pinned = await repo.rankings.listPinned();
+            if (!pinned.some(pin => sameId(pin.id, fanclub.id)) && pinned.length >= MAX_FEATURED_PINS) {
+                return res.status(400).json({ error: `固定できるのは${MAX_FEATURED_PINS}件までです` });
+            }
+
+            await repo.rankings.pin(fanclub.id, { position: newPosition, pinnedBy: req.user.id });
+            res.json({ message: '注目のファンクラブに固定しました' });
+        } catch (error) {
+            console.error('Featured pin error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    app.delete('/api/admin/featured/:fanclubId', authenticateToken, requireSiteAdmin, async (req, res) => {
+        try {
+            const removed = await repo.rankings.unpin(req.params.fanclubId);
+            if (!removed) {
+                return res.status(404).json({ error: '固定されていません' });
+            }
+
+            res.json({ message: '固定を解除しました' });
+        } catch (error) {
+            console.error('Featured unpin error:', error);
+            res.status(500).json({ error: 'サーバーエラー' });
+        }
+    });
+
+    // 定期ジョブ（Vercel Cron から呼び出される。Authorization: Bearer <CRON_SECRET>）
+    const requireCronSecret = (req, res, next) => {
+        if (!CRON_SECRET || req.headers['authorization'] !== `Bearer ${CRON_SECRET}`) {
+            return res.status(401).json({ error: '認証に失敗しました' });
+        }
+        next();
+    };
+
+    app.get('/api/cron/billing', requireCronSecret, async (req, res) => {
+        try {
+            res.json(await jobs.runBillingJob());
+        } catch (error) {
+            console.error('Billing job error:', error);
+            res.status(500).json({ error: '会費更新エラー' });
+        }
+    });
+
+    app.get('/api/cron/payment-reminders', requireCronSecret, async (req, res) => {
+        try {
+            res.json(await jobs.runPaymentReminderJob());
+        } catch (error) {
+            console.error('Payment reminder job error:', error);
+            res.status(500).json({ error: 'リマインダー送信エラー' });
+        }
+    });
+
+    app.get('/api/cron/rankings', requireCronSecret, async (req, res) => {
+        try {
+            res.json(await jobs.runRankingJob());
+        } catch (error) {
+            console.error('Ranking job error:', error);
+            res.status(500).json({ error: 'ランキング更新エラー' });
+        }
+    });
+
+    // メインページの提供
+    app.get('/', (req, res) => {
+        res.sendFile(path.join(__dirname, 'public', 'index.html'));
+    });
+
+    // エラーハンドリング
+    app.use((error, req, res, next) => {
+        if (error instanceof multer.MulterError) {
+            if (error.code === 'LIMIT_FILE_SIZE') {
+                return res.status(400).json({ error: 'ファイルサイズが大きすぎます（最大10MB）' });
+            }
+        }
+        if (error.code === 'UNSUPPORTED_IMAGE') {
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Unhandled error:', error);
+        res.status(500).json({ error: 'サーバーエラー' });
+    });
+
+    // 404エラー
+    app.use((req, res) => {
+        if (req.path.startsWith('/api/')) {
+            res.status(404).json({ error: 'APIエンドポイントが見つかりません' });
+        } else {
+            res.sendFile(path.join(__dirname, 'public', 'index.html'));
+        }
+    });
+
+    return app;
+};
+
+module.exports = { createApp };
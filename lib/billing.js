@@ -0,0 +1,95 @@
+const { paymentReminderMail } = require('./mail-templates');
+const { createNotifier } = require('./notifications');
+
+// 会費の更新と支払いリマインダーの定期ジョブ
+// Vercel では Cron（/api/cron/*）、ローカルでは server.js のタイマーから実行する
+
+const MAX_BILLING_ATTEMPTS = 3;
+const MAX_REMINDER_ATTEMPTS = 3;
+
+const createBillingJobs = ({ repo, mailer, paymentProvider }) => {
+    const notifier = createNotifier({ repo });
+
+    // 会費の更新ジョブ
+    // 1. 支払日を迎えたメンバーシップの請求書を作成
+    // 2. 未払いの請求書を決済し、結果を反映
+    //    失敗したら past_due にして翌日に再試行し、MAX_BILLING_ATTEMPTS 回失敗したら canceled にする
+    //    失敗するたびにアプリ内通知でお知らせする
+    const runBillingJob = async () => {
+        const opened = await repo.billing.openRenewalInvoices();
+        const invoices = await repo.billing.listDueInvoices();
+
+        const result = { opened, paid: 0, failed: 0 };
+        for (const invoice of invoices) {
+            const charge = await paymentProvider.charge({
+                amount: invoice.amount,
+                customerId: invoice.user_id,
+                description: `Fanclub ${invoice.fanclub_id} membership renewal`
+            });
+            const succeeded = charge.status === 'succeeded';
+
+            try {
+                await repo.billing.settleInvoice(invoice, {
+                    provider: paymentProvider.name,
+                    paymentId: charge.id,
+                    succeeded,
+                    failureReason: charge.failure_reason || null,
+                    maxAttempts: MAX_BILLING_ATTEMPTS
+                });
+            } catch (error) {
+                console.error('Invoice settle error:', error);
+                continue;
+            }
+
+            if (succeeded) {
+                result.paid++;
+            } else {
+                result.failed++;
+                await notifier.paymentFailed({ invoice, canceled: invoice.attempts + 1 >= MAX_BILLING_ATTEMPTS });
+            }
+        }
+
+        return result;
+    };
+
+    // 支払いリマインダージョブ
+    // 1. days_before 以内に支払い予定日が来るメンバーシップをキューに登録
+    // 2. 未送信・送信失敗のリマインダーをメールで送信（失敗は最大 MAX_REMINDER_ATTEMPTS 回まで再試行）
+    //    アプリ内通知はメールの再試行で重複しないよう、最初の送信時にだけ作成する
+    const runPaymentReminderJob = async () => {
+        const queued = await repo.billing.queuePaymentReminders();
+        const reminders = await repo.billing.listPendingReminders(MAX_REMINDER_ATTEMPTS);
+
+        let sent = 0;
+        for (const reminder of reminders) {
+            if (reminder.attempts === 0) {
+                await notifier.paymentDue(reminder);
+            }
+
+            let sendError = null;
+            try {
+                await mailer.send(paymentReminderMail(reminder));
+                sent++;
+            } catch (error) {
+                console.error('Reminder send error:', error);
+                sendError = error;
+            }
+
+            try {
+                if (sendError) {
+                    await repo.billing.markReminderFailed(reminder, sendError.message);
+                } else {
+                    await repo.billing.markReminderSent(reminder);
+                }
+            } catch (error) {
+                console.error('Reminder status update error:', error);
+            }
+        }
+
+        return { queued, sent, failed: reminders.length - sent };
+    };
+
+    return { runBillingJob, runPaymentReminderJob };
+};
+
+module.exports = { createBillingJobs };
@@ -0,0 +1,59 @@
+// メール本文のテンプレート
+
+const SITE_URL = process.env.SITE_URL || `http://localhost:${process.env.PORT || 3000}`;
+
+const formatDate = (value) => new Date(value).toLocaleDateString('ja-JP', { timeZone: 'Asia/Tokyo' });
+
+// 支払いリマインダー
+const paymentReminderMail = (reminder) => ({
+    to: reminder.email,
+    subject: `【FanClub Hub】${reminder.fanclub_name} のお支払い予定日のお知らせ`,
+    text: [
+        `${reminder.nickname} さん`,
+        '',
+        `参加中のファンクラブ「${reminder.fanclub_name}」の次回お支払い予定日が近づいています。`,
+        '',
+        `お支払い予定日: ${formatDate(reminder.payment_date)}`,
+        `金額: ¥${Number(reminder.amount).toLocaleString('ja-JP')}`,
+        '',
+        `マイページ: ${SITE_URL}/`,
+        '',
+        'リマインダーの設定はマイページの「リマインダー設定」から変更できます。'
+    ].join('\n')
+});
+
+// メールアドレスの確認（新規登録時・メールアドレス変更時）
+const emailVerificationMail = ({ email, nickname, token }) => ({
+    to: email,
+    subject: '【FanClub Hub】メールアドレスの確認',
+    text: [
+        `${nickname} さん`,
+        '',
+        'FanClub Hub へのご登録ありがとうございます。',
+        '以下のリンクを開いて、メールアドレスの確認を完了してください。',
+        '',
+        `${SITE_URL}/verify-email?token=${token}`,
+        '',
+        'このリンクの有効期限は24時間です。',
+        'お心当たりのない場合は、このメールを破棄してください。'
+    ].join('\n')
+});
+
+// パスワードの再設定
+const passwordResetMail = ({ email, nickname, token }) => ({
+    to: email,
+    subject: '【FanClub Hub】パスワードの再設定',
+    text: [
+        `${nickname} さん`,
+        '',
+        'パスワードの再設定を受け付けました。',
+        '以下のリンクを開いて、新しいパスワードを設定してください。',
+        '',
+        `${SITE_URL}/reset-password?token=${token}`,
+        '',
+        'このリンクの有効期限は1時間で、一度だけ使用できます。',
+        'お心当たりのない場合は、このメールを破棄してください。パスワードは変更されません。'
+    ].join('\n')
+});
+
+module.exports = { paymentReminderMail, emailVerificationMail, passwordResetMail };
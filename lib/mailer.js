@@ -0,0 +1,83 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// メール送信トランスポート
+// MAIL_TRANSPORT で切り替え: console（既定）/ file / smtp
+// console と file は開発・動作確認用で、実際にはメールを送信しない
+
+const MAIL_FROM = process.env.MAIL_FROM || 'FanClub Hub <no-reply@fanclub-hub.local>';
+
+// 標準出力にメール内容を表示
+const createConsoleTransport = () => ({
+    name: 'console',
+    send: async (message) => {
+        console.log('[mail] ----------------------------------------');
+        console.log(`[mail] From: ${message.from}`);
+        console.log(`[mail] To: ${message.to}`);
+        console.log(`[mail] Subject: ${message.subject}`);
+        console.log(message.text);
+        console.log('[mail] ----------------------------------------');
+        return { id: null };
+    }
+});
+
+// 1通ごとにJSONファイルとして書き出す
+const createFileTransport = () => {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox');
+
+    return {
+        name: 'file',
+        send: async (message) => {
+            await fs.mkdir(outboxDir, { recursive: true });
+            const id = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+            const filePath = path.join(outboxDir, `${id}.json`);
+            await fs.writeFile(filePath, JSON.stringify({ ...message, sent_at: new Date().toISOString() }, null, 2));
+            return { id };
+        }
+    };
+};
+
+// SMTP経由で送信（nodemailer は使用時のみ読み込む）
+const createSmtpTransport = () => {
+    const nodemailer = require('nodemailer');
+    const transporter = process.env.SMTP_URL
+        ? nodemailer.createTransport(process.env.SMTP_URL)
+        : nodemailer.createTransport({
+            host: process.env.SMTP_HOST,
+            port: Number(process.env.SMTP_PORT) || 587,
+            secure: process.env.SMTP_SECURE === 'true',
+            auth: process.env.SMTP_USER
+                ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                : undefined
+        });
+
+    return {
+        name: 'smtp',
+        send: async (message) => {
+            const info = await transporter.sendMail(message);
+            return { id: info.messageId };
+        }
+    };
+};
+
+const transports = {
+    console: createConsoleTransport,
+    file: createFileTransport,
+    smtp: createSmtpTransport
+};
+
+const createMailer = (transportName = process.env.MAIL_TRANSPORT || 'console') => {
+    const factory = transports[transportName];
+    if (!factory) {
+        throw new Error(`Unknown mail transport: ${transportName}`);
+    }
+
+    const transport = factory();
+
+    return {
+        transport: transport.name,
+        send: ({ to, subject, text }) => transport.send({ from: MAIL_FROM, to, subject, text })
+    };
+};
+
+module.exports = { createMailer };
@@ -0,0 +1,226 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+// データベースのマイグレーション
+// migrations/<dialect>/<バージョン>_<名前>.up.sql と .down.sql を番号順に適用・取り消す
+// 適用済みのバージョンは schema_migrations テーブルに記録する
+//
+// アダプターは次のメソッドを実装する:
+//   dialect            -> マイグレーションのディレクトリ名（sqlite / postgres）
+//   exec(sql)          -> 複数のSQL文をそのまま実行
+//   query(sql, params) -> 結果の行の配列（プレースホルダーは ?）
+//   close()
+//   findUntrackedTables() -> （省略可）マイグレーションの記録がないまま作成されたテーブル名の配列
+// データベースを追加する場合は drivers に登録する
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+const MIGRATION_FILE = /^(\d+)_(\w+)\.(up|down)\.sql$/;
+
+const TRACKING_TABLE_SQL = `CREATE TABLE IF NOT EXISTS schema_migrations (
+    version TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+)`;
+
+// マイグレーションファイルをバージョン順に読み込む（up と down の両方が必要）
+const loadMigrations = async (dialect) => {
+    const directory = path.join(MIGRATIONS_DIR, dialect);
+    const files = await fs.readdir(directory);
+
+    const byVersion = new Map();
+    for (const file of files) {
+        const match = file.match(MIGRATION_FILE);
+        if (!match) {
+            continue;
+        }
+        const [, version, name, direction] = match;
+        const migration = byVersion.get(version) || { version, name };
+        if (migration.name !== name) {
+            throw new Error(`Migration ${version} has conflicting names: ${migration.name}, ${name}`);
+        }
+        migration[direction] = path.join(directory, file);
+        byVersion.set(version, migration);
+    }
+
+    const migrations = [...byVersion.values()].sort((a, b) => Number(a.version) - Number(b.version));
+    for (const migration of migrations) {
+        if (!migration.up || !migration.down) {
+            throw new Error(`Migration ${migration.version}_${migration.name} needs both up and down files`);
+        }
+    }
+    return migrations;
+};
+
+// 1つのマイグレーションをトランザクション内で実行し、記録を更新する
+const runMigration = async (adapter, file, record) => {
+    const sql = await fs.readFile(file, 'utf8');
+    await adapter.exec('BEGIN');
+    try {
+        await adapter.exec(sql);
+        await record();
+        await adapter.exec('COMMIT');
+    } catch (err) {
+        await adapter.exec('ROLLBACK').catch(() => {});
+        throw err;
+    }
+};
+
+const createMigrator = (adapter) => {
+    const prepare = async () => {
+        // マイグレーション導入前に作成されたデータベースには 0001 を適用しても列が追加されないため、実行しない
+        const untracked = adapter.findUntrackedTables ? await adapter.findUntrackedTables() : [];
+        if (untracked.length > 0) {
+            throw new Error(
+                `The database was created before migrations were introduced (tables: ${untracked.join(', ')}). ` +
+                'Its tables may lack columns that the current schema needs. ' +
+                'Back it up and start from a new database file (SQLITE_PATH), or update the schema by hand and record the applied versions in schema_migrations.'
+            );
+        }
+
+        await adapter.exec(TRACKING_TABLE_SQL);
+        const migrations = await loadMigrations(adapter.dialect);
+        const rows = await adapter.query('SELECT version FROM schema_migrations');
+        const applied = new Set(rows.map((row) => row.version));
+        return { migrations, applied };
+    };
+
+    // バージョン指定を検証（存在しないバージョンはエラー）
+    const findVersion = (migrations, version) => {
+        const migration = migrations.find((m) => Number(m.version) === Number(version));
+        if (!migration) {
+            throw new Error(`Unknown migration version: ${version}`);
+        }
+        return migration;
+    };
+
+    return {
+        // 各マイグレーションの適用状況
+        status: async () => {
+            const { migrations, applied } = await prepare();
+            return migrations.map(({ version, name }) => ({ version, name, applied: applied.has(version) }));
+        },
+
+        // 未適用のマイグレーションを to（指定がなければ最新）まで適用し、適用したものを返す
+        up: async ({ to } = {}) => {
+            const { migrations, applied } = await prepare();
+            const last = to === undefined ? null : findVersion(migrations, to);
+
+            const done = [];
+            for (const migration of migrations) {
+                if (last && Number(migration.version) > Number(last.version)) {
+                    break;
+                }
+                if (applied.has(migration.version)) {
+                    continue;
+                }
+                await runMigration(adapter, migration.up, () => adapter.query(
+                    'INSERT INTO schema_migrations (version, name) VALUES (?, ?)',
+                    [migration.version, migration.name]
+                ));
+                done.push(migration);
+            }
+            return done;
+        },
+
+        // 適用済みのマイグレーションを新しい順に steps 件（既定は1件）、または to の直後まで取り消し、取り消したものを返す
+        // to に 0 を指定するとすべて取り消す
+        down: async ({ steps = 1, to } = {}) => {
+            const { migrations, applied } = await prepare();
+            let target = null;
+            if (to !== undefined) {
+                target = Number(to) === 0 ? { version: '0' } : findVersion(migrations, to);
+            }
+
+            let candidates = migrations.filter((m) => applied.has(m.version)).reverse();
+            candidates = target
+                ? candidates.filter((m) => Number(m.version) > Number(target.version))
+                : candidates.slice(0, steps);
+
+            const done = [];
+            for (const migration of candidates) {
+                await runMigration(adapter, migration.down, () => adapter.query(
+                    'DELETE FROM schema_migrations WHERE version = ?',
+                    [migration.version]
+                ));
+                done.push(migration);
+            }
+            return done;
+        }
+    };
+};
+
+// sqlite3 の Database をアダプターにする（リポジトリの接続をそのまま使う場合にも使う）
+const createSqliteAdapter = (db) => {
+    const query = (sql, params = []) => new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    });
+
+    return {
+        dialect: 'sqlite',
+        exec: (sql) => new Promise((resolve, reject) => {
+            db.exec(sql, (err) => (err ? reject(err) : resolve()));
+        }),
+        query,
+        close: () => new Promise((resolve) => db.close(() => resolve())),
+
+        // 以前の initializeDatabase（CREATE TABLE IF NOT EXISTS）で作成されたデータベースは
+        // テーブルがあっても schema_migrations がない。空のデータベースなら空の配列
+        findUntrackedTables: async () => {
+            const rows = await query("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'");
+            const tables = rows.map((row) => row.name);
+            return tables.includes('schema_migrations') ? [] : tables;
+        }
+    };
+};
+
+// pg の Client をアダプターにする
+// Postgres（Supabase）の既存のデータベースは最新の supabase-schema.sql で作成されている前提で 0001 を適用するため、findUntrackedTables は実装しない
+const createPostgresAdapter = (client) => ({
+    dialect: 'postgres',
+    exec: async (sql) => {
+        await client.query(sql);
+    },
+    query: async (sql, params = []) => {
+        let index = 0;
+        const result = await client.query(sql.replace(/\?/g, () => `$${++index}`), params);
+        return result.rows;
+    },
+    close: () => client.end()
+});
+
+// ドライバーは使用時のみ読み込む
+const drivers = {
+    sqlite: async () => {
+        const sqlite3 = require('sqlite3');
+        const db = await new Promise((resolve, reject) => {
+            const database = new sqlite3.Database(process.env.SQLITE_PATH || 'fanclub.db', (err) => (
+                err ? reject(err) : resolve(database)
+            ));
+        });
+        return createSqliteAdapter(db);
+    },
+    postgres: async () => {
+        if (!process.env.DATABASE_URL) {
+            throw new Error('DATABASE_URL is not set');
+        }
+        const { Client } = require('pg');
+        const client = new Client({ connectionString: process.env.DATABASE_URL });
+        await client.connect();
+        return createPostgresAdapter(client);
+    }
+};
+
+const openAdapter = (driverName) => {
+    const connect = drivers[driverName];
+    if (!connect) {
+        throw new Error(`Unknown migration driver: ${driverName}`);
+    }
+    return connect();
+};
+
+module.exports = {
+    createMigrator,
+    createSqliteAdapter,
+    createPostgresAdapter,
+    openAdapter
+};
@@ -0,0 +1,94 @@
+// アプリ内通知
+// 投稿の公開・コメントへの返信・ファンクラブへの参加・会費の支払いから通知を作成する
+// 通知は元の処理のおまけなので、作成に失敗しても例外は投げずにログに記録する
+
+const formatDate = (value) => new Date(value).toLocaleDateString('ja-JP', { timeZone: 'Asia/Tokyo' });
+
+const formatYen = (amount) => `¥${Number(amount).toLocaleString('ja-JP')}`;
+
+const newPostMessage = (fanclub, post) => `「${fanclub.name}」に新しい投稿「${post.title}」が公開されました`;
+
+const createNotifier = ({ repo }) => {
+    const notify = async (type, work) => {
+        try {
+            await work();
+        } catch (error) {
+            console.error(`Notification error (${type}):`, error);
+        }
+    };
+
+    return {
+        // 参加中のファンクラブの新しい投稿（公開予約の投稿は publishedAt まで表示されない）
+        postPublished: ({ fanclub, post }) => notify('new_post', () => repo.notifications.notifyMembers({
+            fanclubId: fanclub.id,
+            postId: post.id,
+            message: newPostMessage(fanclub, post),
+            createdAt: post.publishedAt
+        })),
+
+        // まだ公開されていない投稿の通知を作り直す（下書きに戻した場合は削除のみ）
+        postRescheduled: ({ fanclub, post }) => notify('new_post', async () => {
+            await repo.notifications.deleteForPost(post.id);
+            if (post.status === 'published') {
+                await repo.notifications.notifyMembers({
+                    fanclubId: fanclub.id,
+                    postId: post.id,
+                    message: newPostMessage(fanclub, post),
+                    createdAt: post.publishedAt
+                });
+            }
+        }),
+
+        // 自分のコメントへの返信（自分で返信した場合は通知しない）
+        commentReplied: ({ parent, replierId, post }) => notify('comment_reply', async () => {
+            if (String(parent.author_id) === String(replierId)) {
+                return;
+            }
+            const replier = await repo.users.findById(replierId);
+            await repo.notifications.create({
+                userId: parent.author_id,
+                type: 'comment_reply',
+                fanclubId: post.fanclub_id,
+                postId: post.id,
+                message: `${replier.nickname} さんがあなたのコメントに返信しました`
+            });
+        }),
+
+        // オーナーへのメンバー参加の通知
+        memberJoined: ({ fanclubId, userId }) => notify('new_member', async () => {
+            const [fanclub, member] = await Promise.all([
+                repo.fanclubs.findById(fanclubId),
+                repo.users.findById(userId)
+            ]);
+            await repo.notifications.create({
+                userId: fanclub.owner_id,
+                type: 'new_member',
+                fanclubId: fanclub.id,
+                message: `${member.nickname} さんが「${fanclub.name}」に参加しました`
+            });
+        }),
+
+        // お支払い予定日のお知らせ（lib/billing の支払いリマインダー）
+        paymentDue: (reminder) => notify('payment_due', () => repo.notifications.create({
+            userId: reminder.user_id,
+            type: 'payment_due',
+            fanclubId: reminder.fanclub_id,
+            message: `「${reminder.fanclub_name}」の次回お支払い予定日は ${formatDate(reminder.payment_date)}（${formatYen(reminder.amount)}）です`
+        })),
+
+        // 会費の決済の失敗（canceled なら再試行の上限に達して退会になった）
+        paymentFailed: ({ invoice, canceled }) => notify('payment_failed', async () => {
+            const fanclub = await repo.fanclubs.findById(invoice.fanclub_id);
+            await repo.notifications.create({
+                userId: invoice.user_id,
+                type: 'payment_failed',
+                fanclubId: invoice.fanclub_id,
+                message: canceled
+                    ? `「${fanclub.name}」の会費（${formatYen(invoice.amount)}）のお支払いができなかったため、メンバーシップが解約されました`
+                    : `「${fanclub.name}」の会費（${formatYen(invoice.amount)}）のお支払いに失敗しました。お支払い方法をご確認ください`
+            });
+        })
+    };
+};
+
+module.exports = { createNotifier };
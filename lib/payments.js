@@ -0,0 +1,58 @@
+// 決済プロバイダー
+// PAYMENT_PROVIDER で切り替え: fake（既定）
+//
+// プロバイダーは次のメソッドを実装する:
+//   charge({ amount, currency, customerId, description }) -> { id, status: 'succeeded' | 'failed', failure_reason }
+//   refund(paymentId) -> { id, status }
+// 決済サービスを追加する場合は providers に登録する
+
+// ローカル開発用の疑似プロバイダー（実際の請求は行わない）
+// FAKE_PAYMENT_DECLINE_USERS に指定したユーザーIDの決済は失敗する（例: "3,7"）
+const createFakeProvider = () => {
+    const declinedCustomers = new Set(
+        (process.env.FAKE_PAYMENT_DECLINE_USERS || '')
+            .split(',')
+            .map(id => id.trim())
+            .filter(Boolean)
+    );
+    const newId = (prefix) => `${prefix}_${Date.now()}${Math.random().toString(36).slice(2, 8)}`;
+
+    return {
+        name: 'fake',
+        charge: async ({ customerId }) => {
+            if (declinedCustomers.has(String(customerId))) {
+                return { id: newId('fake_ch'), status: 'failed', failure_reason: 'card_declined' };
+            }
+            return { id: newId('fake_ch'), status: 'succeeded' };
+        },
+        refund: async () => ({ id: newId('fake_re'), status: 'succeeded' })
+    };
+};
+
+const providers = {
+    fake: createFakeProvider
+};
+
+const createPaymentProvider = (providerName = process.env.PAYMENT_PROVIDER || 'fake') => {
+    const factory = providers[providerName];
+    if (!factory) {
+        throw new Error(`Unknown payment provider: ${providerName}`);
+    }
+
+    const provider = factory();
+
+    return {
+        name: provider.name,
+        // 通信エラーなどの例外も決済失敗として扱う
+        charge: async ({ amount, customerId, description }) => {
+            try {
+                return await provider.charge({ amount, currency: 'jpy', customerId, description });
+            } catch (error) {
+                return { id: null, status: 'failed', failure_reason: error.message };
+            }
+        },
+        refund: (paymentId) => provider.refund(paymentId)
+    };
+};
+
+module.exports = { createPaymentProvider };
@@ -0,0 +1,38 @@
+// ファンクラブのランキング（トップページの注目・急上昇）を集計する定期ジョブ
+// Vercel では Cron（/api/cron/rankings）、ローカルでは server.js のタイマーから実行する
+// 結果は fanclub_rankings テーブルに保存し、/api/fanclubs/featured と /api/fanclubs/trending はそれを返す
+
+// 直近 RANKING_WINDOW_DAYS 日間の活動を集計する
+const RANKING_WINDOW_DAYS = 7;
+
+// スコア = 参加者数 × joins + 公開された投稿数 × posts + いいね数 × likes
+const RANKING_WEIGHTS = { joins: 5, posts: 2, likes: 1 };
+
+const scoreActivity = ({ recent_joins, recent_posts, recent_likes }) =>
+    recent_joins * RANKING_WEIGHTS.joins + recent_posts * RANKING_WEIGHTS.posts + recent_likes * RANKING_WEIGHTS.likes;
+
+const createRankingJobs = ({ repo }) => {
+    // ランキングの更新ジョブ
+    // 活動のあったファンクラブのスコアを計算し、ランキングをまとめて置き換える
+    const runRankingJob = async () => {
+        const since = new Date(Date.now() - RANKING_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+        const activity = await repo.rankings.collectActivity(since);
+
+        const rankings = activity
+            .map((row) => ({
+                fanclub_id: row.fanclub_id,
+                recent_joins: Number(row.recent_joins),
+                recent_posts: Number(row.recent_posts),
+                recent_likes: Number(row.recent_likes)
+            }))
+            .map((row) => ({ ...row, score: scoreActivity(row) }))
+            .filter((row) => row.score > 0);
+
+        await repo.rankings.replace(rankings);
+        return { ranked: rankings.length };
+    };
+
+    return { runRankingJob };
+};
+
+module.exports = { createRankingJobs };
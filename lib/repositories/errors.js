@@ -0,0 +1,7 @@
+// リポジトリ共通のエラー
+// データベースごとに異なる一意制約違反を同じコードにそろえ、ルート側で判定できるようにする
+const DUPLICATE = 'DUPLICATE';
+
+const duplicateError = (cause) => Object.assign(new Error('Duplicate record'), { code: DUPLICATE, cause });
+
+module.exports = { DUPLICATE, duplicateError };
@@ -0,0 +1,28 @@
+// データアクセス層
+// DB_DRIVER で切り替え: sqlite（既定。ローカル開発用）/ supabase（本番）
+//
+// ルートはこのモジュールが返すリポジトリだけを使い、SQLやSupabaseのクエリを直接書かない。
+// リポジトリは users / sessions / userTokens / fanclubs / categories / rankings / memberships / bans /
+// tiers / posts / comments / invoices / notifications / reminderSettings / billing の各メソッドを実装する。
+//   - メソッドはすべて Promise を返し、データベースエラーは例外として投げる
+//   - 一意制約違反は code: 'DUPLICATE' のエラーにそろえる（errors.js）
+//   - 真偽値の列は boolean、日時の引数は Date で受け取る
+// データベースを追加する場合は drivers に登録する
+
+const { DUPLICATE } = require('./errors');
+
+// ドライバーは使用時のみ読み込む（Vercel に sqlite3 をインストールしなくてよいように）
+const drivers = {
+    sqlite: () => require('./sqlite').createSqliteRepository(),
+    supabase: () => require('./supabase').createSupabaseRepository()
+};
+
+const createRepository = (driverName = process.env.DB_DRIVER || 'sqlite') => {
+    const factory = drivers[driverName];
+    if (!factory) {
+        throw new Error(`Unknown database driver: ${driverName}`);
+    }
+    return factory();
+};
+
+module.exports = { createRepository, DUPLICATE };
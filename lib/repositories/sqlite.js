@@ -0,0 +1,1278 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const sqlite3 = require('sqlite3').verbose();
+const { duplicateError } = require('./errors');
+const { createMigrator, createSqliteAdapter } = require('../migrations');
+
+// SQLite リポジトリ（ローカル開発用）
+// データベースファイルは SQLITE_PATH（既定は fanclub.db）
+// 起動時に未適用のマイグレーション（migrations/sqlite）を適用する
+
+// SQLiteの CURRENT_TIMESTAMP と同じ形式（UTC）に揃えて比較できるようにする
+const toDbDateTime = (date) => date.toISOString().replace('T', ' ').slice(0, 19);
+
+// 真偽値の列は 0/1 で返るため boolean に変換する
+const toBooleans = (row, columns) => {
+    if (!row) {
+        return row;
+    }
+    const converted = { ...row };
+    for (const column of columns) {
+        if (column in converted) {
+            converted[column] = Boolean(converted[column]);
+        }
+    }
+    return converted;
+};
+
+// LIKE検索用に % と _ をエスケープ
+const escapeLike = (value) => value.replace(/[\\%_]/g, (char) => '\\' + char);
+
+// ファンクラブ一覧・詳細の共通SELECT（オーナーのニックネーム、カテゴリー名、タグつき）
+// タグは改行区切りで返るため withTags で配列にする
+const FANCLUB_TAGS = '(SELECT GROUP_CONCAT(t.tag, char(10)) FROM fanclub_tags t WHERE t.fanclub_id = f.id) as tags';
+const FANCLUB_SELECT = `
+    SELECT f.*, u.nickname as owner_name, c.name as category_name, ${FANCLUB_TAGS}
+    FROM fanclubs f
+    JOIN users u ON f.owner_id = u.id
+    LEFT JOIN categories c ON f.category = c.slug
+`;
+
+// ランキング・注目ファンクラブの共通SELECT（FANCLUB_SELECT の列にランキングの集計と固定の位置を加える）
+// ランキングにない・固定されていないファンクラブはそれぞれの列が null
+const RANKED_FANCLUB_SELECT = `
+    SELECT f.*, u.nickname as owner_name, c.name as category_name, ${FANCLUB_TAGS},
+        r.score, r.recent_joins, r.recent_posts, r.recent_likes, r.computed_at,
+        ff.position as featured_position
+    FROM fanclubs f
+    JOIN users u ON f.owner_id = u.id
+    LEFT JOIN categories c ON f.category = c.slug
+    LEFT JOIN fanclub_rankings r ON r.fanclub_id = f.id
+    LEFT JOIN featured_fanclubs ff ON ff.fanclub_id = f.id
+`;
+
+const withTags = (fanclub) => fanclub && { ...fanclub, tags: fanclub.tags ? fanclub.tags.split('\n').sort() : [] };
+
+const MEMBER_SORTS = {
+    joined_desc: { column: 'm.joined_at', ascending: false },
+    joined_asc: { column: 'm.joined_at', ascending: true }
+};
+
+// ファンクラブ検索の並び順と、キーセットページネーションに使う列
+const SEARCH_SORT_KEYS = {
+    relevance: 'search_rank',
+    newest: 'created_at',
+    members: 'member_count',
+    trending: 'recent_joins'
+};
+
+// 検索用のトークンに分割（migrations/postgres の search_tokens と同じ分け方）
+// 英数字の連続は単語として、それ以外（かな・漢字など）は2文字ずつ（バイグラム）に分ける
+const searchTokens = (text) => {
+    const words = (text || '').normalize('NFKC').toLowerCase().match(/[a-z0-9]+|[^\s\p{P}\p{S}a-z0-9]+/gu) || [];
+    return words.flatMap((word) => {
+        const chars = [...word];
+        if (/^[a-z0-9]+$/.test(word) || chars.length === 1) {
+            return [word];
+        }
+        return chars.slice(1).map((char, i) => chars[i] + char);
+    });
+};
+
+// 検索語のトークンがテキストにすべて含まれるか（英数字の単語と1文字のトークンは前方一致）
+const matchesAllTokens = (queryTokens, textTokens) => queryTokens.every((token) => (
+    /^[a-z0-9]+$/.test(token) || [...token].length === 1
+        ? textTokens.some((t) => t.startsWith(token))
+        : textTokens.includes(token)
+));
+
+// 関連度（名前 > 説明 > 目的 の順に重み付けし、一般公開済みの投稿タイトルの一致も加える）
+// SQLite はローカル開発用のため、全文検索の索引は使わずに候補を読み込んで計算する
+const SEARCH_FIELD_WEIGHTS = { name: 1, description: 0.4, purpose: 0.2 };
+const searchRank = (queryTokens, fanclub) => {
+    const fields = Object.entries(SEARCH_FIELD_WEIGHTS).map(([field, weight]) => [searchTokens(fanclub[field]), weight]);
+    const titles = (fanclub.post_titles || '').split('\n').map(searchTokens);
+
+    const matchesFanclub = matchesAllTokens(queryTokens, fields.flatMap(([tokens]) => tokens));
+    const matchesPost = titles.some((tokens) => matchesAllTokens(queryTokens, tokens));
+    if (!matchesFanclub && !matchesPost) {
+        return 0;
+    }
+
+    const fieldScore = queryTokens.reduce((sum, token) => {
+        const weights = fields.filter(([tokens]) => matchesAllTokens([token], tokens)).map(([, weight]) => weight);
+        return sum + Math.max(0, ...weights);
+    }, 0) / queryTokens.length;
+    const rank = (matchesFanclub ? fieldScore : 0) + (matchesPost ? 0.5 : 0);
+    return Math.round(rank * 1e6) / 1e6;
+};
+
+const compareKeys = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+// キーセットページネーションの条件（after は前のページの最後の項目の並び替えキーとID）
+// column, idColumn の順に降順（ascending なら昇順）で並べる一覧で使う
+const afterCondition = (column, idColumn, after, ascending = false) => {
+    if (!after) {
+        return ['1 = 1', []];
+    }
+    return [`(${column}, ${idColumn}) ${ascending ? '>' : '<'} (?, ?)`, [after.value, after.id]];
+};
+
+// ファンクラブの月会費を最安プランの料金に合わせる（一覧・詳細の「月額○円〜」表示用）
+const SYNC_FANCLUB_FEE_SQL = `UPDATE fanclubs
+    SET monthly_fee = COALESCE((SELECT MIN(monthly_fee) FROM fanclub_tiers WHERE fanclub_id = ?), monthly_fee)
+    WHERE id = ?`;
+
+// メンバー限定投稿を閲覧できる条件（? にユーザーIDを渡す）
+// 支払いが有効なメンバーのみ。最低プランが指定されている場合はそのプランの料金以上のプランが必要（オーナーは常に閲覧可）
+const MEMBER_POST_ACCESS = `EXISTS (
+    SELECT 1 FROM memberships m
+    LEFT JOIN fanclub_tiers mt ON m.tier_id = mt.id
+    WHERE m.user_id = ? AND m.fanclub_id = p.fanclub_id AND m.status = 'active'
+        AND (m.is_owner = TRUE OR p.min_tier_id IS NULL
+            OR mt.monthly_fee >= (SELECT monthly_fee FROM fanclub_tiers WHERE id = p.min_tier_id))
+)`;
+
+// 読者に表示する投稿（下書きと公開予約中の投稿を除く）
+const PUBLISHED_POST = `p.status = 'published' AND p.published_at <= CURRENT_TIMESTAMP`;
+
+// 投稿一覧・詳細の共通SELECT
+// 1つ目の ? はいいね済みの判定、2つ目の ? は閲覧権限の判定に使うユーザーID
+const POST_SELECT_SQL = `
+    SELECT p.*, u.nickname as author_name, u.avatar_url as author_avatar,
+        f.name as fanclub_name,
+        pt.name as min_tier_name, pt.monthly_fee as min_tier_fee,
+        EXISTS (SELECT 1 FROM likes l WHERE l.post_id = p.id AND l.user_id = ?) as liked,
+        (p.visibility = 'public' OR ${MEMBER_POST_ACCESS}) as can_view
+    FROM posts p
+    JOIN users u ON p.author_id = u.id
+    JOIN fanclubs f ON p.fanclub_id = f.id
+    LEFT JOIN fanclub_tiers pt ON p.min_tier_id = pt.id
+`;
+
+// 会費の更新に使う料金と次の請求期間
+const RENEWAL_FEE = 'COALESCE(m.pending_monthly_fee, m.monthly_fee, f.monthly_fee)';
+const NEXT_PERIOD = "strftime('%Y-%m-%dT%H:%M:%fZ', m.next_payment_date, '+1 month')";
+
+const isUniqueViolation = (err) => err.code === 'SQLITE_CONSTRAINT' && err.message.includes('UNIQUE constraint failed');
+
+const createSqliteRepository = () => {
+    const db = new sqlite3.Database(process.env.SQLITE_PATH || 'fanclub.db', (err) => {
+        if (err) {
+            console.error('Database connection error:', err.message);
+        } else {
+            console.log('Connected to SQLite database');
+        }
+    });
+
+    // 接続は1つなので、ほかのリクエストのクエリがトランザクションに混ざらないようにクエリはすべて順番に実行する
+    // トランザクション内のクエリ（transactionContext の中で実行されるもの）は待たずにそのまま実行する
+    const transactionContext = new AsyncLocalStorage();
+    let pendingQuery = Promise.resolve();
+    const enqueue = (query) => {
+        if (transactionContext.getStore()) {
+            return query();
+        }
+        const result = pendingQuery.then(query);
+        pendingQuery = result.catch(() => {});
+        return result;
+    };
+
+    const get = (sql, params = []) => enqueue(() => new Promise((resolve, reject) => {
+        db.get(sql, params, (err, row) => (err ? reject(err) : resolve(row)));
+    }));
+
+    const all = (sql, params = []) => enqueue(() => new Promise((resolve, reject) => {
+        db.all(sql, params, (err, rows) => (err ? reject(err) : resolve(rows)));
+    }));
+
+    const run = (sql, params = []) => enqueue(() => new Promise((resolve, reject) => {
+        db.run(sql, params, function(err) {
+            if (err) {
+                return reject(isUniqueViolation(err) ? duplicateError(err) : err);
+            }
+            resolve({ changes: this.changes, lastID: this.lastID });
+        });
+    }));
+
+    // work をトランザクション内で実行（失敗時はロールバック）
+    // 実行中はほかのクエリとトランザクションを待たせる
+    const transaction = (work) => enqueue(() => transactionContext.run(true, async () => {
+        await run('BEGIN TRANSACTION');
+        try {
+            const value = await work();
+            await run('COMMIT');
+            return value;
+        } catch (err) {
+            await run('ROLLBACK').catch(() => {});
+            throw err;
+        }
+    }));
+
+    // 複数のSQL文をトランザクション内で順番に実行
+    const runInTransaction = (statements) => transaction(async () => {
+        for (const [sql, params] of statements) {
+            await run(sql, params);
+        }
+    });
+
+    // 値が undefined の列は更新しない
+    const updateColumns = (table, id, columns) => {
+        const entries = Object.entries(columns).filter(([, value]) => value !== undefined);
+        return [
+            `UPDATE ${table} SET ${entries.map(([column]) => `${column} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+            [...entries.map(([, value]) => (value instanceof Date ? toDbDateTime(value) : value)), id]
+        ];
+    };
+
+    // 決済済みの請求書と決済記録を作成（参加時の初回請求・アップグレード時の差額請求）
+    const insertPaidInvoice = async ({ userId, fanclubId, tierId, amount, periodStart, periodEnd, payment }) => {
+        const { lastID } = await run(
+            `INSERT INTO invoices (membership_id, user_id, fanclub_id, tier_id, amount, period_start, period_end, status, attempts, paid_at)
+            VALUES ((SELECT id FROM memberships WHERE user_id = ? AND fanclub_id = ?), ?, ?, ?, ?, ?, ?, 'paid', 1, CURRENT_TIMESTAMP)`,
+            [userId, fanclubId, userId, fanclubId, tierId, amount, periodStart.toISOString(), periodEnd.toISOString()]
+        );
+        await run(
+            "INSERT INTO payments (invoice_id, provider, provider_payment_id, amount, status) VALUES (?, ?, ?, ?, 'succeeded')",
+            [lastID, payment.provider, payment.id, amount]
+        );
+    };
+
+    // 非表示を除くコメント数を投稿に反映して返す
+    const syncCommentCount = async (postId) => {
+        await run(
+            'UPDATE posts SET comment_count = (SELECT COUNT(*) FROM comments WHERE post_id = ? AND is_hidden = FALSE) WHERE id = ?',
+            [postId, postId]
+        );
+        const post = await get('SELECT comment_count FROM posts WHERE id = ?', [postId]);
+        return post ? post.comment_count : 0;
+    };
+
+    const ready = createMigrator(createSqliteAdapter(db)).up().then((applied) => {
+        applied.forEach(({ version, name }) => console.log(`Applied migration ${version}_${name}`));
+    });
+
+    return {
+        driver: 'sqlite',
+        ready,
+        close: () => new Promise((resolve) => db.close(() => resolve())),
+
+        users: {
+            // リマインダー設定のデフォルト値も作成する
+            create: async ({ nickname, email, phone, passwordHash }) => {
+                const { lastID } = await run(
+                    'INSERT INTO users (nickname, email, phone, password_hash) VALUES (?, ?, ?, ?)',
+                    [nickname, email, phone, passwordHash]
+                );
+                await run('INSERT INTO reminder_settings (user_id) VALUES (?)', [lastID]);
+                return { id: lastID, nickname, email, phone, email_verified: false };
+            },
+
+            findById: async (id) => toBooleans(await get('SELECT * FROM users WHERE id = ?', [id]), ['email_verified', 'is_admin']),
+
+            findByEmail: async (email) => toBooleans(await get('SELECT * FROM users WHERE email = ?', [email]), ['email_verified', 'is_admin']),
+
+            // 値が undefined の項目は変更しない。メールアドレスを変更した場合は未確認に戻す
+            updateProfile: async (id, { nickname, email, phone, avatar_url, bio, emailChanged }) => {
+                await run(...updateColumns('users', id, {
+                    nickname, email, phone, avatar_url, bio,
+                    email_verified: emailChanged ? 0 : undefined
+                }));
+            },
+
+            markEmailVerified: async (id) => {
+                await run('UPDATE users SET email_verified = TRUE, email_verified_at = CURRENT_TIMESTAMP WHERE id = ?', [id]);
+            },
+
+            // パスワードを変更し、未使用の再設定リンクを無効にして keepSessionId 以外のセッションを失効させる
+            changePassword: async (id, passwordHash, keepSessionId = null) => {
+                await runInTransaction([
+                    ['UPDATE users SET password_hash = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [passwordHash, id]],
+                    [`DELETE FROM user_tokens WHERE user_id = ? AND purpose = 'password_reset' AND used_at IS NULL`, [id]],
+                    [
+                        'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND id IS NOT ? AND revoked_at IS NULL',
+                        [id, keepSessionId]
+                    ]
+                ]);
+            },
+
+            findPublicProfile: (id) => get('SELECT id, nickname, avatar_url, bio, created_at FROM users WHERE id = ?', [id])
+        },
+
+        sessions: {
+            create: async ({ userId, refreshTokenHash, userAgent, ipAddress, expiresAt }) => {
+                const { lastID } = await run(
+                    `INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+                    VALUES (?, ?, ?, ?, ?)`,
+                    [userId, refreshTokenHash, userAgent, ipAddress, toDbDateTime(expiresAt)]
+                );
+                return lastID;
+            },
+
+            isActive: async (id, userId) => Boolean(await get(
+                'SELECT id FROM sessions WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+                [id, userId]
+            )),
+
+            // 有効なリフレッシュトークンを新しいものに置き換え、セッションとユーザーを返す（無効な場合は null）
+            // 同時に同じトークンで再発行された場合は、先に置き換えた方のみ成功する
+            rotate: async (refreshTokenHash, newRefreshTokenHash, expiresAt) => {
+                const session = await get(
+                    `SELECT s.id, u.id as user_id, u.email
+                    FROM sessions s
+                    JOIN users u ON s.user_id = u.id
+                    WHERE s.refresh_token_hash = ? AND s.revoked_at IS NULL AND s.expires_at > CURRENT_TIMESTAMP`,
+                    [refreshTokenHash]
+                );
+                if (!session) {
+                    return null;
+                }
+
+                const { changes } = await run(
+                    `UPDATE sessions
+                    SET refresh_token_hash = ?, expires_at = ?, last_used_at = CURRENT_TIMESTAMP
+                    WHERE id = ? AND refresh_token_hash = ?`,
+                    [newRefreshTokenHash, toDbDateTime(expiresAt), session.id, refreshTokenHash]
+                );
+                return changes > 0 ? { id: session.id, user: { id: session.user_id, email: session.email } } : null;
+            },
+
+            revokeByRefreshToken: async (refreshTokenHash) => {
+                await run(
+                    'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE refresh_token_hash = ? AND revoked_at IS NULL',
+                    [refreshTokenHash]
+                );
+            },
+
+            listActive: (userId) => all(
+                `SELECT id, user_agent, ip_address, created_at, last_used_at
+                FROM sessions
+                WHERE user_id = ? AND revoked_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+                ORDER BY last_used_at DESC`,
+                [userId]
+            ),
+
+            // keepSessionId 以外のセッションを失効させ、失効させた数を返す
+            revokeOthers: async (userId, keepSessionId) => {
+                const { changes } = await run(
+                    'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = ? AND id != ? AND revoked_at IS NULL',
+                    [userId, keepSessionId]
+                );
+                return changes;
+            },
+
+            revoke: async (id, userId) => {
+                const { changes } = await run(
+                    'UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ? AND revoked_at IS NULL',
+                    [id, userId]
+                );
+                return changes > 0;
+            }
+        },
+
+        userTokens: {
+            // 同じ用途の未使用トークンは無効にする
+            issue: async (userId, purpose, tokenHash, expiresAt) => {
+                await runInTransaction([
+                    ['DELETE FROM user_tokens WHERE user_id = ? AND purpose = ? AND used_at IS NULL', [userId, purpose]],
+                    [
+                        'INSERT INTO user_tokens (user_id, purpose, token_hash, expires_at) VALUES (?, ?, ?, ?)',
+                        [userId, purpose, tokenHash, toDbDateTime(expiresAt)]
+                    ]
+                ]);
+            },
+
+            // トークンを使用済みにしてユーザーIDを返す（無効・期限切れ・使用済みの場合は null）
+            consume: async (tokenHash, purpose) => {
+                const row = await get(
+                    `SELECT id, user_id FROM user_tokens
+                    WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP`,
+                    [tokenHash, purpose]
+                );
+                if (!row) {
+                    return null;
+                }
+
+                const { changes } = await run(
+                    'UPDATE user_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ? AND used_at IS NULL',
+                    [row.id]
+                );
+                return changes > 0 ? row.user_id : null;
+            }
+        },
+
+        fanclubs: {
+            list: async ({ after, limit }) => {
+                const [condition, params] = afterCondition('f.created_at', 'f.id', after);
+                const fanclubs = await all(
+                    `${FANCLUB_SELECT} WHERE ${condition} ORDER BY f.created_at DESC, f.id DESC LIMIT ?`,
+                    [...params, limit]
+                );
+                return fanclubs.map(withTags);
+            },
+
+            // カテゴリーのファンクラブ一覧（新しい順）
+            listByCategory: async (category, { after, limit }) => {
+                const [condition, params] = afterCondition('f.created_at', 'f.id', after);
+                const fanclubs = await all(
+                    `${FANCLUB_SELECT} WHERE f.category = ? AND ${condition} ORDER BY f.created_at DESC, f.id DESC LIMIT ?`,
+                    [category, ...params, limit]
+                );
+                return fanclubs.map(withTags);
+            },
+
+            // 名前・説明・目的と、一般公開済みの投稿のタイトルから検索（q が空なら絞り込みのみ）
+            // category と tag は null なら絞り込まない。after は前のページの最後の項目の並び替えキーとID
+            search: async ({ q, minFee, maxFee, minMembers, maxMembers, category, tag, sort, after, limit }) => {
+                const rows = await all(
+                    `SELECT f.*, u.nickname as owner_name, c.name as category_name, ${FANCLUB_TAGS},
+                        (SELECT COUNT(*) FROM memberships m
+                            WHERE m.fanclub_id = f.id AND m.is_owner = FALSE AND m.status != 'canceled'
+                                AND m.joined_at > datetime('now', '-7 days')) as recent_joins,
+                        (SELECT GROUP_CONCAT(p.title, char(10)) FROM posts p
+                            WHERE p.fanclub_id = f.id AND p.visibility = 'public' AND ${PUBLISHED_POST}) as post_titles
+                    FROM fanclubs f
+                    JOIN users u ON f.owner_id = u.id
+                    LEFT JOIN categories c ON f.category = c.slug
+                    WHERE (? IS NULL OR f.monthly_fee >= ?) AND (? IS NULL OR f.monthly_fee <= ?)
+                        AND (? IS NULL OR f.member_count >= ?) AND (? IS NULL OR f.member_count <= ?)
+                        AND (? IS NULL OR f.category = ?)
+                        AND (? IS NULL OR EXISTS (SELECT 1 FROM fanclub_tags t WHERE t.fanclub_id = f.id AND t.tag = ?))`,
+                    [minFee, minFee, maxFee, maxFee, minMembers, minMembers, maxMembers, maxMembers, category, category, tag, tag]
+                );
+
+                const queryTokens = searchTokens(q);
+                const key = SEARCH_SORT_KEYS[sort];
+                return rows
+                    .map(({ post_titles, ...fanclub }) => ({
+                        ...withTags(fanclub),
+                        search_rank: queryTokens.length ? searchRank(queryTokens, { ...fanclub, post_titles }) : 0
+                    }))
+                    .filter((fanclub) => !queryTokens.length || fanclub.search_rank > 0)
+                    .filter((fanclub) => !after
+                        || compareKeys(fanclub[key], after.value) < 0
+                        || (compareKeys(fanclub[key], after.value) === 0 && compareKeys(fanclub.id, after.id) < 0))
+                    .sort((a, b) => compareKeys(b[key], a[key]) || compareKeys(b.id, a.id))
+                    .slice(0, limit);
+            },
+
+            findById: async (id) => withTags(await get(`${FANCLUB_SELECT} WHERE f.id = ?`, [id])),
+
+            // オーナーのメンバーシップと、月会費をもとにした最初のプラン、タグも作成する
+            create: ({ ownerId, name, description, monthly_fee, purpose, cover_image_url, category, tags, tierName }) => transaction(async () => {
+                const { lastID } = await run(
+                    `INSERT INTO fanclubs (name, description, monthly_fee, purpose, cover_image_url, category, owner_id)
+                    VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                    [name, description, monthly_fee, purpose, cover_image_url, category, ownerId]
+                );
+                await run('INSERT INTO memberships (user_id, fanclub_id, is_owner) VALUES (?, ?, TRUE)', [ownerId, lastID]);
+                await run('INSERT INTO fanclub_tiers (fanclub_id, name, monthly_fee) VALUES (?, ?, ?)', [lastID, tierName, monthly_fee]);
+                for (const tag of tags) {
+                    await run('INSERT INTO fanclub_tags (fanclub_id, tag) VALUES (?, ?)', [lastID, tag]);
+                }
+                return lastID;
+            }),
+
+            // 月会費を変更した場合、既存メンバーは現在の料金のまま次回支払日から新しい月会費を適用する
+            // tags を指定した場合はタグを置き換える
+            update: async (fanclub, { name, description, monthly_fee, purpose, cover_image_url, category, tags }) => {
+                const statements = [
+                    updateColumns('fanclubs', fanclub.id, { name, description, monthly_fee, purpose, cover_image_url, category })
+                ];
+                if (monthly_fee !== fanclub.monthly_fee) {
+                    statements.push([
+                        `UPDATE memberships
+                        SET monthly_fee = COALESCE(monthly_fee, ?),
+                            pending_monthly_fee = CASE WHEN COALESCE(monthly_fee, ?) = ? THEN NULL ELSE ? END
+                        WHERE fanclub_id = ? AND is_owner = FALSE`,
+                        [fanclub.monthly_fee, fanclub.monthly_fee, monthly_fee, monthly_fee, fanclub.id]
+                    ]);
+                }
+                if (tags !== undefined) {
+                    statements.push(['DELETE FROM fanclub_tags WHERE fanclub_id = ?', [fanclub.id]]);
+                    tags.forEach((tag) => statements.push(['INSERT INTO fanclub_tags (fanclub_id, tag) VALUES (?, ?)', [fanclub.id, tag]]));
+                }
+                await runInTransaction(statements);
+                return withTags(await get(`${FANCLUB_SELECT} WHERE f.id = ?`, [fanclub.id]));
+            },
+
+            // SQLiteでは外部キーのカスケードが無効なため関連データを明示的に削除する
+            delete: async (id) => {
+                const postIds = 'SELECT id FROM posts WHERE fanclub_id = ?';
+                await runInTransaction([
+                    [`DELETE FROM likes WHERE post_id IN (${postIds})`, [id]],
+                    [`DELETE FROM comments WHERE post_id IN (${postIds})`, [id]],
+                    ['DELETE FROM notifications WHERE fanclub_id = ?', [id]],
+                    ['DELETE FROM posts WHERE fanclub_id = ?', [id]],
+                    ['DELETE FROM memberships WHERE fanclub_id = ?', [id]],
+                    ['DELETE FROM fanclub_bans WHERE fanclub_id = ?', [id]],
+                    ['DELETE FROM payment_reminders WHERE fanclub_id = ?', [id]],
+                    ['DELETE FROM payments WHERE invoice_id IN (SELECT id FROM invoices WHERE fanclub_id = ?)', [id]],
+                    ['DELETE FROM invoices WHERE fanclub_id = ?', [id]],
+                    ['DELETE FROM fanclub_tiers WHERE fanclub_id = ?', [id]],
+                    ['DELETE FROM fanclub_tags WHERE fanclub_id = ?', [id]],
+                    ['DELETE FROM fanclub_rankings WHERE fanclub_id = ?', [id]],
+                    ['DELETE FROM featured_fanclubs WHERE fanclub_id = ?', [id]],
+                    ['DELETE FROM fanclubs WHERE id = ?', [id]]
+                ]);
+            },
+
+            listByOwner: (ownerId) => all(
+                `SELECT id, name, description, purpose, cover_image_url, monthly_fee, member_count, created_at
+                FROM fanclubs
+                WHERE owner_id = ?
+                ORDER BY created_at DESC`,
+                [ownerId]
+            )
+        },
+
+        categories: {
+            // 表示順のカテゴリー一覧（ファンクラブ数つき）
+            list: () => all(
+                `SELECT c.slug, c.name, (SELECT COUNT(*) FROM fanclubs f WHERE f.category = c.slug) as fanclub_count
+                FROM categories c
+                ORDER BY c.position`
+            ),
+
+            findBySlug: (slug) => get('SELECT slug, name FROM categories WHERE slug = ?', [slug])
+        },
+
+        rankings: {
+            // since 以降のファンクラブごとの参加者数・公開された投稿数・いいね数
+            collectActivity: (since) => {
+                const from = toDbDateTime(since);
+                return all(
+                    `SELECT f.id as fanclub_id,
+                        (SELECT COUNT(*) FROM memberships m
+                            WHERE m.fanclub_id = f.id AND m.is_owner = FALSE AND m.status != 'canceled'
+                                AND m.joined_at > ?) as recent_joins,
+                        (SELECT COUNT(*) FROM posts p
+                            WHERE p.fanclub_id = f.id AND ${PUBLISHED_POST} AND p.published_at > ?) as recent_posts,
+                        (SELECT COUNT(*) FROM likes l
+                            JOIN posts p ON l.post_id = p.id
+                            WHERE p.fanclub_id = f.id AND l.created_at > ?) as recent_likes
+                    FROM fanclubs f`,
+                    [from, from, from]
+                );
+            },
+
+            // ランキングをまとめて置き換える
+            replace: (rankings) => runInTransaction([
+                ['DELETE FROM fanclub_rankings', []],
+                ...rankings.map(({ fanclub_id, score, recent_joins, recent_posts, recent_likes }) => [
+                    `INSERT INTO fanclub_rankings (fanclub_id, score, recent_joins, recent_posts, recent_likes)
+                    VALUES (?, ?, ?, ?, ?)`,
+                    [fanclub_id, score, recent_joins, recent_posts, recent_likes]
+                ])
+            ]),
+
+            // スコアの高い順
+            listTrending: async (limit) => {
+                const fanclubs = await all(
+                    `${RANKED_FANCLUB_SELECT}
+                    WHERE r.fanclub_id IS NOT NULL
+                    ORDER BY r.score DESC, f.id DESC
+                    LIMIT ?`,
+                    [limit]
+                );
+                return fanclubs.map(withTags);
+            },
+
+            // 固定された注目ファンクラブ（position の小さい順）
+            listPinned: async () => {
+                const fanclubs = await all(
+                    `${RANKED_FANCLUB_SELECT}
+                    WHERE ff.fanclub_id IS NOT NULL
+                    ORDER BY ff.position, ff.created_at`
+                );
+                return fanclubs.map(withTags);
+            },
+
+            // 注目ファンクラブに固定する（固定済みなら位置を変更。position が null なら最後に追加）
+            pin: async (fanclubId, { position, pinnedBy }) => {
+                await run(
+                    `INSERT INTO featured_fanclubs (fanclub_id, position, pinned_by)
+                    VALUES (?, COALESCE(?, (SELECT COALESCE(MAX(position), 0) + 1 FROM featured_fanclubs)), ?)
+                    ON CONFLICT(fanclub_id) DO UPDATE SET
+                        position = COALESCE(?, featured_fanclubs.position),
+                        pinned_by = excluded.pinned_by`,
+                    [fanclubId, position, pinnedBy, position]
+                );
+            },
+
+            unpin: async (fanclubId) => {
+                const { changes } = await run('DELETE FROM featured_fanclubs WHERE fanclub_id = ?', [fanclubId]);
+                return changes > 0;
+            }
+        },
+
+        memberships: {
+            // 解約済みを除くメンバー一覧（ニックネームで絞り込み）
+            // total（絞り込み後の人数）は最初のページでのみ数える
+            listMembers: async (fanclubId, { q, sort, after, limit }) => {
+                let where = "WHERE m.fanclub_id = ? AND m.status != 'canceled'";
+                const params = [fanclubId];
+                if (q) {
+                    where += " AND u.nickname LIKE ? ESCAPE '\\'";
+                    params.push(`%${escapeLike(q)}%`);
+                }
+
+                const total = after
+                    ? null
+                    : (await get(`SELECT COUNT(*) as total FROM memberships m JOIN users u ON m.user_id = u.id ${where}`, params)).total;
+
+                const { column, ascending } = MEMBER_SORTS[sort];
+                const [condition, afterParams] = afterCondition(column, 'm.user_id', after, ascending);
+                const direction = ascending ? 'ASC' : 'DESC';
+                const members = await all(
+                    `SELECT m.user_id, m.is_owner, m.joined_at, m.next_payment_date, m.status, u.nickname, u.avatar_url,
+                        t.name as tier_name
+                    FROM memberships m
+                    JOIN users u ON m.user_id = u.id
+                    LEFT JOIN fanclub_tiers t ON m.tier_id = t.id
+                    ${where} AND ${condition}
+                    ORDER BY ${column} ${direction}, m.user_id ${direction}
+                    LIMIT ?`,
+                    [...params, ...afterParams, limit]
+                );
+                return { members: members.map(member => toBooleans(member, ['is_owner'])), total };
+            },
+
+            // メンバーシップを削除してメンバー数を更新（オーナーは削除できない）
+            // 解約済みのメンバーシップは既にメンバー数から除かれている
+            remove: (fanclubId, userId) => transaction(async () => {
+                const membership = await get(
+                    'SELECT id, status FROM memberships WHERE user_id = ? AND fanclub_id = ? AND is_owner = FALSE',
+                    [userId, fanclubId]
+                );
+                if (!membership) {
+                    return false;
+                }
+
+                await run('DELETE FROM memberships WHERE id = ?', [membership.id]);
+                if (membership.status !== 'canceled') {
+                    await run('UPDATE fanclubs SET member_count = member_count - 1 WHERE id = ?', [fanclubId]);
+                }
+                return true;
+            }),
+
+            // 参加に必要な情報（月会費、選択したプランの料金、既存のメンバーシップ、BAN状態）
+            // ファンクラブが存在しない場合は null
+            getJoinStatus: async (fanclubId, userId, tierId) => {
+                const status = await get(
+                    `SELECT f.monthly_fee,
+                        (SELECT COUNT(*) FROM fanclub_tiers WHERE fanclub_id = f.id) as tier_count,
+                        (SELECT monthly_fee FROM fanclub_tiers WHERE id = ? AND fanclub_id = f.id) as tier_fee,
+                        (SELECT status FROM memberships WHERE user_id = ? AND fanclub_id = f.id) as membership_status,
+                        EXISTS (SELECT 1 FROM fanclub_bans WHERE user_id = ? AND fanclub_id = f.id) as is_banned
+                    FROM fanclubs f
+                    WHERE f.id = ?`,
+                    [tierId, userId, userId, fanclubId]
+                );
+                return toBooleans(status, ['is_banned']);
+            },
+
+            // メンバーシップを作成（解約済みなら再開）し、決済済みの請求書とメンバー数をまとめて更新
+            activate: ({ userId, fanclubId, tierId, amount, periodStart, periodEnd, payment }) => transaction(async () => {
+                const { changes } = await run(
+                    `INSERT INTO memberships (user_id, fanclub_id, next_payment_date, monthly_fee, tier_id) VALUES (?, ?, ?, ?, ?)
+                    ON CONFLICT(user_id, fanclub_id) DO UPDATE SET
+                        status = 'active', canceled_at = NULL, joined_at = CURRENT_TIMESTAMP, last_visited_at = NULL,
+                        next_payment_date = excluded.next_payment_date, monthly_fee = excluded.monthly_fee,
+                        pending_monthly_fee = NULL, tier_id = excluded.tier_id, pending_tier_id = NULL
+                    WHERE memberships.status = 'canceled'`,
+                    [userId, fanclubId, periodEnd.toISOString(), amount, tierId]
+                );
+                if (changes === 0) {
+                    throw new Error('Membership already exists');
+                }
+
+                if (payment) {
+                    await insertPaidInvoice({ userId, fanclubId, tierId, amount, periodStart, periodEnd, payment });
+                }
+                await run('UPDATE fanclubs SET member_count = member_count + 1 WHERE id = ?', [fanclubId]);
+            }),
+
+            // 自分のメンバーシップ（解約済みを除く）
+            findOwn: async (fanclubId, userId) => toBooleans(await get(
+                `SELECT m.id, m.status, m.is_owner, m.joined_at, m.next_payment_date, m.monthly_fee, m.pending_monthly_fee,
+                    m.tier_id, m.pending_tier_id, t.name as tier_name, pt.name as pending_tier_name
+                FROM memberships m
+                LEFT JOIN fanclub_tiers t ON m.tier_id = t.id
+                LEFT JOIN fanclub_tiers pt ON m.pending_tier_id = pt.id
+                WHERE m.user_id = ? AND m.fanclub_id = ? AND m.status != 'canceled'`,
+                [userId, fanclubId]
+            ), ['is_owner']),
+
+            // 次回支払日から切り替えるプランと料金（tierId が null なら予約の取り消し）
+            setPendingTier: async (id, { tierId, monthlyFee }) => {
+                await run('UPDATE memberships SET pending_tier_id = ?, pending_monthly_fee = ? WHERE id = ?', [tierId, monthlyFee, id]);
+            },
+
+            // 上位プランへ即時に切り替え、今期の差額分の請求書・決済記録をまとめて作成
+            upgradeTier: ({ membership, userId, fanclubId, tier, amount, payment }) => transaction(async () => {
+                await run(
+                    `UPDATE memberships SET tier_id = ?, monthly_fee = ?, pending_tier_id = NULL, pending_monthly_fee = NULL
+                    WHERE id = ?`,
+                    [tier.id, tier.monthly_fee, membership.id]
+                );
+                if (payment) {
+                    await insertPaidInvoice({
+                        userId,
+                        fanclubId,
+                        tierId: tier.id,
+                        amount,
+                        periodStart: new Date(),
+                        periodEnd: new Date(membership.next_payment_date),
+                        payment
+                    });
+                }
+            }),
+
+            recordVisit: async (fanclubId, userId) => {
+                const { changes } = await run(
+                    'UPDATE memberships SET last_visited_at = CURRENT_TIMESTAMP WHERE user_id = ? AND fanclub_id = ?',
+                    [userId, fanclubId]
+                );
+                return changes > 0;
+            },
+
+            // 参加中のファンクラブ一覧（前回訪問以降の未読投稿数つき）
+            listForUser: async (userId, { after, limit }) => {
+                const [condition, params] = afterCondition('m.joined_at', 'f.id', after);
+                const memberships = await all(
+                    `SELECT f.*, u.nickname as owner_name,
+                        m.joined_at, m.next_payment_date, m.is_owner, m.status as membership_status,
+                        t.name as tier_name,
+                        (
+                            SELECT COUNT(*) FROM posts p
+                            WHERE p.fanclub_id = f.id
+                                AND p.author_id != m.user_id
+                                AND ${PUBLISHED_POST}
+                                AND p.published_at > COALESCE(m.last_visited_at, m.joined_at)
+                        ) as unread_count
+                    FROM memberships m
+                    JOIN fanclubs f ON m.fanclub_id = f.id
+                    JOIN users u ON f.owner_id = u.id
+                    LEFT JOIN fanclub_tiers t ON m.tier_id = t.id
+                    WHERE m.user_id = ? AND m.status != 'canceled' AND ${condition}
+                    ORDER BY m.joined_at DESC, f.id DESC
+                    LIMIT ?`,
+                    [userId, ...params, limit]
+                );
+                return memberships.map(membership => toBooleans(membership, ['is_owner']));
+            }
+        },
+
+        bans: {
+            list: (fanclubId, { after, limit }) => {
+                const [condition, params] = afterCondition('b.created_at', 'b.user_id', after);
+                return all(
+                    `SELECT b.user_id, b.reason, b.created_at, u.nickname, u.avatar_url
+                    FROM fanclub_bans b
+                    JOIN users u ON b.user_id = u.id
+                    WHERE b.fanclub_id = ? AND ${condition}
+                    ORDER BY b.created_at DESC, b.user_id DESC
+                    LIMIT ?`,
+                    [fanclubId, ...params, limit]
+                );
+            },
+
+            add: async ({ fanclubId, userId, bannedBy, reason }) => {
+                await run(
+                    'INSERT OR REPLACE INTO fanclub_bans (fanclub_id, user_id, banned_by, reason) VALUES (?, ?, ?, ?)',
+                    [fanclubId, userId, bannedBy, reason]
+                );
+            },
+
+            remove: async (fanclubId, userId) => {
+                const { changes } = await run('DELETE FROM fanclub_bans WHERE fanclub_id = ? AND user_id = ?', [fanclubId, userId]);
+                return changes > 0;
+            }
+        },
+
+        tiers: {
+            // 解約済みを除くメンバー数つき
+            list: (fanclubId) => all(
+                `SELECT t.*,
+                    (SELECT COUNT(*) FROM memberships m WHERE m.tier_id = t.id AND m.status != 'canceled') as member_count
+                FROM fanclub_tiers t
+                WHERE t.fanclub_id = ?
+                ORDER BY t.monthly_fee ASC, t.id ASC`,
+                [fanclubId]
+            ),
+
+            count: async (fanclubId) => {
+                const { count } = await get('SELECT COUNT(*) as count FROM fanclub_tiers WHERE fanclub_id = ?', [fanclubId]);
+                return count;
+            },
+
+            find: (fanclubId, id) => get('SELECT * FROM fanclub_tiers WHERE id = ? AND fanclub_id = ?', [id, fanclubId]),
+
+            create: (fanclubId, { name, description, monthly_fee }) => transaction(async () => {
+                const { lastID } = await run(
+                    'INSERT INTO fanclub_tiers (fanclub_id, name, description, monthly_fee) VALUES (?, ?, ?, ?)',
+                    [fanclubId, name, description, monthly_fee]
+                );
+                await run(SYNC_FANCLUB_FEE_SQL, [fanclubId, fanclubId]);
+                return get('SELECT * FROM fanclub_tiers WHERE id = ?', [lastID]);
+            }),
+
+            // 料金を変更した場合、既存メンバーは現在の料金のまま次回支払日から新しい料金を適用する
+            // （このプランへの変更を予約中のメンバーも新しい料金で切り替わる）
+            update: async (current, { name, description, monthly_fee }) => {
+                const statements = [updateColumns('fanclub_tiers', current.id, { name, description, monthly_fee })];
+                if (monthly_fee !== current.monthly_fee) {
+                    statements.push(
+                        [
+                            `UPDATE memberships
+                            SET pending_monthly_fee = CASE WHEN monthly_fee = ? THEN NULL ELSE ? END
+                            WHERE tier_id = ? AND pending_tier_id IS NULL`,
+                            [monthly_fee, monthly_fee, current.id]
+                        ],
+                        ['UPDATE memberships SET pending_monthly_fee = ? WHERE pending_tier_id = ?', [monthly_fee, current.id]],
+                        [SYNC_FANCLUB_FEE_SQL, [current.fanclub_id, current.fanclub_id]]
+                    );
+                }
+                await runInTransaction(statements);
+                return get('SELECT * FROM fanclub_tiers WHERE id = ?', [current.id]);
+            },
+
+            // 参加中（変更予約中を含む）のメンバーと、閲覧条件にしている投稿があるか
+            getUsage: async (id) => toBooleans(await get(
+                `SELECT
+                    EXISTS (
+                        SELECT 1 FROM memberships
+                        WHERE (tier_id = ? OR pending_tier_id = ?) AND status != 'canceled'
+                    ) as has_members,
+                    EXISTS (SELECT 1 FROM posts WHERE min_tier_id = ?) as has_posts`,
+                [id, id, id]
+            ), ['has_members', 'has_posts']),
+
+            // 解約済みメンバーシップと請求書からはプランを外す
+            delete: async (fanclubId, id) => {
+                await runInTransaction([
+                    ["UPDATE memberships SET tier_id = NULL WHERE tier_id = ? AND status = 'canceled'", [id]],
+                    ['UPDATE invoices SET tier_id = NULL WHERE tier_id = ?', [id]],
+                    ['DELETE FROM fanclub_tiers WHERE id = ?', [id]],
+                    [SYNC_FANCLUB_FEE_SQL, [fanclubId, fanclubId]]
+                ]);
+            }
+        },
+        posts: {
+            // 読者に表示する投稿の一覧（liked: いいね済み、can_view: 本文を閲覧できるか）
+            listPublished: async (fanclubId, viewerId, { after, limit }) => {
+                const [condition, params] = afterCondition('p.published_at', 'p.id', after);
+                const posts = await all(
+                    `${POST_SELECT_SQL}
+                    WHERE p.fanclub_id = ? AND ${PUBLISHED_POST} AND ${condition}
+                    ORDER BY p.published_at DESC, p.id DESC
+                    LIMIT ?`,
+                    [viewerId, viewerId, fanclubId, ...params, limit]
+                );
+                return posts.map(post => toBooleans(post, ['liked', 'can_view']));
+            },
+
+            // 下書きと公開予約中の投稿はファンクラブのオーナーにのみ返す
+            findForViewer: async (id, viewerId) => toBooleans(await get(
+                `${POST_SELECT_SQL} WHERE p.id = ? AND (${PUBLISHED_POST} OR f.owner_id = ?)`,
+                [viewerId, viewerId, id, viewerId]
+            ), ['liked', 'can_view']),
+
+            // オーナー用の投稿一覧（下書き・公開予約中の投稿を含む）
+            listForOwner: (fanclubId, { after, limit }) => {
+                const [condition, params] = afterCondition('p.published_at', 'p.id', after);
+                return all(
+                    `SELECT p.id, p.fanclub_id, p.title, p.excerpt, p.visibility, p.min_tier_id, p.status, p.published_at,
+                        p.like_count, p.comment_count, p.created_at, p.updated_at,
+                        pt.name as min_tier_name,
+                        CASE
+                            WHEN p.status = 'draft' THEN 'draft'
+                            WHEN p.published_at > CURRENT_TIMESTAMP THEN 'scheduled'
+                            ELSE 'published'
+                        END as state
+                    FROM posts p
+                    LEFT JOIN fanclub_tiers pt ON p.min_tier_id = pt.id
+                    WHERE p.fanclub_id = ? AND ${condition}
+                    ORDER BY p.published_at DESC, p.id DESC
+                    LIMIT ?`,
+                    [fanclubId, ...params, limit]
+                );
+            },
+
+            // 投稿とそのファンクラブのオーナー
+            findWithOwner: (id) => get(
+                `SELECT p.*, f.owner_id as fanclub_owner_id
+                FROM posts p
+                JOIN fanclubs f ON p.fanclub_id = f.id
+                WHERE p.id = ?`,
+                [id]
+            ),
+
+            // ユーザーが閲覧できる公開済みの投稿（メンバー限定投稿は MEMBER_POST_ACCESS を満たすメンバーのみ）
+            findAccessible: (id, userId) => get(
+                `SELECT p.id, p.fanclub_id, f.owner_id as fanclub_owner_id
+                FROM posts p
+                JOIN fanclubs f ON p.fanclub_id = f.id
+                WHERE p.id = ? AND ${PUBLISHED_POST} AND (p.visibility = 'public' OR ${MEMBER_POST_ACCESS})`,
+                [id, userId]
+            ),
+
+            listImageUrls: async (fanclubId) => {
+                const posts = await all(
+                    'SELECT featured_image_url FROM posts WHERE fanclub_id = ? AND featured_image_url IS NOT NULL',
+                    [fanclubId]
+                );
+                return posts.map(post => post.featured_image_url);
+            },
+
+            create: async ({ fanclubId, authorId, title, content, excerpt, featured_image_url, visibility, min_tier_id, status, published_at }) => {
+                const { lastID } = await run(
+                    `INSERT INTO posts (fanclub_id, author_id, title, content, excerpt, featured_image_url, visibility, min_tier_id, status, published_at)
+                    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [
+                        fanclubId, authorId, title, content, excerpt, featured_image_url, visibility, min_tier_id,
+                        status, toDbDateTime(published_at)
+                    ]
+                );
+                return lastID;
+            },
+
+            // 値が undefined の項目（公開日時など）は変更しない
+            update: async (id, { title, content, excerpt, featured_image_url, visibility, min_tier_id, status, published_at }) => {
+                await run(...updateColumns('posts', id, {
+                    title, content, excerpt, featured_image_url, visibility, min_tier_id, status, published_at
+                }));
+            },
+
+            // SQLiteでは外部キーのカスケードが無効なため関連データを明示的に削除する
+            delete: async (id) => {
+                await runInTransaction([
+                    ['DELETE FROM likes WHERE post_id = ?', [id]],
+                    ['DELETE FROM comments WHERE post_id = ?', [id]],
+                    ['DELETE FROM notifications WHERE post_id = ?', [id]],
+                    ['DELETE FROM posts WHERE id = ?', [id]]
+                ]);
+            },
+
+            // いいねしていいね数を返す（UNIQUE(user_id, post_id) により連打しても1件しか登録されない）
+            like: (id, userId) => transaction(async () => {
+                const { changes } = await run('INSERT OR IGNORE INTO likes (user_id, post_id) VALUES (?, ?)', [userId, id]);
+                if (changes > 0) {
+                    await run('UPDATE posts SET like_count = like_count + 1 WHERE id = ?', [id]);
+                }
+                const post = await get('SELECT like_count FROM posts WHERE id = ?', [id]);
+                return post ? post.like_count : null;
+            }),
+
+            // いいねを取り消していいね数を返す（投稿が存在しない場合は null）
+            unlike: (id, userId) => transaction(async () => {
+                const { changes } = await run('DELETE FROM likes WHERE user_id = ? AND post_id = ?', [userId, id]);
+                if (changes > 0) {
+                    await run('UPDATE posts SET like_count = MAX(like_count - 1, 0) WHERE id = ?', [id]);
+                }
+                const post = await get('SELECT like_count FROM posts WHERE id = ?', [id]);
+                return post ? post.like_count : null;
+            })
+        },
+
+        comments: {
+            // includeHidden が false なら非表示のコメントを除く
+            list: async (postId, { includeHidden }) => {
+                const comments = await all(
+                    `SELECT c.*, u.nickname as author_name, u.avatar_url as author_avatar
+                    FROM comments c
+                    JOIN users u ON c.author_id = u.id
+                    WHERE c.post_id = ? ${includeHidden ? '' : 'AND c.is_hidden = FALSE'}
+                    ORDER BY c.created_at ASC`,
+                    [postId]
+                );
+                return comments.map(comment => toBooleans(comment, ['is_hidden']));
+            },
+
+            // コメントとその投稿のファンクラブオーナー
+            find: async (postId, id) => toBooleans(await get(
+                `SELECT c.*, f.owner_id as fanclub_owner_id
+                FROM comments c
+                JOIN posts p ON c.post_id = p.id
+                JOIN fanclubs f ON p.fanclub_id = f.id
+                WHERE c.id = ? AND c.post_id = ?`,
+                [id, postId]
+            ), ['is_hidden']),
+
+            // 作成したコメントのIDと投稿のコメント数を返す
+            create: ({ postId, authorId, parentId, content }) => transaction(async () => {
+                const { lastID } = await run(
+                    'INSERT INTO comments (post_id, author_id, parent_id, content) VALUES (?, ?, ?, ?)',
+                    [postId, authorId, parentId, content]
+                );
+                return { id: lastID, comment_count: await syncCommentCount(postId) };
+            }),
+
+            // 投稿者本人のコメントのみ更新できる
+            update: async (postId, id, authorId, content) => {
+                const { changes } = await run(
+                    'UPDATE comments SET content = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND post_id = ? AND author_id = ?',
+                    [content, id, postId, authorId]
+                );
+                return changes > 0;
+            },
+
+            // 返信もまとめて削除し、投稿のコメント数を返す
+            delete: (postId, id) => transaction(async () => {
+                await run('DELETE FROM comments WHERE id = ? OR parent_id = ?', [id, id]);
+                return syncCommentCount(postId);
+            }),
+
+            // 非表示・再表示を切り替え、投稿のコメント数を返す
+            setHidden: (postId, id, isHidden) => transaction(async () => {
+                await run(
+                    'UPDATE comments SET is_hidden = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND post_id = ?',
+                    [isHidden, id, postId]
+                );
+                return syncCommentCount(postId);
+            })
+        },
+
+        invoices: {
+            listForUser: (userId, { after, limit }) => {
+                const [condition, params] = afterCondition('i.period_start', 'i.id', after);
+                return all(
+                    `SELECT i.id, i.fanclub_id, i.amount, i.period_start, i.period_end, i.status, i.attempts, i.paid_at, i.created_at,
+                        f.name as fanclub_name
+                    FROM invoices i
+                    JOIN fanclubs f ON i.fanclub_id = f.id
+                    WHERE i.user_id = ? AND ${condition}
+                    ORDER BY i.period_start DESC, i.id DESC
+                    LIMIT ?`,
+                    [userId, ...params, limit]
+                );
+            }
+        },
+
+        notifications: {
+            // 表示時刻を迎えた通知の一覧（unreadOnly なら未読のみ）
+            list: (userId, { unreadOnly, after, limit }) => {
+                const [condition, params] = afterCondition('created_at', 'id', after);
+                return all(
+                    `SELECT id, type, fanclub_id, post_id, message, read_at, created_at
+                    FROM notifications
+                    WHERE user_id = ? AND created_at <= CURRENT_TIMESTAMP ${unreadOnly ? 'AND read_at IS NULL' : ''} AND ${condition}
+                    ORDER BY created_at DESC, id DESC
+                    LIMIT ?`,
+                    [userId, ...params, limit]
+                );
+            },
+
+            countUnread: async (userId) => {
+                const { count } = await get(
+                    'SELECT COUNT(*) as count FROM notifications WHERE user_id = ? AND read_at IS NULL AND created_at <= CURRENT_TIMESTAMP',
+                    [userId]
+                );
+                return count;
+            },
+
+            create: async ({ userId, type, fanclubId = null, postId = null, message }) => {
+                await run(
+                    'INSERT INTO notifications (user_id, type, fanclub_id, post_id, message) VALUES (?, ?, ?, ?, ?)',
+                    [userId, type, fanclubId, postId, message]
+                );
+            },
+
+            // オーナーと解約済みを除くメンバー全員に新しい投稿の通知を作成し、作成した数を返す
+            // createdAt は投稿の公開日時（公開予約ならその日時まで表示されない）
+            notifyMembers: async ({ fanclubId, postId, message, createdAt }) => {
+                const { changes } = await run(
+                    `INSERT INTO notifications (user_id, type, fanclub_id, post_id, message, created_at)
+                    SELECT user_id, 'new_post', fanclub_id, ?, ?, ?
+                    FROM memberships
+                    WHERE fanclub_id = ? AND is_owner = FALSE AND status != 'canceled'`,
+                    [postId, message, toDbDateTime(createdAt), fanclubId]
+                );
+                return changes;
+            },
+
+            // 投稿の通知を削除する（公開予約の変更・下書きへの戻しで通知を作り直す）
+            deleteForPost: async (postId) => {
+                await run("DELETE FROM notifications WHERE post_id = ? AND type = 'new_post'", [postId]);
+            },
+
+            markRead: async (userId, id) => {
+                const { changes } = await run(
+                    'UPDATE notifications SET read_at = COALESCE(read_at, CURRENT_TIMESTAMP) WHERE id = ? AND user_id = ?',
+                    [id, userId]
+                );
+                return changes > 0;
+            },
+
+            // 表示中の未読の通知をすべて既読にし、既読にした数を返す
+            markAllRead: async (userId) => {
+                const { changes } = await run(
+                    'UPDATE notifications SET read_at = CURRENT_TIMESTAMP WHERE user_id = ? AND read_at IS NULL AND created_at <= CURRENT_TIMESTAMP',
+                    [userId]
+                );
+                return changes;
+            }
+        },
+
+        reminderSettings: {
+            // 設定が無い場合は null
+            get: async (userId) => toBooleans(await get(
+                'SELECT email_enabled, days_before FROM reminder_settings WHERE user_id = ?',
+                [userId]
+            ), ['email_enabled']),
+
+            save: async (userId, { email_enabled, days_before }) => {
+                await run(
+                    `INSERT INTO reminder_settings (user_id, email_enabled, days_before) VALUES (?, ?, ?)
+                    ON CONFLICT(user_id) DO UPDATE SET
+                        email_enabled = excluded.email_enabled,
+                        days_before = excluded.days_before,
+                        updated_at = CURRENT_TIMESTAMP`,
+                    [userId, email_enabled, days_before]
+                );
+            }
+        },
+
+        billing: {
+            // 支払日を迎えた無料メンバーシップは請求せずに次回支払日だけ進め、
+            // 有料メンバーシップの請求書を作成する（変更予定の月会費・プランがあれば適用）。作成した請求書の数を返す
+            openRenewalInvoices: async () => {
+                await run(
+                    `UPDATE memberships SET
+                        next_payment_date = strftime('%Y-%m-%dT%H:%M:%fZ', next_payment_date, '+1 month'),
+                        monthly_fee = COALESCE(pending_monthly_fee, monthly_fee),
+                        pending_monthly_fee = NULL,
+                        tier_id = COALESCE(pending_tier_id, tier_id),
+                        pending_tier_id = NULL
+                    WHERE is_owner = FALSE
+                        AND status = 'active'
+                        AND julianday(next_payment_date) <= julianday('now')
+                        AND COALESCE(pending_monthly_fee, monthly_fee,
+                            (SELECT monthly_fee FROM fanclubs WHERE id = memberships.fanclub_id)) = 0`
+                );
+
+                const { changes } = await run(
+                    `INSERT OR IGNORE INTO invoices (membership_id, user_id, fanclub_id, tier_id, amount, period_start, period_end, next_attempt_at)
+                    SELECT m.id, m.user_id, m.fanclub_id, COALESCE(m.pending_tier_id, m.tier_id),
+                        ${RENEWAL_FEE}, m.next_payment_date, ${NEXT_PERIOD}, CURRENT_TIMESTAMP
+                    FROM memberships m
+                    JOIN fanclubs f ON m.fanclub_id = f.id
+                    WHERE m.is_owner = FALSE
+                        AND m.status = 'active'
+                        AND julianday(m.next_payment_date) <= julianday('now')
+                        AND ${RENEWAL_FEE} > 0`
+                );
+                return changes;
+            },
+
+            // 決済日を迎えた未払いの請求書
+            listDueInvoices: () => all(
+                `SELECT i.* FROM invoices i
+                JOIN memberships m ON i.membership_id = m.id
+                WHERE i.status = 'open'
+                    AND m.status IN ('active', 'past_due')
+                    AND julianday(i.next_attempt_at) <= julianday('now')
+                ORDER BY i.period_start ASC`
+            ),
+
+            // 決済結果を請求書・メンバーシップに反映
+            // 成功: 請求書を支払い済みにし、メンバーシップの次回支払日を進める（請求書のプランに切り替える）
+            // 失敗: メンバーシップを past_due にして翌日に再試行。maxAttempts 回失敗したら canceled にする
+            settleInvoice: async (invoice, { provider, paymentId, succeeded, failureReason, maxAttempts }) => {
+                const statements = [[
+                    'INSERT INTO payments (invoice_id, provider, provider_payment_id, amount, status, failure_reason) VALUES (?, ?, ?, ?, ?, ?)',
+                    [invoice.id, provider, paymentId, invoice.amount, succeeded ? 'succeeded' : 'failed', failureReason]
+                ]];
+
+                if (succeeded) {
+                    statements.push(
+                        [
+                            `UPDATE invoices SET status = 'paid', attempts = attempts + 1, next_attempt_at = NULL,
+                                paid_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+                            WHERE id = ?`,
+                            [invoice.id]
+                        ],
+                        [
+                            `UPDATE memberships SET status = 'active', next_payment_date = ?, monthly_fee = ?, tier_id = ?,
+                                pending_monthly_fee = CASE WHEN pending_monthly_fee = ? THEN NULL ELSE pending_monthly_fee END,
+                                pending_tier_id = CASE WHEN pending_tier_id = ? THEN NULL ELSE pending_tier_id END
+                            WHERE id = ?`,
+                            [invoice.period_end, invoice.amount, invoice.tier_id, invoice.amount, invoice.tier_id, invoice.membership_id]
+                        ]
+                    );
+                } else if (invoice.attempts + 1 < maxAttempts) {
+                    statements.push(
+                        [
+                            `UPDATE invoices SET attempts = attempts + 1, next_attempt_at = datetime('now', '+1 day'),
+                                updated_at = CURRENT_TIMESTAMP
+                            WHERE id = ?`,
+                            [invoice.id]
+                        ],
+                        ["UPDATE memberships SET status = 'past_due' WHERE id = ?", [invoice.membership_id]]
+                    );
+                } else {
+                    statements.push(
+                        [
+                            `UPDATE invoices SET status = 'uncollectible', attempts = attempts + 1, next_attempt_at = NULL,
+                                updated_at = CURRENT_TIMESTAMP
+                            WHERE id = ?`,
+                            [invoice.id]
+                        ],
+                        ["UPDATE memberships SET status = 'canceled', canceled_at = CURRENT_TIMESTAMP WHERE id = ?", [invoice.membership_id]],
+                        ['UPDATE fanclubs SET member_count = member_count - 1 WHERE id = ?', [invoice.fanclub_id]]
+                    );
+                }
+
+                await runInTransaction(statements);
+            },
+
+            // days_before 以内に支払い予定日が来るメンバーシップをキューに登録し、登録した数を返す
+            // （オーナーと無料メンバーシップは対象外。設定が無いユーザーは既定値で扱う）
+            queuePaymentReminders: async () => {
+                const { changes } = await run(
+                    `INSERT OR IGNORE INTO payment_reminders (membership_id, user_id, fanclub_id, payment_date, amount)
+                    SELECT m.id, m.user_id, m.fanclub_id, m.next_payment_date,
+                        COALESCE(m.pending_monthly_fee, m.monthly_fee, f.monthly_fee)
+                    FROM memberships m
+                    JOIN fanclubs f ON m.fanclub_id = f.id
+                    LEFT JOIN reminder_settings r ON r.user_id = m.user_id
+                    WHERE m.is_owner = FALSE
+                        AND m.status = 'active'
+                        AND m.next_payment_date IS NOT NULL
+                        AND COALESCE(r.email_enabled, TRUE) = TRUE
+                        AND COALESCE(m.pending_monthly_fee, m.monthly_fee, f.monthly_fee) > 0
+                        AND julianday(m.next_payment_date) > julianday('now')
+                        AND julianday(m.next_payment_date) <= julianday('now', '+' || COALESCE(r.days_before, 3) || ' days')`
+                );
+                return changes;
+            },
+
+            // 未送信・送信失敗のリマインダー（宛先のユーザーとファンクラブ名つき）
+            listPendingReminders: (maxAttempts) => all(
+                `SELECT pr.*, u.email, u.nickname, f.name as fanclub_name
+                FROM payment_reminders pr
+                JOIN users u ON pr.user_id = u.id
+                JOIN fanclubs f ON pr.fanclub_id = f.id
+                WHERE pr.status IN ('pending', 'failed') AND pr.attempts < ?
+                ORDER BY pr.payment_date ASC`,
+                [maxAttempts]
+            ),
+
+            markReminderSent: async (reminder) => {
+                await run(
+                    "UPDATE payment_reminders SET status = 'sent', attempts = attempts + 1, last_error = NULL, sent_at = CURRENT_TIMESTAMP WHERE id = ?",
+                    [reminder.id]
+                );
+            },
+
+            markReminderFailed: async (reminder, message) => {
+                await run(
+                    "UPDATE payment_reminders SET status = 'failed', attempts = attempts + 1, last_error = ? WHERE id = ?",
+                    [message, reminder.id]
+                );
+            }
+        }
+    };
+};
+
+module.exports = { createSqliteRepository };
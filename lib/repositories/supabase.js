@@ -0,0 +1,1127 @@
+const { createClient } = require('@supabase/supabase-js');
+const { duplicateError } = require('./errors');
+
+// Supabase（PostgreSQL）リポジトリ（本番用）
+// SUPABASE_URL と SUPABASE_SERVICE_ROLE_KEY が必要。スキーマとRPCは migrations/postgres
+// 複数のテーブルをまとめて更新する処理はRPC（PostgreSQLの関数）で1トランザクションにする
+// memberships はテーブルを直接変更できないため、変更はすべてRPCで行う
+
+const MEMBER_SORTS = {
+    joined_desc: { column: 'joined_at', ascending: false },
+    joined_asc: { column: 'joined_at', ascending: true }
+};
+
+const FANCLUB_SELECT = `
+    *,
+    users!fanclubs_owner_id_fkey(nickname),
+    categories(name),
+    fanclub_tags(tag)
+`;
+
+// ランキングの集計列（ランキングにないファンクラブは null）
+const RANKING_COLUMNS = 'score, recent_joins, recent_posts, recent_likes, computed_at';
+const EMPTY_RANKING = { score: null, recent_joins: null, recent_posts: null, recent_likes: null, computed_at: null };
+
+const POST_SELECT = `
+    *,
+    users!posts_author_id_fkey(nickname, avatar_url),
+    fanclubs(name, owner_id),
+    min_tier:fanclub_tiers(name, monthly_fee)
+`;
+
+// ilike検索用に % と _ をエスケープ
+const escapeLike = (value) => value.replace(/[\\%_]/g, (char) => '\\' + char);
+
+// キーセットページネーション（column, idColumn の順に降順、ascending なら昇順）
+// after（前のページの最後の項目の並び替えキーとID）は app.js で形式を検証済みのものをフィルターに埋め込む
+const paginate = (query, { column, idColumn = 'id', ascending = false, after, limit }) => {
+    if (after) {
+        const op = ascending ? 'gt' : 'lt';
+        const value = `"${after.value}"`;
+        query = query.or(`${column}.${op}.${value},and(${column}.eq.${value},${idColumn}.${op}.${after.id})`);
+    }
+    return query
+        .order(column, { ascending })
+        .order(idColumn, { ascending })
+        .limit(limit);
+};
+
+// 結果のデータを返し、エラーは例外として投げる
+// UUIDとして不正な形式のIDは見つからないものとして扱う（empty を返す）
+const unwrap = ({ data, error }, empty = null) => {
+    if (!error) {
+        return data;
+    }
+    if (error.code === '22P02') {
+        return empty;
+    }
+    throw error.code === '23505' ? duplicateError(error) : error;
+};
+
+// オーナーのニックネーム、カテゴリー名、タグの配列を SQLite リポジトリと同じ形にする
+const formatFanclub = ({ users, categories, fanclub_tags, ...fanclub }) => ({
+    ...fanclub,
+    owner_name: users.nickname,
+    category_name: categories ? categories.name : null,
+    tags: (fanclub_tags || []).map(({ tag }) => tag).sort()
+});
+
+// 1対1の埋め込み（PostgREST のバージョンによっては配列で返る）
+const embeddedOne = (value) => (Array.isArray(value) ? value[0] || null : value);
+
+// 読者に表示する投稿か（下書きと公開予約中の投稿を除く）
+const isPublished = (post) => post.status === 'published' && new Date(post.published_at) <= new Date();
+
+// 投稿の閲覧可否（メンバー限定投稿は支払いが有効なメンバーのみ）
+// 最低プランが指定されている場合はそのプランの料金以上のプランが必要（オーナーは常に閲覧可）
+const canViewPost = (post, membership) => {
+    if (post.visibility === 'public') {
+        return true;
+    }
+    if (!membership) {
+        return false;
+    }
+    if (membership.is_owner || !post.min_tier) {
+        return true;
+    }
+    return Boolean(membership.tier) && membership.tier.monthly_fee >= post.min_tier.monthly_fee;
+};
+
+const createSupabaseRepository = () => {
+    const { SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY } = process.env;
+    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+        console.error('Required environment variables are missing');
+        console.error('SUPABASE_URL:', SUPABASE_URL ? 'Set' : 'Missing');
+        console.error('SUPABASE_SERVICE_ROLE_KEY:', SUPABASE_SERVICE_ROLE_KEY ? 'Set' : 'Missing');
+        throw new Error('Supabase is not configured');
+    }
+
+    // service_role キーは RLS の対象外。サーバー内でのみ使い、ブラウザには渡さない
+    const supabase = createClient(SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, {
+        auth: { persistSession: false, autoRefreshToken: false }
+    });
+
+    const rpc = async (name, params) => unwrap(await supabase.rpc(name, params));
+
+    // 支払いが有効なメンバーシップとプランの料金
+    const getActiveMembership = async (userId, fanclubId) => {
+        if (!userId) {
+            return null;
+        }
+        return unwrap(await supabase
+            .from('memberships')
+            .select('is_owner, tier:fanclub_tiers!memberships_tier_id_fkey(monthly_fee)')
+            .eq('user_id', userId)
+            .eq('fanclub_id', fanclubId)
+            .eq('status', 'active')
+            .maybeSingle());
+    };
+
+    // ユーザーがいいね済みの投稿ID
+    const getLikedPostIds = async (userId, postIds) => {
+        if (!userId || postIds.length === 0) {
+            return new Set();
+        }
+        const likes = unwrap(await supabase
+            .from('likes')
+            .select('post_id')
+            .eq('user_id', userId)
+            .in('post_id', postIds), []);
+        return new Set(likes.map(like => like.post_id));
+    };
+
+    // SQLite版と同じ形（作成者・ファンクラブ名・最低プランを平らにし、liked と can_view をつける）にそろえる
+    const formatPost = (post, membership, likedPostIds) => {
+        const { users, fanclubs, min_tier, ...rest } = post;
+        return {
+            ...rest,
+            author_name: users.nickname,
+            author_avatar: users.avatar_url,
+            fanclub_name: fanclubs.name,
+            min_tier_name: min_tier ? min_tier.name : null,
+            min_tier_fee: min_tier ? min_tier.monthly_fee : null,
+            liked: likedPostIds.has(post.id),
+            can_view: canViewPost(post, membership)
+        };
+    };
+
+    const syncFanclubFee = (fanclubId) => rpc('sync_fanclub_monthly_fee', { p_fanclub_id: fanclubId });
+
+    const syncCommentCount = (postId) => rpc('sync_comment_count', { p_post_id: postId });
+
+    return {
+        driver: 'supabase',
+        ready: Promise.resolve(),
+        close: async () => {},
+
+        users: {
+            // リマインダー設定のデフォルト値も作成する
+            create: async ({ nickname, email, phone, passwordHash }) => {
+                const user = unwrap(await supabase
+                    .from('users')
+                    .insert([{ nickname, email, phone, password_hash: passwordHash }])
+                    .select('id, nickname, email, phone, email_verified')
+                    .single());
+
+                const { error } = await supabase.from('reminder_settings').insert([{ user_id: user.id }]);
+                if (error) {
+                    // リマインダー設定は必須ではないので続行
+                    console.warn('Reminder settings creation failed:', error);
+                }
+
+                return user;
+            },
+
+            findById: async (id) => unwrap(await supabase.from('users').select('*').eq('id', id).maybeSingle()),
+
+            findByEmail: async (email) => unwrap(await supabase.from('users').select('*').eq('email', email).maybeSingle()),
+
+            // 値が undefined の項目は変更しない。メールアドレスを変更した場合は未確認に戻す
+            updateProfile: async (id, { nickname, email, phone, avatar_url, bio, emailChanged }) => {
+                unwrap(await supabase
+                    .from('users')
+                    .update({ nickname, email, phone, avatar_url, bio, email_verified: emailChanged ? false : undefined })
+                    .eq('id', id));
+            },
+
+            markEmailVerified: async (id) => {
+                unwrap(await supabase
+                    .from('users')
+                    .update({ email_verified: true, email_verified_at: new Date().toISOString() })
+                    .eq('id', id));
+            },
+
+            // パスワードを変更し、未使用の再設定リンクを無効にして keepSessionId 以外のセッションを失効させる
+            changePassword: async (id, passwordHash, keepSessionId = null) => {
+                unwrap(await supabase.from('users').update({ password_hash: passwordHash }).eq('id', id));
+
+                unwrap(await supabase
+                    .from('user_tokens')
+                    .delete()
+                    .eq('user_id', id)
+                    .eq('purpose', 'password_reset')
+                    .is('used_at', null));
+
+                let sessions = supabase
+                    .from('sessions')
+                    .update({ revoked_at: new Date().toISOString() })
+                    .eq('user_id', id)
+                    .is('revoked_at', null);
+                if (keepSessionId) {
+                    sessions = sessions.neq('id', keepSessionId);
+                }
+                unwrap(await sessions);
+            },
+
+            findPublicProfile: async (id) => unwrap(await supabase
+                .from('users')
+                .select('id, nickname, avatar_url, bio, created_at')
+                .eq('id', id)
+                .maybeSingle())
+        },
+
+        sessions: {
+            create: async ({ userId, refreshTokenHash, userAgent, ipAddress, expiresAt }) => {
+                const session = unwrap(await supabase
+                    .from('sessions')
+                    .insert([{
+                        user_id: userId,
+                        refresh_token_hash: refreshTokenHash,
+                        user_agent: userAgent,
+                        ip_address: ipAddress,
+                        expires_at: expiresAt.toISOString()
+                    }])
+                    .select('id')
+                    .single());
+                return session.id;
+            },
+
+            isActive: async (id, userId) => Boolean(unwrap(await supabase
+                .from('sessions')
+                .select('id')
+                .eq('id', id)
+                .eq('user_id', userId)
+                .is('revoked_at', null)
+                .maybeSingle())),
+
+            // 有効なリフレッシュトークンを新しいものに置き換え、セッションとユーザーを返す（無効な場合は null）
+            // 条件付きの1回の UPDATE で置き換えるため、同じトークンで再発行できるのは1回だけ
+            rotate: async (refreshTokenHash, newRefreshTokenHash, expiresAt) => {
+                const session = unwrap(await supabase
+                    .from('sessions')
+                    .update({
+                        refresh_token_hash: newRefreshTokenHash,
+                        expires_at: expiresAt.toISOString(),
+                        last_used_at: new Date().toISOString()
+                    })
+                    .eq('refresh_token_hash', refreshTokenHash)
+                    .is('revoked_at', null)
+                    .gt('expires_at', new Date().toISOString())
+                    .select('id, users(id, email)')
+                    .maybeSingle());
+                return session ? { id: session.id, user: session.users } : null;
+            },
+
+            revokeByRefreshToken: async (refreshTokenHash) => {
+                unwrap(await supabase
+                    .from('sessions')
+                    .update({ revoked_at: new Date().toISOString() })
+                    .eq('refresh_token_hash', refreshTokenHash)
+                    .is('revoked_at', null));
+            },
+
+            listActive: async (userId) => unwrap(await supabase
+                .from('sessions')
+                .select('id, user_agent, ip_address, created_at, last_used_at')
+                .eq('user_id', userId)
+                .is('revoked_at', null)
+                .gt('expires_at', new Date().toISOString())
+                .order('last_used_at', { ascending: false })),
+
+            // keepSessionId 以外のセッションを失効させ、失効させた数を返す
+            revokeOthers: async (userId, keepSessionId) => {
+                const revoked = unwrap(await supabase
+                    .from('sessions')
+                    .update({ revoked_at: new Date().toISOString() })
+                    .eq('user_id', userId)
+                    .neq('id', keepSessionId)
+                    .is('revoked_at', null)
+                    .select('id'));
+                return revoked.length;
+            },
+
+            revoke: async (id, userId) => {
+                const revoked = unwrap(await supabase
+                    .from('sessions')
+                    .update({ revoked_at: new Date().toISOString() })
+                    .eq('id', id)
+                    .eq('user_id', userId)
+                    .is('revoked_at', null)
+                    .select('id'), []);
+                return revoked.length > 0;
+            }
+        },
+
+        userTokens: {
+            // 同じ用途の未使用トークンは無効にする
+            issue: async (userId, purpose, tokenHash, expiresAt) => {
+                unwrap(await supabase
+                    .from('user_tokens')
+                    .delete()
+                    .eq('user_id', userId)
+                    .eq('purpose', purpose)
+                    .is('used_at', null));
+
+                unwrap(await supabase
+                    .from('user_tokens')
+                    .insert([{ user_id: userId, purpose, token_hash: tokenHash, expires_at: expiresAt.toISOString() }]));
+            },
+
+            // トークンを使用済みにしてユーザーIDを返す（無効・期限切れ・使用済みの場合は null）
+            // 条件付きの1回の UPDATE で使用済みにするため、同じトークンを2回使うことはできない
+            consume: async (tokenHash, purpose) => {
+                const token = unwrap(await supabase
+                    .from('user_tokens')
+                    .update({ used_at: new Date().toISOString() })
+                    .eq('token_hash', tokenHash)
+                    .eq('purpose', purpose)
+                    .is('used_at', null)
+                    .gt('expires_at', new Date().toISOString())
+                    .select('user_id')
+                    .maybeSingle());
+                return token ? token.user_id : null;
+            }
+        },
+
+        fanclubs: {
+            list: async ({ after, limit }) => {
+                const query = paginate(supabase.from('fanclubs').select(FANCLUB_SELECT), { column: 'created_at', after, limit });
+                const fanclubs = unwrap(await query);
+                return fanclubs.map(formatFanclub);
+            },
+
+            // カテゴリーのファンクラブ一覧（新しい順）
+            listByCategory: async (category, { after, limit }) => {
+                const query = paginate(
+                    supabase.from('fanclubs').select(FANCLUB_SELECT).eq('category', category),
+                    { column: 'created_at', after, limit }
+                );
+                const fanclubs = unwrap(await query);
+                return fanclubs.map(formatFanclub);
+            },
+
+            // 名前・説明・目的と、一般公開済みの投稿のタイトルから検索（q が空なら絞り込みのみ）
+            // category と tag は null なら絞り込まない。after は前のページの最後の項目の並び替えキーとID
+            search: async ({ q, minFee, maxFee, minMembers, maxMembers, category, tag, sort, after, limit }) => {
+                const fanclubs = await rpc('search_fanclubs', {
+                    p_query: q || null,
+                    p_min_fee: minFee,
+                    p_max_fee: maxFee,
+                    p_min_members: minMembers,
+                    p_max_members: maxMembers,
+                    p_category: category,
+                    p_tag: tag,
+                    p_sort: sort,
+                    p_after_value: after ? String(after.value) : null,
+                    p_after_id: after ? after.id : null,
+                    p_limit: limit
+                });
+                return (fanclubs || []).map((fanclub) => ({ ...fanclub, search_rank: Number(fanclub.search_rank) }));
+            },
+
+            findById: async (id) => {
+                const fanclub = unwrap(await supabase.from('fanclubs').select(FANCLUB_SELECT).eq('id', id).maybeSingle());
+                return fanclub && formatFanclub(fanclub);
+            },
+
+            // オーナーのメンバーシップと、月会費をもとにした最初のプラン、タグも作成する
+            create: ({ ownerId, name, description, monthly_fee, purpose, cover_image_url, category, tags, tierName }) => rpc('create_fanclub', {
+                p_owner_id: ownerId,
+                p_name: name,
+                p_description: description,
+                p_monthly_fee: monthly_fee,
+                p_purpose: purpose,
+                p_cover_image_url: cover_image_url,
+                p_tier_name: tierName,
+                p_category: category,
+                p_tags: tags
+            }),
+
+            // 月会費を変更した場合、既存メンバーは現在の料金のまま次回支払日から新しい月会費を適用する
+            // tags を指定した場合はタグを置き換える
+            // 月会費・タグ・ファンクラブの列の更新は update_fanclub で1トランザクションで行う（値が undefined の列は p_changes に含まれず更新されない）
+            update: async (fanclub, { name, description, monthly_fee, purpose, cover_image_url, category, tags }) => {
+                await rpc('update_fanclub', {
+                    p_fanclub_id: fanclub.id,
+                    p_changes: { name, description, purpose, cover_image_url, category },
+                    p_monthly_fee: monthly_fee,
+                    p_tags: tags === undefined ? null : tags
+                });
+
+                const updated = unwrap(await supabase
+                    .from('fanclubs')
+                    .select(FANCLUB_SELECT)
+                    .eq('id', fanclub.id)
+                    .single());
+                return formatFanclub(updated);
+            },
+
+            // メンバーシップ・プラン・タグ・ランキング・投稿・いいね・コメント・BAN・通知は ON DELETE CASCADE で削除される
+            delete: async (id) => {
+                unwrap(await supabase.from('fanclubs').delete().eq('id', id));
+            },
+
+            listByOwner: async (ownerId) => unwrap(await supabase
+                .from('fanclubs')
+                .select('id, name, description, purpose, cover_image_url, monthly_fee, member_count, created_at')
+                .eq('owner_id', ownerId)
+                .order('created_at', { ascending: false }))
+        },
+
+        categories: {
+            // 表示順のカテゴリー一覧（ファンクラブ数つき）
+            list: async () => {
+                const categories = unwrap(await supabase
+                    .from('categories')
+                    .select('slug, name, fanclubs(count)')
+                    .order('position'));
+                return categories.map(({ fanclubs, ...category }) => ({
+                    ...category,
+                    fanclub_count: fanclubs.length ? fanclubs[0].count : 0
+                }));
+            },
+
+            findBySlug: async (slug) => unwrap(await supabase
+                .from('categories')
+                .select('slug, name')
+                .eq('slug', slug)
+                .maybeSingle())
+        },
+
+        rankings: {
+            // since 以降のファンクラブごとの参加者数・公開された投稿数・いいね数（fanclub_activity）
+            collectActivity: (since) => rpc('fanclub_activity', { p_since: since.toISOString() }),
+
+            // ランキングをまとめて置き換える（replace_fanclub_rankings で1トランザクションで行う）
+            replace: async (rankings) => {
+                await rpc('replace_fanclub_rankings', { p_rankings: rankings });
+            },
+
+            // スコアの高い順
+            listTrending: async (limit) => {
+                const rankings = unwrap(await supabase
+                    .from('fanclub_rankings')
+                    .select(`${RANKING_COLUMNS}, fanclubs(${FANCLUB_SELECT}, featured_fanclubs(position))`)
+                    .order('score', { ascending: false })
+                    .order('fanclub_id', { ascending: false })
+                    .limit(limit));
+                return rankings.map(({ fanclubs, ...ranking }) => {
+                    const { featured_fanclubs, ...fanclub } = fanclubs;
+                    const featured = embeddedOne(featured_fanclubs);
+                    return { ...formatFanclub(fanclub), ...ranking, featured_position: featured ? featured.position : null };
+                });
+            },
+
+            // 固定された注目ファンクラブ（position の小さい順）
+            listPinned: async () => {
+                const pins = unwrap(await supabase
+                    .from('featured_fanclubs')
+                    .select(`position, fanclubs(${FANCLUB_SELECT}, fanclub_rankings(${RANKING_COLUMNS}))`)
+                    .order('position', { ascending: true })
+                    .order('created_at', { ascending: true }));
+                return pins.map(({ position, fanclubs }) => {
+                    const { fanclub_rankings, ...fanclub } = fanclubs;
+                    return {
+                        ...formatFanclub(fanclub),
+                        ...(embeddedOne(fanclub_rankings) || EMPTY_RANKING),
+                        featured_position: position
+                    };
+                });
+            },
+
+            // 注目ファンクラブに固定する（固定済みなら位置を変更。position が null なら最後に追加）
+            pin: async (fanclubId, { position, pinnedBy }) => {
+                let nextPosition = position;
+                if (nextPosition === null) {
+                    const pins = unwrap(await supabase.from('featured_fanclubs').select('fanclub_id, position'));
+                    const current = pins.find((pin) => pin.fanclub_id === fanclubId);
+                    nextPosition = current ? current.position : Math.max(0, ...pins.map((pin) => pin.position)) + 1;
+                }
+
+                unwrap(await supabase
+                    .from('featured_fanclubs')
+                    .upsert({ fanclub_id: fanclubId, position: nextPosition, pinned_by: pinnedBy }, { onConflict: 'fanclub_id' }));
+            },
+
+            unpin: async (fanclubId) => {
+                const removed = unwrap(await supabase
+                    .from('featured_fanclubs')
+                    .delete()
+                    .eq('fanclub_id', fanclubId)
+                    .select('fanclub_id'), []);
+                return removed.length > 0;
+            }
+        },
+
+        memberships: {
+            // 解約済みを除くメンバー一覧（ニックネームで絞り込み）
+            // total（絞り込み後の人数）は最初のページでのみ数える
+            listMembers: async (fanclubId, { q, sort, after, limit }) => {
+                let query = supabase
+                    .from('memberships')
+                    .select(`
+                        user_id, is_owner, joined_at, next_payment_date, status,
+                        users!inner(nickname, avatar_url),
+                        tier:fanclub_tiers!memberships_tier_id_fkey(name)
+                    `, after ? {} : { count: 'exact' })
+                    .eq('fanclub_id', fanclubId)
+                    .neq('status', 'canceled');
+
+                if (q) {
+                    query = query.ilike('users.nickname', `%${escapeLike(q)}%`);
+                }
+
+                const { column, ascending } = MEMBER_SORTS[sort];
+                query = paginate(query, { column, idColumn: 'user_id', ascending, after, limit });
+                const { data, error, count } = await query;
+                unwrap({ data, error });
+
+                const members = data.map(({ users, tier, ...member }) => ({
+                    ...member,
+                    nickname: users.nickname,
+                    avatar_url: users.avatar_url,
+                    tier_name: tier ? tier.name : null
+                }));
+                return { members, total: after ? null : count };
+            },
+
+            // メンバーシップを削除してメンバー数を更新（オーナーは削除できない）
+            // 解約済みのメンバーシップは既にメンバー数から除かれている
+            remove: (fanclubId, userId) => rpc('remove_membership', { p_fanclub_id: fanclubId, p_user_id: userId }),
+
+            // 参加に必要な情報（月会費、選択したプランの料金、既存のメンバーシップ、BAN状態）
+            // ファンクラブが存在しない場合は null
+            getJoinStatus: async (fanclubId, userId, tierId) => {
+                const fanclub = unwrap(await supabase.from('fanclubs').select('monthly_fee').eq('id', fanclubId).maybeSingle());
+                if (!fanclub) {
+                    return null;
+                }
+
+                const [tiers, membership, ban] = await Promise.all([
+                    supabase.from('fanclub_tiers').select('id, monthly_fee').eq('fanclub_id', fanclubId),
+                    supabase.from('memberships').select('status').eq('user_id', userId).eq('fanclub_id', fanclubId).maybeSingle(),
+                    supabase.from('fanclub_bans').select('id').eq('user_id', userId).eq('fanclub_id', fanclubId).maybeSingle()
+                ].map(async (query) => unwrap(await query)));
+
+                const tier = tiers.find(t => String(t.id) === String(tierId));
+                return {
+                    monthly_fee: fanclub.monthly_fee,
+                    tier_count: tiers.length,
+                    tier_fee: tier ? tier.monthly_fee : null,
+                    membership_status: membership ? membership.status : null,
+                    is_banned: Boolean(ban)
+                };
+            },
+
+            // メンバーシップを作成（解約済みなら再開）し、決済済みの請求書とメンバー数をまとめて更新
+            activate: async ({ userId, fanclubId, tierId, amount, periodStart, periodEnd, payment }) => {
+                await rpc('activate_membership', {
+                    p_user_id: userId,
+                    p_fanclub_id: fanclubId,
+                    p_tier_id: tierId,
+                    p_amount: amount,
+                    p_period_start: periodStart.toISOString(),
+                    p_period_end: periodEnd.toISOString(),
+                    p_provider: payment ? payment.provider : null,
+                    p_provider_payment_id: payment ? payment.id : null
+                });
+            },
+
+            // 自分のメンバーシップ（解約済みを除く）
+            findOwn: async (fanclubId, userId) => {
+                const membership = unwrap(await supabase
+                    .from('memberships')
+                    .select(`
+                        id, status, is_owner, joined_at, next_payment_date, monthly_fee, pending_monthly_fee,
+                        tier_id, pending_tier_id,
+                        tier:fanclub_tiers!memberships_tier_id_fkey(name),
+                        pending_tier:fanclub_tiers!memberships_pending_tier_id_fkey(name)
+                    `)
+                    .eq('user_id', userId)
+                    .eq('fanclub_id', fanclubId)
+                    .neq('status', 'canceled')
+                    .maybeSingle());
+                if (!membership) {
+                    return null;
+                }
+
+                const { tier, pending_tier, ...rest } = membership;
+                return {
+                    ...rest,
+                    tier_name: tier ? tier.name : null,
+                    pending_tier_name: pending_tier ? pending_tier.name : null
+                };
+            },
+
+            // 次回支払日から切り替えるプランと料金（tierId が null なら予約の取り消し）
+            setPendingTier: async (id, { tierId, monthlyFee }) => {
+                await rpc('set_pending_tier', { p_membership_id: id, p_tier_id: tierId, p_monthly_fee: monthlyFee });
+            },
+
+            // 上位プランへ即時に切り替え、今期の差額分の請求書・決済記録をまとめて作成
+            upgradeTier: async ({ membership, tier, amount, payment }) => {
+                await rpc('upgrade_membership_tier', {
+                    p_membership_id: membership.id,
+                    p_tier_id: tier.id,
+                    p_amount: amount,
+                    p_provider: payment ? payment.provider : null,
+                    p_provider_payment_id: payment ? payment.id : null
+                });
+            },
+
+            recordVisit: (fanclubId, userId) => rpc('record_membership_visit', { p_fanclub_id: fanclubId, p_user_id: userId }),
+
+            // 参加中のファンクラブ一覧（前回訪問以降の未読投稿数つき）
+            listForUser: async (userId, { after, limit }) => {
+                return rpc('get_user_memberships', {
+                    p_user_id: userId,
+                    p_after_joined_at: after ? after.value : null,
+                    p_after_id: after ? after.id : null,
+                    p_limit: limit
+                });
+            }
+        },
+
+        bans: {
+            list: async (fanclubId, { after, limit }) => {
+                const query = paginate(supabase
+                    .from('fanclub_bans')
+                    .select('user_id, reason, created_at, users!fanclub_bans_user_id_fkey(nickname, avatar_url)')
+                    .eq('fanclub_id', fanclubId), { column: 'created_at', idColumn: 'user_id', after, limit });
+                const bans = unwrap(await query, []);
+                return bans.map(({ users, ...ban }) => ({ ...ban, nickname: users.nickname, avatar_url: users.avatar_url }));
+            },
+
+            add: async ({ fanclubId, userId, bannedBy, reason }) => {
+                unwrap(await supabase
+                    .from('fanclub_bans')
+                    .upsert([{ fanclub_id: fanclubId, user_id: userId, banned_by: bannedBy, reason }], { onConflict: 'fanclub_id,user_id' }));
+            },
+
+            remove: async (fanclubId, userId) => {
+                const removed = unwrap(await supabase
+                    .from('fanclub_bans')
+                    .delete()
+                    .eq('fanclub_id', fanclubId)
+                    .eq('user_id', userId)
+                    .select('id'), []);
+                return removed.length > 0;
+            }
+        },
+
+        tiers: {
+            // 解約済みを除くメンバー数つき
+            list: async (fanclubId) => {
+                const tiers = unwrap(await supabase
+                    .from('fanclub_tiers')
+                    .select('*, memberships!memberships_tier_id_fkey(status)')
+                    .eq('fanclub_id', fanclubId)
+                    .order('monthly_fee', { ascending: true })
+                    .order('id', { ascending: true }), []);
+                return tiers.map(({ memberships, ...tier }) => ({
+                    ...tier,
+                    member_count: memberships.filter(m => m.status !== 'canceled').length
+                }));
+            },
+
+            count: async (fanclubId) => {
+                const { count, error } = await supabase
+                    .from('fanclub_tiers')
+                    .select('id', { count: 'exact', head: true })
+                    .eq('fanclub_id', fanclubId);
+                unwrap({ error });
+                return count;
+            },
+
+            find: async (fanclubId, id) => unwrap(await supabase
+                .from('fanclub_tiers')
+                .select('*')
+                .eq('id', id)
+                .eq('fanclub_id', fanclubId)
+                .maybeSingle()),
+
+            create: async (fanclubId, { name, description, monthly_fee }) => {
+                const tier = unwrap(await supabase
+                    .from('fanclub_tiers')
+                    .insert([{ fanclub_id: fanclubId, name, description, monthly_fee }])
+                    .select()
+                    .single());
+                await syncFanclubFee(fanclubId);
+                return tier;
+            },
+
+            // 料金を変更した場合、既存メンバーは現在の料金のまま次回支払日から新しい料金を適用する
+            // （料金変更・メンバーへの次回適用料金の設定・ファンクラブの月会費の更新は apply_tier_fee_change で行う）
+            update: async (current, { name, description, monthly_fee }) => {
+                if (monthly_fee !== current.monthly_fee) {
+                    await rpc('apply_tier_fee_change', { p_tier_id: current.id, p_new_fee: monthly_fee });
+                }
+                return unwrap(await supabase
+                    .from('fanclub_tiers')
+                    .update({ name, description })
+                    .eq('id', current.id)
+                    .select()
+                    .single());
+            },
+
+            // 参加中（変更予約中を含む）のメンバーと、閲覧条件にしている投稿があるか
+            getUsage: async (id) => {
+                const [members, posts] = await Promise.all([
+                    supabase
+                        .from('memberships')
+                        .select('id', { count: 'exact', head: true })
+                        .or(`tier_id.eq.${id},pending_tier_id.eq.${id}`)
+                        .neq('status', 'canceled'),
+                    supabase
+                        .from('posts')
+                        .select('id', { count: 'exact', head: true })
+                        .eq('min_tier_id', id)
+                ]);
+                unwrap(members);
+                unwrap(posts);
+                return { has_members: members.count > 0, has_posts: posts.count > 0 };
+            },
+
+            // 解約済みメンバーシップと請求書のプランは ON DELETE SET NULL で外れる
+            delete: async (fanclubId, id) => {
+                unwrap(await supabase.from('fanclub_tiers').delete().eq('id', id));
+                await syncFanclubFee(fanclubId);
+            }
+        },
+
+        posts: {
+            // 読者に表示する投稿の一覧（liked: いいね済み、can_view: 本文を閲覧できるか）
+            listPublished: async (fanclubId, viewerId, { after, limit }) => {
+                const query = paginate(supabase
+                    .from('posts')
+                    .select(POST_SELECT)
+                    .eq('fanclub_id', fanclubId)
+                    .eq('status', 'published')
+                    .lte('published_at', new Date().toISOString()), { column: 'published_at', after, limit });
+                const posts = unwrap(await query, []);
+
+                const membership = await getActiveMembership(viewerId, fanclubId);
+                const likedPostIds = await getLikedPostIds(viewerId, posts.map(post => post.id));
+                return posts.map(post => formatPost(post, membership, likedPostIds));
+            },
+
+            // 下書きと公開予約中の投稿はファンクラブのオーナーにのみ返す
+            findForViewer: async (id, viewerId) => {
+                const post = unwrap(await supabase.from('posts').select(POST_SELECT).eq('id', id).maybeSingle());
+                if (!post || (!isPublished(post) && post.fanclubs.owner_id !== viewerId)) {
+                    return null;
+                }
+
+                const membership = await getActiveMembership(viewerId, post.fanclub_id);
+                const likedPostIds = await getLikedPostIds(viewerId, [post.id]);
+                return formatPost(post, membership, likedPostIds);
+            },
+
+            // オーナー用の投稿一覧（下書き・公開予約中の投稿を含む）
+            listForOwner: async (fanclubId, { after, limit }) => {
+                const query = paginate(supabase
+                    .from('posts')
+                    .select(`
+                        id, fanclub_id, title, excerpt, visibility, min_tier_id, status, published_at,
+                        like_count, comment_count, created_at, updated_at,
+                        min_tier:fanclub_tiers(name)
+                    `)
+                    .eq('fanclub_id', fanclubId), { column: 'published_at', after, limit });
+                const posts = unwrap(await query, []);
+
+                return posts.map(({ min_tier, ...post }) => {
+                    let state = 'published';
+                    if (post.status === 'draft') {
+                        state = 'draft';
+                    } else if (!isPublished(post)) {
+                        state = 'scheduled';
+                    }
+                    return { ...post, min_tier_name: min_tier ? min_tier.name : null, state };
+                });
+            },
+
+            // 投稿とそのファンクラブのオーナー
+            findWithOwner: async (id) => {
+                const post = unwrap(await supabase
+                    .from('posts')
+                    .select('*, fanclubs(owner_id)')
+                    .eq('id', id)
+                    .maybeSingle());
+                if (!post) {
+                    return null;
+                }
+
+                const { fanclubs, ...rest } = post;
+                return { ...rest, fanclub_owner_id: fanclubs.owner_id };
+            },
+
+            // ユーザーが閲覧できる公開済みの投稿（メンバー限定投稿は canViewPost を満たすメンバーのみ）
+            findAccessible: async (id, userId) => {
+                const post = unwrap(await supabase
+                    .from('posts')
+                    .select('id, fanclub_id, visibility, status, published_at, fanclubs(owner_id), min_tier:fanclub_tiers(monthly_fee)')
+                    .eq('id', id)
+                    .maybeSingle());
+                if (!post || !isPublished(post)) {
+                    return null;
+                }
+                if (post.visibility === 'members' && !canViewPost(post, await getActiveMembership(userId, post.fanclub_id))) {
+                    return null;
+                }
+
+                return { id: post.id, fanclub_id: post.fanclub_id, fanclub_owner_id: post.fanclubs.owner_id };
+            },
+
+            listImageUrls: async (fanclubId) => {
+                const posts = unwrap(await supabase
+                    .from('posts')
+                    .select('featured_image_url')
+                    .eq('fanclub_id', fanclubId)
+                    .not('featured_image_url', 'is', null));
+                return posts.map(post => post.featured_image_url);
+            },
+
+            create: async ({ fanclubId, authorId, title, content, excerpt, featured_image_url, visibility, min_tier_id, status, published_at }) => {
+                const post = unwrap(await supabase
+                    .from('posts')
+                    .insert([{
+                        fanclub_id: fanclubId,
+                        author_id: authorId,
+                        title,
+                        content,
+                        excerpt,
+                        featured_image_url,
+                        visibility,
+                        min_tier_id,
+                        status,
+                        published_at: published_at.toISOString()
+                    }])
+                    .select('id')
+                    .single());
+                return post.id;
+            },
+
+            // 値が undefined の項目（公開日時など）は変更しない
+            update: async (id, { title, content, excerpt, featured_image_url, visibility, min_tier_id, status, published_at }) => {
+                unwrap(await supabase
+                    .from('posts')
+                    .update({
+                        title,
+                        content,
+                        excerpt,
+                        featured_image_url,
+                        visibility,
+                        min_tier_id,
+                        status,
+                        published_at: published_at && published_at.toISOString()
+                    })
+                    .eq('id', id));
+            },
+
+            // いいね・コメント・通知は ON DELETE CASCADE で削除される
+            delete: async (id) => {
+                unwrap(await supabase.from('posts').delete().eq('id', id));
+            },
+
+            // 重複いいねの無視とlike_countの更新を1トランザクションで行い、いいね数を返す
+            like: (id, userId) => rpc('like_post', { p_user_id: userId, p_post_id: id }),
+
+            // いいねを取り消していいね数を返す（投稿が存在しない場合は null）
+            unlike: (id, userId) => rpc('unlike_post', { p_user_id: userId, p_post_id: id })
+        },
+
+        comments: {
+            // includeHidden が false なら非表示のコメントを除く
+            list: async (postId, { includeHidden }) => {
+                let query = supabase
+                    .from('comments')
+                    .select(`
+                        *,
+                        users!comments_author_id_fkey(nickname, avatar_url)
+                    `)
+                    .eq('post_id', postId);
+                if (!includeHidden) {
+                    query = query.eq('is_hidden', false);
+                }
+
+                const comments = unwrap(await query.order('created_at', { ascending: true }));
+                return comments.map(({ users, ...comment }) => ({
+                    ...comment,
+                    author_name: users.nickname,
+                    author_avatar: users.avatar_url
+                }));
+            },
+
+            // コメントとその投稿のファンクラブオーナー
+            find: async (postId, id) => {
+                const comment = unwrap(await supabase
+                    .from('comments')
+                    .select('*, posts!inner(fanclubs(owner_id))')
+                    .eq('id', id)
+                    .eq('post_id', postId)
+                    .maybeSingle());
+                if (!comment) {
+                    return null;
+                }
+
+                const { posts, ...rest } = comment;
+                return { ...rest, fanclub_owner_id: posts.fanclubs.owner_id };
+            },
+
+            // 作成したコメントのIDと投稿のコメント数を返す
+            create: async ({ postId, authorId, parentId, content }) => {
+                const comment = unwrap(await supabase
+                    .from('comments')
+                    .insert([{ post_id: postId, author_id: authorId, parent_id: parentId, content }])
+                    .select('id')
+                    .single());
+                return { id: comment.id, comment_count: await syncCommentCount(postId) };
+            },
+
+            // 投稿者本人のコメントのみ更新できる
+            update: async (postId, id, authorId, content) => {
+                const updated = unwrap(await supabase
+                    .from('comments')
+                    .update({ content })
+                    .eq('id', id)
+                    .eq('post_id', postId)
+                    .eq('author_id', authorId)
+                    .select('id'), []);
+                return updated.length > 0;
+            },
+
+            // 返信は parent_id の ON DELETE CASCADE でまとめて削除される。投稿のコメント数を返す
+            delete: async (postId, id) => {
+                unwrap(await supabase.from('comments').delete().eq('id', id).eq('post_id', postId));
+                return syncCommentCount(postId);
+            },
+
+            // 非表示・再表示を切り替え、投稿のコメント数を返す
+            setHidden: async (postId, id, isHidden) => {
+                unwrap(await supabase.from('comments').update({ is_hidden: isHidden }).eq('id', id).eq('post_id', postId));
+                return syncCommentCount(postId);
+            }
+        },
+
+        invoices: {
+            listForUser: async (userId, { after, limit }) => {
+                const query = paginate(supabase
+                    .from('invoices')
+                    .select('id, fanclub_id, amount, period_start, period_end, status, attempts, paid_at, created_at, fanclubs(name)')
+                    .eq('user_id', userId), { column: 'period_start', after, limit });
+                const invoices = unwrap(await query);
+                return invoices.map(({ fanclubs, ...invoice }) => ({ ...invoice, fanclub_name: fanclubs.name }));
+            }
+        },
+
+        notifications: {
+            // 表示時刻を迎えた通知の一覧（unreadOnly なら未読のみ）
+            list: async (userId, { unreadOnly, after, limit }) => {
+                let query = supabase
+                    .from('notifications')
+                    .select('id, type, fanclub_id, post_id, message, read_at, created_at')
+                    .eq('user_id', userId)
+                    .lte('created_at', new Date().toISOString());
+                if (unreadOnly) {
+                    query = query.is('read_at', null);
+                }
+                query = paginate(query, { column: 'created_at', after, limit });
+                return unwrap(await query, []);
+            },
+
+            countUnread: async (userId) => {
+                const { count, error } = await supabase
+                    .from('notifications')
+                    .select('id', { count: 'exact', head: true })
+                    .eq('user_id', userId)
+                    .is('read_at', null)
+                    .lte('created_at', new Date().toISOString());
+                unwrap({ error });
+                return count;
+            },
+
+            create: async ({ userId, type, fanclubId = null, postId = null, message }) => {
+                unwrap(await supabase
+                    .from('notifications')
+                    .insert([{ user_id: userId, type, fanclub_id: fanclubId, post_id: postId, message }]));
+            },
+
+            // オーナーと解約済みを除くメンバー全員に新しい投稿の通知を作成し、作成した数を返す（notify_fanclub_members）
+            notifyMembers: ({ fanclubId, postId, message, createdAt }) => rpc('notify_fanclub_members', {
+                p_fanclub_id: fanclubId,
+                p_post_id: postId,
+                p_message: message,
+                p_created_at: createdAt.toISOString()
+            }),
+
+            // 投稿の通知を削除する（公開予約の変更・下書きへの戻しで通知を作り直す）
+            deleteForPost: async (postId) => {
+                unwrap(await supabase
+                    .from('notifications')
+                    .delete()
+                    .eq('post_id', postId)
+                    .eq('type', 'new_post'));
+            },
+
+            markRead: async (userId, id) => {
+                const notification = unwrap(await supabase
+                    .from('notifications')
+                    .select('id, read_at')
+                    .eq('id', id)
+                    .eq('user_id', userId)
+                    .maybeSingle());
+                if (!notification) {
+                    return false;
+                }
+                if (!notification.read_at) {
+                    unwrap(await supabase
+                        .from('notifications')
+                        .update({ read_at: new Date().toISOString() })
+                        .eq('id', id));
+                }
+                return true;
+            },
+
+            // 表示中の未読の通知をすべて既読にし、既読にした数を返す
+            markAllRead: async (userId) => {
+                const updated = unwrap(await supabase
+                    .from('notifications')
+                    .update({ read_at: new Date().toISOString() })
+                    .eq('user_id', userId)
+                    .is('read_at', null)
+                    .lte('created_at', new Date().toISOString())
+                    .select('id'));
+                return updated.length;
+            }
+        },
+
+        reminderSettings: {
+            // 設定が無い場合は null
+            get: async (userId) => unwrap(await supabase
+                .from('reminder_settings')
+                .select('email_enabled, days_before')
+                .eq('user_id', userId)
+                .maybeSingle()),
+
+            save: async (userId, { email_enabled, days_before }) => {
+                unwrap(await supabase
+                    .from('reminder_settings')
+                    .upsert({ user_id: userId, email_enabled, days_before }, { onConflict: 'user_id' }));
+            }
+        },
+
+        billing: {
+            // 支払日を迎えたメンバーシップの請求書を作成し、作成した数を返す（open_renewal_invoices）
+            openRenewalInvoices: () => rpc('open_renewal_invoices'),
+
+            // 決済日を迎えた未払いの請求書
+            listDueInvoices: async () => {
+                const invoices = unwrap(await supabase
+                    .from('invoices')
+                    .select('*, memberships!inner(status)')
+                    .eq('status', 'open')
+                    .in('memberships.status', ['active', 'past_due'])
+                    .lte('next_attempt_at', new Date().toISOString())
+                    .order('period_start', { ascending: true }));
+                return invoices.map(({ memberships, ...invoice }) => invoice);
+            },
+
+            // 決済結果を請求書・メンバーシップに反映（settle_invoice）
+            settleInvoice: async (invoice, { provider, paymentId, succeeded, failureReason, maxAttempts }) => {
+                await rpc('settle_invoice', {
+                    p_invoice_id: invoice.id,
+                    p_provider: provider,
+                    p_provider_payment_id: paymentId,
+                    p_succeeded: succeeded,
+                    p_failure_reason: failureReason,
+                    p_max_attempts: maxAttempts
+                });
+            },
+
+            // days_before 以内に支払い予定日が来るメンバーシップをキューに登録し、登録した数を返す（queue_payment_reminders）
+            queuePaymentReminders: () => rpc('queue_payment_reminders'),
+
+            // 未送信・送信失敗のリマインダー（宛先のユーザーとファンクラブ名つき）
+            listPendingReminders: async (maxAttempts) => {
+                const reminders = unwrap(await supabase
+                    .from('payment_reminders')
+                    .select('*, users(email, nickname), fanclubs(name)')
+                    .in('status', ['pending', 'failed'])
+                    .lt('attempts', maxAttempts)
+                    .order('payment_date', { ascending: true }));
+                return reminders.map(({ users, fanclubs, ...reminder }) => ({
+                    ...reminder,
+                    email: users.email,
+                    nickname: users.nickname,
+                    fanclub_name: fanclubs.name
+                }));
+            },
+
+            markReminderSent: async (reminder) => {
+                unwrap(await supabase
+                    .from('payment_reminders')
+                    .update({ status: 'sent', attempts: reminder.attempts + 1, last_error: null, sent_at: new Date().toISOString() })
+                    .eq('id', reminder.id));
+            },
+
+            markReminderFailed: async (reminder, message) => {
+                unwrap(await supabase
+                    .from('payment_reminders')
+                    .update({ status: 'failed', attempts: reminder.attempts + 1, last_error: message })
+                    .eq('id', reminder.id));
+            }
+        }
+    };
+};
+
+module.exports = { createSupabaseRepository };
@@ -0,0 +1,50 @@
+const sanitizeHtml = require('sanitize-html');
+
+// 投稿本文のHTMLサニタイズ
+// 許可するタグと属性は投稿エディタ（Quill）のツールバーで作成できるものに合わせる
+// 見出し / 太字・斜体・下線・取り消し線 / 引用・コードブロック / リスト / リンク・画像
+
+const QUILL_CLASS_PATTERN = /^ql-(indent-[1-8]|syntax)$/;
+
+const POST_CONTENT_OPTIONS = {
+    allowedTags: [
+        'p', 'br', 'h1', 'h2', 'h3',
+        'strong', 'em', 'u', 's',
+        'blockquote', 'pre',
+        'ol', 'ul', 'li',
+        'a', 'img'
+    ],
+    allowedAttributes: {
+        a: ['href', 'target', 'rel'],
+        img: ['src', 'alt'],
+        pre: ['class', 'spellcheck'],
+        p: ['class'],
+        li: ['class'],
+        h1: ['class'],
+        h2: ['class'],
+        h3: ['class']
+    },
+    allowedClasses: {
+        '*': [QUILL_CLASS_PATTERN]
+    },
+    allowedSchemes: ['http', 'https', 'mailto'],
+    // エディタの画像ボタンは画像を data URI として埋め込む
+    allowedSchemesByTag: {
+        img: ['http', 'https', 'data']
+    },
+    allowProtocolRelative: false,
+    transformTags: {
+        a: (tagName, attribs) => ({
+            tagName,
+            attribs: {
+                ...attribs,
+                target: '_blank',
+                rel: 'noopener noreferrer'
+            }
+        })
+    }
+};
+
+const sanitizePostContent = (html) => sanitizeHtml(typeof html === 'string' ? html : '', POST_CONTENT_OPTIONS);
+
+module.exports = { sanitizePostContent };
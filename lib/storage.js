@@ -0,0 +1,212 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// 画像ストレージ
+// STORAGE_DRIVER で切り替え: local（ローカルディスク）/ cloudinary / s3（S3互換）
+//
+// ドライバーは次のメソッドを実装する:
+//   put(key, buffer, contentType) -> url
+//   delete(key)                   -> 存在しないキーはエラーにしない
+//   keyFromUrl(url)               -> このストレージが保存した画像ならキー、それ以外は null
+// ストレージを追加する場合は drivers に登録する
+
+const IMAGE_TYPES = {
+    'image/jpeg': { extension: 'jpg', format: 'jpeg' },
+    'image/png': { extension: 'png', format: 'png' },
+    'image/gif': { extension: 'gif', format: 'gif' },
+    'image/webp': { extension: 'webp', format: 'webp' }
+};
+const MAX_IMAGE_SIZE = 2000; // 元画像の長辺の上限（px）
+const THUMBNAIL_SIZE = 400;
+
+const isSupportedImage = (mimetype) => Boolean(IMAGE_TYPES[mimetype]);
+
+// サムネイルは元画像のキーから決まる（例: abc.jpg -> abc-thumb.webp）
+const thumbnailKey = (key) => `${key.replace(/\.[^.]+$/, '')}-thumb.webp`;
+
+// URLのパス部分（絶対URL・相対URLのどちらも受け付ける）
+const urlPath = (url) => {
+    try {
+        return new URL(url, 'http://localhost').pathname;
+    } catch {
+        return null;
+    }
+};
+
+// ローカルディスク（開発用。/uploads で配信する）
+const createLocalDriver = () => {
+    const directory = path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'));
+    const publicPath = '/uploads';
+
+    return {
+        name: 'local',
+        directory,
+        publicPath,
+        put: async (key, buffer) => {
+            await fs.mkdir(directory, { recursive: true });
+            await fs.writeFile(path.join(directory, key), buffer);
+            return `${publicPath}/${key}`;
+        },
+        delete: async (key) => {
+            try {
+                await fs.unlink(path.join(directory, key));
+            } catch (error) {
+                if (error.code !== 'ENOENT') {
+                    throw error;
+                }
+            }
+        },
+        keyFromUrl: (url) => {
+            const pathname = urlPath(url);
+            if (!pathname || !pathname.startsWith(`${publicPath}/`)) {
+                return null;
+            }
+            const key = pathname.slice(publicPath.length + 1);
+            return /^[\w-]+\.\w+$/.test(key) ? key : null;
+        }
+    };
+};
+
+// Cloudinary（cloudinary は使用時のみ読み込む）
+const createCloudinaryDriver = () => {
+    const cloudinary = require('cloudinary').v2;
+    cloudinary.config({
+        cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+        api_key: process.env.CLOUDINARY_API_KEY,
+        api_secret: process.env.CLOUDINARY_API_SECRET,
+    });
+
+    const folder = process.env.CLOUDINARY_FOLDER || 'fanclub-site';
+    const publicId = (key) => `${folder}/${key.replace(/\.[^.]+$/, '')}`;
+
+    return {
+        name: 'cloudinary',
+        put: (key, buffer) => new Promise((resolve, reject) => {
+            cloudinary.uploader
+                .upload_stream({ public_id: publicId(key), resource_type: 'image', overwrite: false }, (error, result) => {
+                    if (error) {
+                        return reject(error);
+                    }
+                    resolve(result.secure_url);
+                })
+                .end(buffer);
+        }),
+        delete: async (key) => {
+            await cloudinary.uploader.destroy(publicId(key), { resource_type: 'image', invalidate: true });
+        },
+        // 例: https://res.cloudinary.com/<cloud>/image/upload/v123/fanclub-site/abc.jpg
+        keyFromUrl: (url) => {
+            const match = (urlPath(url) || '').match(new RegExp(`/image/upload/(?:v\\d+/)?${folder}/([\\w-]+\\.\\w+)$`));
+            return match ? match[1] : null;
+        }
+    };
+};
+
+// S3互換ストレージ（AWS S3 / Cloudflare R2 / MinIO など。@aws-sdk/client-s3 は使用時のみ読み込む）
+const createS3Driver = () => {
+    const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+    const bucket = process.env.S3_BUCKET;
+    const client = new S3Client({
+        region: process.env.S3_REGION || 'auto',
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+        credentials: process.env.S3_ACCESS_KEY_ID
+            ? { accessKeyId: process.env.S3_ACCESS_KEY_ID, secretAccessKey: process.env.S3_SECRET_ACCESS_KEY }
+            : undefined
+    });
+    // 公開URLのベース（CDNや公開バケットのURL）
+    const publicUrl = (process.env.S3_PUBLIC_URL || `https://${bucket}.s3.amazonaws.com`).replace(/\/+$/, '');
+    const prefix = process.env.S3_PREFIX || 'uploads';
+
+    return {
+        name: 's3',
+        put: async (key, buffer, contentType) => {
+            await client.send(new PutObjectCommand({
+                Bucket: bucket,
+                Key: `${prefix}/${key}`,
+                Body: buffer,
+                ContentType: contentType,
+                CacheControl: 'public, max-age=31536000, immutable'
+            }));
+            return `${publicUrl}/${prefix}/${key}`;
+        },
+        delete: async (key) => {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: `${prefix}/${key}` }));
+        },
+        keyFromUrl: (url) => {
+            const base = `${publicUrl}/${prefix}/`;
+            if (typeof url !== 'string' || !url.startsWith(base)) {
+                return null;
+            }
+            const key = url.slice(base.length);
+            return /^[\w-]+\.\w+$/.test(key) ? key : null;
+        }
+    };
+};
+
+const drivers = {
+    local: createLocalDriver,
+    cloudinary: createCloudinaryDriver,
+    s3: createS3Driver
+};
+
+const createStorage = (driverName = process.env.STORAGE_DRIVER || 'local') => {
+    const factory = drivers[driverName];
+    if (!factory) {
+        throw new Error(`Unknown storage driver: ${driverName}`);
+    }
+
+    const driver = factory();
+    // sharp はネイティブモジュールのため画像を保存するときに読み込む
+    const sharp = () => require('sharp');
+
+    return {
+        driver: driver.name,
+        // local のみ: 配信するディレクトリと公開パス
+        directory: driver.directory,
+        publicPath: driver.publicPath,
+
+        // アップロードされた画像を保存し、URLとサムネイルのURLを返す
+        // 向きを補正して位置情報などのメタデータを取り除き、大きすぎる画像は縮小する（GIFはアニメーションを保つためそのまま保存）
+        saveImage: async ({ buffer, mimetype }) => {
+            const type = IMAGE_TYPES[mimetype];
+            if (!type) {
+                throw new Error(`Unsupported image type: ${mimetype}`);
+            }
+
+            const key = `${uuidv4()}.${type.extension}`;
+            const image = mimetype === 'image/gif'
+                ? buffer
+                : await sharp()(buffer)
+                    .rotate()
+                    .resize(MAX_IMAGE_SIZE, MAX_IMAGE_SIZE, { fit: 'inside', withoutEnlargement: true })
+                    .toFormat(type.format)
+                    .toBuffer();
+            const thumbnail = await sharp()(buffer)
+                .rotate()
+                .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+                .webp({ quality: 80 })
+                .toBuffer();
+
+            const [url, thumbnailUrl] = await Promise.all([
+                driver.put(key, image, mimetype),
+                driver.put(thumbnailKey(key), thumbnail, 'image/webp')
+            ]);
+
+            return { key, url, thumbnail_url: thumbnailUrl };
+        },
+
+        // 画像とサムネイルを削除（このストレージが保存した画像でなければ何もしない）
+        removeImage: async (url) => {
+            const key = url ? driver.keyFromUrl(url) : null;
+            if (!key) {
+                return false;
+            }
+            await Promise.all([driver.delete(key), driver.delete(thumbnailKey(key))]);
+            return true;
+        }
+    };
+};
+
+module.exports = { createStorage, isSupportedImage };
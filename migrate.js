@@ -0,0 +1,63 @@
+const { createMigrator, openAdapter } = require('./lib/migrations');
+
+// マイグレーションCLI
+//   node migrate.js up [--to <version>]                  未適用のマイグレーションを適用
+//   node migrate.js down [--steps <n> | --to <version>]  適用済みのマイグレーションを取り消す（既定は1件。--to 0 ですべて）
+//   node migrate.js status                               適用状況を表示
+// --driver sqlite|postgres で対象を指定（既定は DB_DRIVER から決める。supabase なら postgres）
+// SQLite は SQLITE_PATH、Postgres は DATABASE_URL（Supabase の Connection string）に接続する
+
+const USAGE = 'Usage: node migrate.js <up|down|status> [--driver sqlite|postgres] [--to <version>] [--steps <n>]';
+
+const parseArgs = (argv) => {
+    const [command, ...rest] = argv;
+    const options = {};
+    for (let i = 0; i < rest.length; i += 2) {
+        const flag = rest[i];
+        const value = rest[i + 1];
+        if (!['--driver', '--to', '--steps'].includes(flag) || value === undefined) {
+            throw new Error(USAGE);
+        }
+        options[flag.slice(2)] = value;
+    }
+    if (options.steps !== undefined && !/^\d+$/.test(options.steps)) {
+        throw new Error('--steps must be a non-negative integer');
+    }
+    return { command, options };
+};
+
+const defaultDriver = () => (process.env.DB_DRIVER === 'supabase' ? 'postgres' : 'sqlite');
+
+const main = async () => {
+    const { command, options } = parseArgs(process.argv.slice(2));
+    if (!['up', 'down', 'status'].includes(command)) {
+        throw new Error(USAGE);
+    }
+
+    const adapter = await openAdapter(options.driver || defaultDriver());
+    const migrator = createMigrator(adapter);
+    try {
+        if (command === 'status') {
+            const migrations = await migrator.status();
+            for (const { version, name, applied } of migrations) {
+                console.log(`${applied ? '[x]' : '[ ]'} ${version}_${name}`);
+            }
+        } else if (command === 'up') {
+            const applied = await migrator.up({ to: options.to });
+            applied.forEach(({ version, name }) => console.log(`Applied ${version}_${name}`));
+            console.log(applied.length ? `${applied.length} migration(s) applied` : 'Already up to date');
+        } else {
+            const steps = options.steps === undefined ? undefined : Number(options.steps);
+            const reverted = await migrator.down({ steps, to: options.to });
+            reverted.forEach(({ version, name }) => console.log(`Reverted ${version}_${name}`));
+            console.log(reverted.length ? `${reverted.length} migration(s) reverted` : 'Nothing to revert');
+        }
+    } finally {
+        await adapter.close();
+    }
+};
+
+main().catch((error) => {
+    console.error('Migration error:', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,32 @@
+-- 初期スキーマの削除（トリガーとインデックスはテーブルと一緒に削除される）
+DROP FUNCTION IF EXISTS upgrade_membership_tier(UUID, UUID, INTEGER, TEXT, TEXT);
+DROP FUNCTION IF EXISTS apply_tier_fee_change(UUID, INTEGER);
+DROP FUNCTION IF EXISTS sync_fanclub_monthly_fee(UUID);
+DROP FUNCTION IF EXISTS settle_invoice(UUID, TEXT, TEXT, BOOLEAN, TEXT, INTEGER);
+DROP FUNCTION IF EXISTS open_renewal_invoices();
+DROP FUNCTION IF EXISTS activate_membership(UUID, UUID, UUID, INTEGER, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, TEXT, TEXT);
+DROP FUNCTION IF EXISTS queue_payment_reminders();
+DROP FUNCTION IF EXISTS sync_comment_count(UUID);
+DROP FUNCTION IF EXISTS unlike_post(UUID, UUID);
+DROP FUNCTION IF EXISTS like_post(UUID, UUID);
+DROP FUNCTION IF EXISTS get_user_memberships(UUID);
+DROP FUNCTION IF EXISTS change_fanclub_fee(UUID, INTEGER);
+DROP FUNCTION IF EXISTS decrement_member_count(UUID);
+DROP FUNCTION IF EXISTS increment_member_count(UUID);
+
+DROP TABLE IF EXISTS payments;
+DROP TABLE IF EXISTS invoices;
+DROP TABLE IF EXISTS payment_reminders;
+DROP TABLE IF EXISTS reminder_settings;
+DROP TABLE IF EXISTS fanclub_bans;
+DROP TABLE IF EXISTS comments;
+DROP TABLE IF EXISTS likes;
+DROP TABLE IF EXISTS posts;
+DROP TABLE IF EXISTS memberships;
+DROP TABLE IF EXISTS fanclub_tiers;
+DROP TABLE IF EXISTS fanclubs;
+DROP TABLE IF EXISTS user_tokens;
+DROP TABLE IF EXISTS sessions;
+DROP TABLE IF EXISTS users;
+
+DROP FUNCTION IF EXISTS update_updated_at_column();
@@ -0,0 +1,639 @@
+-- 初期スキーマ（PostgreSQL / Supabase）
+-- 既存のデータベースにも適用できるよう、作成済みのテーブル・インデックス・トリガーはそのまま残す
+
+-- Users テーブル
+CREATE TABLE IF NOT EXISTS users (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    nickname TEXT NOT NULL,
+    email TEXT UNIQUE NOT NULL,
+    phone TEXT,
+    password_hash TEXT NOT NULL,
+    avatar_url TEXT,
+    bio TEXT,
+    email_verified BOOLEAN DEFAULT FALSE,
+    email_verified_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Sessions テーブル（端末ごとのログインセッション。リフレッシュトークンはハッシュのみ保存）
+CREATE TABLE IF NOT EXISTS sessions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    refresh_token_hash TEXT UNIQUE NOT NULL,
+    user_agent TEXT,
+    ip_address TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    last_used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- User Tokens テーブル（メールアドレス確認・パスワード再設定用のワンタイムトークン。ハッシュのみ保存）
+CREATE TABLE IF NOT EXISTS user_tokens (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(30) NOT NULL CHECK (purpose IN ('email_verification', 'password_reset')),
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Fanclubs テーブル
+CREATE TABLE IF NOT EXISTS fanclubs (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    name TEXT NOT NULL,
+    description TEXT,
+    monthly_fee INTEGER NOT NULL DEFAULT 0,
+    purpose TEXT,
+    cover_image_url TEXT,
+    owner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    member_count INTEGER DEFAULT 1,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Fanclub Tiers テーブル（ファンクラブごとの料金プラン）
+CREATE TABLE IF NOT EXISTS fanclub_tiers (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    fanclub_id UUID NOT NULL REFERENCES fanclubs(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    description TEXT,
+    monthly_fee INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Memberships テーブル
+CREATE TABLE IF NOT EXISTS memberships (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    fanclub_id UUID NOT NULL REFERENCES fanclubs(id) ON DELETE CASCADE,
+    is_owner BOOLEAN DEFAULT FALSE,
+    joined_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    next_payment_date TIMESTAMP WITH TIME ZONE,
+    monthly_fee INTEGER,
+    pending_monthly_fee INTEGER,
+    last_visited_at TIMESTAMP WITH TIME ZONE,
+    status VARCHAR(20) DEFAULT 'active' CHECK (status IN ('active', 'past_due', 'canceled')),
+    canceled_at TIMESTAMP WITH TIME ZONE,
+    tier_id UUID REFERENCES fanclub_tiers(id) ON DELETE SET NULL,
+    pending_tier_id UUID REFERENCES fanclub_tiers(id) ON DELETE SET NULL,
+    UNIQUE(user_id, fanclub_id)
+);
+
+-- Posts テーブル
+CREATE TABLE IF NOT EXISTS posts (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    fanclub_id UUID NOT NULL REFERENCES fanclubs(id) ON DELETE CASCADE,
+    author_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    title TEXT NOT NULL,
+    content TEXT NOT NULL,
+    excerpt TEXT,
+    featured_image_url TEXT,
+    visibility TEXT CHECK(visibility IN ('public', 'members')) DEFAULT 'public',
+    min_tier_id UUID REFERENCES fanclub_tiers(id),
+    status VARCHAR(20) DEFAULT 'published' CHECK (status IN ('draft', 'published')),
+    like_count INTEGER DEFAULT 0,
+    comment_count INTEGER DEFAULT 0,
+    published_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Likes テーブル
+CREATE TABLE IF NOT EXISTS likes (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id, post_id)
+);
+
+-- Comments テーブル
+CREATE TABLE IF NOT EXISTS comments (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    post_id UUID NOT NULL REFERENCES posts(id) ON DELETE CASCADE,
+    author_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    parent_id UUID REFERENCES comments(id) ON DELETE CASCADE,
+    content TEXT NOT NULL,
+    is_hidden BOOLEAN DEFAULT FALSE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Fanclub Bans テーブル
+CREATE TABLE IF NOT EXISTS fanclub_bans (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    fanclub_id UUID NOT NULL REFERENCES fanclubs(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    banned_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(fanclub_id, user_id)
+);
+
+-- Reminder Settings テーブル
+CREATE TABLE IF NOT EXISTS reminder_settings (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    email_enabled BOOLEAN DEFAULT TRUE,
+    days_before INTEGER DEFAULT 3,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(user_id)
+);
+
+-- Payment Reminders テーブル（支払いリマインダーの送信キュー）
+CREATE TABLE IF NOT EXISTS payment_reminders (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    membership_id UUID NOT NULL REFERENCES memberships(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    fanclub_id UUID NOT NULL REFERENCES fanclubs(id) ON DELETE CASCADE,
+    payment_date TIMESTAMP WITH TIME ZONE NOT NULL,
+    amount INTEGER NOT NULL,
+    status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'sent', 'failed')),
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    sent_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(membership_id, payment_date)
+);
+
+-- Invoices テーブル（メンバーシップの1か月分の請求。退会後も履歴として残す）
+CREATE TABLE IF NOT EXISTS invoices (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    membership_id UUID REFERENCES memberships(id) ON DELETE SET NULL,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    fanclub_id UUID NOT NULL REFERENCES fanclubs(id) ON DELETE CASCADE,
+    tier_id UUID REFERENCES fanclub_tiers(id) ON DELETE SET NULL,
+    amount INTEGER NOT NULL,
+    period_start TIMESTAMP WITH TIME ZONE NOT NULL,
+    period_end TIMESTAMP WITH TIME ZONE NOT NULL,
+    status VARCHAR(20) DEFAULT 'open' CHECK (status IN ('open', 'paid', 'uncollectible')),
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE,
+    paid_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    UNIQUE(membership_id, period_start)
+);
+
+-- Payments テーブル（請求書ごとの決済試行の記録）
+CREATE TABLE IF NOT EXISTS payments (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    invoice_id UUID NOT NULL REFERENCES invoices(id) ON DELETE CASCADE,
+    provider VARCHAR(50) NOT NULL,
+    provider_payment_id TEXT,
+    amount INTEGER NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('succeeded', 'failed')),
+    failure_reason TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- インデックスの作成
+CREATE INDEX IF NOT EXISTS idx_fanclubs_owner_id ON fanclubs(owner_id);
+CREATE INDEX IF NOT EXISTS idx_fanclub_tiers_fanclub_id ON fanclub_tiers(fanclub_id);
+CREATE INDEX IF NOT EXISTS idx_memberships_user_id ON memberships(user_id);
+CREATE INDEX IF NOT EXISTS idx_memberships_fanclub_id ON memberships(fanclub_id);
+CREATE INDEX IF NOT EXISTS idx_memberships_joined_at ON memberships(fanclub_id, joined_at DESC);
+CREATE INDEX IF NOT EXISTS idx_posts_fanclub_id ON posts(fanclub_id);
+CREATE INDEX IF NOT EXISTS idx_posts_author_id ON posts(author_id);
+CREATE INDEX IF NOT EXISTS idx_posts_published_at ON posts(published_at DESC);
+CREATE INDEX IF NOT EXISTS idx_posts_fanclub_status ON posts(fanclub_id, status, published_at DESC);
+CREATE INDEX IF NOT EXISTS idx_likes_post_id ON likes(post_id);
+CREATE INDEX IF NOT EXISTS idx_comments_post_id ON comments(post_id);
+CREATE INDEX IF NOT EXISTS idx_comments_parent_id ON comments(parent_id);
+CREATE INDEX IF NOT EXISTS idx_memberships_next_payment_date ON memberships(next_payment_date);
+CREATE INDEX IF NOT EXISTS idx_payment_reminders_status ON payment_reminders(status);
+CREATE INDEX IF NOT EXISTS idx_invoices_user_id ON invoices(user_id);
+CREATE INDEX IF NOT EXISTS idx_invoices_status_next_attempt ON invoices(status, next_attempt_at);
+CREATE INDEX IF NOT EXISTS idx_payments_invoice_id ON payments(invoice_id);
+CREATE INDEX IF NOT EXISTS idx_user_tokens_user_purpose ON user_tokens(user_id, purpose);
+CREATE INDEX IF NOT EXISTS idx_sessions_user_id ON sessions(user_id, last_used_at DESC);
+
+-- 更新時刻の自動更新トリガー
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = NOW();
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_users_updated_at ON users;
+CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_fanclubs_updated_at ON fanclubs;
+CREATE TRIGGER update_fanclubs_updated_at BEFORE UPDATE ON fanclubs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_posts_updated_at ON posts;
+CREATE TRIGGER update_posts_updated_at BEFORE UPDATE ON posts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_comments_updated_at ON comments;
+CREATE TRIGGER update_comments_updated_at BEFORE UPDATE ON comments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_reminder_settings_updated_at ON reminder_settings;
+CREATE TRIGGER update_reminder_settings_updated_at BEFORE UPDATE ON reminder_settings
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_fanclub_tiers_updated_at ON fanclub_tiers;
+CREATE TRIGGER update_fanclub_tiers_updated_at BEFORE UPDATE ON fanclub_tiers
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_invoices_updated_at ON invoices;
+CREATE TRIGGER update_invoices_updated_at BEFORE UPDATE ON invoices
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- メンバー数を増減する関数
+CREATE OR REPLACE FUNCTION increment_member_count(fanclub_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE fanclubs 
+    SET member_count = member_count + 1,
+        updated_at = NOW()
+    WHERE id = fanclub_id;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION decrement_member_count(fanclub_id UUID)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE fanclubs 
+    SET member_count = GREATEST(member_count - 1, 0),
+        updated_at = NOW()
+    WHERE id = fanclub_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 月会費の変更（既存メンバーは現在の料金を維持し、次回支払日から新料金を適用）
+CREATE OR REPLACE FUNCTION change_fanclub_fee(p_fanclub_id UUID, p_new_fee INTEGER)
+RETURNS VOID AS $$
+DECLARE
+    old_fee INTEGER;
+BEGIN
+    SELECT monthly_fee INTO old_fee FROM fanclubs WHERE id = p_fanclub_id FOR UPDATE;
+
+    UPDATE memberships
+    SET monthly_fee = COALESCE(monthly_fee, old_fee),
+        pending_monthly_fee = CASE
+            WHEN COALESCE(monthly_fee, old_fee) = p_new_fee THEN NULL
+            ELSE p_new_fee
+        END
+    WHERE fanclub_id = p_fanclub_id AND is_owner = FALSE;
+
+    UPDATE fanclubs SET monthly_fee = p_new_fee WHERE id = p_fanclub_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 参加中のファンクラブ一覧（前回訪問以降の未読投稿数つき）
+CREATE OR REPLACE FUNCTION get_user_memberships(p_user_id UUID)
+RETURNS TABLE (
+    id UUID,
+    name TEXT,
+    description TEXT,
+    monthly_fee INTEGER,
+    purpose TEXT,
+    cover_image_url TEXT,
+    owner_id UUID,
+    owner_name TEXT,
+    member_count INTEGER,
+    joined_at TIMESTAMP WITH TIME ZONE,
+    next_payment_date TIMESTAMP WITH TIME ZONE,
+    is_owner BOOLEAN,
+    membership_status VARCHAR(20),
+    tier_name TEXT,
+    unread_count BIGINT
+) AS $$
+    SELECT
+        f.id, f.name, f.description, f.monthly_fee, f.purpose, f.cover_image_url,
+        f.owner_id, u.nickname, f.member_count,
+        m.joined_at, m.next_payment_date, m.is_owner, m.status, t.name,
+        (
+            SELECT COUNT(*) FROM posts p
+            WHERE p.fanclub_id = f.id
+                AND p.author_id <> m.user_id
+                AND p.status = 'published'
+                AND p.published_at <= NOW()
+                AND p.published_at > COALESCE(m.last_visited_at, m.joined_at)
+        )
+    FROM memberships m
+    JOIN fanclubs f ON m.fanclub_id = f.id
+    JOIN users u ON f.owner_id = u.id
+    LEFT JOIN fanclub_tiers t ON m.tier_id = t.id
+    WHERE m.user_id = p_user_id AND m.status <> 'canceled'
+    ORDER BY m.joined_at DESC;
+$$ LANGUAGE sql STABLE;
+
+-- いいねの追加・取り消し（UNIQUE制約で重複を防ぎ、実際に変化した場合のみlike_countを増減）
+CREATE OR REPLACE FUNCTION like_post(p_user_id UUID, p_post_id UUID)
+RETURNS INTEGER AS $$
+DECLARE
+    new_count INTEGER;
+BEGIN
+    INSERT INTO likes (user_id, post_id)
+    VALUES (p_user_id, p_post_id)
+    ON CONFLICT (user_id, post_id) DO NOTHING;
+
+    IF FOUND THEN
+        UPDATE posts SET like_count = like_count + 1
+        WHERE id = p_post_id
+        RETURNING like_count INTO new_count;
+    ELSE
+        SELECT like_count INTO new_count FROM posts WHERE id = p_post_id;
+    END IF;
+
+    RETURN new_count;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE OR REPLACE FUNCTION unlike_post(p_user_id UUID, p_post_id UUID)
+RETURNS INTEGER AS $$
+DECLARE
+    new_count INTEGER;
+BEGIN
+    DELETE FROM likes WHERE user_id = p_user_id AND post_id = p_post_id;
+
+    IF FOUND THEN
+        UPDATE posts SET like_count = GREATEST(like_count - 1, 0)
+        WHERE id = p_post_id
+        RETURNING like_count INTO new_count;
+    ELSE
+        SELECT like_count INTO new_count FROM posts WHERE id = p_post_id;
+    END IF;
+
+    RETURN new_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 表示中のコメント数を再集計してcomment_countに反映
+CREATE OR REPLACE FUNCTION sync_comment_count(p_post_id UUID)
+RETURNS INTEGER AS $$
+DECLARE
+    new_count INTEGER;
+BEGIN
+    UPDATE posts
+    SET comment_count = (
+        SELECT COUNT(*) FROM comments
+        WHERE post_id = p_post_id AND is_hidden = FALSE
+    )
+    WHERE id = p_post_id
+    RETURNING comment_count INTO new_count;
+
+    RETURN new_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 支払い予定日が days_before 以内のメンバーシップをリマインダーキューに登録
+-- （オーナーと無料メンバーシップは対象外。設定が無いユーザーは既定値で扱う）
+CREATE OR REPLACE FUNCTION queue_payment_reminders()
+RETURNS INTEGER AS $$
+DECLARE
+    queued_count INTEGER;
+BEGIN
+    INSERT INTO payment_reminders (membership_id, user_id, fanclub_id, payment_date, amount)
+    SELECT m.id, m.user_id, m.fanclub_id, m.next_payment_date,
+           COALESCE(m.pending_monthly_fee, m.monthly_fee, f.monthly_fee)
+    FROM memberships m
+    JOIN fanclubs f ON m.fanclub_id = f.id
+    LEFT JOIN reminder_settings r ON r.user_id = m.user_id
+    WHERE m.is_owner = FALSE
+      AND m.status = 'active'
+      AND m.next_payment_date IS NOT NULL
+      AND COALESCE(r.email_enabled, TRUE) = TRUE
+      AND COALESCE(m.pending_monthly_fee, m.monthly_fee, f.monthly_fee) > 0
+      AND m.next_payment_date > NOW()
+      AND m.next_payment_date <= NOW() + make_interval(days => COALESCE(r.days_before, 3))
+    ON CONFLICT (membership_id, payment_date) DO NOTHING;
+
+    GET DIAGNOSTICS queued_count = ROW_COUNT;
+    RETURN queued_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 参加時の決済後にメンバーシップを有効化（解約済みなら再開）し、
+-- 初回分の請求書・決済記録の作成とメンバー数の更新をまとめて行う
+CREATE OR REPLACE FUNCTION activate_membership(
+    p_user_id UUID,
+    p_fanclub_id UUID,
+    p_tier_id UUID,
+    p_amount INTEGER,
+    p_period_start TIMESTAMP WITH TIME ZONE,
+    p_period_end TIMESTAMP WITH TIME ZONE,
+    p_provider TEXT,
+    p_provider_payment_id TEXT
+)
+RETURNS UUID AS $$
+DECLARE
+    v_membership_id UUID;
+    v_invoice_id UUID;
+BEGIN
+    INSERT INTO memberships (user_id, fanclub_id, tier_id, next_payment_date, monthly_fee)
+    VALUES (p_user_id, p_fanclub_id, p_tier_id, p_period_end, p_amount)
+    ON CONFLICT (user_id, fanclub_id) DO UPDATE SET
+        status = 'active',
+        canceled_at = NULL,
+        joined_at = NOW(),
+        last_visited_at = NULL,
+        next_payment_date = EXCLUDED.next_payment_date,
+        monthly_fee = EXCLUDED.monthly_fee,
+        pending_monthly_fee = NULL,
+        tier_id = EXCLUDED.tier_id,
+        pending_tier_id = NULL
+    WHERE memberships.status = 'canceled'
+    RETURNING id INTO v_membership_id;
+
+    IF v_membership_id IS NULL THEN
+        RAISE EXCEPTION 'Membership already exists';
+    END IF;
+
+    IF p_amount > 0 THEN
+        INSERT INTO invoices (membership_id, user_id, fanclub_id, tier_id, amount, period_start, period_end, status, attempts, paid_at)
+        VALUES (v_membership_id, p_user_id, p_fanclub_id, p_tier_id, p_amount, p_period_start, p_period_end, 'paid', 1, NOW())
+        RETURNING id INTO v_invoice_id;
+
+        INSERT INTO payments (invoice_id, provider, provider_payment_id, amount, status)
+        VALUES (v_invoice_id, p_provider, p_provider_payment_id, p_amount, 'succeeded');
+    END IF;
+
+    UPDATE fanclubs SET member_count = member_count + 1 WHERE id = p_fanclub_id;
+
+    RETURN v_membership_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 支払日を迎えたメンバーシップの更新
+-- 無料のメンバーシップは次回支払日だけ進め、有料のメンバーシップは請求書を作成する
+-- （変更予定の月会費・プランがあれば適用）
+CREATE OR REPLACE FUNCTION open_renewal_invoices()
+RETURNS INTEGER AS $$
+DECLARE
+    opened_count INTEGER;
+BEGIN
+    UPDATE memberships m
+    SET next_payment_date = m.next_payment_date + INTERVAL '1 month',
+        monthly_fee = COALESCE(m.pending_monthly_fee, m.monthly_fee),
+        pending_monthly_fee = NULL,
+        tier_id = COALESCE(m.pending_tier_id, m.tier_id),
+        pending_tier_id = NULL
+    FROM fanclubs f
+    WHERE m.fanclub_id = f.id
+      AND m.is_owner = FALSE
+      AND m.status = 'active'
+      AND m.next_payment_date <= NOW()
+      AND COALESCE(m.pending_monthly_fee, m.monthly_fee, f.monthly_fee) = 0;
+
+    INSERT INTO invoices (membership_id, user_id, fanclub_id, tier_id, amount, period_start, period_end, next_attempt_at)
+    SELECT m.id, m.user_id, m.fanclub_id, COALESCE(m.pending_tier_id, m.tier_id),
+           COALESCE(m.pending_monthly_fee, m.monthly_fee, f.monthly_fee),
+           m.next_payment_date, m.next_payment_date + INTERVAL '1 month', NOW()
+    FROM memberships m
+    JOIN fanclubs f ON m.fanclub_id = f.id
+    WHERE m.is_owner = FALSE
+      AND m.status = 'active'
+      AND m.next_payment_date <= NOW()
+      AND COALESCE(m.pending_monthly_fee, m.monthly_fee, f.monthly_fee) > 0
+    ON CONFLICT (membership_id, period_start) DO NOTHING;
+
+    GET DIAGNOSTICS opened_count = ROW_COUNT;
+    RETURN opened_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 請求書の決済結果を反映
+-- 成功: 請求書を支払い済みにし、メンバーシップの次回支払日を進める（請求書のプランに切り替える）
+-- 失敗: メンバーシップを past_due にして翌日に再試行。p_max_attempts 回失敗したら canceled にする
+CREATE OR REPLACE FUNCTION settle_invoice(
+    p_invoice_id UUID,
+    p_provider TEXT,
+    p_provider_payment_id TEXT,
+    p_succeeded BOOLEAN,
+    p_failure_reason TEXT,
+    p_max_attempts INTEGER
+)
+RETURNS VARCHAR AS $$
+DECLARE
+    v_invoice invoices%ROWTYPE;
+BEGIN
+    UPDATE invoices SET attempts = attempts + 1
+    WHERE id = p_invoice_id AND status = 'open'
+    RETURNING * INTO v_invoice;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Open invoice not found';
+    END IF;
+
+    INSERT INTO payments (invoice_id, provider, provider_payment_id, amount, status, failure_reason)
+    VALUES (v_invoice.id, p_provider, p_provider_payment_id, v_invoice.amount,
+            CASE WHEN p_succeeded THEN 'succeeded' ELSE 'failed' END, p_failure_reason);
+
+    IF p_succeeded THEN
+        UPDATE invoices SET status = 'paid', next_attempt_at = NULL, paid_at = NOW()
+        WHERE id = v_invoice.id;
+
+        UPDATE memberships
+        SET status = 'active',
+            next_payment_date = v_invoice.period_end,
+            monthly_fee = v_invoice.amount,
+            tier_id = v_invoice.tier_id,
+            pending_monthly_fee = CASE WHEN pending_monthly_fee = v_invoice.amount THEN NULL ELSE pending_monthly_fee END,
+            pending_tier_id = CASE WHEN pending_tier_id = v_invoice.tier_id THEN NULL ELSE pending_tier_id END
+        WHERE id = v_invoice.membership_id;
+
+        RETURN 'paid';
+    END IF;
+
+    IF v_invoice.attempts < p_max_attempts THEN
+        UPDATE invoices SET next_attempt_at = NOW() + INTERVAL '1 day'
+        WHERE id = v_invoice.id;
+
+        UPDATE memberships SET status = 'past_due' WHERE id = v_invoice.membership_id;
+
+        RETURN 'open';
+    END IF;
+
+    UPDATE invoices SET status = 'uncollectible', next_attempt_at = NULL
+    WHERE id = v_invoice.id;
+
+    UPDATE memberships SET status = 'canceled', canceled_at = NOW()
+    WHERE id = v_invoice.membership_id;
+
+    UPDATE fanclubs SET member_count = member_count - 1 WHERE id = v_invoice.fanclub_id;
+
+    RETURN 'uncollectible';
+END;
+$$ LANGUAGE plpgsql;
+
+-- ファンクラブの月会費を最安プランの料金に合わせる（一覧・詳細の「月額○円〜」表示用）
+CREATE OR REPLACE FUNCTION sync_fanclub_monthly_fee(p_fanclub_id UUID)
+RETURNS void AS $$
+BEGIN
+    UPDATE fanclubs
+    SET monthly_fee = COALESCE((SELECT MIN(monthly_fee) FROM fanclub_tiers WHERE fanclub_id = p_fanclub_id), monthly_fee)
+    WHERE id = p_fanclub_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- プランの料金変更（既存メンバーは現在の料金を維持し、次回支払日から新料金を適用）
+-- このプランへの変更を予約中のメンバーも新しい料金で切り替わる
+CREATE OR REPLACE FUNCTION apply_tier_fee_change(p_tier_id UUID, p_new_fee INTEGER)
+RETURNS void AS $$
+DECLARE
+    v_fanclub_id UUID;
+BEGIN
+    UPDATE fanclub_tiers SET monthly_fee = p_new_fee
+    WHERE id = p_tier_id
+    RETURNING fanclub_id INTO v_fanclub_id;
+
+    UPDATE memberships
+    SET pending_monthly_fee = CASE WHEN monthly_fee = p_new_fee THEN NULL ELSE p_new_fee END
+    WHERE tier_id = p_tier_id AND pending_tier_id IS NULL;
+
+    UPDATE memberships SET pending_monthly_fee = p_new_fee
+    WHERE pending_tier_id = p_tier_id;
+
+    PERFORM sync_fanclub_monthly_fee(v_fanclub_id);
+END;
+$$ LANGUAGE plpgsql;
+
+-- 上位プランへの即時切り替え（今期の差額分の請求書・決済記録をまとめて作成）
+CREATE OR REPLACE FUNCTION upgrade_membership_tier(
+    p_membership_id UUID,
+    p_tier_id UUID,
+    p_amount INTEGER,
+    p_provider TEXT,
+    p_provider_payment_id TEXT
+)
+RETURNS void AS $$
+DECLARE
+    v_membership memberships%ROWTYPE;
+    v_invoice_id UUID;
+BEGIN
+    UPDATE memberships
+    SET tier_id = p_tier_id,
+        monthly_fee = (SELECT monthly_fee FROM fanclub_tiers WHERE id = p_tier_id),
+        pending_tier_id = NULL,
+        pending_monthly_fee = NULL
+    WHERE id = p_membership_id AND status = 'active'
+    RETURNING * INTO v_membership;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Active membership not found';
+    END IF;
+
+    IF p_amount > 0 THEN
+        INSERT INTO invoices (membership_id, user_id, fanclub_id, tier_id, amount, period_start, period_end, status, attempts, paid_at)
+        VALUES (v_membership.id, v_membership.user_id, v_membership.fanclub_id, p_tier_id, p_amount,
+                NOW(), v_membership.next_payment_date, 'paid', 1, NOW())
+        RETURNING id INTO v_invoice_id;
+
+        INSERT INTO payments (invoice_id, provider, provider_payment_id, amount, status)
+        VALUES (v_invoice_id, p_provider, p_provider_payment_id, p_amount, 'succeeded');
+    END IF;
+END;
+$$ LANGUAGE plpgsql;
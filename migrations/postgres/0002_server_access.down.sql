@@ -0,0 +1,48 @@
+-- anon ロールの権限を取り消し、RLSを有効に戻す（ポリシーがないため anon からは参照できなくなる）
+
+REVOKE EXECUTE ON FUNCTION increment_member_count FROM anon;
+REVOKE EXECUTE ON FUNCTION decrement_member_count FROM anon;
+REVOKE EXECUTE ON FUNCTION like_post FROM anon;
+REVOKE EXECUTE ON FUNCTION unlike_post FROM anon;
+REVOKE EXECUTE ON FUNCTION sync_comment_count FROM anon;
+REVOKE EXECUTE ON FUNCTION change_fanclub_fee FROM anon;
+REVOKE EXECUTE ON FUNCTION get_user_memberships FROM anon;
+REVOKE EXECUTE ON FUNCTION queue_payment_reminders FROM anon;
+REVOKE EXECUTE ON FUNCTION activate_membership FROM anon;
+REVOKE EXECUTE ON FUNCTION open_renewal_invoices FROM anon;
+REVOKE EXECUTE ON FUNCTION settle_invoice FROM anon;
+REVOKE EXECUTE ON FUNCTION sync_fanclub_monthly_fee FROM anon;
+REVOKE EXECUTE ON FUNCTION apply_tier_fee_change FROM anon;
+REVOKE EXECUTE ON FUNCTION upgrade_membership_tier FROM anon;
+
+REVOKE USAGE, SELECT ON ALL SEQUENCES IN SCHEMA public FROM anon;
+
+REVOKE ALL ON users FROM anon;
+REVOKE ALL ON fanclubs FROM anon;
+REVOKE ALL ON fanclub_tiers FROM anon;
+REVOKE ALL ON memberships FROM anon;
+REVOKE ALL ON posts FROM anon;
+REVOKE ALL ON likes FROM anon;
+REVOKE ALL ON comments FROM anon;
+REVOKE ALL ON fanclub_bans FROM anon;
+REVOKE ALL ON reminder_settings FROM anon;
+REVOKE ALL ON payment_reminders FROM anon;
+REVOKE ALL ON invoices FROM anon;
+REVOKE ALL ON payments FROM anon;
+REVOKE ALL ON sessions FROM anon;
+REVOKE ALL ON user_tokens FROM anon;
+
+ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE fanclubs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE fanclub_tiers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE memberships ENABLE ROW LEVEL SECURITY;
+ALTER TABLE posts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE likes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE comments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE fanclub_bans ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reminder_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payment_reminders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE invoices ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_tokens ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,74 @@
+-- サーバー（anon キー）からのアクセス
+-- サーバーが認可を行うため、RLSを無効にして anon ロールに全テーブル・関数へのアクセスを許可する
+-- 過去に作成されたポリシーも削除する
+
+-- 既存のポリシーを削除
+DROP POLICY IF EXISTS "Users can view all users" ON users;
+DROP POLICY IF EXISTS "Fanclubs are viewable by everyone" ON fanclubs;
+DROP POLICY IF EXISTS "Tiers are viewable by everyone" ON fanclub_tiers;
+DROP POLICY IF EXISTS "Posts are viewable by everyone" ON posts;
+DROP POLICY IF EXISTS "Memberships are viewable by everyone" ON memberships;
+DROP POLICY IF EXISTS "Users can update own profile" ON users;
+DROP POLICY IF EXISTS "Fanclub owners can manage fanclubs" ON fanclubs;
+DROP POLICY IF EXISTS "Authenticated users can create fanclubs" ON fanclubs;
+DROP POLICY IF EXISTS "Fanclub owners can manage tiers" ON fanclub_tiers;
+DROP POLICY IF EXISTS "Users can manage own memberships" ON memberships;
+DROP POLICY IF EXISTS "Fanclub owners can manage posts" ON posts;
+DROP POLICY IF EXISTS "Authenticated users can like" ON likes;
+DROP POLICY IF EXISTS "Authenticated users can comment" ON comments;
+DROP POLICY IF EXISTS "Fanclub owners can manage bans" ON fanclub_bans;
+DROP POLICY IF EXISTS "Users can manage own reminder settings" ON reminder_settings;
+DROP POLICY IF EXISTS "Users can view own payment reminders" ON payment_reminders;
+DROP POLICY IF EXISTS "Users can view own invoices" ON invoices;
+DROP POLICY IF EXISTS "Users can view own payments" ON payments;
+
+-- RLSを無効化（開発テスト用）
+ALTER TABLE users DISABLE ROW LEVEL SECURITY;
+ALTER TABLE fanclubs DISABLE ROW LEVEL SECURITY;
+ALTER TABLE fanclub_tiers DISABLE ROW LEVEL SECURITY;
+ALTER TABLE memberships DISABLE ROW LEVEL SECURITY;
+ALTER TABLE posts DISABLE ROW LEVEL SECURITY;
+ALTER TABLE likes DISABLE ROW LEVEL SECURITY;
+ALTER TABLE comments DISABLE ROW LEVEL SECURITY;
+ALTER TABLE fanclub_bans DISABLE ROW LEVEL SECURITY;
+ALTER TABLE reminder_settings DISABLE ROW LEVEL SECURITY;
+ALTER TABLE payment_reminders DISABLE ROW LEVEL SECURITY;
+ALTER TABLE invoices DISABLE ROW LEVEL SECURITY;
+ALTER TABLE payments DISABLE ROW LEVEL SECURITY;
+ALTER TABLE sessions DISABLE ROW LEVEL SECURITY;
+ALTER TABLE user_tokens DISABLE ROW LEVEL SECURITY;
+
+-- テスト用: 全テーブルへのアクセスを許可
+GRANT ALL ON users TO anon;
+GRANT ALL ON fanclubs TO anon;
+GRANT ALL ON fanclub_tiers TO anon;
+GRANT ALL ON memberships TO anon;
+GRANT ALL ON posts TO anon;
+GRANT ALL ON likes TO anon;
+GRANT ALL ON comments TO anon;
+GRANT ALL ON fanclub_bans TO anon;
+GRANT ALL ON reminder_settings TO anon;
+GRANT ALL ON payment_reminders TO anon;
+GRANT ALL ON invoices TO anon;
+GRANT ALL ON payments TO anon;
+GRANT ALL ON sessions TO anon;
+GRANT ALL ON user_tokens TO anon;
+
+-- シーケンスへのアクセス許可
+GRANT USAGE, SELECT ON ALL SEQUENCES IN SCHEMA public TO anon;
+
+-- 関数の実行権限
+GRANT EXECUTE ON FUNCTION increment_member_count TO anon;
+GRANT EXECUTE ON FUNCTION decrement_member_count TO anon;
+GRANT EXECUTE ON FUNCTION like_post TO anon;
+GRANT EXECUTE ON FUNCTION unlike_post TO anon;
+GRANT EXECUTE ON FUNCTION sync_comment_count TO anon;
+GRANT EXECUTE ON FUNCTION change_fanclub_fee TO anon;
+GRANT EXECUTE ON FUNCTION get_user_memberships TO anon;
+GRANT EXECUTE ON FUNCTION queue_payment_reminders TO anon;
+GRANT EXECUTE ON FUNCTION activate_membership TO anon;
+GRANT EXECUTE ON FUNCTION open_renewal_invoices TO anon;
+GRANT EXECUTE ON FUNCTION settle_invoice TO anon;
+GRANT EXECUTE ON FUNCTION sync_fanclub_monthly_fee TO anon;
+GRANT EXECUTE ON FUNCTION apply_tier_fee_change TO anon;
+GRANT EXECUTE ON FUNCTION upgrade_membership_tier TO anon;
@@ -0,0 +1,53 @@
+-- RLSを無効に戻し、サーバー（anon キー）から全テーブル・関数にアクセスできる状態に戻す
+
+DROP POLICY IF EXISTS "Public profiles are viewable by everyone" ON users;
+DROP POLICY IF EXISTS "Fanclubs are viewable by everyone" ON fanclubs;
+DROP POLICY IF EXISTS "Tiers are viewable by everyone" ON fanclub_tiers;
+DROP POLICY IF EXISTS "Published posts are viewable by allowed readers" ON posts;
+DROP POLICY IF EXISTS "Comments on viewable posts are viewable" ON comments;
+DROP POLICY IF EXISTS "Users can view own memberships" ON memberships;
+DROP POLICY IF EXISTS "Users can view own likes" ON likes;
+DROP POLICY IF EXISTS "Users can view own reminder settings" ON reminder_settings;
+DROP POLICY IF EXISTS "Users can view own payment reminders" ON payment_reminders;
+DROP POLICY IF EXISTS "Users can view own invoices" ON invoices;
+DROP POLICY IF EXISTS "Users can view own payments" ON payments;
+
+ALTER TABLE users DISABLE ROW LEVEL SECURITY;
+ALTER TABLE sessions DISABLE ROW LEVEL SECURITY;
+ALTER TABLE user_tokens DISABLE ROW LEVEL SECURITY;
+ALTER TABLE fanclubs DISABLE ROW LEVEL SECURITY;
+ALTER TABLE fanclub_tiers DISABLE ROW LEVEL SECURITY;
+ALTER TABLE memberships DISABLE ROW LEVEL SECURITY;
+ALTER TABLE posts DISABLE ROW LEVEL SECURITY;
+ALTER TABLE likes DISABLE ROW LEVEL SECURITY;
+ALTER TABLE comments DISABLE ROW LEVEL SECURITY;
+ALTER TABLE fanclub_bans DISABLE ROW LEVEL SECURITY;
+ALTER TABLE reminder_settings DISABLE ROW LEVEL SECURITY;
+ALTER TABLE payment_reminders DISABLE ROW LEVEL SECURITY;
+ALTER TABLE invoices DISABLE ROW LEVEL SECURITY;
+ALTER TABLE payments DISABLE ROW LEVEL SECURITY;
+ALTER TABLE schema_migrations DISABLE ROW LEVEL SECURITY;
+
+ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT ALL ON TABLES TO anon, authenticated;
+ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT ALL ON SEQUENCES TO anon, authenticated;
+ALTER DEFAULT PRIVILEGES IN SCHEMA public GRANT EXECUTE ON FUNCTIONS TO PUBLIC;
+
+ALTER FUNCTION activate_membership(UUID, UUID, UUID, INTEGER, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, TEXT, TEXT) SECURITY INVOKER RESET search_path;
+ALTER FUNCTION upgrade_membership_tier(UUID, UUID, INTEGER, TEXT, TEXT) SECURITY INVOKER RESET search_path;
+ALTER FUNCTION change_fanclub_fee(UUID, INTEGER) SECURITY INVOKER RESET search_path;
+ALTER FUNCTION apply_tier_fee_change(UUID, INTEGER) SECURITY INVOKER RESET search_path;
+ALTER FUNCTION open_renewal_invoices() SECURITY INVOKER RESET search_path;
+ALTER FUNCTION settle_invoice(UUID, TEXT, TEXT, BOOLEAN, TEXT, INTEGER) SECURITY INVOKER RESET search_path;
+
+DROP FUNCTION IF EXISTS record_membership_visit(UUID, UUID);
+DROP FUNCTION IF EXISTS set_pending_tier(UUID, UUID, INTEGER);
+DROP FUNCTION IF EXISTS remove_membership(UUID, UUID);
+DROP FUNCTION IF EXISTS create_fanclub(UUID, TEXT, TEXT, INTEGER, TEXT, TEXT, TEXT);
+DROP FUNCTION IF EXISTS has_member_post_access(UUID, UUID);
+DROP FUNCTION IF EXISTS current_app_user_id();
+
+REVOKE ALL ON users FROM anon, authenticated;
+GRANT ALL ON ALL TABLES IN SCHEMA public TO anon;
+GRANT INSERT, UPDATE, DELETE ON memberships TO service_role;
+GRANT USAGE, SELECT ON ALL SEQUENCES IN SCHEMA public TO anon;
+GRANT EXECUTE ON ALL FUNCTIONS IN SCHEMA public TO PUBLIC, anon;
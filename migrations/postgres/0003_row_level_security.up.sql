@@ -0,0 +1,188 @@
+-- 行レベルセキュリティ（RLS）
+-- サーバーは service_role キーで接続する（service_role は RLS の対象外）
+-- anon / authenticated ロールには公開してよいデータだけを見せる
+--   - users はパスワードハッシュ・メールアドレスなどを除いた公開プロフィールの列のみ
+--   - メンバー限定投稿は支払いが有効なメンバー（とオーナー）のみ
+--   - memberships はどのロールからも直接変更できず、下記の関数（RPC）からのみ変更する
+-- ログイン中のユーザーIDは JWT の sub クレーム（PostgREST が request.jwt.claims に設定する）
+
+-- ログイン中のユーザーID（未ログインなら NULL）
+CREATE OR REPLACE FUNCTION current_app_user_id()
+RETURNS UUID AS $$
+    SELECT NULLIF(NULLIF(current_setting('request.jwt.claims', true), '')::json ->> 'sub', '')::UUID;
+$$ LANGUAGE sql STABLE;
+
+-- メンバー限定投稿を閲覧できるか
+-- 支払いが有効なメンバーのみ。最低プランが指定されている場合はそのプランの料金以上のプランが必要（オーナーは常に閲覧可）
+-- memberships の RLS を通さずに判定するため SECURITY DEFINER にする
+CREATE OR REPLACE FUNCTION has_member_post_access(p_fanclub_id UUID, p_min_tier_id UUID)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM memberships m
+        LEFT JOIN fanclub_tiers mt ON m.tier_id = mt.id
+        WHERE m.user_id = current_app_user_id() AND m.fanclub_id = p_fanclub_id AND m.status = 'active'
+            AND (m.is_owner = TRUE OR p_min_tier_id IS NULL
+                OR mt.monthly_fee >= (SELECT monthly_fee FROM fanclub_tiers WHERE id = p_min_tier_id))
+    );
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- ファンクラブを作成し、オーナーのメンバーシップと最初のプランも作成する
+CREATE OR REPLACE FUNCTION create_fanclub(
+    p_owner_id UUID,
+    p_name TEXT,
+    p_description TEXT,
+    p_monthly_fee INTEGER,
+    p_purpose TEXT,
+    p_cover_image_url TEXT,
+    p_tier_name TEXT
+)
+RETURNS UUID AS $$
+DECLARE
+    v_fanclub_id UUID;
+BEGIN
+    INSERT INTO fanclubs (name, description, monthly_fee, purpose, cover_image_url, owner_id)
+    VALUES (p_name, p_description, p_monthly_fee, p_purpose, p_cover_image_url, p_owner_id)
+    RETURNING id INTO v_fanclub_id;
+
+    INSERT INTO memberships (user_id, fanclub_id, is_owner)
+    VALUES (p_owner_id, v_fanclub_id, TRUE);
+
+    INSERT INTO fanclub_tiers (fanclub_id, name, monthly_fee)
+    VALUES (v_fanclub_id, p_tier_name, p_monthly_fee);
+
+    RETURN v_fanclub_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- メンバーシップを削除してメンバー数を更新（オーナーは削除できない）
+-- 解約済みのメンバーシップは既にメンバー数から除かれている
+CREATE OR REPLACE FUNCTION remove_membership(p_fanclub_id UUID, p_user_id UUID)
+RETURNS BOOLEAN AS $$
+DECLARE
+    v_status TEXT;
+BEGIN
+    DELETE FROM memberships
+    WHERE fanclub_id = p_fanclub_id AND user_id = p_user_id AND is_owner = FALSE
+    RETURNING status INTO v_status;
+
+    IF NOT FOUND THEN
+        RETURN FALSE;
+    END IF;
+
+    IF v_status <> 'canceled' THEN
+        PERFORM decrement_member_count(p_fanclub_id);
+    END IF;
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- 次回支払日から切り替えるプランと料金（p_tier_id が NULL なら予約の取り消し）
+CREATE OR REPLACE FUNCTION set_pending_tier(p_membership_id UUID, p_tier_id UUID, p_monthly_fee INTEGER)
+RETURNS VOID AS $$
+BEGIN
+    UPDATE memberships
+    SET pending_tier_id = p_tier_id,
+        pending_monthly_fee = p_monthly_fee
+    WHERE id = p_membership_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- ファンクラブを訪問した日時を記録（未読投稿数の計算用）
+CREATE OR REPLACE FUNCTION record_membership_visit(p_fanclub_id UUID, p_user_id UUID)
+RETURNS BOOLEAN AS $$
+BEGIN
+    UPDATE memberships
+    SET last_visited_at = NOW()
+    WHERE fanclub_id = p_fanclub_id AND user_id = p_user_id;
+    RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- メンバーシップを変更する既存の関数も、テーブルの権限なしで実行できるようにする
+ALTER FUNCTION activate_membership(UUID, UUID, UUID, INTEGER, TIMESTAMP WITH TIME ZONE, TIMESTAMP WITH TIME ZONE, TEXT, TEXT) SECURITY DEFINER SET search_path = public;
+ALTER FUNCTION upgrade_membership_tier(UUID, UUID, INTEGER, TEXT, TEXT) SECURITY DEFINER SET search_path = public;
+ALTER FUNCTION change_fanclub_fee(UUID, INTEGER) SECURITY DEFINER SET search_path = public;
+ALTER FUNCTION apply_tier_fee_change(UUID, INTEGER) SECURITY DEFINER SET search_path = public;
+ALTER FUNCTION open_renewal_invoices() SECURITY DEFINER SET search_path = public;
+ALTER FUNCTION settle_invoice(UUID, TEXT, TEXT, BOOLEAN, TEXT, INTEGER) SECURITY DEFINER SET search_path = public;
+
+-- 権限をいったんすべて取り消す（関数は既定で PUBLIC が実行できる）
+REVOKE ALL ON ALL TABLES IN SCHEMA public FROM anon, authenticated;
+REVOKE ALL ON ALL SEQUENCES IN SCHEMA public FROM anon, authenticated;
+REVOKE EXECUTE ON ALL FUNCTIONS IN SCHEMA public FROM PUBLIC, anon, authenticated;
+
+-- 今後作成するテーブル・関数にも自動で権限を与えない
+ALTER DEFAULT PRIVILEGES IN SCHEMA public REVOKE ALL ON TABLES FROM anon, authenticated;
+ALTER DEFAULT PRIVILEGES IN SCHEMA public REVOKE ALL ON SEQUENCES FROM anon, authenticated;
+ALTER DEFAULT PRIVILEGES IN SCHEMA public REVOKE EXECUTE ON FUNCTIONS FROM PUBLIC, anon, authenticated;
+
+-- サーバー（service_role）: memberships 以外のテーブルとすべての関数
+GRANT USAGE ON SCHEMA public TO service_role;
+GRANT SELECT, INSERT, UPDATE, DELETE ON ALL TABLES IN SCHEMA public TO service_role;
+REVOKE INSERT, UPDATE, DELETE, TRUNCATE ON memberships FROM service_role;
+GRANT USAGE, SELECT ON ALL SEQUENCES IN SCHEMA public TO service_role;
+GRANT EXECUTE ON ALL FUNCTIONS IN SCHEMA public TO service_role;
+
+-- ポリシーの判定に使う関数
+GRANT EXECUTE ON FUNCTION current_app_user_id() TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION has_member_post_access(UUID, UUID) TO anon, authenticated;
+
+-- すべてのテーブルで RLS を有効化（ポリシーのないテーブルは anon / authenticated から参照できない）
+ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+ALTER TABLE sessions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_tokens ENABLE ROW LEVEL SECURITY;
+ALTER TABLE fanclubs ENABLE ROW LEVEL SECURITY;
+ALTER TABLE fanclub_tiers ENABLE ROW LEVEL SECURITY;
+ALTER TABLE memberships ENABLE ROW LEVEL SECURITY;
+ALTER TABLE posts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE likes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE comments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE fanclub_bans ENABLE ROW LEVEL SECURITY;
+ALTER TABLE reminder_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payment_reminders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE invoices ENABLE ROW LEVEL SECURITY;
+ALTER TABLE payments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE schema_migrations ENABLE ROW LEVEL SECURITY;
+
+-- ユーザー: 公開プロフィールの列のみ（password_hash・email・phone などは列の権限がない）
+GRANT SELECT (id, nickname, avatar_url, bio, created_at) ON users TO anon, authenticated;
+CREATE POLICY "Public profiles are viewable by everyone" ON users
+    FOR SELECT USING (true);
+
+-- ファンクラブとプラン: 誰でも閲覧可
+GRANT SELECT ON fanclubs, fanclub_tiers TO anon, authenticated;
+CREATE POLICY "Fanclubs are viewable by everyone" ON fanclubs
+    FOR SELECT USING (true);
+CREATE POLICY "Tiers are viewable by everyone" ON fanclub_tiers
+    FOR SELECT USING (true);
+
+-- 投稿: 公開済みの投稿のうち、一般公開か閲覧条件を満たすメンバー限定投稿（著者は下書きも閲覧可）
+GRANT SELECT ON posts TO anon, authenticated;
+CREATE POLICY "Published posts are viewable by allowed readers" ON posts
+    FOR SELECT USING (
+        (status = 'published' AND published_at <= NOW()
+            AND (visibility = 'public' OR has_member_post_access(fanclub_id, min_tier_id)))
+        OR author_id = current_app_user_id()
+    );
+
+-- コメント: 閲覧できる投稿の非表示でないコメント
+GRANT SELECT ON comments TO anon, authenticated;
+CREATE POLICY "Comments on viewable posts are viewable" ON comments
+    FOR SELECT USING (
+        is_hidden = FALSE AND EXISTS (SELECT 1 FROM posts p WHERE p.id = comments.post_id)
+    );
+
+-- 本人のデータのみ閲覧可（変更はサーバー経由）
+GRANT SELECT ON memberships, likes, reminder_settings, payment_reminders, invoices, payments TO authenticated;
+CREATE POLICY "Users can view own memberships" ON memberships
+    FOR SELECT USING (user_id = current_app_user_id());
+CREATE POLICY "Users can view own likes" ON likes
+    FOR SELECT USING (user_id = current_app_user_id());
+CREATE POLICY "Users can view own reminder settings" ON reminder_settings
+    FOR SELECT USING (user_id = current_app_user_id());
+CREATE POLICY "Users can view own payment reminders" ON payment_reminders
+    FOR SELECT USING (user_id = current_app_user_id());
+CREATE POLICY "Users can view own invoices" ON invoices
+    FOR SELECT USING (user_id = current_app_user_id());
+CREATE POLICY "Users can view own payments" ON payments
+    FOR SELECT USING (EXISTS (SELECT 1 FROM invoices i WHERE i.id = payments.invoice_id));
@@ -0,0 +1,10 @@
+DROP FUNCTION IF EXISTS search_fanclubs(TEXT, INTEGER, INTEGER, INTEGER, INTEGER, TEXT, TEXT, UUID, INTEGER);
+
+DROP INDEX IF EXISTS idx_fanclubs_created_at;
+DROP INDEX IF EXISTS idx_fanclubs_member_count;
+DROP INDEX IF EXISTS idx_posts_title_search;
+DROP INDEX IF EXISTS idx_fanclubs_search;
+
+DROP FUNCTION IF EXISTS fanclub_search_vector(TEXT, TEXT, TEXT);
+DROP FUNCTION IF EXISTS search_query(TEXT);
+DROP FUNCTION IF EXISTS search_tokens(TEXT);
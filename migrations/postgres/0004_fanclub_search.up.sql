@@ -0,0 +1,144 @@
+-- ファンクラブ検索（全文検索）
+-- 日本語は単語の区切りがないため、英数字の連続は単語として、それ以外（かな・漢字など）は2文字ずつ（バイグラム）に分けて索引する
+-- 検索語も同じ関数で分割するため、索引と検索語の分け方は常に一致する
+-- 索引の式は制限された search_path で評価される（PostgreSQL 17 以降）ため、search_tokens はスキーマ名を付けて呼び出す
+
+-- 検索用のトークンに分割（NFKC正規化・小文字化したうえで分割する）
+CREATE OR REPLACE FUNCTION search_tokens(p_text TEXT)
+RETURNS TEXT[] AS $$
+DECLARE
+    v_tokens TEXT[] := '{}';
+    v_word TEXT;
+    i INTEGER;
+BEGIN
+    FOR v_word IN
+        SELECT m[1]
+        FROM regexp_matches(lower(normalize(COALESCE(p_text, ''), NFKC)), '([a-z0-9]+|[^[:space:][:punct:]a-z0-9]+)', 'g') AS m
+    LOOP
+        IF v_word ~ '^[a-z0-9]+$' OR char_length(v_word) = 1 THEN
+            v_tokens := v_tokens || v_word;
+        ELSE
+            FOR i IN 1 .. char_length(v_word) - 1 LOOP
+                v_tokens := v_tokens || substr(v_word, i, 2);
+            END LOOP;
+        END IF;
+    END LOOP;
+    RETURN v_tokens;
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+-- 検索語のトークンをすべて含むものに一致する tsquery（トークンがなければ NULL）
+-- 英数字の単語と1文字のトークンは前方一致にする
+CREATE OR REPLACE FUNCTION search_query(p_query TEXT)
+RETURNS tsquery AS $$
+    SELECT string_agg(
+        quote_literal(token) || CASE WHEN token ~ '^[a-z0-9]+$' OR char_length(token) = 1 THEN ':*' ELSE '' END,
+        ' & '
+    )::tsquery
+    FROM unnest(public.search_tokens(p_query)) AS token;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- ファンクラブの検索対象（名前 > 説明 > 目的 の順に重み付け）
+CREATE OR REPLACE FUNCTION fanclub_search_vector(p_name TEXT, p_description TEXT, p_purpose TEXT)
+RETURNS tsvector AS $$
+    SELECT setweight(array_to_tsvector(public.search_tokens(p_name)), 'A')
+        || setweight(array_to_tsvector(public.search_tokens(p_description)), 'B')
+        || setweight(array_to_tsvector(public.search_tokens(p_purpose)), 'C');
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE INDEX IF NOT EXISTS idx_fanclubs_search ON fanclubs
+    USING GIN (fanclub_search_vector(name, description, purpose));
+CREATE INDEX IF NOT EXISTS idx_posts_title_search ON posts
+    USING GIN (array_to_tsvector(public.search_tokens(title)));
+CREATE INDEX IF NOT EXISTS idx_fanclubs_member_count ON fanclubs(member_count DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_fanclubs_created_at ON fanclubs(created_at DESC, id DESC);
+
+-- ファンクラブの検索
+-- 名前・説明・目的と、一般公開済みの投稿のタイトルを対象にする（p_query が空なら絞り込みのみ）
+-- 並び順 p_sort: relevance（関連度）/ newest（新着）/ members（メンバー数）/ trending（直近7日間の参加者数）
+-- p_after_value と p_after_id は前のページの最後の項目の並び替えキーとID（キーセットページネーション）
+CREATE OR REPLACE FUNCTION search_fanclubs(
+    p_query TEXT,
+    p_min_fee INTEGER,
+    p_max_fee INTEGER,
+    p_min_members INTEGER,
+    p_max_members INTEGER,
+    p_sort TEXT,
+    p_after_value TEXT,
+    p_after_id UUID,
+    p_limit INTEGER
+)
+RETURNS TABLE (
+    id UUID,
+    name TEXT,
+    description TEXT,
+    monthly_fee INTEGER,
+    purpose TEXT,
+    cover_image_url TEXT,
+    owner_id UUID,
+    member_count INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE,
+    owner_name TEXT,
+    search_rank NUMERIC,
+    recent_joins INTEGER
+) AS $$
+    WITH q AS (
+        SELECT search_query(p_query) AS tsq
+    ),
+    matched AS (
+        SELECT f.id, f.name, f.description, f.monthly_fee, f.purpose, f.cover_image_url, f.owner_id,
+            COALESCE(f.member_count, 0) AS member_count, f.created_at, f.updated_at,
+            u.nickname AS owner_name,
+            CASE WHEN q.tsq IS NULL THEN 0 ELSE ROUND((
+                ts_rank(fanclub_search_vector(f.name, f.description, f.purpose), q.tsq)
+                + 0.5 * COALESCE((
+                    SELECT MAX(ts_rank(array_to_tsvector(public.search_tokens(p.title)), q.tsq))
+                    FROM posts p
+                    WHERE p.fanclub_id = f.id AND p.visibility = 'public'
+                        AND p.status = 'published' AND p.published_at <= NOW()
+                        AND array_to_tsvector(public.search_tokens(p.title)) @@ q.tsq
+                ), 0)
+            )::NUMERIC, 6) END AS search_rank,
+            (
+                SELECT COUNT(*)::INTEGER FROM memberships m
+                WHERE m.fanclub_id = f.id AND m.is_owner = FALSE AND m.status <> 'canceled'
+                    AND m.joined_at > NOW() - INTERVAL '7 days'
+            ) AS recent_joins
+        FROM fanclubs f
+        JOIN users u ON u.id = f.owner_id
+        CROSS JOIN q
+        WHERE (q.tsq IS NULL
+                OR fanclub_search_vector(f.name, f.description, f.purpose) @@ q.tsq
+                OR EXISTS (
+                    SELECT 1 FROM posts p
+                    WHERE p.fanclub_id = f.id AND p.visibility = 'public'
+                        AND p.status = 'published' AND p.published_at <= NOW()
+                        AND array_to_tsvector(public.search_tokens(p.title)) @@ q.tsq
+                ))
+            AND (p_min_fee IS NULL OR f.monthly_fee >= p_min_fee)
+            AND (p_max_fee IS NULL OR f.monthly_fee <= p_max_fee)
+            AND (p_min_members IS NULL OR COALESCE(f.member_count, 0) >= p_min_members)
+            AND (p_max_members IS NULL OR COALESCE(f.member_count, 0) <= p_max_members)
+    )
+    SELECT * FROM matched
+    WHERE p_after_id IS NULL OR CASE p_sort
+        WHEN 'relevance' THEN (matched.search_rank, matched.id) < (p_after_value::NUMERIC, p_after_id)
+        WHEN 'members' THEN (matched.member_count, matched.id) < (p_after_value::INTEGER, p_after_id)
+        WHEN 'trending' THEN (matched.recent_joins, matched.id) < (p_after_value::INTEGER, p_after_id)
+        ELSE (matched.created_at, matched.id) < (p_after_value::TIMESTAMP WITH TIME ZONE, p_after_id)
+    END
+    ORDER BY
+        CASE WHEN p_sort = 'relevance' THEN matched.search_rank END DESC,
+        CASE WHEN p_sort = 'members' THEN matched.member_count END DESC,
+        CASE WHEN p_sort = 'trending' THEN matched.recent_joins END DESC,
+        CASE WHEN p_sort NOT IN ('relevance', 'members', 'trending') THEN matched.created_at END DESC,
+        matched.id DESC
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+-- サーバー（service_role）のみ実行可（0003 で新しい関数には権限を与えないようにしている）
+GRANT EXECUTE ON FUNCTION search_tokens(TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION search_query(TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION fanclub_search_vector(TEXT, TEXT, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION search_fanclubs(TEXT, INTEGER, INTEGER, INTEGER, INTEGER, TEXT, TEXT, UUID, INTEGER) TO service_role;
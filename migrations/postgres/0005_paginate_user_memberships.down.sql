@@ -0,0 +1,41 @@
+DROP FUNCTION IF EXISTS get_user_memberships(UUID, TIMESTAMP WITH TIME ZONE, UUID, INTEGER);
+
+CREATE OR REPLACE FUNCTION get_user_memberships(p_user_id UUID)
+RETURNS TABLE (
+    id UUID,
+    name TEXT,
+    description TEXT,
+    monthly_fee INTEGER,
+    purpose TEXT,
+    cover_image_url TEXT,
+    owner_id UUID,
+    owner_name TEXT,
+    member_count INTEGER,
+    joined_at TIMESTAMP WITH TIME ZONE,
+    next_payment_date TIMESTAMP WITH TIME ZONE,
+    is_owner BOOLEAN,
+    membership_status VARCHAR(20),
+    tier_name TEXT,
+    unread_count BIGINT
+) AS $$
+    SELECT
+        f.id, f.name, f.description, f.monthly_fee, f.purpose, f.cover_image_url,
+        f.owner_id, u.nickname, f.member_count,
+        m.joined_at, m.next_payment_date, m.is_owner, m.status, t.name,
+        (
+            SELECT COUNT(*) FROM posts p
+            WHERE p.fanclub_id = f.id
+                AND p.author_id <> m.user_id
+                AND p.status = 'published'
+                AND p.published_at <= NOW()
+                AND p.published_at > COALESCE(m.last_visited_at, m.joined_at)
+        )
+    FROM memberships m
+    JOIN fanclubs f ON m.fanclub_id = f.id
+    JOIN users u ON f.owner_id = u.id
+    LEFT JOIN fanclub_tiers t ON m.tier_id = t.id
+    WHERE m.user_id = p_user_id AND m.status <> 'canceled'
+    ORDER BY m.joined_at DESC;
+$$ LANGUAGE sql STABLE;
+
+GRANT EXECUTE ON FUNCTION get_user_memberships(UUID) TO service_role;
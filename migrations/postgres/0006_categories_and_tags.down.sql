@@ -0,0 +1,128 @@
+-- カテゴリーとタグの削除（検索とファンクラブ作成の関数は 0004・0003 の定義に戻す）
+DROP FUNCTION IF EXISTS search_fanclubs(TEXT, INTEGER, INTEGER, INTEGER, INTEGER, TEXT, TEXT, TEXT, TEXT, UUID, INTEGER);
+
+-- ファンクラブの検索
+-- 名前・説明・目的と、一般公開済みの投稿のタイトルを対象にする（p_query が空なら絞り込みのみ）
+-- 並び順 p_sort: relevance（関連度）/ newest（新着）/ members（メンバー数）/ trending（直近7日間の参加者数）
+-- p_after_value と p_after_id は前のページの最後の項目の並び替えキーとID（キーセットページネーション）
+CREATE OR REPLACE FUNCTION search_fanclubs(
+    p_query TEXT,
+    p_min_fee INTEGER,
+    p_max_fee INTEGER,
+    p_min_members INTEGER,
+    p_max_members INTEGER,
+    p_sort TEXT,
+    p_after_value TEXT,
+    p_after_id UUID,
+    p_limit INTEGER
+)
+RETURNS TABLE (
+    id UUID,
+    name TEXT,
+    description TEXT,
+    monthly_fee INTEGER,
+    purpose TEXT,
+    cover_image_url TEXT,
+    owner_id UUID,
+    member_count INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE,
+    owner_name TEXT,
+    search_rank NUMERIC,
+    recent_joins INTEGER
+) AS $$
+    WITH q AS (
+        SELECT search_query(p_query) AS tsq
+    ),
+    matched AS (
+        SELECT f.id, f.name, f.description, f.monthly_fee, f.purpose, f.cover_image_url, f.owner_id,
+            COALESCE(f.member_count, 0) AS member_count, f.created_at, f.updated_at,
+            u.nickname AS owner_name,
+            CASE WHEN q.tsq IS NULL THEN 0 ELSE ROUND((
+                ts_rank(fanclub_search_vector(f.name, f.description, f.purpose), q.tsq)
+                + 0.5 * COALESCE((
+                    SELECT MAX(ts_rank(array_to_tsvector(public.search_tokens(p.title)), q.tsq))
+                    FROM posts p
+                    WHERE p.fanclub_id = f.id AND p.visibility = 'public'
+                        AND p.status = 'published' AND p.published_at <= NOW()
+                        AND array_to_tsvector(public.search_tokens(p.title)) @@ q.tsq
+                ), 0)
+            )::NUMERIC, 6) END AS search_rank,
+            (
+                SELECT COUNT(*)::INTEGER FROM memberships m
+                WHERE m.fanclub_id = f.id AND m.is_owner = FALSE AND m.status <> 'canceled'
+                    AND m.joined_at > NOW() - INTERVAL '7 days'
+            ) AS recent_joins
+        FROM fanclubs f
+        JOIN users u ON u.id = f.owner_id
+        CROSS JOIN q
+        WHERE (q.tsq IS NULL
+                OR fanclub_search_vector(f.name, f.description, f.purpose) @@ q.tsq
+                OR EXISTS (
+                    SELECT 1 FROM posts p
+                    WHERE p.fanclub_id = f.id AND p.visibility = 'public'
+                        AND p.status = 'published' AND p.published_at <= NOW()
+                        AND array_to_tsvector(public.search_tokens(p.title)) @@ q.tsq
+                ))
+            AND (p_min_fee IS NULL OR f.monthly_fee >= p_min_fee)
+            AND (p_max_fee IS NULL OR f.monthly_fee <= p_max_fee)
+            AND (p_min_members IS NULL OR COALESCE(f.member_count, 0) >= p_min_members)
+            AND (p_max_members IS NULL OR COALESCE(f.member_count, 0) <= p_max_members)
+    )
+    SELECT * FROM matched
+    WHERE p_after_id IS NULL OR CASE p_sort
+        WHEN 'relevance' THEN (matched.search_rank, matched.id) < (p_after_value::NUMERIC, p_after_id)
+        WHEN 'members' THEN (matched.member_count, matched.id) < (p_after_value::INTEGER, p_after_id)
+        WHEN 'trending' THEN (matched.recent_joins, matched.id) < (p_after_value::INTEGER, p_after_id)
+        ELSE (matched.created_at, matched.id) < (p_after_value::TIMESTAMP WITH TIME ZONE, p_after_id)
+    END
+    ORDER BY
+        CASE WHEN p_sort = 'relevance' THEN matched.search_rank END DESC,
+        CASE WHEN p_sort = 'members' THEN matched.member_count END DESC,
+        CASE WHEN p_sort = 'trending' THEN matched.recent_joins END DESC,
+        CASE WHEN p_sort NOT IN ('relevance', 'members', 'trending') THEN matched.created_at END DESC,
+        matched.id DESC
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+DROP FUNCTION IF EXISTS create_fanclub(UUID, TEXT, TEXT, INTEGER, TEXT, TEXT, TEXT, TEXT, TEXT[]);
+
+-- ファンクラブを作成し、オーナーのメンバーシップと最初のプランも作成する
+CREATE OR REPLACE FUNCTION create_fanclub(
+    p_owner_id UUID,
+    p_name TEXT,
+    p_description TEXT,
+    p_monthly_fee INTEGER,
+    p_purpose TEXT,
+    p_cover_image_url TEXT,
+    p_tier_name TEXT
+)
+RETURNS UUID AS $$
+DECLARE
+    v_fanclub_id UUID;
+BEGIN
+    INSERT INTO fanclubs (name, description, monthly_fee, purpose, cover_image_url, owner_id)
+    VALUES (p_name, p_description, p_monthly_fee, p_purpose, p_cover_image_url, p_owner_id)
+    RETURNING id INTO v_fanclub_id;
+
+    INSERT INTO memberships (user_id, fanclub_id, is_owner)
+    VALUES (p_owner_id, v_fanclub_id, TRUE);
+
+    INSERT INTO fanclub_tiers (fanclub_id, name, monthly_fee)
+    VALUES (v_fanclub_id, p_tier_name, p_monthly_fee);
+
+    RETURN v_fanclub_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+GRANT EXECUTE ON FUNCTION create_fanclub(UUID, TEXT, TEXT, INTEGER, TEXT, TEXT, TEXT) TO service_role;
+GRANT EXECUTE ON FUNCTION search_fanclubs(TEXT, INTEGER, INTEGER, INTEGER, INTEGER, TEXT, TEXT, UUID, INTEGER) TO service_role;
+
+DROP FUNCTION IF EXISTS set_fanclub_tags(UUID, TEXT[]);
+
+DROP TABLE IF EXISTS fanclub_tags;
+
+DROP INDEX IF EXISTS idx_fanclubs_category;
+ALTER TABLE fanclubs DROP COLUMN IF EXISTS category;
+
+DROP TABLE IF EXISTS categories;
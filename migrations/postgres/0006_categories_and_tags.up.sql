@@ -0,0 +1,191 @@
+-- カテゴリーとタグ
+-- カテゴリーは運営が用意する分類（ファンクラブごとに1つ）、タグはオーナーが自由に付けるキーワード
+
+-- カテゴリーテーブル（position は表示順）
+CREATE TABLE IF NOT EXISTS categories (
+    slug TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    position INTEGER NOT NULL
+);
+
+INSERT INTO categories (slug, name, position) VALUES
+    ('idol', 'アイドル', 1),
+    ('vtuber', 'VTuber', 2),
+    ('music', '音楽', 3),
+    ('sports', 'スポーツ', 4),
+    ('anime', 'アニメ・マンガ', 5),
+    ('game', 'ゲーム', 6),
+    ('creator', 'クリエイター', 7),
+    ('entertainment', '芸能・お笑い', 8),
+    ('other', 'その他', 9)
+ON CONFLICT (slug) DO NOTHING;
+
+-- ファンクラブのカテゴリー（未設定は NULL）
+ALTER TABLE fanclubs ADD COLUMN IF NOT EXISTS category TEXT REFERENCES categories(slug) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_fanclubs_category ON fanclubs(category, created_at DESC, id DESC);
+
+-- タグテーブル（タグは正規化した文字列で保存する）
+CREATE TABLE IF NOT EXISTS fanclub_tags (
+    fanclub_id UUID NOT NULL REFERENCES fanclubs(id) ON DELETE CASCADE,
+    tag TEXT NOT NULL,
+    PRIMARY KEY (fanclub_id, tag)
+);
+CREATE INDEX IF NOT EXISTS idx_fanclub_tags_tag ON fanclub_tags(tag);
+
+-- ファンクラブのタグを置き換える
+CREATE OR REPLACE FUNCTION set_fanclub_tags(p_fanclub_id UUID, p_tags TEXT[])
+RETURNS VOID AS $$
+BEGIN
+    DELETE FROM fanclub_tags WHERE fanclub_id = p_fanclub_id;
+
+    INSERT INTO fanclub_tags (fanclub_id, tag)
+    SELECT DISTINCT p_fanclub_id, tag
+    FROM unnest(COALESCE(p_tags, '{}')) AS tag;
+END;
+$$ LANGUAGE plpgsql;
+
+-- ファンクラブを作成し、オーナーのメンバーシップと最初のプラン、カテゴリーとタグも設定する
+DROP FUNCTION IF EXISTS create_fanclub(UUID, TEXT, TEXT, INTEGER, TEXT, TEXT, TEXT);
+
+CREATE OR REPLACE FUNCTION create_fanclub(
+    p_owner_id UUID,
+    p_name TEXT,
+    p_description TEXT,
+    p_monthly_fee INTEGER,
+    p_purpose TEXT,
+    p_cover_image_url TEXT,
+    p_tier_name TEXT,
+    p_category TEXT,
+    p_tags TEXT[]
+)
+RETURNS UUID AS $$
+DECLARE
+    v_fanclub_id UUID;
+BEGIN
+    INSERT INTO fanclubs (name, description, monthly_fee, purpose, cover_image_url, owner_id, category)
+    VALUES (p_name, p_description, p_monthly_fee, p_purpose, p_cover_image_url, p_owner_id, p_category)
+    RETURNING id INTO v_fanclub_id;
+
+    INSERT INTO memberships (user_id, fanclub_id, is_owner)
+    VALUES (p_owner_id, v_fanclub_id, TRUE);
+
+    INSERT INTO fanclub_tiers (fanclub_id, name, monthly_fee)
+    VALUES (v_fanclub_id, p_tier_name, p_monthly_fee);
+
+    PERFORM set_fanclub_tags(v_fanclub_id, p_tags);
+
+    RETURN v_fanclub_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- ファンクラブの検索（カテゴリーとタグの絞り込みを追加し、結果にカテゴリーとタグを含める）
+-- p_category と p_tag は NULL なら絞り込まない
+DROP FUNCTION IF EXISTS search_fanclubs(TEXT, INTEGER, INTEGER, INTEGER, INTEGER, TEXT, TEXT, UUID, INTEGER);
+
+CREATE OR REPLACE FUNCTION search_fanclubs(
+    p_query TEXT,
+    p_min_fee INTEGER,
+    p_max_fee INTEGER,
+    p_min_members INTEGER,
+    p_max_members INTEGER,
+    p_category TEXT,
+    p_tag TEXT,
+    p_sort TEXT,
+    p_after_value TEXT,
+    p_after_id UUID,
+    p_limit INTEGER
+)
+RETURNS TABLE (
+    id UUID,
+    name TEXT,
+    description TEXT,
+    monthly_fee INTEGER,
+    purpose TEXT,
+    cover_image_url TEXT,
+    owner_id UUID,
+    member_count INTEGER,
+    category TEXT,
+    created_at TIMESTAMP WITH TIME ZONE,
+    updated_at TIMESTAMP WITH TIME ZONE,
+    owner_name TEXT,
+    category_name TEXT,
+    tags TEXT[],
+    search_rank NUMERIC,
+    recent_joins INTEGER
+) AS $$
+    WITH q AS (
+        SELECT search_query(p_query) AS tsq
+    ),
+    matched AS (
+        SELECT f.id, f.name, f.description, f.monthly_fee, f.purpose, f.cover_image_url, f.owner_id,
+            COALESCE(f.member_count, 0) AS member_count, f.category, f.created_at, f.updated_at,
+            u.nickname AS owner_name,
+            c.name AS category_name,
+            ARRAY(SELECT t.tag FROM fanclub_tags t WHERE t.fanclub_id = f.id ORDER BY t.tag) AS tags,
+            CASE WHEN q.tsq IS NULL THEN 0 ELSE ROUND((
+                ts_rank(fanclub_search_vector(f.name, f.description, f.purpose), q.tsq)
+                + 0.5 * COALESCE((
+                    SELECT MAX(ts_rank(array_to_tsvector(public.search_tokens(p.title)), q.tsq))
+                    FROM posts p
+                    WHERE p.fanclub_id = f.id AND p.visibility = 'public'
+                        AND p.status = 'published' AND p.published_at <= NOW()
+                        AND array_to_tsvector(public.search_tokens(p.title)) @@ q.tsq
+                ), 0)
+            )::NUMERIC, 6) END AS search_rank,
+            (
+                SELECT COUNT(*)::INTEGER FROM memberships m
+                WHERE m.fanclub_id = f.id AND m.is_owner = FALSE AND m.status <> 'canceled'
+                    AND m.joined_at > NOW() - INTERVAL '7 days'
+            ) AS recent_joins
+        FROM fanclubs f
+        JOIN users u ON u.id = f.owner_id
+        LEFT JOIN categories c ON c.slug = f.category
+        CROSS JOIN q
+        WHERE (q.tsq IS NULL
+                OR fanclub_search_vector(f.name, f.description, f.purpose) @@ q.tsq
+                OR EXISTS (
+                    SELECT 1 FROM posts p
+                    WHERE p.fanclub_id = f.id AND p.visibility = 'public'
+                        AND p.status = 'published' AND p.published_at <= NOW()
+                        AND array_to_tsvector(public.search_tokens(p.title)) @@ q.tsq
+                ))
+            AND (p_min_fee IS NULL OR f.monthly_fee >= p_min_fee)
+            AND (p_max_fee IS NULL OR f.monthly_fee <= p_max_fee)
+            AND (p_min_members IS NULL OR COALESCE(f.member_count, 0) >= p_min_members)
+            AND (p_max_members IS NULL OR COALESCE(f.member_count, 0) <= p_max_members)
+            AND (p_category IS NULL OR f.category = p_category)
+            AND (p_tag IS NULL OR EXISTS (
+                SELECT 1 FROM fanclub_tags t WHERE t.fanclub_id = f.id AND t.tag = p_tag
+            ))
+    )
+    SELECT * FROM matched
+    WHERE p_after_id IS NULL OR CASE p_sort
+        WHEN 'relevance' THEN (matched.search_rank, matched.id) < (p_after_value::NUMERIC, p_after_id)
+        WHEN 'members' THEN (matched.member_count, matched.id) < (p_after_value::INTEGER, p_after_id)
+        WHEN 'trending' THEN (matched.recent_joins, matched.id) < (p_after_value::INTEGER, p_after_id)
+        ELSE (matched.created_at, matched.id) < (p_after_value::TIMESTAMP WITH TIME ZONE, p_after_id)
+    END
+    ORDER BY
+        CASE WHEN p_sort = 'relevance' THEN matched.search_rank END DESC,
+        CASE WHEN p_sort = 'members' THEN matched.member_count END DESC,
+        CASE WHEN p_sort = 'trending' THEN matched.recent_joins END DESC,
+        CASE WHEN p_sort NOT IN ('relevance', 'members', 'trending') THEN matched.created_at END DESC,
+        matched.id DESC
+    LIMIT p_limit;
+$$ LANGUAGE sql STABLE;
+
+-- カテゴリーとタグは誰でも閲覧可（ファンクラブと同じ）
+ALTER TABLE categories ENABLE ROW LEVEL SECURITY;
+ALTER TABLE fanclub_tags ENABLE ROW LEVEL SECURITY;
+
+GRANT SELECT ON categories, fanclub_tags TO anon, authenticated;
+CREATE POLICY "Categories are viewable by everyone" ON categories
+    FOR SELECT USING (true);
+CREATE POLICY "Fanclub tags are viewable by everyone" ON fanclub_tags
+    FOR SELECT USING (true);
+
+-- サーバー（service_role）の権限（0003 で新しいテーブル・関数には権限を与えないようにしている）
+GRANT SELECT, INSERT, UPDATE, DELETE ON categories, fanclub_tags TO service_role;
+GRANT EXECUTE ON FUNCTION set_fanclub_tags(UUID, TEXT[]) TO service_role;
+GRANT EXECUTE ON FUNCTION create_fanclub(UUID, TEXT, TEXT, INTEGER, TEXT, TEXT, TEXT, TEXT, TEXT[]) TO service_role;
+GRANT EXECUTE ON FUNCTION search_fanclubs(TEXT, INTEGER, INTEGER, INTEGER, INTEGER, TEXT, TEXT, TEXT, TEXT, UUID, INTEGER) TO service_role;
@@ -0,0 +1,8 @@
+-- ランキングと注目ファンクラブの削除
+DROP FUNCTION IF EXISTS replace_fanclub_rankings(JSONB);
+DROP FUNCTION IF EXISTS fanclub_activity(TIMESTAMP WITH TIME ZONE);
+
+DROP TABLE IF EXISTS featured_fanclubs;
+DROP TABLE IF EXISTS fanclub_rankings;
+
+ALTER TABLE users DROP COLUMN IF EXISTS is_admin;
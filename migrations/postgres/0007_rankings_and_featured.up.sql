@@ -0,0 +1,86 @@
+-- ランキングと注目ファンクラブ
+
+-- サイト管理者（注目ファンクラブを固定できる。データベースで直接設定する）
+-- 公開プロフィールの列ではないため anon / authenticated には列の権限を与えない
+ALTER TABLE users ADD COLUMN IF NOT EXISTS is_admin BOOLEAN DEFAULT FALSE;
+
+-- ランキングテーブル（ランキング更新ジョブがまとめて置き換える）
+CREATE TABLE IF NOT EXISTS fanclub_rankings (
+    fanclub_id UUID PRIMARY KEY REFERENCES fanclubs(id) ON DELETE CASCADE,
+    score DOUBLE PRECISION NOT NULL,
+    recent_joins INTEGER NOT NULL DEFAULT 0,
+    recent_posts INTEGER NOT NULL DEFAULT 0,
+    recent_likes INTEGER NOT NULL DEFAULT 0,
+    computed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_fanclub_rankings_score ON fanclub_rankings(score DESC, fanclub_id DESC);
+
+-- 注目ファンクラブの固定（position の小さい順に表示する）
+CREATE TABLE IF NOT EXISTS featured_fanclubs (
+    fanclub_id UUID PRIMARY KEY REFERENCES fanclubs(id) ON DELETE CASCADE,
+    position INTEGER NOT NULL,
+    pinned_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- p_since 以降のファンクラブごとの参加者数・公開された投稿数・いいね数
+CREATE OR REPLACE FUNCTION fanclub_activity(p_since TIMESTAMP WITH TIME ZONE)
+RETURNS TABLE (
+    fanclub_id UUID,
+    recent_joins INTEGER,
+    recent_posts INTEGER,
+    recent_likes INTEGER
+) AS $$
+    SELECT
+        f.id,
+        (
+            SELECT COUNT(*)::INTEGER FROM memberships m
+            WHERE m.fanclub_id = f.id AND m.is_owner = FALSE AND m.status <> 'canceled'
+                AND m.joined_at > p_since
+        ),
+        (
+            SELECT COUNT(*)::INTEGER FROM posts p
+            WHERE p.fanclub_id = f.id AND p.status = 'published'
+                AND p.published_at > p_since AND p.published_at <= NOW()
+        ),
+        (
+            SELECT COUNT(*)::INTEGER FROM likes l
+            JOIN posts p ON p.id = l.post_id
+            WHERE p.fanclub_id = f.id AND l.created_at > p_since
+        )
+    FROM fanclubs f;
+$$ LANGUAGE sql STABLE;
+
+-- ランキングをまとめて置き換える（p_rankings は fanclub_id, score, recent_joins, recent_posts, recent_likes の配列）
+CREATE OR REPLACE FUNCTION replace_fanclub_rankings(p_rankings JSONB)
+RETURNS VOID AS $$
+BEGIN
+    DELETE FROM fanclub_rankings WHERE TRUE;
+
+    INSERT INTO fanclub_rankings (fanclub_id, score, recent_joins, recent_posts, recent_likes)
+    SELECT r.fanclub_id, r.score, r.recent_joins, r.recent_posts, r.recent_likes
+    FROM jsonb_to_recordset(COALESCE(p_rankings, '[]'::JSONB)) AS r(
+        fanclub_id UUID,
+        score DOUBLE PRECISION,
+        recent_joins INTEGER,
+        recent_posts INTEGER,
+        recent_likes INTEGER
+    );
+END;
+$$ LANGUAGE plpgsql;
+
+-- ランキングと固定は誰でも閲覧可（トップページに表示する）
+ALTER TABLE fanclub_rankings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE featured_fanclubs ENABLE ROW LEVEL SECURITY;
+
+GRANT SELECT ON fanclub_rankings TO anon, authenticated;
+GRANT SELECT (fanclub_id, position) ON featured_fanclubs TO anon, authenticated;
+CREATE POLICY "Rankings are viewable by everyone" ON fanclub_rankings
+    FOR SELECT USING (true);
+CREATE POLICY "Featured fanclubs are viewable by everyone" ON featured_fanclubs
+    FOR SELECT USING (true);
+
+-- サーバー（service_role）の権限（0003 で新しいテーブル・関数には権限を与えないようにしている）
+GRANT SELECT, INSERT, UPDATE, DELETE ON fanclub_rankings, featured_fanclubs TO service_role;
+GRANT EXECUTE ON FUNCTION fanclub_activity(TIMESTAMP WITH TIME ZONE) TO service_role;
+GRANT EXECUTE ON FUNCTION replace_fanclub_rankings(JSONB) TO service_role;
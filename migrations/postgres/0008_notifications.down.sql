@@ -0,0 +1,4 @@
+-- アプリ内通知の削除
+DROP FUNCTION IF EXISTS notify_fanclub_members(UUID, UUID, TEXT, TIMESTAMP WITH TIME ZONE);
+
+DROP TABLE IF EXISTS notifications;
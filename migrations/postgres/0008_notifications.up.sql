@@ -0,0 +1,50 @@
+-- アプリ内通知
+
+-- 通知テーブル（本文は通知を作成した時点の内容で保存する）
+-- created_at が未来の通知はまだ表示しない（公開予約された投稿の通知は公開日時に届く）
+CREATE TABLE IF NOT EXISTS notifications (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('new_post', 'comment_reply', 'new_member', 'payment_due', 'payment_failed')),
+    fanclub_id UUID REFERENCES fanclubs(id) ON DELETE CASCADE,
+    post_id UUID REFERENCES posts(id) ON DELETE CASCADE,
+    message TEXT NOT NULL,
+    read_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_notifications_post ON notifications(post_id);
+
+-- ファンクラブのメンバー（オーナーと解約済みを除く）全員に新しい投稿の通知を作成し、作成した数を返す
+-- p_created_at は投稿の公開日時（公開予約ならその日時まで表示されない）
+CREATE OR REPLACE FUNCTION notify_fanclub_members(
+    p_fanclub_id UUID,
+    p_post_id UUID,
+    p_message TEXT,
+    p_created_at TIMESTAMP WITH TIME ZONE
+)
+RETURNS INTEGER AS $$
+DECLARE
+    v_count INTEGER;
+BEGIN
+    INSERT INTO notifications (user_id, type, fanclub_id, post_id, message, created_at)
+    SELECT m.user_id, 'new_post', p_fanclub_id, p_post_id, p_message, COALESCE(p_created_at, NOW())
+    FROM memberships m
+    WHERE m.fanclub_id = p_fanclub_id AND m.is_owner = FALSE AND m.status <> 'canceled';
+
+    GET DIAGNOSTICS v_count = ROW_COUNT;
+    RETURN v_count;
+END;
+$$ LANGUAGE plpgsql;
+
+-- 本人の通知のみ閲覧可（作成・既読の変更はサーバー経由）
+ALTER TABLE notifications ENABLE ROW LEVEL SECURITY;
+
+GRANT SELECT ON notifications TO authenticated;
+CREATE POLICY "Users can view own notifications" ON notifications
+    FOR SELECT USING (user_id = current_app_user_id() AND created_at <= NOW());
+
+-- サーバー（service_role）の権限（0003 で新しいテーブル・関数には権限を与えないようにしている）
+GRANT SELECT, INSERT, UPDATE, DELETE ON notifications TO service_role;
+GRANT EXECUTE ON FUNCTION notify_fanclub_members(UUID, UUID, TEXT, TIMESTAMP WITH TIME ZONE) TO service_role;
@@ -0,0 +1,2 @@
+-- ファンクラブ情報の更新関数の削除
+DROP FUNCTION IF EXISTS update_fanclub(UUID, JSONB, INTEGER, TEXT[]);
@@ -0,0 +1,32 @@
+-- ファンクラブ情報の更新
+-- 月会費の変更・タグの置き換え・ファンクラブの列の更新を1つのトランザクションで行う（途中で失敗したら何も変更しない）
+
+-- p_changes に含まれる列（name, description, purpose, cover_image_url, category）のみ更新する
+-- p_monthly_fee が現在の月会費と異なれば change_fanclub_fee で変更し（既存メンバーは次回支払日から適用）、p_tags が NULL でなければタグを置き換える
+CREATE OR REPLACE FUNCTION update_fanclub(p_fanclub_id UUID, p_changes JSONB, p_monthly_fee INTEGER, p_tags TEXT[])
+RETURNS VOID AS $$
+DECLARE
+    v_monthly_fee INTEGER;
+BEGIN
+    SELECT monthly_fee INTO v_monthly_fee FROM fanclubs WHERE id = p_fanclub_id FOR UPDATE;
+
+    IF p_monthly_fee IS NOT NULL AND p_monthly_fee IS DISTINCT FROM v_monthly_fee THEN
+        PERFORM change_fanclub_fee(p_fanclub_id, p_monthly_fee);
+    END IF;
+
+    IF p_tags IS NOT NULL THEN
+        PERFORM set_fanclub_tags(p_fanclub_id, p_tags);
+    END IF;
+
+    UPDATE fanclubs SET
+        name = CASE WHEN p_changes ? 'name' THEN p_changes->>'name' ELSE name END,
+        description = CASE WHEN p_changes ? 'description' THEN p_changes->>'description' ELSE description END,
+        purpose = CASE WHEN p_changes ? 'purpose' THEN p_changes->>'purpose' ELSE purpose END,
+        cover_image_url = CASE WHEN p_changes ? 'cover_image_url' THEN p_changes->>'cover_image_url' ELSE cover_image_url END,
+        category = CASE WHEN p_changes ? 'category' THEN p_changes->>'category' ELSE category END
+    WHERE id = p_fanclub_id;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- サーバー（service_role）のみ実行可
+GRANT EXECUTE ON FUNCTION update_fanclub(UUID, JSONB, INTEGER, TEXT[]) TO service_role;
@@ -0,0 +1,15 @@
+-- 初期スキーマの削除（参照している側のテーブルから削除する）
+DROP TABLE IF EXISTS payments;
+DROP TABLE IF EXISTS invoices;
+DROP TABLE IF EXISTS payment_reminders;
+DROP TABLE IF EXISTS reminder_settings;
+DROP TABLE IF EXISTS fanclub_bans;
+DROP TABLE IF EXISTS comments;
+DROP TABLE IF EXISTS likes;
+DROP TABLE IF EXISTS posts;
+DROP TABLE IF EXISTS memberships;
+DROP TABLE IF EXISTS fanclub_tiers;
+DROP TABLE IF EXISTS fanclubs;
+DROP TABLE IF EXISTS user_tokens;
+DROP TABLE IF EXISTS sessions;
+DROP TABLE IF EXISTS users;
@@ -0,0 +1,221 @@
+-- 初期スキーマ（SQLite）
+-- マイグレーション導入前（initializeDatabase）に作成されたデータベースには適用しない（lib/migrations.js で検出してエラーにする）
+
+-- ユーザーテーブル
+CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    nickname TEXT NOT NULL,
+    email TEXT UNIQUE NOT NULL,
+    phone TEXT,
+    password_hash TEXT NOT NULL,
+    avatar_url TEXT,
+    bio TEXT,
+    email_verified BOOLEAN DEFAULT FALSE,
+    email_verified_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+);
+
+-- ログインセッションテーブル（端末ごとのリフレッシュトークン。ハッシュのみ保存）
+CREATE TABLE IF NOT EXISTS sessions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    refresh_token_hash TEXT UNIQUE NOT NULL,
+    user_agent TEXT,
+    ip_address TEXT,
+    expires_at DATETIME NOT NULL,
+    revoked_at DATETIME,
+    last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id)
+);
+
+-- ワンタイムトークンテーブル（メールアドレス確認・パスワード再設定）
+CREATE TABLE IF NOT EXISTS user_tokens (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    purpose TEXT CHECK(purpose IN ('email_verification', 'password_reset')) NOT NULL,
+    token_hash TEXT UNIQUE NOT NULL,
+    expires_at DATETIME NOT NULL,
+    used_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id)
+);
+
+-- ファンクラブテーブル
+CREATE TABLE IF NOT EXISTS fanclubs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    description TEXT,
+    monthly_fee INTEGER NOT NULL DEFAULT 0,
+    purpose TEXT,
+    cover_image_url TEXT,
+    owner_id INTEGER NOT NULL,
+    member_count INTEGER DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (owner_id) REFERENCES users (id)
+);
+
+-- プランテーブル（ファンクラブごとの料金プラン）
+CREATE TABLE IF NOT EXISTS fanclub_tiers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    fanclub_id INTEGER NOT NULL,
+    name TEXT NOT NULL,
+    description TEXT,
+    monthly_fee INTEGER NOT NULL DEFAULT 0,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (fanclub_id) REFERENCES fanclubs (id)
+);
+
+-- メンバーシップテーブル
+CREATE TABLE IF NOT EXISTS memberships (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    fanclub_id INTEGER NOT NULL,
+    is_owner BOOLEAN DEFAULT FALSE,
+    joined_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    next_payment_date DATETIME,
+    monthly_fee INTEGER,
+    pending_monthly_fee INTEGER,
+    last_visited_at DATETIME,
+    status TEXT DEFAULT 'active',
+    canceled_at DATETIME,
+    tier_id INTEGER,
+    pending_tier_id INTEGER,
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (fanclub_id) REFERENCES fanclubs (id),
+    FOREIGN KEY (tier_id) REFERENCES fanclub_tiers (id),
+    FOREIGN KEY (pending_tier_id) REFERENCES fanclub_tiers (id),
+    UNIQUE(user_id, fanclub_id)
+);
+
+-- 投稿テーブル
+CREATE TABLE IF NOT EXISTS posts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    fanclub_id INTEGER NOT NULL,
+    author_id INTEGER NOT NULL,
+    title TEXT NOT NULL,
+    content TEXT NOT NULL,
+    excerpt TEXT,
+    featured_image_url TEXT,
+    visibility TEXT CHECK(visibility IN ('public', 'members')) DEFAULT 'public',
+    min_tier_id INTEGER,
+    status TEXT CHECK(status IN ('draft', 'published')) DEFAULT 'published',
+    like_count INTEGER DEFAULT 0,
+    comment_count INTEGER DEFAULT 0,
+    published_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (fanclub_id) REFERENCES fanclubs (id),
+    FOREIGN KEY (author_id) REFERENCES users (id),
+    FOREIGN KEY (min_tier_id) REFERENCES fanclub_tiers (id)
+);
+
+-- いいねテーブル
+CREATE TABLE IF NOT EXISTS likes (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    post_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (post_id) REFERENCES posts (id),
+    UNIQUE(user_id, post_id)
+);
+
+-- コメントテーブル
+CREATE TABLE IF NOT EXISTS comments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    post_id INTEGER NOT NULL,
+    author_id INTEGER NOT NULL,
+    parent_id INTEGER,
+    content TEXT NOT NULL,
+    is_hidden BOOLEAN DEFAULT FALSE,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (post_id) REFERENCES posts (id),
+    FOREIGN KEY (author_id) REFERENCES users (id),
+    FOREIGN KEY (parent_id) REFERENCES comments (id)
+);
+
+-- ファンクラブBANテーブル
+CREATE TABLE IF NOT EXISTS fanclub_bans (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    fanclub_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    banned_by INTEGER NOT NULL,
+    reason TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (fanclub_id) REFERENCES fanclubs (id),
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (banned_by) REFERENCES users (id),
+    UNIQUE(fanclub_id, user_id)
+);
+
+-- リマインダー設定テーブル
+CREATE TABLE IF NOT EXISTS reminder_settings (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    email_enabled BOOLEAN DEFAULT TRUE,
+    days_before INTEGER DEFAULT 3,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    UNIQUE(user_id)
+);
+
+-- 支払いリマインダーの送信キュー（支払い予定日ごとに1件）
+CREATE TABLE IF NOT EXISTS payment_reminders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    membership_id INTEGER NOT NULL,
+    user_id INTEGER NOT NULL,
+    fanclub_id INTEGER NOT NULL,
+    payment_date DATETIME NOT NULL,
+    amount INTEGER NOT NULL,
+    status TEXT DEFAULT 'pending',
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    sent_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (membership_id) REFERENCES memberships (id),
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (fanclub_id) REFERENCES fanclubs (id),
+    UNIQUE(membership_id, payment_date)
+);
+
+-- 請求書テーブル（メンバーシップの1か月分の請求）
+CREATE TABLE IF NOT EXISTS invoices (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    membership_id INTEGER,
+    user_id INTEGER NOT NULL,
+    fanclub_id INTEGER NOT NULL,
+    tier_id INTEGER,
+    amount INTEGER NOT NULL,
+    period_start DATETIME NOT NULL,
+    period_end DATETIME NOT NULL,
+    status TEXT DEFAULT 'open',
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at DATETIME,
+    paid_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (membership_id) REFERENCES memberships (id),
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (fanclub_id) REFERENCES fanclubs (id),
+    FOREIGN KEY (tier_id) REFERENCES fanclub_tiers (id),
+    UNIQUE(membership_id, period_start)
+);
+
+-- 決済テーブル（請求書ごとの決済試行の記録）
+CREATE TABLE IF NOT EXISTS payments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    invoice_id INTEGER NOT NULL,
+    provider TEXT NOT NULL,
+    provider_payment_id TEXT,
+    amount INTEGER NOT NULL,
+    status TEXT NOT NULL,
+    failure_reason TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (invoice_id) REFERENCES invoices (id)
+);
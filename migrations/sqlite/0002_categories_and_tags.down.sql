@@ -0,0 +1,8 @@
+-- カテゴリーとタグの削除
+DROP INDEX IF EXISTS idx_fanclub_tags_tag;
+DROP TABLE IF EXISTS fanclub_tags;
+
+DROP INDEX IF EXISTS idx_fanclubs_category;
+ALTER TABLE fanclubs DROP COLUMN category;
+
+DROP TABLE IF EXISTS categories;
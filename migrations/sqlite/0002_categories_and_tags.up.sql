@@ -0,0 +1,33 @@
+-- カテゴリーとタグ
+-- カテゴリーは運営が用意する分類（ファンクラブごとに1つ）、タグはオーナーが自由に付けるキーワード
+
+-- カテゴリーテーブル（position は表示順）
+CREATE TABLE IF NOT EXISTS categories (
+    slug TEXT PRIMARY KEY,
+    name TEXT NOT NULL,
+    position INTEGER NOT NULL
+);
+
+INSERT OR IGNORE INTO categories (slug, name, position) VALUES
+    ('idol', 'アイドル', 1),
+    ('vtuber', 'VTuber', 2),
+    ('music', '音楽', 3),
+    ('sports', 'スポーツ', 4),
+    ('anime', 'アニメ・マンガ', 5),
+    ('game', 'ゲーム', 6),
+    ('creator', 'クリエイター', 7),
+    ('entertainment', '芸能・お笑い', 8),
+    ('other', 'その他', 9);
+
+-- ファンクラブのカテゴリー（未設定は NULL）
+ALTER TABLE fanclubs ADD COLUMN category TEXT;
+CREATE INDEX IF NOT EXISTS idx_fanclubs_category ON fanclubs (category, created_at);
+
+-- タグテーブル（タグは正規化した文字列で保存する）
+CREATE TABLE IF NOT EXISTS fanclub_tags (
+    fanclub_id INTEGER NOT NULL,
+    tag TEXT NOT NULL,
+    PRIMARY KEY (fanclub_id, tag),
+    FOREIGN KEY (fanclub_id) REFERENCES fanclubs (id)
+);
+CREATE INDEX IF NOT EXISTS idx_fanclub_tags_tag ON fanclub_tags (tag);
@@ -0,0 +1,7 @@
+-- ランキングと注目ファンクラブの削除
+DROP TABLE IF EXISTS featured_fanclubs;
+
+DROP INDEX IF EXISTS idx_fanclub_rankings_score;
+DROP TABLE IF EXISTS fanclub_rankings;
+
+ALTER TABLE users DROP COLUMN is_admin;
@@ -0,0 +1,26 @@
+-- ランキングと注目ファンクラブ
+
+-- サイト管理者（注目ファンクラブを固定できる。データベースで直接設定する）
+ALTER TABLE users ADD COLUMN is_admin BOOLEAN DEFAULT FALSE;
+
+-- ランキングテーブル（ランキング更新ジョブがまとめて置き換える）
+CREATE TABLE IF NOT EXISTS fanclub_rankings (
+    fanclub_id INTEGER PRIMARY KEY,
+    score REAL NOT NULL,
+    recent_joins INTEGER NOT NULL DEFAULT 0,
+    recent_posts INTEGER NOT NULL DEFAULT 0,
+    recent_likes INTEGER NOT NULL DEFAULT 0,
+    computed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (fanclub_id) REFERENCES fanclubs (id)
+);
+CREATE INDEX IF NOT EXISTS idx_fanclub_rankings_score ON fanclub_rankings (score, fanclub_id);
+
+-- 注目ファンクラブの固定（position の小さい順に表示する）
+CREATE TABLE IF NOT EXISTS featured_fanclubs (
+    fanclub_id INTEGER PRIMARY KEY,
+    position INTEGER NOT NULL,
+    pinned_by INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (fanclub_id) REFERENCES fanclubs (id),
+    FOREIGN KEY (pinned_by) REFERENCES users (id)
+);
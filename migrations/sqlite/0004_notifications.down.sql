@@ -0,0 +1,5 @@
+-- アプリ内通知の削除
+DROP INDEX IF EXISTS idx_notifications_post;
+DROP INDEX IF EXISTS idx_notifications_unread;
+DROP INDEX IF EXISTS idx_notifications_user;
+DROP TABLE IF EXISTS notifications;
@@ -0,0 +1,22 @@
+-- アプリ内通知
+
+-- 通知テーブル（本文は通知を作成した時点の内容で保存する）
+-- type: new_post（参加中のファンクラブの新しい投稿）/ comment_reply（コメントへの返信）/ new_member（ファンクラブへの参加）
+--       payment_due（お支払い予定日）/ payment_failed（会費の決済の失敗）
+-- created_at が未来の通知はまだ表示しない（公開予約された投稿の通知は公開日時に届く）
+CREATE TABLE IF NOT EXISTS notifications (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL,
+    type TEXT NOT NULL,
+    fanclub_id INTEGER,
+    post_id INTEGER,
+    message TEXT NOT NULL,
+    read_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (fanclub_id) REFERENCES fanclubs (id),
+    FOREIGN KEY (post_id) REFERENCES posts (id)
+);
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications (user_id, created_at, id);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications (user_id) WHERE read_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_notifications_post ON notifications (post_id);
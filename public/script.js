@@ -1,13 +1,62 @@
+// Search page form fields keyed by their query parameter
+const SEARCH_FIELDS = {
+    q: 'searchPageInput',
+    sort: 'searchSortSelect',
+    min_fee: 'searchMinFee',
+    max_fee: 'searchMaxFee',
+    min_members: 'searchMinMembers',
+    max_members: 'searchMaxMembers',
+    category: 'searchCategorySelect',
+    tag: 'searchTagInput'
+};
+
+// How often the header bell refreshes its unread count while logged in
+const NOTIFICATION_POLL_INTERVAL = 60 * 1000;
+
+// Icons for each notification type
+const NOTIFICATION_ICONS = {
+    new_post: 'fa-newspaper',
+    comment_reply: 'fa-reply',
+    new_member: 'fa-user-plus',
+    payment_due: 'fa-calendar-alt',
+    payment_failed: 'fa-exclamation-circle'
+};
+
 class FanClubApp {
     constructor() {
         this.currentUser = null;
         this.currentFanclub = null;
+        this.currentPost = null;
+        this.currentProfile = null;
+        this.currentCategory = null;
+        this.currentMembership = null;
+        this.categories = [];
+        // Fanclub IDs pinned to the top page (loaded for site admins only)
+        this.featuredPinIds = new Set();
+        this.fanclubTiers = [];
+        this.editingTierId = null;
+        this.editingPostId = null;
+        this.passwordResetToken = null;
+        this.refreshPromise = null;
+        this.avatarCrop = null;
         this.token = localStorage.getItem('auth_token');
         this.apiBase = '/api';
         
         // Rich text editors
         this.initialPostEditor = null;
         this.postContentEditor = null;
+
+        // Loaded comment threads keyed by post ID
+        this.commentCache = {};
+
+        // Admin member list state
+        this.memberQuery = { sort: 'joined_desc', q: '' };
+
+        // Infinite scroll observers keyed by list container ID
+        this.scrollObservers = {};
+        // Notifications shown in the header panel keyed by ID, and the unread count poller
+        this.notificationItems = new Map();
+        this.notificationTimer = null;
         
         this.init();
     }
@@ -16,7 +65,11 @@ class FanClubApp {
         this.setupEventListeners();
         this.initializeRichEditors();
         await this.checkAuthStatus();
+        // Category options must exist before route() restores a search by category
+        await this.loadCategories();
         await this.loadFeaturedFanclubs();
+        await this.loadTrendingFanclubs();
+        await this.route();
     }
 
     setupEventListeners() {
@@ -25,6 +78,7 @@ class FanClubApp {
             e.preventDefault();
             this.showPage('topPage');
         });
+        window.addEventListener('popstate', () => this.route());
         
         // Search
         document.getElementById('searchToggle').addEventListener('click', () => this.toggleSearch());
@@ -36,14 +90,43 @@ class FanClubApp {
         // Auth buttons
         document.getElementById('loginBtn').addEventListener('click', () => this.showPage('loginPage'));
         document.getElementById('signupBtn').addEventListener('click', () => this.showPage('signupPage'));
-        document.getElementById('myPageBtn').addEventListener('click', () => this.showPage('myPage'));
+        document.getElementById('myPageBtn').addEventListener('click', () => this.showMyPage());
         document.getElementById('logoutBtn').addEventListener('click', () => this.logout());
+
+        // Notifications
+        document.getElementById('notificationBtn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleNotificationPanel();
+        });
+        document.getElementById('markAllNotificationsReadBtn').addEventListener('click', () => this.markAllNotificationsRead());
+        document.getElementById('notificationPanel').addEventListener('click', (e) => e.stopPropagation());
+        document.addEventListener('click', () => {
+            document.getElementById('notificationPanel').style.display = 'none';
+        });
         
         // Auth forms
         document.getElementById('loginForm').addEventListener('submit', (e) => this.handleLogin(e));
         document.getElementById('signupForm').addEventListener('submit', (e) => this.handleSignup(e));
-        document.getElementById('toSignupBtn').addEventListener('click', () => this.showPage('signupPage'));
-        document.getElementById('toLoginBtn').addEventListener('click', () => this.showPage('loginPage'));
+        document.getElementById('toSignupBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showPage('signupPage');
+        });
+        document.getElementById('toLoginBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showPage('loginPage');
+        });
+        document.getElementById('toForgotPasswordBtn').addEventListener('click', (e) => {
+            e.preventDefault();
+            this.showPage('forgotPasswordPage');
+        });
+        document.querySelectorAll('.to-login-link').forEach(link => {
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.showPage('loginPage');
+            });
+        });
+        document.getElementById('forgotPasswordForm').addEventListener('submit', (e) => this.handleForgotPassword(e));
+        document.getElementById('resetPasswordForm').addEventListener('submit', (e) => this.handleResetPassword(e));
         
         // Main actions
         document.getElementById('createClubBtn').addEventListener('click', () => this.showCreateFanclub());
@@ -51,13 +134,26 @@ class FanClubApp {
         
         // Forms
         document.getElementById('createClubForm').addEventListener('submit', (e) => this.handleCreateFanclub(e));
-        document.getElementById('newPostForm').addEventListener('submit', (e) => this.handleNewPost(e));
+        document.getElementById('newPostForm').addEventListener('submit', (e) => this.handleSavePost(e, 'published'));
+        document.getElementById('saveDraftBtn').addEventListener('click', (e) => this.handleSavePost(e, 'draft'));
+        document.getElementById('cancelPostEditBtn').addEventListener('click', () => this.resetPostForm());
+        document.getElementById('fanclubSettingsForm').addEventListener('submit', (e) => this.handleUpdateFanclub(e));
+        document.getElementById('deleteFanclubBtn').addEventListener('click', () => this.deleteFanclub());
+        document.getElementById('reminderForm').addEventListener('submit', (e) => this.handleSaveReminders(e));
+        document.getElementById('profileForm').addEventListener('submit', (e) => this.handleUpdateProfile(e));
+        document.getElementById('resendVerificationBtn').addEventListener('click', () => this.resendVerificationEmail());
+        document.getElementById('revokeOtherSessionsBtn').addEventListener('click', () => this.revokeOtherSessions());
+        document.getElementById('tierForm').addEventListener('submit', (e) => this.handleSaveTier(e));
+        document.getElementById('cancelTierEditBtn').addEventListener('click', () => this.resetTierForm());
         
         // Search page
         document.getElementById('searchPageBtn').addEventListener('click', () => this.performPageSearch());
         document.getElementById('searchPageInput').addEventListener('keypress', (e) => {
             if (e.key === 'Enter') this.performPageSearch();
         });
+        Object.entries(SEARCH_FIELDS).filter(([param]) => param !== 'q').forEach(([, id]) => {
+            document.getElementById(id).addEventListener('change', () => this.performPageSearch());
+        });
         
         // File uploads
         document.getElementById('uploadCoverBtn').addEventListener('click', () => {
@@ -66,9 +162,13 @@ class FanClubApp {
         document.getElementById('uploadFeaturedBtn').addEventListener('click', () => {
             document.getElementById('postFeaturedImage').click();
         });
+        document.getElementById('uploadEditCoverBtn').addEventListener('click', () => {
+            document.getElementById('editCoverImage').click();
+        });
         
         document.getElementById('clubCoverImage').addEventListener('change', (e) => this.handleImageUpload(e, 'coverPreview'));
         document.getElementById('postFeaturedImage').addEventListener('change', (e) => this.handleImageUpload(e, 'featuredPreview'));
+        document.getElementById('editCoverImage').addEventListener('change', (e) => this.handleImageUpload(e, 'editCoverPreview'));
         
         // Tab switching
         document.querySelectorAll('.tab-btn').forEach(btn => {
@@ -78,7 +178,44 @@ class FanClubApp {
         // Fanclub actions
         document.getElementById('joinFanclubBtn').addEventListener('click', () => this.joinFanclub());
         document.getElementById('leaveFanclubBtn').addEventListener('click', () => this.leaveFanclub());
-        document.getElementById('adminPanelBtn').addEventListener('click', () => this.showPage('adminPage'));
+        document.getElementById('adminPanelBtn').addEventListener('click', () => this.showAdminPanel(this.currentFanclub.id));
+        document.getElementById('pinFeaturedBtn').addEventListener('click', () => this.toggleFeaturedPin());
+
+        // Post detail
+        document.getElementById('backToFanclubBtn').addEventListener('click', () => {
+            if (this.currentPost) this.viewFanclub(this.currentPost.fanclub_id);
+        });
+        document.getElementById('copyPostLinkBtn').addEventListener('click', () => this.copyPostLink());
+
+        // Avatar
+        document.getElementById('changeAvatarBtn').addEventListener('click', () => {
+            document.getElementById('avatarFileInput').click();
+        });
+        document.getElementById('avatarFileInput').addEventListener('change', (e) => {
+            if (e.target.files[0]) this.openAvatarCropper(e.target.files[0]);
+            e.target.value = '';
+        });
+        document.getElementById('avatarZoom').addEventListener('input', (e) => this.setAvatarZoom(parseFloat(e.target.value)));
+        document.getElementById('cancelAvatarCropBtn').addEventListener('click', () => this.closeAvatarCropper());
+        document.getElementById('saveAvatarBtn').addEventListener('click', () => this.saveAvatar());
+        document.getElementById('removeAvatarBtn').addEventListener('click', () => this.removeAvatar());
+        document.getElementById('viewPublicProfileLink').addEventListener('click', (e) => {
+            e.preventDefault();
+            if (this.currentUser) this.viewUser(this.currentUser.id);
+        });
+        this.bindAvatarCropDrag(document.getElementById('avatarCropCanvas'));
+        
+        // Member management
+        document.getElementById('memberSearchInput').addEventListener('keypress', (e) => {
+            if (e.key === 'Enter') {
+                this.memberQuery = { ...this.memberQuery, q: e.target.value.trim() };
+                this.loadFanclubMembers();
+            }
+        });
+        document.getElementById('memberSortSelect').addEventListener('change', (e) => {
+            this.memberQuery = { ...this.memberQuery, sort: e.target.value };
+            this.loadFanclubMembers();
+        });
     }
 
     initializeRichEditors() {
@@ -125,11 +262,11 @@ class FanClubApp {
                 this.currentUser = await response.json();
                 this.updateAuthUI(true);
             } else {
-                this.logout();
+                this.clearSession();
             }
         } catch (error) {
             console.error('Auth check failed:', error);
-            this.logout();
+            this.clearSession();
         }
     }
 
@@ -137,20 +274,141 @@ class FanClubApp {
         document.getElementById('loginBtn').style.display = isLoggedIn ? 'none' : 'inline-flex';
         document.getElementById('signupBtn').style.display = isLoggedIn ? 'none' : 'inline-flex';
         document.getElementById('userMenu').style.display = isLoggedIn ? 'flex' : 'none';
+
+        if (isLoggedIn) {
+            this.startNotificationPolling();
+        } else {
+            this.stopNotificationPolling();
+        }
+    }
+
+    // Routing
+    // Each page has its own URL. showPage() records it in the history and route() restores
+    // the page from the current URL on reload and on back/forward navigation.
+    async route() {
+        const path = window.location.pathname.replace(/\/+$/, '') || '/';
+        const query = new URLSearchParams(window.location.search);
+
+        const routes = [
+            [/^\/$/, () => this.showPage('topPage')],
+            [/^\/login$/, () => this.showPage('loginPage')],
+            [/^\/signup$/, () => this.showPage('signupPage')],
+            [/^\/forgot-password$/, () => this.showPage('forgotPasswordPage')],
+            [/^\/reset-password$/, () => this.showResetPassword(query.get('token'))],
+            [/^\/verify-email$/, () => this.verifyEmail(query.get('token'))],
+            [/^\/search$/, () => this.showSearch(query)],
+            [/^\/categories\/([^/]+)$/, (slug) => this.showCategory(slug)],
+            [/^\/mypage$/, () => this.showMyPage()],
+            [/^\/clubs\/new$/, () => this.showCreateFanclub()],
+            [/^\/clubs\/([^/]+)$/, (fanclubId) => this.viewFanclub(fanclubId)],
+            [/^\/clubs\/([^/]+)\/admin$/, (fanclubId) => this.showAdminPanel(fanclubId)],
+            [/^\/clubs\/([^/]+)\/posts\/([^/]+)$/, (fanclubId, postId) => this.viewPost(fanclubId, postId)],
+            [/^\/users\/([^/]+)$/, (userId) => this.viewUser(userId)]
+        ];
+
+        for (const [pattern, handler] of routes) {
+            const match = path.match(pattern);
+            if (match) {
+                return handler(...match.slice(1).map(decodeURIComponent));
+            }
+        }
+
+        this.showToast('ページが見つかりません', 'error');
+        this.showPage('topPage');
+    }
+
+    pageUrl(pageId) {
+        const searchQuery = this.searchParams().toString();
+        const urls = {
+            loginPage: () => '/login',
+            signupPage: () => '/signup',
+            forgotPasswordPage: () => '/forgot-password',
+            resetPasswordPage: () => '/reset-password',
+            searchPage: () => searchQuery ? `/search?${searchQuery}` : '/search',
+            categoryPage: () => `/categories/${this.currentCategory.slug}`,
+            myPage: () => '/mypage',
+            createClubPage: () => '/clubs/new',
+            fanclubPage: () => `/clubs/${this.currentFanclub.id}`,
+            adminPage: () => `/clubs/${this.currentFanclub.id}/admin`,
+            postPage: () => this.postUrl(this.currentPost),
+            userPage: () => `/users/${this.currentProfile.id}`
+        };
+        return urls[pageId] ? urls[pageId]() : '/';
     }
 
     showPage(pageId) {
         document.querySelectorAll('.page').forEach(page => page.classList.remove('active'));
         document.getElementById(pageId).classList.add('active');
+
+        // Pages restored by route() already have the current URL
+        const url = this.pageUrl(pageId);
+        if (url !== window.location.pathname + window.location.search) {
+            history.pushState(null, '', url);
+        }
         
         // Load data when showing specific pages
         if (pageId === 'searchPage') {
-            this.loadAllFanclubs();
+            this.loadSearchResults();
+        } else if (pageId === 'categoryPage') {
+            this.loadCategoryFanclubs();
         } else if (pageId === 'myPage' && this.currentUser) {
             this.loadUserProfile();
         }
     }
 
+    showSearch(params) {
+        for (const [param, id] of Object.entries(SEARCH_FIELDS)) {
+            document.getElementById(id).value = params.get(param) || '';
+        }
+        this.showPage('searchPage');
+    }
+
+    // Show fanclubs tagged with the tag, clearing the other search conditions
+    searchByTag(tag) {
+        this.showSearch(new URLSearchParams({ tag }));
+    }
+
+    searchParams() {
+        const params = new URLSearchParams();
+        for (const [param, id] of Object.entries(SEARCH_FIELDS)) {
+            const value = document.getElementById(id).value.trim();
+            if (value) params.set(param, value);
+        }
+        return params;
+    }
+
+    showMyPage() {
+        if (!this.currentUser) {
+            this.showToast('マイページを表示するにはログインが必要です', 'warning');
+            this.showPage('loginPage');
+            return;
+        }
+        this.showPage('myPage');
+    }
+
+    async showAdminPanel(fanclubId) {
+        if (!this.currentFanclub || String(this.currentFanclub.id) !== String(fanclubId)) {
+            this.showLoading(true);
+            const loaded = await this.loadFanclub(fanclubId);
+            this.showLoading(false);
+            if (!loaded) {
+                this.showPage('topPage');
+                return;
+            }
+            await this.loadFanclubTiers();
+            this.resetPostForm();
+        }
+
+        if (!this.currentUser || this.currentFanclub.owner_id !== this.currentUser.id) {
+            this.showToast('管理画面を表示する権限がありません', 'error');
+            await this.viewFanclub(this.currentFanclub.id);
+            return;
+        }
+
+        this.showPage('adminPage');
+        this.loadAdminPosts();
+    }
+
     showCreateFanclub() {
         if (!this.currentUser) {
             this.showToast('ファンクラブを作成するにはログインが必要です', 'warning');
@@ -169,34 +427,41 @@ class FanClubApp {
         }
     }
 
-    async performSearch() {
+    performSearch() {
         const query = document.getElementById('searchInput').value.trim();
         if (!query) return;
-        
-        try {
-            const response = await fetch(`${this.apiBase}/fanclubs/search?q=${encodeURIComponent(query)}`);
-            const fanclubs = await response.json();
-            
-            this.showPage('searchPage');
-            this.renderFanclubs(fanclubs, 'searchResults');
-            document.getElementById('searchPageInput').value = query;
-        } catch (error) {
-            console.error('Search failed:', error);
-            this.showToast('検索に失敗しました', 'error');
-        }
+
+        this.showSearch(new URLSearchParams({ q: query }));
     }
 
-    async performPageSearch() {
-        const query = document.getElementById('searchPageInput').value.trim();
-        if (!query) {
-            this.loadAllFanclubs();
-            return;
+    performPageSearch() {
+        // showPage() records the query in the URL and loads the results
+        this.showPage('searchPage');
+    }
+
+    async loadSearchResults(cursor = null) {
+        const params = this.searchParams();
+        // Relevance needs a keyword; without one the server sorts by newest
+        if (params.get('sort') === 'relevance' && !params.get('q')) {
+            params.delete('sort');
         }
-        
+        if (cursor) {
+            params.set('cursor', cursor);
+        }
+
         try {
-            const response = await fetch(`${this.apiBase}/fanclubs/search?q=${encodeURIComponent(query)}`);
-            const fanclubs = await response.json();
-            this.renderFanclubs(fanclubs, 'searchResults');
+            const response = await fetch(`${this.apiBase}/fanclubs/search?${params}`);
+            const data = await response.json();
+            if (!response.ok) {
+                this.showToast(data.error, 'error');
+                return;
+            }
+
+            this.renderFanclubs(data.items, 'searchResults', {
+                append: Boolean(cursor),
+                nextCursor: data.next_cursor,
+                loadMore: (next) => this.loadSearchResults(next)
+            });
         } catch (error) {
             console.error('Search failed:', error);
             this.showToast('検索に失敗しました', 'error');
@@ -266,7 +531,7 @@ class FanClubApp {
                 localStorage.setItem('auth_token', this.token);
                 this.updateAuthUI(true);
                 this.showPage('topPage');
-                this.showToast('アカウントが作成されました', 'success');
+                this.showToast(data.message, 'success');
                 document.getElementById('signupForm').reset();
             } else {
                 this.showToast(data.error, 'error');
@@ -279,6 +544,135 @@ class FanClubApp {
         }
     }
 
+    async handleForgotPassword(e) {
+        e.preventDefault();
+        const email = document.getElementById('forgotPasswordEmail').value;
+
+        this.showLoading(true);
+
+        try {
+            const response = await fetch(`${this.apiBase}/auth/forgot-password`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ email }),
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                this.showToast(data.message, 'success');
+                document.getElementById('forgotPasswordForm').reset();
+            } else {
+                this.showToast(data.error, 'error');
+            }
+        } catch (error) {
+            console.error('Password reset request failed:', error);
+            this.showToast('再設定メールの送信に失敗しました', 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    showResetPassword(token) {
+        if (!token) {
+            this.showToast('リンクが無効です。もう一度再設定メールを送信してください', 'error');
+            this.showPage('forgotPasswordPage');
+            return;
+        }
+
+        this.passwordResetToken = token;
+        // Keep the token out of the history and the Referer header
+        history.replaceState(null, '', '/reset-password');
+        this.showPage('resetPasswordPage');
+    }
+
+    async handleResetPassword(e) {
+        e.preventDefault();
+        const password = document.getElementById('resetPassword').value;
+        const confirmPassword = document.getElementById('resetPasswordConfirm').value;
+
+        if (password !== confirmPassword) {
+            this.showToast('パスワードが一致しません', 'error');
+            return;
+        }
+
+        if (!this.passwordResetToken) {
+            this.showToast('リンクが無効です。もう一度再設定メールを送信してください', 'error');
+            this.showPage('forgotPasswordPage');
+            return;
+        }
+
+        this.showLoading(true);
+
+        try {
+            const response = await fetch(`${this.apiBase}/auth/reset-password`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ token: this.passwordResetToken, password }),
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                this.passwordResetToken = null;
+                document.getElementById('resetPasswordForm').reset();
+                this.showToast(data.message, 'success');
+                this.showPage('loginPage');
+            } else {
+                this.showToast(data.error, 'error');
+            }
+        } catch (error) {
+            console.error('Password reset failed:', error);
+            this.showToast('パスワードの再設定に失敗しました', 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async verifyEmail(token) {
+        history.replaceState(null, '', '/');
+
+        if (!token) {
+            this.showToast('リンクが無効です', 'error');
+            this.showPage('topPage');
+            return;
+        }
+
+        this.showLoading(true);
+
+        try {
+            const response = await fetch(`${this.apiBase}/auth/verify-email`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({ token }),
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                this.showToast(data.message, 'success');
+                if (this.currentUser) {
+                    this.currentUser.email_verified = true;
+                }
+            } else {
+                this.showToast(data.error, 'error');
+            }
+        } catch (error) {
+            console.error('Email verification failed:', error);
+            this.showToast('メールアドレスの確認に失敗しました', 'error');
+        } finally {
+            this.showLoading(false);
+        }
+
+        this.showPage(this.currentUser ? 'myPage' : 'topPage');
+    }
+
     async handleCreateFanclub(e) {
         e.preventDefault();
         
@@ -286,6 +680,8 @@ class FanClubApp {
         const description = document.getElementById('clubDescription').value;
         const monthly_fee = parseInt(document.getElementById('monthlyFee').value) || 0;
         const purpose = document.getElementById('clubPurpose').value;
+        const category = document.getElementById('clubCategory').value;
+        const tags = document.getElementById('clubTags').value;
         const cover_image_url = document.getElementById('coverPreview').querySelector('img')?.src || '';
         
         this.showLoading(true);
@@ -298,6 +694,8 @@ class FanClubApp {
                     description,
                     monthly_fee,
                     purpose,
+                    category,
+                    tags,
                     cover_image_url
                 }),
             });
@@ -334,157 +732,438 @@ class FanClubApp {
         }
     }
 
-    async handleNewPost(e) {
+    async handleSavePost(e, status) {
         e.preventDefault();
         
         if (!this.currentFanclub) return;
         
+        const form = document.getElementById('newPostForm');
+        if (!form.reportValidity()) return;
+        
         const title = document.getElementById('postTitle').value;
         const excerpt = document.getElementById('postExcerpt').value;
         const content = this.postContentEditor.root.innerHTML;
         const featured_image_url = document.getElementById('featuredPreview').querySelector('img')?.src || '';
         const visibility = document.querySelector('input[name="postVisibility"]:checked').value;
+        const min_tier_id = visibility === 'members' ? document.getElementById('postMinTier').value || null : null;
+        const publishAt = document.getElementById('postPublishedAt').value;
+        // datetime-local has no time zone; send it as an absolute timestamp
+        // Only a future schedule is sent; otherwise the server keeps the current date (or publishes now)
+        const publishDate = publishAt ? new Date(publishAt) : null;
+        const published_at = publishDate && publishDate > new Date() ? publishDate.toISOString() : null;
+        const endpoint = this.editingPostId
+            ? `/posts/${this.editingPostId}`
+            : `/fanclubs/${this.currentFanclub.id}/posts`;
         
         this.showLoading(true);
         
         try {
-            const response = await this.apiCall(`/fanclubs/${this.currentFanclub.id}/posts`, {
-                method: 'POST',
+            const response = await this.apiCall(endpoint, {
+                method: this.editingPostId ? 'PUT' : 'POST',
                 body: JSON.stringify({
                     title,
                     excerpt,
                     content,
                     featured_image_url,
-                    visibility
+                    visibility,
+                    min_tier_id,
+                    status,
+                    published_at
                 }),
             });
             
             const data = await response.json();
             
             if (response.ok) {
-                this.showToast('投稿が作成されました', 'success');
-                document.getElementById('newPostForm').reset();
-                if (this.postContentEditor) this.postContentEditor.setContents([]);
+                this.showToast(data.message, 'success');
+                this.resetPostForm();
+                this.loadAdminPosts();
                 this.loadFanclubPosts();
             } else {
                 this.showToast(data.error, 'error');
             }
         } catch (error) {
-            console.error('Post creation failed:', error);
-            this.showToast('投稿作成に失敗しました', 'error');
+            console.error('Post save failed:', error);
+            this.showToast('投稿の保存に失敗しました', 'error');
         } finally {
             this.showLoading(false);
         }
     }
 
-    async handleImageUpload(e, previewId) {
-        const file = e.target.files[0];
-        if (!file) return;
-        
-        this.showLoading(true);
-        
-        const formData = new FormData();
-        formData.append('image', file);
-        
+    resetPostForm() {
+        this.editingPostId = null;
+        document.getElementById('newPostForm').reset();
+        document.getElementById('featuredPreview').innerHTML = '';
+        if (this.postContentEditor) this.postContentEditor.setContents([]);
+        document.getElementById('postFormTitle').textContent = '新しい投稿を作成';
+        document.getElementById('cancelPostEditBtn').style.display = 'none';
+    }
+
+    async loadAdminPosts(cursor = null) {
+        if (!this.currentFanclub) return;
+
+        const container = document.getElementById('adminPostsList');
+
         try {
-            const response = await fetch(`${this.apiBase}/upload`, {
-                method: 'POST',
-                headers: {
-                    'Authorization': `Bearer ${this.token}`,
-                },
-                body: formData,
-            });
-            
+            const params = cursor ? `?cursor=${encodeURIComponent(cursor)}` : '';
+            const response = await this.apiCall(`/fanclubs/${this.currentFanclub.id}/admin/posts${params}`);
             const data = await response.json();
-            
-            if (response.ok) {
-                const preview = document.getElementById(previewId);
-                preview.innerHTML = `<img src="${data.url}" alt="Uploaded image" style="max-width: 300px; height: auto;">`;
-                this.showToast('画像がアップロードされました', 'success');
-            } else {
-                this.showToast(data.error, 'error');
+
+            if (!response.ok) {
+                container.innerHTML = `<p class="text-center">${this.escapeHtml(data.error)}</p>`;
+                return;
             }
+
+            this.renderAdminPosts(data.items, { append: Boolean(cursor), nextCursor: data.next_cursor });
         } catch (error) {
-            console.error('Image upload failed:', error);
-            this.showToast('画像アップロードに失敗しました', 'error');
-        } finally {
-            this.showLoading(false);
+            console.error('Failed to load admin posts:', error);
+            container.innerHTML = '<p class="text-center">投稿の読み込みに失敗しました。</p>';
         }
     }
 
-    async loadFeaturedFanclubs() {
-        try {
-            const response = await fetch(`${this.apiBase}/fanclubs`);
-            const fanclubs = await response.json();
-            this.renderFanclubs(fanclubs.slice(0, 6), 'featuredClubs');
-        } catch (error) {
-            console.error('Failed to load fanclubs:', error);
+    renderAdminPosts(posts, { append = false, nextCursor = null } = {}) {
+        const container = document.getElementById('adminPostsList');
+        this.setupInfiniteScroll('adminPostsList', nextCursor ? () => this.loadAdminPosts(nextCursor) : null);
+
+        if (posts.length === 0) {
+            if (!append) {
+                container.innerHTML = '<p class="text-center">投稿がありません。</p>';
+            }
+            return;
+        }
+
+        const stateLabels = { draft: '下書き', scheduled: '公開予約', published: '公開中' };
+
+        const html = posts.map(post => {
+            const publishedAt = this.parseServerDate(post.published_at).toLocaleString();
+            const dateLabel = post.state === 'draft' ? `更新: ${this.parseServerDate(post.updated_at).toLocaleString()}`
+                : post.state === 'scheduled' ? `${publishedAt} に公開` : publishedAt;
+
+            return `
+                <div class="member-item">
+                    <div class="member-info">
+                        <h4>
+                            <span class="post-state-badge ${post.state}">${stateLabels[post.state]}</span>
+                            ${this.escapeHtml(post.title)}
+                        </h4>
+                        <p>
+                            ${dateLabel}・${post.visibility === 'members' ? `ファン限定${post.min_tier_name ? `（${this.escapeHtml(post.min_tier_name)}以上）` : ''}` : '全体公開'}
+                            ・<i class="fas fa-heart"></i> ${post.like_count} <i class="fas fa-comment"></i> ${post.comment_count}
+                        </p>
+                    </div>
+                    <div class="member-controls">
+                        <a class="btn btn-outline" href="${this.postUrl(post)}" onclick="event.preventDefault(); app.viewPost('${post.fanclub_id}', '${post.id}')">表示</a>
+                        <button class="btn btn-outline" onclick="app.editPost('${post.id}')">編集</button>
+                        <button class="btn btn-danger" onclick="app.deletePost('${post.id}')">削除</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        if (append) {
+            container.insertAdjacentHTML('beforeend', html);
+        } else {
+            container.innerHTML = html;
         }
     }
 
-    async loadAllFanclubs() {
+    async editPost(postId) {
+        this.showLoading(true);
+
         try {
-            const response = await fetch(`${this.apiBase}/fanclubs`);
-            const fanclubs = await response.json();
-            this.renderFanclubs(fanclubs, 'searchResults');
+            // The detail endpoint also returns drafts and scheduled posts to the owner
+            const response = await this.apiCall(`/posts/${postId}`);
+            const post = await response.json();
+
+            if (!response.ok) {
+                this.showToast(post.error, 'error');
+                return;
+            }
+
+            this.editingPostId = post.id;
+            document.getElementById('postFormTitle').textContent = '投稿を編集';
+            document.getElementById('postTitle').value = post.title;
+            document.getElementById('postExcerpt').value = post.excerpt || '';
+            this.postContentEditor.root.innerHTML = post.content || '';
+            document.getElementById('featuredPreview').innerHTML = post.featured_image_url
+                ? `<img src="${this.escapeHtml(post.featured_image_url)}" alt="Uploaded image" style="max-width: 300px; height: auto;">`
+                : '';
+            document.querySelector(`input[name="postVisibility"][value="${post.visibility}"]`).checked = true;
+            document.getElementById('postMinTier').value = post.min_tier_id || '';
+            // A draft's published_at is just its creation time, so leave the schedule empty
+            document.getElementById('postPublishedAt').value = post.status === 'draft' ? '' : this.toDateTimeLocal(post.published_at);
+            document.getElementById('cancelPostEditBtn').style.display = 'inline-flex';
+            document.getElementById('newPostForm').scrollIntoView({ behavior: 'smooth' });
         } catch (error) {
-            console.error('Failed to load fanclubs:', error);
+            console.error('Failed to load post for editing:', error);
+            this.showToast('投稿の読み込みに失敗しました', 'error');
+        } finally {
+            this.showLoading(false);
         }
     }
 
-    renderFanclubs(fanclubs, containerId) {
-        const container = document.getElementById(containerId);
-        
-        if (fanclubs.length === 0) {
-            container.innerHTML = '<p class="text-center">ファンクラブが見つかりませんでした。</p>';
+    async deletePost(postId) {
+        if (!confirm('この投稿を削除しますか？いいねとコメントも削除されます。')) {
             return;
         }
-        
-        container.innerHTML = fanclubs.map(fanclub => `
-            <div class="fanclub-card" onclick="app.viewFanclub(${fanclub.id})">
-                ${fanclub.cover_image_url ? `<img src="${fanclub.cover_image_url}" alt="${fanclub.name}" style="width: 100%; height: 200px; object-fit: cover; border-radius: 8px; margin-bottom: 16px;">` : ''}
-                <div class="fanclub-card-header">
-                    <h3>${fanclub.name}</h3>
-                    <div class="fanclub-card-meta">
-                        <span class="stat">
-                            <i class="fas fa-user"></i>
-                            ${fanclub.owner_name}
-                        </span>
-                    </div>
-                </div>
-                <p>${fanclub.description || fanclub.purpose}</p>
-                <div class="fanclub-stats">
-                    <span class="stat">
-                        <i class="fas fa-users"></i>
-                        ${fanclub.member_count} 人
-                    </span>
+
+        try {
+            const response = await this.apiCall(`/posts/${postId}`, {
+                method: 'DELETE',
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                this.showToast(data.message, 'success');
+                if (String(this.editingPostId) === String(postId)) {
+                    this.resetPostForm();
+                }
+                this.loadAdminPosts();
+                this.loadFanclubPosts();
+            } else {
+                this.showToast(data.error, 'error');
+            }
+        } catch (error) {
+            console.error('Post delete failed:', error);
+            this.showToast('投稿の削除に失敗しました', 'error');
+        }
+    }
+
+    // SQLite returns UTC timestamps without a zone ("YYYY-MM-DD HH:MM:SS")
+    parseServerDate(value) {
+        if (/(Z|[+-]\d{2}:?\d{2})$/.test(value)) return new Date(value);
+        return new Date(`${value.replace(' ', 'T')}Z`);
+    }
+
+    toDateTimeLocal(value) {
+        if (!value) return '';
+        const date = this.parseServerDate(value);
+        const local = new Date(date.getTime() - date.getTimezoneOffset() * 60000);
+        return local.toISOString().slice(0, 16);
+    }
+
+    async handleImageUpload(e, previewId) {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        this.showLoading(true);
+        
+        try {
+            const url = await this.uploadImage(file);
+            const preview = document.getElementById(previewId);
+            preview.innerHTML = `<img src="${this.escapeHtml(url)}" alt="Uploaded image" style="max-width: 300px; height: auto;">`;
+            this.showToast('画像がアップロードされました', 'success');
+        } catch (error) {
+            console.error('Image upload failed:', error);
+            this.showToast(error.message || '画像アップロードに失敗しました', 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    // Uploads an image file (or Blob) and returns its URL
+    async uploadImage(file, filename) {
+        const formData = new FormData();
+        formData.append('image', file, filename);
+
+        const response = await this.apiCall('/upload', {
+            method: 'POST',
+            body: formData,
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error);
+        }
+        return data.url;
+    }
+
+    async loadCategories() {
+        try {
+            const response = await fetch(`${this.apiBase}/categories`);
+            if (!response.ok) return;
+            this.categories = await response.json();
+        } catch (error) {
+            console.error('Failed to load categories:', error);
+            return;
+        }
+
+        document.getElementById('categoryChips').innerHTML = this.categories.map(category => `
+            <button class="category-chip" onclick="app.showCategory('${category.slug}')">
+                ${this.escapeHtml(category.name)}<span class="count">${category.fanclub_count}</span>
+            </button>
+        `).join('');
+
+        const options = this.categories
+            .map(category => `<option value="${category.slug}">${this.escapeHtml(category.name)}</option>`)
+            .join('');
+        ['searchCategorySelect', 'clubCategory', 'editFanclubCategory'].forEach(id => {
+            document.getElementById(id).insertAdjacentHTML('beforeend', options);
+        });
+    }
+
+    showCategory(slug) {
+        const category = this.categories.find(c => c.slug === slug);
+        if (!category) {
+            this.showToast('カテゴリーが見つかりません', 'error');
+            this.showPage('topPage');
+            return;
+        }
+
+        this.currentCategory = category;
+        document.getElementById('categoryPageTitle').textContent = category.name;
+        this.showPage('categoryPage');
+    }
+
+    async loadCategoryFanclubs(cursor = null) {
+        if (!this.currentCategory) return;
+
+        try {
+            const params = cursor ? `?cursor=${encodeURIComponent(cursor)}` : '';
+            const response = await fetch(`${this.apiBase}/categories/${this.currentCategory.slug}/fanclubs${params}`);
+            const data = await response.json();
+            if (!response.ok) {
+                this.showToast(data.error, 'error');
+                return;
+            }
+
+            this.renderFanclubs(data.items, 'categoryFanclubs', {
+                append: Boolean(cursor),
+                nextCursor: data.next_cursor,
+                loadMore: (next) => this.loadCategoryFanclubs(next)
+            });
+        } catch (error) {
+            console.error('Failed to load category fanclubs:', error);
+            this.showToast('ファンクラブの読み込みに失敗しました', 'error');
+        }
+    }
+
+    // Clickable #tag links (data-tag keeps the tag text out of the inline script)
+    tagLinksTemplate(tags) {
+        return (tags || []).map(tag => `
+            <button class="tag-chip" data-tag="${this.escapeHtml(tag)}" onclick="event.stopPropagation(); app.searchByTag(this.dataset.tag)">#${this.escapeHtml(tag)}</button>
+        `).join('');
+    }
+
+    async loadFeaturedFanclubs() {
+        try {
+            const response = await fetch(`${this.apiBase}/fanclubs/featured`);
+            const fanclubs = await response.json();
+            this.renderFanclubs(fanclubs, 'featuredClubs');
+        } catch (error) {
+            console.error('Failed to load fanclubs:', error);
+        }
+    }
+
+    async loadTrendingFanclubs() {
+        try {
+            const response = await fetch(`${this.apiBase}/fanclubs/trending?limit=6`);
+            const fanclubs = await response.json();
+            this.renderFanclubs(fanclubs, 'trendingClubs');
+        } catch (error) {
+            console.error('Failed to load trending fanclubs:', error);
+        }
+    }
+
+    // Paged lists pass the next page's cursor and a loadMore(cursor) callback for infinite scroll
+    renderFanclubs(fanclubs, containerId, { append = false, nextCursor = null, loadMore = null } = {}) {
+        const container = document.getElementById(containerId);
+        this.setupInfiniteScroll(containerId, nextCursor && loadMore ? () => loadMore(nextCursor) : null);
+        
+        if (fanclubs.length === 0) {
+            if (!append) {
+                container.innerHTML = '<p class="text-center">ファンクラブが見つかりませんでした。</p>';
+            }
+            return;
+        }
+        
+        const html = fanclubs.map(fanclub => `
+            <div class="fanclub-card" onclick="app.viewFanclub(${fanclub.id})">
+                ${fanclub.cover_image_url ? `<img src="${this.escapeHtml(fanclub.cover_image_url)}" alt="${this.escapeHtml(fanclub.name)}" style="width: 100%; height: 200px; object-fit: cover; border-radius: 8px; margin-bottom: 16px;">` : ''}
+                <div class="fanclub-card-header">
+                    <h3>${this.escapeHtml(fanclub.name)}</h3>
+                    <div class="fanclub-card-meta">
+                        ${fanclub.pinned ? `
+                            <span class="stat pinned-badge">
+                                <i class="fas fa-thumbtack"></i>
+                                PICK UP
+                            </span>
+                        ` : ''}
+                        <span class="stat">
+                            <i class="fas fa-user"></i>
+                            ${this.escapeHtml(fanclub.owner_name)}
+                        </span>
+                        ${fanclub.category_name ? `
+                            <span class="stat">
+                                <i class="fas fa-folder"></i>
+                                ${this.escapeHtml(fanclub.category_name)}
+                            </span>
+                        ` : ''}
+                    </div>
+                </div>
+                <p>${this.escapeHtml(fanclub.description || fanclub.purpose)}</p>
+                ${fanclub.tags && fanclub.tags.length ? `<div class="fanclub-tags">${this.tagLinksTemplate(fanclub.tags)}</div>` : ''}
+                <div class="fanclub-stats">
+                    <span class="stat">
+                        <i class="fas fa-users"></i>
+                        ${fanclub.member_count} 人
+                    </span>
                     <span class="stat">
                         <i class="fas fa-yen-sign"></i>
                         ${fanclub.monthly_fee} 円/月
                     </span>
+                    ${fanclub.recent_joins > 0 ? `
+                        <span class="stat">
+                            <i class="fas fa-arrow-trend-up"></i>
+                            7日間で +${fanclub.recent_joins} 人
+                        </span>
+                    ` : ''}
                 </div>
             </div>
         `).join('');
+
+        if (append) {
+            container.insertAdjacentHTML('beforeend', html);
+        } else {
+            container.innerHTML = html;
+        }
     }
 
-    async viewFanclub(fanclubId) {
-        this.showLoading(true);
-        
+    async loadFanclub(fanclubId) {
         try {
             const response = await fetch(`${this.apiBase}/fanclubs/${fanclubId}`);
             const fanclub = await response.json();
             
             if (response.ok) {
                 this.currentFanclub = fanclub;
-                this.renderFanclubDetail(fanclub);
-                await this.loadFanclubPosts();
-                this.showPage('fanclubPage');
-            } else {
-                this.showToast('ファンクラブが見つかりません', 'error');
+                return true;
             }
+            this.showToast('ファンクラブが見つかりません', 'error');
         } catch (error) {
             console.error('Failed to load fanclub:', error);
             this.showToast('ファンクラブの読み込みに失敗しました', 'error');
+        }
+        return false;
+    }
+
+    async viewFanclub(fanclubId) {
+        this.showLoading(true);
+        
+        try {
+            if (!(await this.loadFanclub(fanclubId))) {
+                this.showPage('topPage');
+                return;
+            }
+
+            await this.loadMembership();
+            await this.loadFeaturedPins();
+            this.renderFanclubDetail(this.currentFanclub);
+            await this.loadFanclubTiers();
+            await this.loadFanclubPosts();
+            this.showPage('fanclubPage');
+            this.recordFanclubVisit(this.currentFanclub.id);
         } finally {
             this.showLoading(false);
         }
@@ -493,8 +1172,16 @@ class FanClubApp {
     renderFanclubDetail(fanclub) {
         document.getElementById('fanclubName').textContent = fanclub.name;
         document.getElementById('fanclubDescription').textContent = fanclub.description || fanclub.purpose;
+        document.getElementById('fanclubTags').innerHTML = `
+            ${fanclub.category ? `
+                <button class="tag-chip" onclick="app.showCategory('${fanclub.category}')">
+                    <i class="fas fa-folder"></i> ${this.escapeHtml(fanclub.category_name)}
+                </button>
+            ` : ''}
+            ${this.tagLinksTemplate(fanclub.tags)}
+        `;
         document.getElementById('memberCount').textContent = fanclub.member_count;
-        document.getElementById('monthlyFee').textContent = fanclub.monthly_fee;
+        document.getElementById('fanclubMonthlyFee').textContent = fanclub.monthly_fee;
         
         const coverImg = document.getElementById('fanclubCoverImage');
         if (fanclub.cover_image_url) {
@@ -512,8 +1199,15 @@ class FanClubApp {
             document.getElementById('joinFanclubBtn').style.display = 'none';
             document.getElementById('leaveFanclubBtn').style.display = 'none';
             document.getElementById('adminPanelBtn').style.display = 'none';
+            document.getElementById('pinFeaturedBtn').style.display = 'none';
             return;
         }
+
+        // Site admins can pin any fanclub to the top page
+        const pinButton = document.getElementById('pinFeaturedBtn');
+        pinButton.style.display = this.currentUser.is_admin ? 'inline-flex' : 'none';
+        document.getElementById('pinFeaturedLabel').textContent =
+            this.featuredPinIds.has(String(this.currentFanclub.id)) ? '固定を解除' : '注目に固定';
         
         const isOwner = this.currentFanclub.owner_id === this.currentUser.id;
         
@@ -522,210 +1216,1846 @@ class FanClubApp {
             document.getElementById('leaveFanclubBtn').style.display = 'none';
             document.getElementById('adminPanelBtn').style.display = 'inline-flex';
         } else {
-            // Check membership status (simplified - in real app, check via API)
-            document.getElementById('joinFanclubBtn').style.display = 'inline-flex';
-            document.getElementById('leaveFanclubBtn').style.display = 'none';
+            const isMember = Boolean(this.currentMembership);
+            document.getElementById('joinFanclubBtn').style.display = isMember ? 'none' : 'inline-flex';
+            document.getElementById('leaveFanclubBtn').style.display = isMember ? 'inline-flex' : 'none';
             document.getElementById('adminPanelBtn').style.display = 'none';
         }
     }
 
-    async loadFanclubPosts() {
+    async loadFeaturedPins() {
+        this.featuredPinIds = new Set();
+        if (!this.currentUser || !this.currentUser.is_admin) return;
+
+        try {
+            const response = await this.apiCall('/admin/featured');
+            if (response.ok) {
+                const pins = await response.json();
+                this.featuredPinIds = new Set(pins.map(fanclub => String(fanclub.id)));
+            }
+        } catch (error) {
+            console.error('Failed to load featured pins:', error);
+        }
+    }
+
+    async toggleFeaturedPin() {
         if (!this.currentFanclub) return;
-        
+
+        const pinned = this.featuredPinIds.has(String(this.currentFanclub.id));
         try {
-            const url = this.currentUser 
-                ? `${this.apiBase}/fanclubs/${this.currentFanclub.id}/posts?user_id=${this.currentUser.id}`
-                : `${this.apiBase}/fanclubs/${this.currentFanclub.id}/posts`;
-                
-            const response = await fetch(url);
-            const posts = await response.json();
-            
-            this.renderPosts(posts);
+            const response = await this.apiCall(`/admin/featured/${this.currentFanclub.id}`, {
+                method: pinned ? 'DELETE' : 'PUT'
+            });
+            const data = await response.json();
+
+            if (response.ok) {
+                this.showToast(pinned ? '注目の固定を解除しました' : 'トップページの注目に固定しました', 'success');
+                await this.loadFeaturedPins();
+                this.updateFanclubButtons();
+                this.loadFeaturedFanclubs();
+            } else {
+                this.showToast(data.error, 'error');
+            }
         } catch (error) {
-            console.error('Failed to load posts:', error);
+            console.error('Failed to update featured pin:', error);
+            this.showToast('注目の設定に失敗しました', 'error');
         }
     }
 
-    renderPosts(posts) {
-        const container = document.getElementById('fanclubPosts');
-        
-        if (posts.length === 0) {
-            container.innerHTML = '<p class="text-center">まだ投稿がありません。</p>';
+    async loadMembership() {
+        this.currentMembership = null;
+        if (!this.currentUser || !this.currentFanclub) return;
+
+        try {
+            // Non-members get a 404 here
+            const response = await this.apiCall(`/fanclubs/${this.currentFanclub.id}/membership`);
+            if (response.ok) {
+                this.currentMembership = await response.json();
+            }
+        } catch (error) {
+            console.error('Failed to load membership:', error);
+        }
+    }
+
+    async loadFanclubTiers() {
+        if (!this.currentFanclub) return;
+
+        try {
+            const response = await fetch(`${this.apiBase}/fanclubs/${this.currentFanclub.id}/tiers`);
+            const tiers = await response.json();
+
+            if (response.ok) {
+                this.fanclubTiers = tiers;
+                this.renderFanclubTiers();
+                this.renderPostTierOptions();
+            }
+        } catch (error) {
+            console.error('Failed to load tiers:', error);
+        }
+    }
+
+    renderFanclubTiers() {
+        const section = document.getElementById('fanclubTiersSection');
+        const container = document.getElementById('fanclubTiers');
+
+        if (this.fanclubTiers.length === 0) {
+            section.style.display = 'none';
             return;
         }
-        
-        container.innerHTML = posts.map(post => `
-            <article class="post-item">
-                ${post.featured_image_url ? `<img src="${post.featured_image_url}" alt="${post.title}" class="post-featured-image">` : ''}
-                <div class="post-content">
-                    <div class="post-header">
-                        <h3 class="post-title">${post.title}</h3>
-                        <div class="post-meta">
-                            <span class="post-visibility-badge ${post.visibility}">
-                                ${post.visibility === 'members' ? 'ファン限定' : '公開'}
-                            </span>
-                            <span>${post.author_name}</span>
-                            <span>${new Date(post.published_at).toLocaleDateString()}</span>
-                        </div>
-                    </div>
-                    ${post.excerpt ? `<div class="post-excerpt">${post.excerpt}</div>` : ''}
-                    <div class="post-body">${post.content}</div>
-                    <div class="post-actions">
-                        <div class="post-interactions">
-                            <button class="interaction-btn" onclick="app.toggleLike(${post.id})">
-                                <i class="fas fa-heart"></i>
-                                <span>${post.like_count}</span>
-                            </button>
-                            <button class="interaction-btn" onclick="app.toggleComments(${post.id})">
-                                <i class="fas fa-comment"></i>
-                                <span>${post.comment_count}</span>
-                            </button>
-                        </div>
-                    </div>
+
+        section.style.display = 'block';
+
+        // The fanclub fee follows the cheapest tier
+        this.currentFanclub.monthly_fee = Math.min(...this.fanclubTiers.map(tier => tier.monthly_fee));
+        document.getElementById('fanclubMonthlyFee').textContent = this.currentFanclub.monthly_fee;
+
+        const membership = this.currentMembership;
+        const isOwner = this.currentUser && this.currentFanclub.owner_id === this.currentUser.id;
+
+        container.innerHTML = this.fanclubTiers.map(tier => {
+            let action = '';
+            if (isOwner) {
+                // Owners manage tiers from the admin panel
+            } else if (!membership) {
+                action = `<button class="btn btn-primary" onclick="app.joinFanclub('${tier.id}')">このプランで参加</button>`;
+            } else if (tier.id === membership.tier_id) {
+                action = membership.pending_tier_id
+                    ? `<button class="btn btn-outline" onclick="app.changeTier('${tier.id}')">このプランを継続</button>`
+                    : '<span class="member-badge member">参加中</span>';
+            } else if (tier.id === membership.pending_tier_id) {
+                action = '<span class="member-badge past-due">次回から変更</span>';
+            } else {
+                action = `<button class="btn btn-outline" onclick="app.changeTier('${tier.id}')">このプランに変更</button>`;
+            }
+
+            return `
+                <div class="tier-card ${membership && tier.id === membership.tier_id ? 'current' : ''}">
+                    <h3>${this.escapeHtml(tier.name)}</h3>
+                    <p class="tier-fee">月額 ${tier.monthly_fee.toLocaleString()} 円</p>
+                    ${tier.description ? `<p class="tier-description">${this.escapeHtml(tier.description)}</p>` : ''}
+                    <p class="tier-members"><i class="fas fa-users"></i> ${tier.member_count} 人</p>
+                    <div class="tier-actions">${action}</div>
                 </div>
-            </article>
+            `;
+        }).join('');
+    }
+
+    renderPostTierOptions() {
+        const select = document.getElementById('postMinTier');
+        select.innerHTML = '<option value="">すべてのプラン</option>' + this.fanclubTiers.map(tier => `
+            <option value="${tier.id}">${this.escapeHtml(tier.name)}（月額 ${tier.monthly_fee.toLocaleString()} 円）以上</option>
         `).join('');
     }
 
-    async joinFanclub() {
-        if (!this.currentUser) {
-            this.showToast('ファンクラブに参加するにはログインが必要です', 'warning');
-            this.showPage('loginPage');
+    async changeTier(tierId) {
+        const membership = this.currentMembership;
+        const tier = this.fanclubTiers.find(t => String(t.id) === String(tierId));
+        if (!membership || !tier) return;
+
+        const currentFee = membership.monthly_fee || 0;
+        let message;
+        if (tier.id === membership.tier_id) {
+            message = 'プラン変更の予約を取り消しますか？';
+        } else if (tier.monthly_fee < currentFee) {
+            message = `次回のお支払い日から「${tier.name}」に変更しますか？`;
+        } else {
+            message = `差額 ${(tier.monthly_fee - currentFee).toLocaleString()} 円をお支払いして「${tier.name}」に変更しますか？`;
+        }
+        if (!confirm(message)) {
             return;
         }
-        
+
         this.showLoading(true);
-        
+
         try {
-            const response = await this.apiCall(`/fanclubs/${this.currentFanclub.id}/join`, {
-                method: 'POST',
+            const response = await this.apiCall(`/fanclubs/${this.currentFanclub.id}/membership/tier`, {
+                method: 'PUT',
+                body: JSON.stringify({ tier_id: tier.id }),
             });
-            
+
             const data = await response.json();
-            
+
             if (response.ok) {
                 this.showToast(data.message, 'success');
-                this.currentFanclub.member_count++;
-                this.renderFanclubDetail(this.currentFanclub);
-                this.updateFanclubButtons();
+                await this.loadMembership();
+                await this.loadFanclubTiers();
+                await this.loadFanclubPosts();
             } else {
                 this.showToast(data.error, 'error');
             }
         } catch (error) {
-            console.error('Join failed:', error);
-            this.showToast('参加に失敗しました', 'error');
+            console.error('Tier change failed:', error);
+            this.showToast('プランの変更に失敗しました', 'error');
         } finally {
             this.showLoading(false);
         }
     }
 
-    async leaveFanclub() {
-        if (!confirm('本当にこのファンクラブから退会しますか？')) {
-            return;
-        }
-        
-        this.showLoading(true);
+    async loadFanclubPosts(cursor = null) {
+        if (!this.currentFanclub) return;
         
         try {
-            const response = await this.apiCall(`/fanclubs/${this.currentFanclub.id}/leave`, {
-                method: 'DELETE',
-            });
-            
+            // The token decides which members-only posts are readable
+            const params = cursor ? `?cursor=${encodeURIComponent(cursor)}` : '';
+            const response = await this.apiCall(`/fanclubs/${this.currentFanclub.id}/posts${params}`);
             const data = await response.json();
+            if (!response.ok) return;
             
-            if (response.ok) {
-                this.showToast(data.message, 'success');
-                this.currentFanclub.member_count--;
-                this.renderFanclubDetail(this.currentFanclub);
-                this.updateFanclubButtons();
-            } else {
-                this.showToast(data.error, 'error');
-            }
+            this.renderPosts(data.items, { append: Boolean(cursor), nextCursor: data.next_cursor });
         } catch (error) {
-            console.error('Leave failed:', error);
-            this.showToast('退会に失敗しました', 'error');
-        } finally {
-            this.showLoading(false);
+            console.error('Failed to load posts:', error);
         }
     }
 
-    switchTab(activeButton) {
-        const tabName = activeButton.getAttribute('data-tab');
-        const container = activeButton.closest('.page-container') || activeButton.closest('.page');
-        
-        // Update tab buttons
-        container.querySelectorAll('.tab-btn').forEach(btn => btn.classList.remove('active'));
-        activeButton.classList.add('active');
+    renderPosts(posts, { append = false, nextCursor = null } = {}) {
+        const container = document.getElementById('fanclubPosts');
+        this.setupInfiniteScroll('fanclubPosts', nextCursor ? () => this.loadFanclubPosts(nextCursor) : null);
         
-        // Update tab contents
-        container.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
+        if (posts.length === 0) {
+            if (!append) {
+                container.innerHTML = '<p class="text-center">まだ投稿がありません。</p>';
+            }
+            return;
+        }
+        
+        const html = posts.map(post => this.postItemTemplate(post)).join('');
+        if (append) {
+            container.insertAdjacentHTML('beforeend', html);
+        } else {
+            container.innerHTML = html;
+        }
+    }
+
+    // Infinite scroll: calls loadMore() once the end of the list scrolls into view.
+    // Passing no loadMore (last page) just stops watching the list.
+    setupInfiniteScroll(containerId, loadMore) {
+        if (this.scrollObservers[containerId]) {
+            this.scrollObservers[containerId].disconnect();
+            delete this.scrollObservers[containerId];
+        }
+        if (!loadMore) return;
+
+        const container = document.getElementById(containerId);
+        let sentinel = container.nextElementSibling;
+        if (!sentinel || !sentinel.classList.contains('scroll-sentinel')) {
+            sentinel = document.createElement('div');
+            sentinel.className = 'scroll-sentinel';
+            container.after(sentinel);
+        }
+
+        const observer = new IntersectionObserver((entries) => {
+            if (entries.some(entry => entry.isIntersecting)) {
+                observer.disconnect();
+                delete this.scrollObservers[containerId];
+                loadMore();
+            }
+        }, { rootMargin: '200px' });
+        observer.observe(sentinel);
+        this.scrollObservers[containerId] = observer;
+    }
+
+    postItemTemplate(post) {
+        return `
+            <article class="post-item">
+                ${post.featured_image_url ? `<img src="${this.escapeHtml(post.featured_image_url)}" alt="${this.escapeHtml(post.title)}" class="post-featured-image">` : ''}
+                <div class="post-content">
+                    <div class="post-header">
+                        <h3 class="post-title">
+                            <a href="${this.postUrl(post)}" onclick="event.preventDefault(); app.viewPost('${post.fanclub_id}', '${post.id}')">${this.escapeHtml(post.title)}</a>
+                        </h3>
+                        <div class="post-meta">
+                            <span class="post-visibility-badge ${post.visibility}">
+                                ${post.visibility === 'members' ? 'ファン限定' : '公開'}
+                            </span>
+                            ${post.min_tier_name ? `
+                                <span class="post-tier-badge">
+                                    <i class="fas fa-lock"></i> ${this.escapeHtml(post.min_tier_name)}以上
+                                </span>
+                            ` : ''}
+                            <a class="post-author" href="/users/${post.author_id}" onclick="event.preventDefault(); app.viewUser('${post.author_id}')">
+                                ${this.avatarTemplate(post.author_avatar, post.author_name, 'avatar-small')}
+                                ${this.escapeHtml(post.author_name)}
+                            </a>
+                            <span>${new Date(post.published_at).toLocaleDateString()}</span>
+                        </div>
+                    </div>
+                    ${post.excerpt ? `<div class="post-excerpt">${this.escapeHtml(post.excerpt)}</div>` : ''}
+                    ${post.locked ? `
+                        <div class="post-locked">
+                            <i class="fas fa-lock"></i>
+                            <p>${post.min_tier_name
+                                ? `「${this.escapeHtml(post.min_tier_name)}」以上のプランのメンバー限定の投稿です`
+                                : 'ファンクラブのメンバー限定の投稿です'}</p>
+                        </div>
+                    ` : `
+                        <div class="post-body">${post.content}</div>
+                        <div class="post-actions">
+                            <div class="post-interactions">
+                                <button class="interaction-btn like-btn ${post.liked ? 'liked' : ''}" data-post-id="${post.id}" onclick="app.toggleLike('${post.id}')">
+                                    <i class="fas fa-heart"></i>
+                                    <span>${post.like_count}</span>
+                                </button>
+                                <button class="interaction-btn comment-btn" data-post-id="${post.id}" onclick="app.toggleComments('${post.id}')">
+                                    <i class="fas fa-comment"></i>
+                                    <span>${post.comment_count}</span>
+                                </button>
+                            </div>
+                        </div>
+                        <div class="post-comments" data-post-id="${post.id}" style="display: none;"></div>
+                    `}
+                </div>
+            </article>
+        `;
+    }
+
+    postUrl(post) {
+        return `/clubs/${post.fanclub_id}/posts/${post.id}`;
+    }
+
+    async viewPost(fanclubId, postId) {
+        this.showLoading(true);
+
+        try {
+            // The fanclub is needed for the back button and comment moderation
+            if (!this.currentFanclub || String(this.currentFanclub.id) !== String(fanclubId)) {
+                if (!(await this.loadFanclub(fanclubId))) {
+                    this.showPage('topPage');
+                    return;
+                }
+            }
+
+            const response = await this.apiCall(`/posts/${postId}`);
+            const post = await response.json();
+
+            if (!response.ok || String(post.fanclub_id) !== String(fanclubId)) {
+                this.showToast('投稿が見つかりません', 'error');
+                this.showPage('topPage');
+                return;
+            }
+
+            this.currentPost = post;
+            document.getElementById('postFanclubName').textContent = this.currentFanclub.name;
+            document.getElementById('postDetail').innerHTML = this.postItemTemplate(post);
+            this.showPage('postPage');
+
+            if (!post.locked) {
+                this.toggleComments(post.id);
+            }
+        } catch (error) {
+            console.error('Failed to load post:', error);
+            this.showToast('投稿の読み込みに失敗しました', 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async copyPostLink() {
+        if (!this.currentPost) return;
+
+        try {
+            await navigator.clipboard.writeText(window.location.origin + this.postUrl(this.currentPost));
+            this.showToast('リンクをコピーしました', 'success');
+        } catch (error) {
+            console.error('Copy failed:', error);
+            this.showToast('リンクのコピーに失敗しました', 'error');
+        }
+    }
+
+    async joinFanclub(tierId = null) {
+        if (!this.currentUser) {
+            this.showToast('ファンクラブに参加するにはログインが必要です', 'warning');
+            this.showPage('loginPage');
+            return;
+        }
+
+        // With a single tier there is nothing to choose
+        if (!tierId && this.fanclubTiers.length === 1) {
+            tierId = this.fanclubTiers[0].id;
+        }
+        if (!tierId && this.fanclubTiers.length > 1) {
+            this.showToast('参加するプランを選択してください', 'info');
+            document.getElementById('fanclubTiersSection').scrollIntoView({ behavior: 'smooth' });
+            return;
+        }
+        
+        this.showLoading(true);
+        
+        try {
+            const response = await this.apiCall(`/fanclubs/${this.currentFanclub.id}/join`, {
+                method: 'POST',
+                body: JSON.stringify({ tier_id: tierId }),
+            });
+            
+            const data = await response.json();
+            
+            if (response.ok) {
+                this.showToast(data.message, 'success');
+                this.currentFanclub.member_count++;
+                await this.loadMembership();
+                this.renderFanclubDetail(this.currentFanclub);
+                await this.loadFanclubTiers();
+                await this.loadFanclubPosts();
+            } else {
+                this.showToast(data.error, 'error');
+            }
+        } catch (error) {
+            console.error('Join failed:', error);
+            this.showToast('参加に失敗しました', 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async leaveFanclub() {
+        if (!confirm('本当にこのファンクラブから退会しますか？')) {
+            return;
+        }
+        
+        this.showLoading(true);
+        
+        try {
+            const response = await this.apiCall(`/fanclubs/${this.currentFanclub.id}/leave`, {
+                method: 'DELETE',
+            });
+            
+            const data = await response.json();
+            
+            if (response.ok) {
+                this.showToast(data.message, 'success');
+                this.currentFanclub.member_count--;
+                this.currentMembership = null;
+                this.renderFanclubDetail(this.currentFanclub);
+                await this.loadFanclubTiers();
+                await this.loadFanclubPosts();
+            } else {
+                this.showToast(data.error, 'error');
+            }
+        } catch (error) {
+            console.error('Leave failed:', error);
+            this.showToast('退会に失敗しました', 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    switchTab(activeButton) {
+        const tabName = activeButton.getAttribute('data-tab');
+        const container = activeButton.closest('.page-container') || activeButton.closest('.page');
+        
+        // Update tab buttons
+        container.querySelectorAll('.tab-btn').forEach(btn => btn.classList.remove('active'));
+        activeButton.classList.add('active');
+        
+        // Update tab contents
+        container.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
         const targetTab = document.getElementById(tabName + 'Tab');
         if (targetTab) {
             targetTab.classList.add('active');
         }
         
         // Load data for specific tabs
-        if (tabName === 'members' && this.currentFanclub) {
+        if (tabName === 'posts' && this.currentFanclub) {
+            this.loadAdminPosts();
+        } else if (tabName === 'members' && this.currentFanclub) {
             this.loadFanclubMembers();
+        } else if (tabName === 'tiers' && this.currentFanclub) {
+            this.loadAdminTiers();
         } else if (tabName === 'settings' && this.currentFanclub) {
             this.loadFanclubSettings();
         } else if (tabName === 'fanclubs' && this.currentUser) {
             this.loadJoinedFanclubs();
         } else if (tabName === 'profile' && this.currentUser) {
             this.loadUserProfile();
+        } else if (tabName === 'sessions' && this.currentUser) {
+            this.loadSessions();
+        } else if (tabName === 'reminders' && this.currentUser) {
+            this.loadReminderSettings();
+        }
+    }
+
+    async loadFanclubMembers(cursor = null) {
+        if (!this.currentFanclub) return;
+
+        const { sort, q } = this.memberQuery;
+        const params = new URLSearchParams({ sort, limit: 20 });
+        if (q) params.set('q', q);
+        if (cursor) params.set('cursor', cursor);
+
+        try {
+            const response = await this.apiCall(`/fanclubs/${this.currentFanclub.id}/members?${params}`);
+            const data = await response.json();
+
+            if (response.ok) {
+                this.renderMembers(data, Boolean(cursor));
+            } else {
+                this.showToast(data.error, 'error');
+            }
+        } catch (error) {
+            console.error('Failed to load members:', error);
+            this.showToast('メンバーの読み込みに失敗しました', 'error');
+        }
+
+        if (!cursor) {
+            await this.loadBannedUsers();
+        }
+    }
+
+    // total is only counted for the first page
+    renderMembers({ items, next_cursor, total }, append = false) {
+        const container = document.getElementById('membersList');
+        const pagination = document.getElementById('membersPagination');
+        this.setupInfiniteScroll('membersList', next_cursor ? () => this.loadFanclubMembers(next_cursor) : null);
+
+        if (items.length === 0) {
+            if (!append) {
+                container.innerHTML = '<p class="text-center">メンバーが見つかりませんでした。</p>';
+                pagination.innerHTML = '';
+            }
+            return;
+        }
+
+        const html = items.map(member => `
+            <div class="member-item">
+                <div class="member-info">
+                    <h4>${this.escapeHtml(member.nickname)}</h4>
+                    <p>参加日: ${new Date(member.joined_at).toLocaleDateString()}</p>
+                    ${member.tier_name ? `<p>プラン: ${this.escapeHtml(member.tier_name)}</p>` : ''}
+                </div>
+                <div class="member-controls">
+                    <span class="member-badge ${member.is_owner ? 'owner' : 'member'}">
+                        ${member.is_owner ? 'オーナー' : 'メンバー'}
+                    </span>
+                    ${member.status === 'past_due' ? '<span class="member-badge past-due">支払い遅延</span>' : ''}
+                    ${member.is_owner ? '' : `
+                        <button class="btn btn-outline" onclick="app.removeMember('${member.user_id}')">削除</button>
+                        <button class="btn btn-danger" onclick="app.banMember('${member.user_id}')">BAN</button>
+                    `}
+                </div>
+            </div>
+        `).join('');
+
+        if (append) {
+            container.insertAdjacentHTML('beforeend', html);
+        } else {
+            container.innerHTML = html;
+        }
+
+        if (total !== null) {
+            pagination.innerHTML = `<span>${total} 人</span>`;
+        }
+    }
+
+    async removeMember(userId) {
+        if (!confirm('このメンバーをファンクラブから削除しますか？')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiCall(`/fanclubs/${this.currentFanclub.id}/members/${userId}`, {
+                method: 'DELETE',
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                this.showToast(data.message, 'success');
+                this.currentFanclub.member_count--;
+                this.loadFanclubMembers();
+            } else {
+                this.showToast(data.error, 'error');
+            }
+        } catch (error) {
+            console.error('Member remove failed:', error);
+            this.showToast('メンバーの削除に失敗しました', 'error');
+        }
+    }
+
+    async banMember(userId) {
+        const reason = prompt('BANの理由（任意）');
+        if (reason === null) return;
+
+        try {
+            const response = await this.apiCall(`/fanclubs/${this.currentFanclub.id}/bans`, {
+                method: 'POST',
+                body: JSON.stringify({ user_id: userId, reason }),
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                this.showToast(data.message, 'success');
+                this.currentFanclub.member_count--;
+                this.loadFanclubMembers();
+            } else {
+                this.showToast(data.error, 'error');
+            }
+        } catch (error) {
+            console.error('Member ban failed:', error);
+            this.showToast('BANに失敗しました', 'error');
+        }
+    }
+
+    async loadBannedUsers(cursor = null) {
+        const container = document.getElementById('bannedList');
+
+        try {
+            const params = cursor ? `?cursor=${encodeURIComponent(cursor)}` : '';
+            const response = await this.apiCall(`/fanclubs/${this.currentFanclub.id}/bans${params}`);
+            const data = await response.json();
+
+            if (!response.ok) {
+                container.innerHTML = '';
+                return;
+            }
+
+            const { items: bans, next_cursor } = data;
+            this.setupInfiniteScroll('bannedList', next_cursor ? () => this.loadBannedUsers(next_cursor) : null);
+
+            if (cursor) {
+                container.insertAdjacentHTML('beforeend', bans.map(ban => this.bannedUserTemplate(ban)).join(''));
+                return;
+            }
+
+            container.innerHTML = bans.length === 0
+                ? '<p class="text-center">BANしたユーザーはいません。</p>'
+                : bans.map(ban => this.bannedUserTemplate(ban)).join('');
+        } catch (error) {
+            console.error('Failed to load bans:', error);
+        }
+    }
+
+    bannedUserTemplate(ban) {
+        return `
+            <div class="member-item">
+                <div class="member-info">
+                    <h4>${this.escapeHtml(ban.nickname)}</h4>
+                    <p>${new Date(ban.created_at).toLocaleDateString()}${ban.reason ? ` ・ ${this.escapeHtml(ban.reason)}` : ''}</p>
+                </div>
+                <button class="btn btn-outline" onclick="app.unbanUser('${ban.user_id}')">BAN解除</button>
+            </div>
+        `;
+    }
+
+    async unbanUser(userId) {
+        try {
+            const response = await this.apiCall(`/fanclubs/${this.currentFanclub.id}/bans/${userId}`, {
+                method: 'DELETE',
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                this.showToast(data.message, 'success');
+                this.loadBannedUsers();
+            } else {
+                this.showToast(data.error, 'error');
+            }
+        } catch (error) {
+            console.error('Unban failed:', error);
+            this.showToast('BAN解除に失敗しました', 'error');
+        }
+    }
+
+    async loadAdminTiers() {
+        await this.loadFanclubTiers();
+        this.renderAdminTiers();
+    }
+
+    renderAdminTiers() {
+        const container = document.getElementById('adminTiersList');
+
+        if (this.fanclubTiers.length === 0) {
+            container.innerHTML = '<p class="text-center">プランがありません。</p>';
+            return;
+        }
+
+        container.innerHTML = this.fanclubTiers.map(tier => `
+            <div class="member-item">
+                <div class="member-info">
+                    <h4>${this.escapeHtml(tier.name)}</h4>
+                    <p>月額 ${tier.monthly_fee.toLocaleString()} 円・${tier.member_count} 人</p>
+                </div>
+                <div class="member-controls">
+                    <button class="btn btn-outline" onclick="app.editTier('${tier.id}')">編集</button>
+                    <button class="btn btn-danger" onclick="app.deleteTier('${tier.id}')">削除</button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    editTier(tierId) {
+        const tier = this.fanclubTiers.find(t => String(t.id) === String(tierId));
+        if (!tier) return;
+
+        this.editingTierId = tier.id;
+        document.getElementById('tierFormTitle').textContent = 'プランを編集';
+        document.getElementById('tierName').value = tier.name;
+        document.getElementById('tierDescription').value = tier.description || '';
+        document.getElementById('tierMonthlyFee').value = tier.monthly_fee;
+        document.getElementById('cancelTierEditBtn').style.display = 'inline-flex';
+    }
+
+    resetTierForm() {
+        this.editingTierId = null;
+        document.getElementById('tierForm').reset();
+        document.getElementById('tierFormTitle').textContent = 'プランを追加';
+        document.getElementById('cancelTierEditBtn').style.display = 'none';
+    }
+
+    async handleSaveTier(e) {
+        e.preventDefault();
+
+        if (!this.currentFanclub) return;
+
+        const name = document.getElementById('tierName').value;
+        const description = document.getElementById('tierDescription').value;
+        const monthly_fee = parseInt(document.getElementById('tierMonthlyFee').value);
+        const endpoint = this.editingTierId
+            ? `/fanclubs/${this.currentFanclub.id}/tiers/${this.editingTierId}`
+            : `/fanclubs/${this.currentFanclub.id}/tiers`;
+
+        this.showLoading(true);
+
+        try {
+            const response = await this.apiCall(endpoint, {
+                method: this.editingTierId ? 'PUT' : 'POST',
+                body: JSON.stringify({ name, description, monthly_fee }),
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                this.showToast(data.message, 'success');
+                this.resetTierForm();
+                await this.loadAdminTiers();
+            } else {
+                this.showToast(data.error, 'error');
+            }
+        } catch (error) {
+            console.error('Tier save failed:', error);
+            this.showToast('プランの保存に失敗しました', 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async deleteTier(tierId) {
+        if (!confirm('このプランを削除しますか？')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiCall(`/fanclubs/${this.currentFanclub.id}/tiers/${tierId}`, {
+                method: 'DELETE',
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                this.showToast(data.message, 'success');
+                if (String(this.editingTierId) === String(tierId)) {
+                    this.resetTierForm();
+                }
+                await this.loadAdminTiers();
+            } else {
+                this.showToast(data.error, 'error');
+            }
+        } catch (error) {
+            console.error('Tier delete failed:', error);
+            this.showToast('プランの削除に失敗しました', 'error');
+        }
+    }
+
+    loadFanclubSettings() {
+        if (!this.currentFanclub) return;
+        
+        document.getElementById('editFanclubName').value = this.currentFanclub.name;
+        document.getElementById('editFanclubDescription').value = this.currentFanclub.description || '';
+        document.getElementById('editMonthlyFee').value = this.currentFanclub.monthly_fee;
+        // Fees of fanclubs with tiers are managed per tier
+        const hasTiers = this.fanclubTiers.length > 0;
+        document.getElementById('editMonthlyFee').disabled = hasTiers;
+        document.getElementById('editMonthlyFeeHint').style.display = hasTiers ? 'block' : 'none';
+        document.getElementById('editFanclubPurpose').value = this.currentFanclub.purpose;
+        document.getElementById('editFanclubCategory').value = this.currentFanclub.category || '';
+        document.getElementById('editFanclubTags').value = (this.currentFanclub.tags || []).join(', ');
+
+        const preview = document.getElementById('editCoverPreview');
+        preview.innerHTML = '';
+        if (this.currentFanclub.cover_image_url) {
+            const img = document.createElement('img');
+            img.src = this.currentFanclub.cover_image_url;
+            img.alt = 'Cover image';
+            img.style.maxWidth = '300px';
+            img.style.height = 'auto';
+            preview.appendChild(img);
+        }
+    }
+
+    async handleUpdateFanclub(e) {
+        e.preventDefault();
+
+        if (!this.currentFanclub) return;
+
+        const name = document.getElementById('editFanclubName').value;
+        const description = document.getElementById('editFanclubDescription').value;
+        const monthly_fee = parseInt(document.getElementById('editMonthlyFee').value) || 0;
+        const purpose = document.getElementById('editFanclubPurpose').value;
+        const category = document.getElementById('editFanclubCategory').value;
+        const tags = document.getElementById('editFanclubTags').value;
+        const cover_image_url = document.getElementById('editCoverPreview').querySelector('img')?.src || '';
+
+        this.showLoading(true);
+
+        try {
+            const response = await this.apiCall(`/fanclubs/${this.currentFanclub.id}`, {
+                method: 'PUT',
+                body: JSON.stringify({
+                    name,
+                    description,
+                    monthly_fee,
+                    purpose,
+                    category,
+                    tags,
+                    cover_image_url
+                }),
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                this.currentFanclub = data.fanclub;
+                this.renderFanclubDetail(this.currentFanclub);
+                this.showToast(data.message, 'success');
+            } else {
+                this.showToast(data.error, 'error');
+            }
+        } catch (error) {
+            console.error('Fanclub update failed:', error);
+            this.showToast('ファンクラブの更新に失敗しました', 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async deleteFanclub() {
+        if (!this.currentFanclub) return;
+
+        const confirmation = prompt(`削除するにはファンクラブ名「${this.currentFanclub.name}」を入力してください`);
+        if (confirmation !== this.currentFanclub.name) {
+            if (confirmation !== null) {
+                this.showToast('ファンクラブ名が一致しません', 'warning');
+            }
+            return;
+        }
+
+        this.showLoading(true);
+
+        try {
+            const response = await this.apiCall(`/fanclubs/${this.currentFanclub.id}`, {
+                method: 'DELETE',
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                this.currentFanclub = null;
+                this.showToast(data.message, 'success');
+                this.showPage('topPage');
+                this.loadFeaturedFanclubs();
+            } else {
+                this.showToast(data.error, 'error');
+            }
+        } catch (error) {
+            console.error('Fanclub delete failed:', error);
+            this.showToast('ファンクラブの削除に失敗しました', 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    recordFanclubVisit(fanclubId) {
+        if (!this.currentUser) return;
+
+        // Non-members get a 404 here, which is expected and safe to ignore
+        this.apiCall(`/fanclubs/${fanclubId}/visit`, { method: 'POST' })
+            .catch(error => console.error('Failed to record visit:', error));
+    }
+
+    async loadJoinedFanclubs(cursor = null) {
+        const container = document.getElementById('joinedFanclubsList');
+
+        try {
+            const params = cursor ? `?cursor=${encodeURIComponent(cursor)}` : '';
+            const response = await this.apiCall(`/user/memberships${params}`);
+            const data = await response.json();
+
+            if (response.ok) {
+                this.renderJoinedFanclubs(data.items, { append: Boolean(cursor), nextCursor: data.next_cursor });
+            } else {
+                container.innerHTML = `<p class="text-center">${this.escapeHtml(data.error)}</p>`;
+            }
+        } catch (error) {
+            console.error('Failed to load memberships:', error);
+            container.innerHTML = '<p class="text-center">参加中のファンクラブの読み込みに失敗しました。</p>';
+        }
+    }
+
+    renderJoinedFanclubs(memberships, { append = false, nextCursor = null } = {}) {
+        const container = document.getElementById('joinedFanclubsList');
+        this.setupInfiniteScroll('joinedFanclubsList', nextCursor ? () => this.loadJoinedFanclubs(nextCursor) : null);
+
+        if (memberships.length === 0) {
+            if (!append) {
+                container.innerHTML = '<p class="text-center">まだファンクラブに参加していません。</p>';
+            }
+            return;
+        }
+
+        const html = memberships.map(club => `
+            <div class="fanclub-card membership-card" onclick="app.viewFanclub('${club.id}')">
+                ${club.cover_image_url ? `<img src="${this.escapeHtml(club.cover_image_url)}" alt="${this.escapeHtml(club.name)}" style="width: 100%; height: 160px; object-fit: cover; border-radius: 8px; margin-bottom: 16px;">` : ''}
+                <div class="fanclub-card-header">
+                    <h3>
+                        ${this.escapeHtml(club.name)}
+                        ${club.unread_count > 0 ? `<span class="unread-badge">${club.unread_count} 件の新着</span>` : ''}
+                    </h3>
+                    <div class="fanclub-card-meta">
+                        <span class="member-badge ${club.is_owner ? 'owner' : 'member'}">
+                            ${club.is_owner ? 'オーナー' : 'メンバー'}
+                        </span>
+                        ${club.membership_status === 'past_due' ? '<span class="member-badge past-due">支払い遅延</span>' : ''}
+                    </div>
+                </div>
+                <div class="fanclub-stats">
+                    <span class="stat">
+                        <i class="fas fa-calendar-check"></i>
+                        ${new Date(club.joined_at).toLocaleDateString()} 参加
+                    </span>
+                    ${club.tier_name ? `
+                        <span class="stat">
+                            <i class="fas fa-star"></i>
+                            ${this.escapeHtml(club.tier_name)}
+                        </span>
+                    ` : ''}
+                    ${club.next_payment_date ? `
+                        <span class="stat">
+                            <i class="fas fa-yen-sign"></i>
+                            次回 ${new Date(club.next_payment_date).toLocaleDateString()}
+                        </span>
+                    ` : ''}
+                </div>
+                <div class="membership-actions">
+                    <button class="btn btn-primary" onclick="event.stopPropagation(); app.viewFanclub('${club.id}')">
+                        <i class="fas fa-door-open"></i> 開く
+                    </button>
+                    ${club.is_owner ? '' : `
+                        <button class="btn btn-outline" onclick="event.stopPropagation(); app.leaveFanclubFromList('${club.id}')">
+                            <i class="fas fa-heart-broken"></i> 退会
+                        </button>
+                    `}
+                </div>
+            </div>
+        `).join('');
+
+        if (append) {
+            container.insertAdjacentHTML('beforeend', html);
+        } else {
+            container.innerHTML = html;
+        }
+    }
+
+    async leaveFanclubFromList(fanclubId) {
+        if (!confirm('本当にこのファンクラブから退会しますか？')) {
+            return;
+        }
+
+        this.showLoading(true);
+
+        try {
+            const response = await this.apiCall(`/fanclubs/${fanclubId}/leave`, {
+                method: 'DELETE',
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                this.showToast(data.message, 'success');
+                this.loadJoinedFanclubs();
+            } else {
+                this.showToast(data.error, 'error');
+            }
+        } catch (error) {
+            console.error('Leave failed:', error);
+            this.showToast('退会に失敗しました', 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    loadUserProfile() {
+        if (!this.currentUser) return;
+        
+        document.getElementById('profileNickname').value = this.currentUser.nickname;
+        document.getElementById('profileEmail').value = this.currentUser.email;
+        document.getElementById('profilePhone').value = this.currentUser.phone || '';
+        document.getElementById('profileBio').value = this.currentUser.bio || '';
+        this.renderProfileAvatar();
+
+        const verified = Boolean(this.currentUser.email_verified);
+        const label = document.getElementById('emailVerificationLabel');
+        label.textContent = verified ? '確認済み' : '未確認';
+        label.className = verified ? 'verified' : 'unverified';
+        document.getElementById('resendVerificationBtn').style.display = verified ? 'none' : 'inline-flex';
+    }
+
+    async handleUpdateProfile(e) {
+        e.preventDefault();
+
+        const nickname = document.getElementById('profileNickname').value;
+        const email = document.getElementById('profileEmail').value;
+        const phone = document.getElementById('profilePhone').value;
+        const bio = document.getElementById('profileBio').value;
+        const currentPassword = document.getElementById('currentPassword').value;
+        const newPassword = document.getElementById('newPassword').value;
+        const confirmPassword = document.getElementById('confirmPassword').value;
+
+        if (newPassword !== confirmPassword) {
+            this.showToast('新しいパスワードが一致しません', 'error');
+            return;
+        }
+
+        if (newPassword && !currentPassword) {
+            this.showToast('現在のパスワードを入力してください', 'error');
+            return;
+        }
+
+        this.showLoading(true);
+
+        try {
+            const response = await this.apiCall('/user/profile', {
+                method: 'PUT',
+                body: JSON.stringify({ nickname, email, phone, bio, avatar_url: this.currentUser.avatar_url }),
+            });
+
+            const data = await response.json();
+
+            if (!response.ok) {
+                this.showToast(data.error, 'error');
+                return;
+            }
+
+            const emailChanged = email !== this.currentUser.email;
+            this.currentUser = {
+                ...this.currentUser,
+                nickname,
+                email,
+                phone,
+                bio: bio.trim(),
+                email_verified: emailChanged ? false : this.currentUser.email_verified
+            };
+            let message = data.message;
+
+            if (newPassword) {
+                const passwordResponse = await this.apiCall('/user/password', {
+                    method: 'PUT',
+                    body: JSON.stringify({ current_password: currentPassword, new_password: newPassword }),
+                });
+
+                const passwordData = await passwordResponse.json();
+
+                if (!passwordResponse.ok) {
+                    this.showToast(passwordData.error, 'error');
+                    return;
+                }
+
+                ['currentPassword', 'newPassword', 'confirmPassword'].forEach(id => {
+                    document.getElementById(id).value = '';
+                });
+                message = `${message}。${passwordData.message}`;
+            }
+
+            this.showToast(message, 'success');
+            this.loadUserProfile();
+        } catch (error) {
+            console.error('Profile update failed:', error);
+            this.showToast('プロフィールの更新に失敗しました', 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async loadSessions() {
+        const container = document.getElementById('sessionsList');
+
+        try {
+            const response = await this.apiCall('/user/sessions');
+            const sessions = await response.json();
+
+            if (!response.ok) {
+                container.innerHTML = `<p class="text-center">${this.escapeHtml(sessions.error)}</p>`;
+                return;
+            }
+
+            this.renderSessions(sessions);
+        } catch (error) {
+            console.error('Failed to load sessions:', error);
+            container.innerHTML = '<p class="text-center">端末の読み込みに失敗しました。</p>';
+        }
+    }
+
+    renderSessions(sessions) {
+        const container = document.getElementById('sessionsList');
+
+        container.innerHTML = sessions.map(session => `
+            <div class="member-item">
+                <div class="member-info">
+                    <h4>
+                        ${this.escapeHtml(this.describeUserAgent(session.user_agent))}
+                        ${session.current ? '<span class="member-badge member">この端末</span>' : ''}
+                    </h4>
+                    <p>
+                        最終利用: ${this.parseServerDate(session.last_used_at).toLocaleString()}
+                        ・ログイン: ${this.parseServerDate(session.created_at).toLocaleString()}
+                        ${session.ip_address ? `・${this.escapeHtml(session.ip_address)}` : ''}
+                    </p>
+                </div>
+                <div class="member-controls">
+                    ${session.current
+                        ? '<button class="btn btn-outline" onclick="app.logout()">ログアウト</button>'
+                        : `<button class="btn btn-danger" onclick="app.revokeSession('${session.id}')">ログアウトさせる</button>`}
+                </div>
+            </div>
+        `).join('');
+
+        document.getElementById('revokeOtherSessionsBtn').style.display =
+            sessions.some(session => !session.current) ? 'inline-flex' : 'none';
+    }
+
+    describeUserAgent(userAgent) {
+        if (!userAgent) return '不明な端末';
+
+        const browsers = [[/Edg\//, 'Edge'], [/Firefox\//, 'Firefox'], [/Chrome\//, 'Chrome'], [/Safari\//, 'Safari']];
+        const systems = [[/iPhone|iPad/, 'iOS'], [/Android/, 'Android'], [/Windows/, 'Windows'], [/Mac OS X/, 'macOS'], [/Linux/, 'Linux']];
+        const browser = browsers.find(([pattern]) => pattern.test(userAgent));
+        const system = systems.find(([pattern]) => pattern.test(userAgent));
+
+        if (!browser && !system) return userAgent.slice(0, 60);
+        return [browser && browser[1], system && system[1]].filter(Boolean).join(' / ');
+    }
+
+    async revokeSession(sessionId) {
+        if (!confirm('この端末をログアウトさせますか？')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiCall(`/user/sessions/${sessionId}`, {
+                method: 'DELETE',
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                this.showToast(data.message, 'success');
+                this.loadSessions();
+            } else {
+                this.showToast(data.error, 'error');
+            }
+        } catch (error) {
+            console.error('Session revoke failed:', error);
+            this.showToast('ログアウトに失敗しました', 'error');
+        }
+    }
+
+    async revokeOtherSessions() {
+        if (!confirm('この端末以外のすべての端末をログアウトさせますか？')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiCall('/user/sessions/revoke-others', {
+                method: 'POST',
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                this.showToast(data.message, 'success');
+                this.loadSessions();
+            } else {
+                this.showToast(data.error, 'error');
+            }
+        } catch (error) {
+            console.error('Session revoke failed:', error);
+            this.showToast('ログアウトに失敗しました', 'error');
+        }
+    }
+
+    avatarTemplate(avatarUrl, nickname, sizeClass = '') {
+        if (avatarUrl) {
+            return `<img src="${this.escapeHtml(avatarUrl)}" alt="${this.escapeHtml(nickname)}" class="avatar ${sizeClass}">`;
+        }
+        return `<span class="avatar avatar-placeholder ${sizeClass}">${this.escapeHtml((nickname || '?').charAt(0))}</span>`;
+    }
+
+    renderProfileAvatar() {
+        document.getElementById('profileAvatar').innerHTML =
+            this.avatarTemplate(this.currentUser.avatar_url, this.currentUser.nickname, 'avatar-large');
+        document.getElementById('removeAvatarBtn').style.display = this.currentUser.avatar_url ? 'inline-flex' : 'none';
+    }
+
+    // Avatar cropping
+    // The image is drawn to cover the square canvas; dragging pans and the slider zooms.
+    // (centerX, centerY) is the image point shown at the middle of the canvas.
+    openAvatarCropper(file) {
+        if (!file.type.startsWith('image/')) {
+            this.showToast('画像ファイルを選択してください', 'error');
+            return;
+        }
+
+        const image = new Image();
+        const objectUrl = URL.createObjectURL(file);
+        image.onload = () => {
+            URL.revokeObjectURL(objectUrl);
+            const canvas = document.getElementById('avatarCropCanvas');
+            this.avatarCrop = {
+                image,
+                baseScale: Math.max(canvas.width / image.width, canvas.height / image.height),
+                zoom: 1,
+                centerX: image.width / 2,
+                centerY: image.height / 2
+            };
+            document.getElementById('avatarZoom').value = '1';
+            document.getElementById('avatarCropper').style.display = 'block';
+            this.drawAvatarCrop();
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(objectUrl);
+            this.showToast('画像を読み込めませんでした', 'error');
+        };
+        image.src = objectUrl;
+    }
+
+    closeAvatarCropper() {
+        this.avatarCrop = null;
+        document.getElementById('avatarCropper').style.display = 'none';
+    }
+
+    setAvatarZoom(zoom) {
+        if (!this.avatarCrop) return;
+        this.avatarCrop.zoom = zoom;
+        this.drawAvatarCrop();
+    }
+
+    // Side length of the square crop, in image pixels
+    avatarCropSize() {
+        const canvas = document.getElementById('avatarCropCanvas');
+        return canvas.width / (this.avatarCrop.baseScale * this.avatarCrop.zoom);
+    }
+
+    clampAvatarCrop() {
+        const crop = this.avatarCrop;
+        const half = this.avatarCropSize() / 2;
+        crop.centerX = Math.min(Math.max(crop.centerX, half), crop.image.width - half);
+        crop.centerY = Math.min(Math.max(crop.centerY, half), crop.image.height - half);
+    }
+
+    drawAvatarCrop() {
+        const canvas = document.getElementById('avatarCropCanvas');
+        const ctx = canvas.getContext('2d');
+        this.clampAvatarCrop();
+
+        const { image, centerX, centerY } = this.avatarCrop;
+        const size = this.avatarCropSize();
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        ctx.drawImage(image, centerX - size / 2, centerY - size / 2, size, size, 0, 0, canvas.width, canvas.height);
+    }
+
+    bindAvatarCropDrag(canvas) {
+        let lastPoint = null;
+
+        canvas.addEventListener('pointerdown', (e) => {
+            if (!this.avatarCrop) return;
+            lastPoint = { x: e.clientX, y: e.clientY };
+            canvas.setPointerCapture(e.pointerId);
+        });
+        canvas.addEventListener('pointermove', (e) => {
+            if (!lastPoint || !this.avatarCrop) return;
+            const ratio = this.avatarCropSize() / canvas.clientWidth;
+            this.avatarCrop.centerX -= (e.clientX - lastPoint.x) * ratio;
+            this.avatarCrop.centerY -= (e.clientY - lastPoint.y) * ratio;
+            lastPoint = { x: e.clientX, y: e.clientY };
+            this.drawAvatarCrop();
+        });
+        ['pointerup', 'pointercancel'].forEach(type => {
+            canvas.addEventListener(type, () => {
+                lastPoint = null;
+            });
+        });
+    }
+
+    async saveAvatar() {
+        if (!this.avatarCrop) return;
+
+        const AVATAR_SIZE = 256;
+        const output = document.createElement('canvas');
+        output.width = AVATAR_SIZE;
+        output.height = AVATAR_SIZE;
+
+        const { image, centerX, centerY } = this.avatarCrop;
+        const size = this.avatarCropSize();
+        output.getContext('2d').drawImage(image, centerX - size / 2, centerY - size / 2, size, size, 0, 0, AVATAR_SIZE, AVATAR_SIZE);
+
+        this.showLoading(true);
+
+        try {
+            const blob = await new Promise(resolve => output.toBlob(resolve, 'image/jpeg', 0.9));
+            const url = await this.uploadImage(blob, 'avatar.jpg');
+            await this.updateAvatar(url);
+            this.closeAvatarCropper();
+        } catch (error) {
+            console.error('Avatar upload failed:', error);
+            this.showToast(error.message || 'プロフィール画像の保存に失敗しました', 'error');
+        } finally {
+            this.showLoading(false);
+        }
+    }
+
+    async removeAvatar() {
+        if (!confirm('プロフィール画像を削除しますか？')) {
+            return;
+        }
+
+        try {
+            await this.updateAvatar(null);
+        } catch (error) {
+            console.error('Avatar removal failed:', error);
+            this.showToast(error.message || 'プロフィール画像の削除に失敗しました', 'error');
+        }
+    }
+
+    async updateAvatar(avatarUrl) {
+        const { nickname, email, phone } = this.currentUser;
+        const response = await this.apiCall('/user/profile', {
+            method: 'PUT',
+            body: JSON.stringify({ nickname, email, phone, avatar_url: avatarUrl }),
+        });
+
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error);
+        }
+
+        this.currentUser.avatar_url = avatarUrl;
+        this.renderProfileAvatar();
+        this.showToast(avatarUrl ? 'プロフィール画像を更新しました' : 'プロフィール画像を削除しました', 'success');
+    }
+
+    async viewUser(userId) {
+        this.showLoading(true);
+
+        try {
+            const response = await fetch(`${this.apiBase}/users/${userId}`);
+            const profile = await response.json();
+
+            if (!response.ok) {
+                this.showToast(profile.error, 'error');
+                this.showPage('topPage');
+                return;
+            }
+
+            this.currentProfile = profile;
+            this.renderUserProfile(profile);
+            this.showPage('userPage');
+        } catch (error) {
+            console.error('Failed to load user profile:', error);
+            this.showToast('プロフィールの読み込みに失敗しました', 'error');
+        } finally {
+            this.showLoading(false);
         }
     }
 
-    async loadFanclubMembers() {
-        // Implementation for loading fanclub members
-        document.getElementById('membersList').innerHTML = '<p>メンバー管理機能は開発中です。</p>';
+    renderUserProfile(profile) {
+        document.getElementById('userProfileAvatar').innerHTML = this.avatarTemplate(profile.avatar_url, profile.nickname, 'avatar-large');
+        document.getElementById('userProfileName').textContent = profile.nickname;
+        document.getElementById('userProfileBio').textContent = profile.bio || '';
+        document.getElementById('userProfileSince').textContent =
+            `${this.parseServerDate(profile.created_at).toLocaleDateString()} から利用`;
+
+        const fanclubs = profile.owned_fanclubs.map(fanclub => ({ ...fanclub, owner_name: profile.nickname }));
+        this.renderFanclubs(fanclubs, 'userFanclubs');
     }
 
-    loadFanclubSettings() {
-        if (!this.currentFanclub) return;
-        
-        document.getElementById('editFanclubName').value = this.currentFanclub.name;
-        document.getElementById('editFanclubDescription').value = this.currentFanclub.description || '';
-        document.getElementById('editMonthlyFee').value = this.currentFanclub.monthly_fee;
-        document.getElementById('editFanclubPurpose').value = this.currentFanclub.purpose;
+    async resendVerificationEmail() {
+        try {
+            const response = await this.apiCall('/user/email-verification', {
+                method: 'POST',
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                this.showToast(data.message, 'success');
+            } else {
+                this.showToast(data.error, 'error');
+            }
+        } catch (error) {
+            console.error('Verification resend failed:', error);
+            this.showToast('確認メールの送信に失敗しました', 'error');
+        }
     }
 
-    async loadJoinedFanclubs() {
-        // Implementation for loading user's joined fanclubs
-        document.getElementById('joinedFanclubsList').innerHTML = '<p>参加中のファンクラブ一覧は開発中です。</p>';
+    async loadReminderSettings() {
+        try {
+            const response = await this.apiCall('/user/reminders');
+            const data = await response.json();
+
+            if (response.ok) {
+                document.getElementById('emailReminder').checked = data.email_enabled;
+                document.getElementById('reminderDays').value = String(data.days_before);
+            } else {
+                this.showToast(data.error, 'error');
+            }
+        } catch (error) {
+            console.error('Failed to load reminder settings:', error);
+            this.showToast('リマインダー設定の読み込みに失敗しました', 'error');
+        }
     }
 
-    loadUserProfile() {
-        if (!this.currentUser) return;
-        
-        document.getElementById('profileNickname').value = this.currentUser.nickname;
-        document.getElementById('profileEmail').value = this.currentUser.email;
-        document.getElementById('profilePhone').value = this.currentUser.phone || '';
+    async handleSaveReminders(e) {
+        e.preventDefault();
+
+        this.showLoading(true);
+
+        try {
+            const response = await this.apiCall('/user/reminders', {
+                method: 'PUT',
+                body: JSON.stringify({
+                    email_enabled: document.getElementById('emailReminder').checked,
+                    days_before: parseInt(document.getElementById('reminderDays').value, 10)
+                }),
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                this.showToast(data.message, 'success');
+            } else {
+                this.showToast(data.error, 'error');
+            }
+        } catch (error) {
+            console.error('Failed to save reminder settings:', error);
+            this.showToast('リマインダー設定の保存に失敗しました', 'error');
+        } finally {
+            this.showLoading(false);
+        }
     }
 
     async toggleLike(postId) {
-        // Implementation for toggling likes
-        console.log('Toggle like for post:', postId);
+        if (!this.currentUser) {
+            this.showToast('いいねするにはログインが必要です', 'warning');
+            this.showPage('loginPage');
+            return;
+        }
+
+        const button = document.querySelector(`.page.active .like-btn[data-post-id="${postId}"]`);
+        if (!button || button.disabled) return;
+
+        const liked = button.classList.contains('liked');
+        button.disabled = true;
+
+        try {
+            const response = await this.apiCall(`/posts/${postId}/like`, {
+                method: liked ? 'DELETE' : 'POST',
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                button.classList.toggle('liked', data.liked);
+                button.querySelector('span').textContent = data.like_count;
+            } else {
+                this.showToast(data.error, 'error');
+            }
+        } catch (error) {
+            console.error('Like failed:', error);
+            this.showToast('いいねに失敗しました', 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async toggleComments(postId) {
+        const container = document.querySelector(`.page.active .post-comments[data-post-id="${postId}"]`);
+        if (!container) return;
+
+        const isOpen = container.style.display !== 'none';
+        container.style.display = isOpen ? 'none' : 'block';
+
+        if (!isOpen) {
+            container.innerHTML = '<p class="comments-empty">読み込み中...</p>';
+            await this.loadComments(postId);
+        }
+    }
+
+    async loadComments(postId) {
+        const container = document.querySelector(`.page.active .post-comments[data-post-id="${postId}"]`);
+        if (!container) return;
+
+        try {
+            const response = await this.apiCall(`/posts/${postId}/comments`);
+            const data = await response.json();
+
+            if (response.ok) {
+                this.renderComments(postId, data);
+            } else {
+                container.innerHTML = `<p class="comments-empty">${this.escapeHtml(data.error)}</p>`;
+            }
+        } catch (error) {
+            console.error('Failed to load comments:', error);
+            container.innerHTML = '<p class="comments-empty">コメントの読み込みに失敗しました</p>';
+        }
+    }
+
+    renderComments(postId, comments) {
+        const container = document.querySelector(`.page.active .post-comments[data-post-id="${postId}"]`);
+        const isModerator = Boolean(this.currentUser && this.currentFanclub &&
+            this.currentFanclub.owner_id === this.currentUser.id);
+
+        const renderComment = (comment, isReply) => {
+            const isAuthor = Boolean(this.currentUser && comment.author_id === this.currentUser.id);
+
+            return `
+                <div class="comment-item ${isReply ? 'reply' : ''} ${comment.is_hidden ? 'is-hidden' : ''}">
+                    <div class="comment-header">
+                        <span class="comment-author">${this.escapeHtml(comment.author_name)}</span>
+                        <span class="comment-date">${new Date(comment.created_at).toLocaleString()}</span>
+                        ${comment.is_hidden ? '<span class="comment-hidden-badge">非表示</span>' : ''}
+                    </div>
+                    <p class="comment-text">${this.escapeHtml(comment.content)}</p>
+                    <div class="comment-actions">
+                        ${!isReply && this.currentUser ? `<button class="comment-action-btn" onclick="app.showReplyForm('${postId}', '${comment.id}')">返信</button>` : ''}
+                        ${isAuthor ? `<button class="comment-action-btn" onclick="app.editComment('${postId}', '${comment.id}')">編集</button>` : ''}
+                        ${isAuthor || isModerator ? `<button class="comment-action-btn" onclick="app.deleteComment('${postId}', '${comment.id}')">削除</button>` : ''}
+                        ${isModerator ? `<button class="comment-action-btn" onclick="app.setCommentHidden('${postId}', '${comment.id}', ${!comment.is_hidden})">${comment.is_hidden ? '再表示' : '非表示'}</button>` : ''}
+                    </div>
+                    ${isReply ? '' : `
+                        <div class="comment-replies">
+                            ${comment.replies.map(reply => renderComment(reply, true)).join('')}
+                        </div>
+                        <div class="comment-reply-form" data-comment-id="${comment.id}"></div>
+                    `}
+                </div>
+            `;
+        };
+
+        this.commentCache[postId] = comments;
+
+        container.innerHTML = `
+            <div class="comments-list">
+                ${comments.length > 0
+                    ? comments.map(comment => renderComment(comment, false)).join('')
+                    : '<p class="comments-empty">まだコメントがありません。</p>'}
+            </div>
+            ${this.currentUser
+                ? this.commentFormTemplate(postId, null)
+                : '<p class="comments-empty">コメントするにはログインが必要です</p>'}
+        `;
+    }
+
+    commentFormTemplate(postId, parentId) {
+        return `
+            <form class="comment-form" onsubmit="app.submitComment(event, '${postId}', ${parentId ? `'${parentId}'` : 'null'})">
+                <textarea class="form-input" rows="2" maxlength="1000" placeholder="${parentId ? '返信を書く...' : 'コメントを書く...'}" required></textarea>
+                <button type="submit" class="btn btn-primary">${parentId ? '返信する' : 'コメントする'}</button>
+            </form>
+        `;
+    }
+
+    showReplyForm(postId, commentId) {
+        const container = document.querySelector(`.page.active .post-comments[data-post-id="${postId}"] .comment-reply-form[data-comment-id="${commentId}"]`);
+        if (!container) return;
+
+        container.innerHTML = container.innerHTML.trim() ? '' : this.commentFormTemplate(postId, commentId);
+        container.querySelector('textarea')?.focus();
+    }
+
+    findCachedComment(postId, commentId) {
+        const threads = this.commentCache[postId] || [];
+        for (const thread of threads) {
+            if (String(thread.id) === String(commentId)) return thread;
+            const reply = thread.replies.find(r => String(r.id) === String(commentId));
+            if (reply) return reply;
+        }
+        return null;
+    }
+
+    updateCommentCount(postId, count) {
+        if (count === null || count === undefined) return;
+        const counter = document.querySelector(`.page.active .comment-btn[data-post-id="${postId}"] span`);
+        if (counter) counter.textContent = count;
+    }
+
+    async submitComment(e, postId, parentId) {
+        e.preventDefault();
+
+        const form = e.target;
+        const textarea = form.querySelector('textarea');
+        const content = textarea.value.trim();
+        if (!content) return;
+
+        const submitBtn = form.querySelector('button[type="submit"]');
+        submitBtn.disabled = true;
+
+        try {
+            const response = await this.apiCall(`/posts/${postId}/comments`, {
+                method: 'POST',
+                body: JSON.stringify({ content, parent_id: parentId }),
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                this.updateCommentCount(postId, data.comment_count);
+                await this.loadComments(postId);
+            } else {
+                this.showToast(data.error, 'error');
+            }
+        } catch (error) {
+            console.error('Comment creation failed:', error);
+            this.showToast('コメントの投稿に失敗しました', 'error');
+        } finally {
+            submitBtn.disabled = false;
+        }
+    }
+
+    async editComment(postId, commentId) {
+        const comment = this.findCachedComment(postId, commentId);
+        const content = prompt('コメントを編集', comment ? comment.content : '');
+        if (content === null || !content.trim()) return;
+
+        try {
+            const response = await this.apiCall(`/posts/${postId}/comments/${commentId}`, {
+                method: 'PUT',
+                body: JSON.stringify({ content }),
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                await this.loadComments(postId);
+            } else {
+                this.showToast(data.error, 'error');
+            }
+        } catch (error) {
+            console.error('Comment update failed:', error);
+            this.showToast('コメントの更新に失敗しました', 'error');
+        }
+    }
+
+    async deleteComment(postId, commentId) {
+        if (!confirm('このコメントを削除しますか？返信も削除されます。')) {
+            return;
+        }
+
+        try {
+            const response = await this.apiCall(`/posts/${postId}/comments/${commentId}`, {
+                method: 'DELETE',
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                this.updateCommentCount(postId, data.comment_count);
+                await this.loadComments(postId);
+            } else {
+                this.showToast(data.error, 'error');
+            }
+        } catch (error) {
+            console.error('Comment delete failed:', error);
+            this.showToast('コメントの削除に失敗しました', 'error');
+        }
+    }
+
+    async setCommentHidden(postId, commentId, isHidden) {
+        try {
+            const response = await this.apiCall(`/posts/${postId}/comments/${commentId}/visibility`, {
+                method: 'PUT',
+                body: JSON.stringify({ is_hidden: isHidden }),
+            });
+
+            const data = await response.json();
+
+            if (response.ok) {
+                this.showToast(data.message, 'success');
+                this.updateCommentCount(postId, data.comment_count);
+                await this.loadComments(postId);
+            } else {
+                this.showToast(data.error, 'error');
+            }
+        } catch (error) {
+            console.error('Comment moderation failed:', error);
+            this.showToast('コメントの更新に失敗しました', 'error');
+        }
+    }
+
+    async logout() {
+        try {
+            // Revokes this device's session and clears the refresh cookie
+            await fetch(`${this.apiBase}/auth/logout`, { method: 'POST' });
+        } catch (error) {
+            console.error('Logout failed:', error);
+        }
+
+        this.clearSession();
+        this.showPage('topPage');
+        this.showToast('ログアウトしました', 'success');
     }
 
-    toggleComments(postId) {
-        // Implementation for toggling comments
-        console.log('Toggle comments for post:', postId);
+    // Notifications
+    // The bell polls the unread count while logged in; the panel loads the list when opened
+    startNotificationPolling() {
+        this.stopNotificationPolling();
+        this.refreshNotificationBadge();
+        this.notificationTimer = setInterval(() => this.refreshNotificationBadge(), NOTIFICATION_POLL_INTERVAL);
     }
 
-    logout() {
+    stopNotificationPolling() {
+        clearInterval(this.notificationTimer);
+        this.notificationTimer = null;
+        this.renderNotificationBadge(0);
+        document.getElementById('notificationPanel').style.display = 'none';
+    }
+
+    async refreshNotificationBadge() {
+        try {
+            const response = await this.apiCall('/notifications/unread-count');
+            if (response.ok) {
+                const { unread_count } = await response.json();
+                this.renderNotificationBadge(unread_count);
+            }
+        } catch (error) {
+            console.error('Failed to load unread notification count:', error);
+        }
+    }
+
+    renderNotificationBadge(count) {
+        const badge = document.getElementById('notificationBadge');
+        badge.textContent = count > 99 ? '99+' : count;
+        badge.style.display = count > 0 ? 'inline-block' : 'none';
+    }
+
+    toggleNotificationPanel() {
+        const panel = document.getElementById('notificationPanel');
+        const isOpen = panel.style.display !== 'none';
+        panel.style.display = isOpen ? 'none' : 'block';
+        if (!isOpen) this.loadNotifications();
+    }
+
+    async loadNotifications(cursor = null) {
+        try {
+            const params = new URLSearchParams({ limit: 20 });
+            if (cursor) params.set('cursor', cursor);
+
+            const response = await this.apiCall(`/notifications?${params}`);
+            const data = await response.json();
+
+            if (response.ok) {
+                this.renderNotifications(data, Boolean(cursor));
+            } else {
+                this.showToast(data.error, 'error');
+            }
+        } catch (error) {
+            console.error('Failed to load notifications:', error);
+        }
+    }
+
+    renderNotifications({ items, next_cursor, unread_count }, append = false) {
+        const container = document.getElementById('notificationList');
+        this.renderNotificationBadge(unread_count);
+        this.setupInfiniteScroll('notificationList', next_cursor ? () => this.loadNotifications(next_cursor) : null);
+
+        if (!append) {
+            this.notificationItems.clear();
+            container.innerHTML = items.length === 0 ? '<p class="notification-empty">通知はありません</p>' : '';
+        }
+
+        items.forEach(notification => this.notificationItems.set(String(notification.id), notification));
+        container.insertAdjacentHTML('beforeend', items.map(notification => this.notificationTemplate(notification)).join(''));
+    }
+
+    notificationTemplate(notification) {
+        return `
+            <button class="notification-item ${notification.read_at ? '' : 'unread'}" data-id="${notification.id}" onclick="app.openNotification(this.dataset.id)">
+                <i class="fas ${NOTIFICATION_ICONS[notification.type] || 'fa-bell'}"></i>
+                <span class="notification-body">
+                    <span class="notification-message">${this.escapeHtml(notification.message)}</span>
+                    <span class="notification-time">${this.parseServerDate(notification.created_at).toLocaleString()}</span>
+                </span>
+            </button>
+        `;
+    }
+
+    // Marks the notification as read and opens what it refers to
+    async openNotification(id) {
+        const notification = this.notificationItems.get(id);
+        if (!notification) return;
+
+        document.getElementById('notificationPanel').style.display = 'none';
+
+        if (!notification.read_at) {
+            try {
+                const response = await this.apiCall(`/notifications/${id}/read`, { method: 'PUT' });
+                if (response.ok) {
+                    notification.read_at = new Date().toISOString();
+                }
+            } catch (error) {
+                console.error('Failed to mark notification as read:', error);
+            }
+            this.refreshNotificationBadge();
+        }
+
+        if (notification.post_id) {
+            this.viewPost(notification.fanclub_id, notification.post_id);
+        } else if (notification.type === 'new_member') {
+            this.showAdminPanel(notification.fanclub_id);
+        } else if (notification.type === 'payment_due' || notification.type === 'payment_failed') {
+            this.showMyPage();
+        } else if (notification.fanclub_id) {
+            this.viewFanclub(notification.fanclub_id);
+        }
+    }
+
+    async markAllNotificationsRead() {
+        try {
+            const response = await this.apiCall('/notifications/read-all', { method: 'PUT' });
+            const data = await response.json();
+
+            if (response.ok) {
+                this.loadNotifications();
+            } else {
+                this.showToast(data.error, 'error');
+            }
+        } catch (error) {
+            console.error('Failed to mark notifications as read:', error);
+            this.showToast('通知の更新に失敗しました', 'error');
+        }
+    }
+
+    clearSession() {
         this.currentUser = null;
         this.token = null;
         localStorage.removeItem('auth_token');
         this.updateAuthUI(false);
-        this.showPage('topPage');
-        this.showToast('ログアウトしました', 'success');
     }
 
     // Utility methods
-    async apiCall(endpoint, options = {}) {
+    async apiCall(endpoint, options = {}, retry = true) {
+        // The browser sets the multipart boundary for FormData bodies
         const defaultOptions = {
-            headers: {
+            headers: options.body instanceof FormData ? {} : {
                 'Content-Type': 'application/json',
             },
         };
@@ -734,7 +3064,7 @@ class FanClubApp {
             defaultOptions.headers['Authorization'] = `Bearer ${this.token}`;
         }
         
-        return fetch(this.apiBase + endpoint, {
+        const response = await fetch(this.apiBase + endpoint, {
             ...defaultOptions,
             ...options,
             headers: {
@@ -742,6 +3072,48 @@ class FanClubApp {
                 ...options.headers,
             },
         });
+
+        // Access tokens are short-lived: get a new one with the refresh cookie and retry once
+        if (response.status === 401 && this.token && retry) {
+            if (await this.refreshAccessToken()) {
+                return this.apiCall(endpoint, options, false);
+            }
+            this.clearSession();
+            this.showToast('ログインの有効期限が切れました。再度ログインしてください', 'warning');
+        }
+
+        return response;
+    }
+
+    // Parallel requests share one refresh, since each refresh token can only be used once
+    refreshAccessToken() {
+        if (!this.refreshPromise) {
+            this.refreshPromise = fetch(`${this.apiBase}/auth/refresh`, { method: 'POST' })
+                .then(async (response) => {
+                    if (!response.ok) return false;
+                    const data = await response.json();
+                    this.token = data.token;
+                    localStorage.setItem('auth_token', this.token);
+                    return true;
+                })
+                .catch((error) => {
+                    console.error('Token refresh failed:', error);
+                    return false;
+                })
+                .finally(() => {
+                    this.refreshPromise = null;
+                });
+        }
+        return this.refreshPromise;
+    }
+
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 
     showToast(message, type = 'info') {
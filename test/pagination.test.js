@@ -0,0 +1,90 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// 一覧APIのカーソル（GET /api/fanclubs）のテスト
+// 一時ファイルの SQLite データベースで createApp を起動して HTTP で呼び出す
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fanclub-pagination-test-'));
+process.env.SQLITE_PATH = path.join(dir, 'test.db');
+
+const { createApp } = require('../app');
+const { createRepository } = require('../lib/repositories');
+
+const encodeCursor = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+describe('一覧APIのカーソル', () => {
+    let repo;
+    let server;
+    let baseUrl;
+
+    const request = async (url) => {
+        const response = await fetch(`${baseUrl}${url}`);
+        return { status: response.status, body: await response.json() };
+    };
+
+    before(async () => {
+        repo = createRepository('sqlite');
+        await repo.ready;
+        const app = createApp({ repo, storage: {}, mailer: {}, paymentProvider: {}, jobs: {} });
+        server = app.listen(0);
+        await new Promise((resolve) => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        const owner = await repo.users.create({ nickname: 'owner', email: 'owner@example.com', phone: null, passwordHash: 'not-a-real-hash' });
+        for (const name of ['First Club', 'Second Club']) {
+            await repo.fanclubs.create({
+                ownerId: owner.id,
+                name,
+                description: 'description',
+                monthly_fee: 0,
+                purpose: 'purpose',
+                cover_image_url: null,
+                category: null,
+                tags: [],
+                tierName: 'Free'
+            });
+        }
+    });
+
+    after(async () => {
+        if (server) {
+            await new Promise((resolve) => server.close(resolve));
+        }
+        if (repo) {
+            await repo.close();
+        }
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('next_cursor で次のページを取得できる', async () => {
+        const first = await request('/api/fanclubs?limit=1');
+        assert.equal(first.status, 200);
+        assert.equal(first.body.items.length, 1);
+        assert.ok(first.body.next_cursor);
+
+        const second = await request(`/api/fanclubs?limit=1&cursor=${first.body.next_cursor}`);
+        assert.equal(second.status, 200);
+        assert.equal(second.body.items.length, 1);
+        assert.notEqual(second.body.items[0].id, first.body.items[0].id);
+        assert.equal(second.body.next_cursor, null);
+    });
+
+    for (const [label, cursor] of [
+        ['並び替えキーが null', encodeCursor([null, 1])],
+        ['並び替えキーがオブジェクト', encodeCursor([{ value: 1 }, 1])],
+        ['並び替えキーが日時でない文字列', encodeCursor(['2024-01-01",id.gt.0', 1])],
+        ['IDが null', encodeCursor(['2024-01-01 00:00:00', null])],
+        ['IDが配列', encodeCursor(['2024-01-01 00:00:00', [1]])],
+        ['IDが整数でもUUIDでもない', encodeCursor(['2024-01-01 00:00:00', 'abc'])],
+        ['JSONでない', 'not-a-cursor']
+    ]) {
+        it(`${label}のカーソルは 400`, async () => {
+            const response = await request(`/api/fanclubs?cursor=${cursor}`);
+            assert.equal(response.status, 400);
+            assert.equal(response.body.error, 'カーソルが不正です');
+        });
+    }
+});
@@ -0,0 +1,132 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+// 投稿API（PUT /api/posts/:id）のテスト
+// 一時ファイルの SQLite データベースで createApp を起動して HTTP で呼び出す
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fanclub-posts-test-'));
+process.env.SQLITE_PATH = path.join(dir, 'test.db');
+process.env.JWT_SECRET = 'test-secret';
+
+const { createApp } = require('../app');
+const { createRepository } = require('../lib/repositories');
+
+describe('投稿の更新', () => {
+    let repo;
+    let server;
+    let baseUrl;
+    let ownerToken;
+    let fanclubId;
+    let memberId;
+
+    const createUser = async (nickname) => {
+        const user = await repo.users.create({ nickname, email: `${nickname}@example.com`, phone: null, passwordHash: 'not-a-real-hash' });
+        const sessionId = await repo.sessions.create({
+            userId: user.id,
+            refreshTokenHash: `${nickname}-refresh`,
+            userAgent: 'test',
+            ipAddress: '127.0.0.1',
+            expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+        });
+        return { user, token: jwt.sign({ id: user.id, email: user.email, sid: sessionId }, process.env.JWT_SECRET) };
+    };
+
+    const request = async (method, url, body) => {
+        const response = await fetch(`${baseUrl}${url}`, {
+            method,
+            headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${ownerToken}` },
+            body: body && JSON.stringify(body)
+        });
+        return { status: response.status, body: await response.json() };
+    };
+
+    before(async () => {
+        repo = createRepository('sqlite');
+        await repo.ready;
+        const app = createApp({ repo, storage: {}, mailer: {}, paymentProvider: {}, jobs: {} });
+        server = app.listen(0);
+        await new Promise((resolve) => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        const owner = await createUser('owner');
+        ownerToken = owner.token;
+        fanclubId = await repo.fanclubs.create({
+            ownerId: owner.user.id,
+            name: 'Test Club',
+            description: 'description',
+            monthly_fee: 0,
+            purpose: 'purpose',
+            cover_image_url: null,
+            category: null,
+            tags: [],
+            tierName: 'Free'
+        });
+
+        const member = await createUser('member');
+        memberId = member.user.id;
+        const [tier] = await repo.tiers.list(fanclubId);
+        const periodStart = new Date();
+        await repo.memberships.activate({
+            userId: memberId,
+            fanclubId,
+            tierId: tier.id,
+            amount: 0,
+            periodStart,
+            periodEnd: new Date(periodStart.getTime() + 30 * 24 * 60 * 60 * 1000),
+            payment: { provider: 'fake', id: 'payment-1' }
+        });
+    });
+
+    after(async () => {
+        if (server) {
+            await new Promise((resolve) => server.close(resolve));
+        }
+        if (repo) {
+            await repo.close();
+        }
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('状態を省略した PUT では下書きのまま', async () => {
+        const created = await request('POST', `/api/fanclubs/${fanclubId}/posts`, {
+            title: 'draft',
+            content: '<p>draft</p>',
+            status: 'draft'
+        });
+        assert.equal(created.status, 201);
+
+        const updated = await request('PUT', `/api/posts/${created.body.id}`, {
+            title: 'draft (edited)',
+            content: '<p>edited</p>'
+        });
+        assert.equal(updated.status, 200);
+
+        const post = await repo.posts.findWithOwner(created.body.id);
+        assert.equal(post.status, 'draft');
+        assert.equal(post.title, 'draft (edited)');
+        assert.equal(await repo.notifications.countUnread(memberId), 0);
+    });
+
+    it('下書きを公開するとメンバーに通知される', async () => {
+        const created = await request('POST', `/api/fanclubs/${fanclubId}/posts`, {
+            title: 'to publish',
+            content: '<p>to publish</p>',
+            status: 'draft'
+        });
+
+        const updated = await request('PUT', `/api/posts/${created.body.id}`, {
+            title: 'to publish',
+            content: '<p>to publish</p>',
+            status: 'published'
+        });
+        assert.equal(updated.status, 200);
+
+        const post = await repo.posts.findWithOwner(created.body.id);
+        assert.equal(post.status, 'published');
+        assert.equal(await repo.notifications.countUnread(memberId), 1);
+    });
+});
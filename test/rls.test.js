@@ -0,0 +1,270 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { Client } = require('pg');
+const { createMigrator, createPostgresAdapter } = require('../lib/migrations');
+
+// 行レベルセキュリティ（migrations/postgres/0003 以降）とサーバー用のRPCのテスト
+// TEST_DATABASE_URL のローカル Postgres にテスト用のデータベースを作成してすべてのマイグレーションを適用し、
+// anon / authenticated / service_role に切り替えて（ログイン中のユーザーは request.jwt.claims の sub）ポリシーと権限を確かめる
+// PostgreSQL 17（Supabase と同じメジャーバージョン）を想定している
+// 接続するユーザーにはデータベースとロールを作成できる権限が必要（ローカルの postgres ユーザーを想定）
+//   TEST_DATABASE_URL=postgresql://postgres@localhost:5432/postgres npm test
+// TEST_DATABASE_URL が未設定ならスキップする
+
+const TEST_DATABASE_URL = process.env.TEST_DATABASE_URL;
+const TEST_DATABASE_NAME = `fanclub_rls_test_${process.pid}`;
+
+// PostgREST（Supabase）が使うロール。Supabase 以外の Postgres では作成しておく必要がある
+const ROLES_SQL = `DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'anon') THEN
+        CREATE ROLE anon NOLOGIN;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'authenticated') THEN
+        CREATE ROLE authenticated NOLOGIN;
+    END IF;
+    IF NOT EXISTS (SELECT 1 FROM pg_roles WHERE rolname = 'service_role') THEN
+        CREATE ROLE service_role NOLOGIN BYPASSRLS;
+    END IF;
+END
+$$`;
+
+// 権限がない操作のエラーコード（insufficient_privilege）
+const PERMISSION_DENIED = { code: '42501' };
+
+describe('Postgres の行レベルセキュリティ', { skip: !TEST_DATABASE_URL && 'TEST_DATABASE_URL is not set' }, () => {
+    let admin;
+    let db;
+    const ids = {};
+
+    // role に切り替えて（userId があればそのユーザーとしてログインした状態で）work を実行する。変更はロールバックする
+    const asRole = async (role, userId, work) => {
+        await db.query('BEGIN');
+        try {
+            await db.query(`SET LOCAL ROLE ${role}`);
+            await db.query("SELECT set_config('request.jwt.claims', $1, true)", [
+                userId ? JSON.stringify({ sub: userId, role }) : ''
+            ]);
+            return await work();
+        } finally {
+            await db.query('ROLLBACK');
+        }
+    };
+
+    // ログイン中のユーザーから見える投稿のID
+    const visiblePostIds = async (role, userId) => {
+        const { rows } = await asRole(role, userId, () => db.query('SELECT id FROM posts'));
+        return rows.map((row) => row.id);
+    };
+
+    const insertUser = async (nickname) => {
+        const { rows } = await db.query(
+            "INSERT INTO users (nickname, email, password_hash) VALUES ($1, $2, 'not-a-real-hash') RETURNING id",
+            [nickname, `${nickname}@example.com`]
+        );
+        return rows[0].id;
+    };
+
+    const insertMembership = (userId, status) => db.query(
+        'INSERT INTO memberships (user_id, fanclub_id, tier_id, status, monthly_fee) VALUES ($1, $2, $3, $4, 500)',
+        [userId, ids.fanclub, ids.tier, status]
+    );
+
+    const insertPost = async (title, visibility) => {
+        const { rows } = await db.query(
+            'INSERT INTO posts (fanclub_id, author_id, title, content, visibility) VALUES ($1, $2, $3, $4, $5) RETURNING id',
+            [ids.fanclub, ids.owner, title, `<p>${title}</p>`, visibility]
+        );
+        return rows[0].id;
+    };
+
+    before(async () => {
+        admin = new Client({ connectionString: TEST_DATABASE_URL });
+        await admin.connect();
+        await admin.query(ROLES_SQL);
+        // タグの正規化（0006）に UTF8 のデータベースが必要
+        await admin.query(`CREATE DATABASE ${TEST_DATABASE_NAME} ENCODING 'UTF8' LC_COLLATE 'C' LC_CTYPE 'C' TEMPLATE template0`);
+
+        const url = new URL(TEST_DATABASE_URL);
+        url.pathname = `/${TEST_DATABASE_NAME}`;
+        db = new Client({ connectionString: url.toString() });
+        await db.connect();
+        await createMigrator(createPostgresAdapter(db)).up();
+
+        // テストデータは接続したユーザー（テーブルの所有者。RLS の対象外）で作成する
+        ids.owner = await insertUser('owner');
+        ids.active = await insertUser('active');
+        ids.pastDue = await insertUser('pastdue');
+        ids.canceled = await insertUser('canceled');
+        ids.outsider = await insertUser('outsider');
+
+        const { rows: [fanclub] } = await db.query(
+            "SELECT create_fanclub($1, 'RLS Club', 'description', 500, 'purpose', NULL, 'Standard', NULL, '{}') AS id",
+            [ids.owner]
+        );
+        ids.fanclub = fanclub.id;
+        const { rows: [tier] } = await db.query('SELECT id FROM fanclub_tiers WHERE fanclub_id = $1', [ids.fanclub]);
+        ids.tier = tier.id;
+
+        await insertMembership(ids.active, 'active');
+        await insertMembership(ids.pastDue, 'past_due');
+        await insertMembership(ids.canceled, 'canceled');
+
+        ids.publicPost = await insertPost('public post', 'public');
+        ids.membersPost = await insertPost('members post', 'members');
+    });
+
+    after(async () => {
+        if (db) {
+            await db.end();
+        }
+        if (admin) {
+            await admin.query(`DROP DATABASE IF EXISTS ${TEST_DATABASE_NAME}`);
+            await admin.end();
+        }
+    });
+
+    describe('users', () => {
+        for (const role of ['anon', 'authenticated']) {
+            it(`${role} は password_hash と email を参照できない`, async () => {
+                const userId = role === 'authenticated' ? ids.active : null;
+                await assert.rejects(asRole(role, userId, () => db.query('SELECT password_hash FROM users')), PERMISSION_DENIED);
+                await assert.rejects(asRole(role, userId, () => db.query('SELECT email FROM users')), PERMISSION_DENIED);
+                await assert.rejects(asRole(role, userId, () => db.query('SELECT * FROM users')), PERMISSION_DENIED);
+            });
+
+            it(`${role} は公開プロフィールを参照できる`, async () => {
+                const userId = role === 'authenticated' ? ids.active : null;
+                const { rows } = await asRole(role, userId, () => db.query('SELECT id, nickname FROM users WHERE id = $1', [ids.owner]));
+                assert.deepEqual(rows, [{ id: ids.owner, nickname: 'owner' }]);
+            });
+        }
+    });
+
+    describe('メンバー限定投稿', () => {
+        it('支払いが有効な（active）メンバーは閲覧できる', async () => {
+            const posts = await visiblePostIds('authenticated', ids.active);
+            assert.ok(posts.includes(ids.membersPost));
+            assert.ok(posts.includes(ids.publicPost));
+        });
+
+        it('オーナーは閲覧できる', async () => {
+            assert.ok((await visiblePostIds('authenticated', ids.owner)).includes(ids.membersPost));
+        });
+
+        for (const [label, key] of [['支払い遅延（past_due）', 'pastDue'], ['解約済み（canceled）', 'canceled'], ['メンバー以外', 'outsider']]) {
+            it(`${label}のユーザーは閲覧できない`, async () => {
+                const posts = await visiblePostIds('authenticated', ids[key]);
+                assert.ok(!posts.includes(ids.membersPost));
+                assert.ok(posts.includes(ids.publicPost));
+            });
+        }
+
+        it('未ログイン（anon）は一般公開の投稿のみ閲覧できる', async () => {
+            assert.deepEqual(await visiblePostIds('anon', null), [ids.publicPost]);
+        });
+    });
+
+    describe('memberships', () => {
+        it('本人のメンバーシップのみ参照できる', async () => {
+            const { rows } = await asRole('authenticated', ids.active, () => db.query('SELECT user_id FROM memberships'));
+            assert.deepEqual(rows, [{ user_id: ids.active }]);
+        });
+
+        for (const role of ['anon', 'authenticated', 'service_role']) {
+            it(`${role} は直接 INSERT / UPDATE / DELETE できない`, async () => {
+                const userId = role === 'authenticated' ? ids.outsider : null;
+                await assert.rejects(asRole(role, userId, () => db.query(
+                    'INSERT INTO memberships (user_id, fanclub_id) VALUES ($1, $2)',
+                    [ids.outsider, ids.fanclub]
+                )), PERMISSION_DENIED);
+                await assert.rejects(asRole(role, userId, () => db.query(
+                    "UPDATE memberships SET status = 'active' WHERE user_id = $1",
+                    [ids.pastDue]
+                )), PERMISSION_DENIED);
+                await assert.rejects(asRole(role, userId, () => db.query(
+                    'DELETE FROM memberships WHERE user_id = $1',
+                    [ids.active]
+                )), PERMISSION_DENIED);
+            });
+        }
+
+        it('service_role は SECURITY DEFINER の RPC でメンバーシップを変更できる', async () => {
+            await asRole('service_role', null, async () => {
+                const periodStart = new Date();
+                const periodEnd = new Date(periodStart.getTime() + 30 * 24 * 60 * 60 * 1000);
+                await db.query(
+                    "SELECT activate_membership($1, $2, $3, 500, $4, $5, 'fake', 'payment-1')",
+                    [ids.outsider, ids.fanclub, ids.tier, periodStart, periodEnd]
+                );
+                const { rows: [visited] } = await db.query(
+                    'SELECT record_membership_visit($1, $2) AS ok',
+                    [ids.fanclub, ids.outsider]
+                );
+                assert.equal(visited.ok, true);
+
+                const { rows: [removed] } = await db.query(
+                    'SELECT remove_membership($1, $2) AS ok',
+                    [ids.fanclub, ids.active]
+                );
+                assert.equal(removed.ok, true);
+
+                const { rows: [created] } = await db.query(
+                    "SELECT create_fanclub($1, 'Another Club', NULL, 0, 'purpose', NULL, 'Free', NULL, '{}') AS id",
+                    [ids.outsider]
+                );
+                assert.ok(created.id);
+
+                const { rows } = await db.query(
+                    'SELECT user_id, status FROM memberships WHERE fanclub_id = $1 ORDER BY is_owner DESC, status',
+                    [ids.fanclub]
+                );
+                assert.ok(rows.some((row) => row.user_id === ids.outsider && row.status === 'active'));
+                assert.ok(!rows.some((row) => row.user_id === ids.active));
+            });
+        });
+    });
+
+    describe('ファンクラブ情報の更新（update_fanclub）', () => {
+        const findFanclub = async () => {
+            const { rows: [fanclub] } = await db.query(
+                `SELECT name, description, monthly_fee, category,
+                    ARRAY(SELECT tag FROM fanclub_tags WHERE fanclub_id = f.id ORDER BY tag) AS tags
+                FROM fanclubs f WHERE id = $1`,
+                [ids.fanclub]
+            );
+            return fanclub;
+        };
+
+        it('月会費・タグ・指定した列をまとめて更新する', async () => {
+            await asRole('service_role', null, async () => {
+                await db.query(
+                    'SELECT update_fanclub($1, $2, 800, $3)',
+                    [ids.fanclub, { name: 'Renamed Club', category: 'music' }, ['rock', 'live']]
+                );
+                assert.deepEqual(await findFanclub(), {
+                    name: 'Renamed Club',
+                    description: 'description',
+                    monthly_fee: 800,
+                    category: 'music',
+                    tags: ['live', 'rock']
+                });
+            });
+        });
+
+        it('途中で失敗したら月会費もタグも変更しない', async () => {
+            const before = await findFanclub();
+            // トランザクションの外（1文ごとに確定する）で実行し、関数の中の変更が残らないことを確かめる
+            await db.query('SET ROLE service_role');
+            try {
+                await assert.rejects(db.query(
+                    'SELECT update_fanclub($1, $2, 800, $3)',
+                    [ids.fanclub, { category: 'no-such-category' }, ['rock']]
+                ), { code: '23503' });
+            } finally {
+                await db.query('RESET ROLE');
+            }
+            assert.deepEqual(await findFanclub(), before);
+        });
+    });
+});
@@ -0,0 +1,56 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// SQLite リポジトリのテスト（一時ファイルのデータベースを使う）
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fanclub-sqlite-test-'));
+process.env.SQLITE_PATH = path.join(dir, 'test.db');
+
+const { createRepository, DUPLICATE } = require('../lib/repositories');
+
+describe('SQLite リポジトリのトランザクション', () => {
+    let repo;
+    let owner;
+
+    before(async () => {
+        repo = createRepository('sqlite');
+        await repo.ready;
+        owner = await repo.users.create({ nickname: 'owner', email: 'owner@example.com', phone: null, passwordHash: 'not-a-real-hash' });
+    });
+
+    after(async () => {
+        if (repo) {
+            await repo.close();
+        }
+        fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('ロールバックしたトランザクションの実行中に行われた別の書き込みは残る', async () => {
+        // 最後のタグの重複（主キー違反）でファンクラブの作成はロールバックされる
+        const tags = Array.from({ length: 50 }, (_, i) => `tag${i}`);
+        const failing = repo.fanclubs.create({
+            ownerId: owner.id,
+            name: 'Failing Club',
+            description: 'description',
+            monthly_fee: 0,
+            purpose: 'purpose',
+            cover_image_url: null,
+            category: null,
+            tags: [...tags, tags[0]],
+            tierName: 'Free'
+        });
+        // トランザクションの開始後に別の書き込みを行う
+        await new Promise((resolve) => setImmediate(resolve));
+        const unrelated = repo.users.create({ nickname: 'unrelated', email: 'unrelated@example.com', phone: null, passwordHash: 'not-a-real-hash' });
+
+        await assert.rejects(failing, { code: DUPLICATE });
+        const user = await unrelated;
+
+        assert.equal((await repo.users.findById(user.id)).nickname, 'unrelated');
+        const fanclubs = await repo.fanclubs.list({ limit: 10 });
+        assert.ok(!fanclubs.some((fanclub) => fanclub.name === 'Failing Club'));
+    });
+});